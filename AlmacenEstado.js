@@ -0,0 +1,132 @@
+// Archivo: AlmacenEstado.js
+// Almacenes del estado de conversación de cada llamada (indexado por CallSid; las conversaciones
+// por chat, SMS y WhatsApp usan su propia clave, ver Canales.js).
+// Todas las implementaciones exponen la misma interfaz asíncrona:
+//   obtener(callSid) -> estado | undefined
+//   guardar(callSid, estado)
+//   eliminar(callSid) -> estado eliminado | undefined
+//   limpiarExpirados() -> lista de estados expirados (ya eliminados)
+//   retirarExpirado(callSid) -> estado expirado de esa clave (ya eliminado) | undefined
+// Cada 'guardar' renueva el TTL; una llamada sin actividad durante el TTL se considera abandonada.
+
+const TTL_MS_POR_DEFECTO = (parseInt(process.env.STATE_TTL_MINUTES, 10) || 30) * 60 * 1000;
+
+/**
+ * Almacén en memoria del proceso. Es el comportamiento original: no sobrevive a un
+ * reinicio ni se comparte entre instancias, pero no requiere base de datos.
+ */
+class AlmacenEstadoMemoria {
+    constructor({ ttlMs = TTL_MS_POR_DEFECTO } = {}) {
+        this.ttlMs = ttlMs;
+        this.estados = new Map();
+    }
+
+    async obtener(callSid) {
+        const entrada = this.estados.get(callSid);
+        if (!entrada || entrada.expiraEn <= Date.now()) {
+            return undefined;
+        }
+        return entrada.estado;
+    }
+
+    async guardar(callSid, estado) {
+        this.estados.set(callSid, { estado, expiraEn: Date.now() + this.ttlMs });
+    }
+
+    async eliminar(callSid) {
+        const entrada = this.estados.get(callSid);
+        this.estados.delete(callSid);
+        return entrada?.estado;
+    }
+
+    async retirarExpirado(callSid) {
+        const entrada = this.estados.get(callSid);
+        if (!entrada || entrada.expiraEn > Date.now()) {
+            return undefined;
+        }
+        this.estados.delete(callSid);
+        return entrada.estado;
+    }
+
+    async limpiarExpirados() {
+        const ahora = Date.now();
+        const expirados = [];
+        for (const [callSid, entrada] of this.estados) {
+            if (entrada.expiraEn <= ahora) {
+                this.estados.delete(callSid);
+                expirados.push(entrada.estado);
+            }
+        }
+        return expirados;
+    }
+}
+
+/**
+ * Almacén en PostgreSQL (tabla 'estados_conversacion', migración 005). Permite reiniciar
+ * el servidor a mitad de una llamada y ejecutar varias instancias detrás de un balanceador.
+ */
+class AlmacenEstadoPostgres {
+    constructor(db, { ttlMs = TTL_MS_POR_DEFECTO } = {}) {
+        this.db = db;
+        this.ttlMs = ttlMs;
+    }
+
+    async obtener(callSid) {
+        const res = await this.db.pool.query(
+            'SELECT estado FROM estados_conversacion WHERE call_sid = $1 AND expira_en > NOW()',
+            [callSid]
+        );
+        return res.rows[0]?.estado;
+    }
+
+    async guardar(callSid, estado) {
+        await this.db.pool.query(
+            `INSERT INTO estados_conversacion (call_sid, estado, actualizado_en, expira_en)
+             VALUES ($1, $2, NOW(), NOW() + ($3 * INTERVAL '1 millisecond'))
+             ON CONFLICT (call_sid) DO UPDATE
+             SET estado = EXCLUDED.estado, actualizado_en = EXCLUDED.actualizado_en, expira_en = EXCLUDED.expira_en`,
+            [callSid, JSON.stringify(estado), this.ttlMs]
+        );
+    }
+
+    async eliminar(callSid) {
+        const res = await this.db.pool.query(
+            'DELETE FROM estados_conversacion WHERE call_sid = $1 RETURNING estado',
+            [callSid]
+        );
+        return res.rows[0]?.estado;
+    }
+
+    async retirarExpirado(callSid) {
+        const res = await this.db.pool.query(
+            'DELETE FROM estados_conversacion WHERE call_sid = $1 AND expira_en <= NOW() RETURNING estado',
+            [callSid]
+        );
+        return res.rows[0]?.estado;
+    }
+
+    async limpiarExpirados() {
+        // DELETE ... RETURNING garantiza que, con varias instancias, cada estado expirado
+        // se entregue a una sola de ellas (y se registre como abandonado una sola vez).
+        const res = await this.db.pool.query(
+            'DELETE FROM estados_conversacion WHERE expira_en <= NOW() RETURNING estado'
+        );
+        return res.rows.map(r => r.estado);
+    }
+}
+
+/**
+ * Crea el almacén configurado en STATE_STORE ('memoria' por defecto, o 'postgres').
+ */
+function crearAlmacenEstado(db, tipo = process.env.STATE_STORE || 'memoria') {
+    switch (tipo) {
+        case 'memoria':
+            return new AlmacenEstadoMemoria();
+        case 'postgres':
+            return new AlmacenEstadoPostgres(db);
+        default:
+            throw new Error(`STATE_STORE desconocido: "${tipo}". Usa 'memoria' o 'postgres'.`);
+    }
+}
+
+module.exports = { AlmacenEstadoMemoria, AlmacenEstadoPostgres, crearAlmacenEstado };
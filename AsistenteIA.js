@@ -1,33 +1,48 @@
 // Archivo: AsistenteIA.js
-// VERSIÓN DE PRODUCCIÓN - Impulsado por Anthropic Claude 3 Haiku
-// Utiliza la API de Anthropic para una conversación más natural y robusta.
+// Interpreta cada turno de la llamada con el proveedor LLM configurado (ver ProveedoresLLM.js).
+// Si el proveedor no está disponible o falla en todos los reintentos, usa el intérprete de
+// reglas (InterpreteReglas.js) para que la llamada pueda seguir con pedidos simples.
+// Las etapas no dependen del canal: el mismo asistente atiende el chat web, SMS y WhatsApp
+// (ver Canales.js); solo cambia el largo de la respuesta.
+// En cada turno se aplica al carrito la mejor promoción vigente (ver Promociones.js): el total
+// del estado ya lleva el descuento.
 
-const axios = require('axios');
-
-// Configuración de la API de Anthropic (tomada de .env)
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || '';
-const API_URL = 'https://api.anthropic.com/v1/messages';
+const { crearProveedorLLM } = require('./ProveedoresLLM');
+const InterpreteReglas = require('./InterpreteReglas');
+const HorarioNegocio = require('./HorarioNegocio');
+const Sucursales = require('./Sucursales');
+const { mensajes, nombreEn } = require('./Idiomas');
+const Canales = require('./Canales');
+const Promociones = require('./Promociones');
 
 // Configuración de reintentos
 const MAX_RETRIES = 2;
 const INITIAL_DELAY_MS = 1000;
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-// Precios de personalizaciones
-const PRECIOS_EXTRAS = {
-    'leche de avena': 1.00,
-    'leche de almendra': 1.00,
-    'shot extra de espresso': 1.50,
-    'tamaño grande': 0.75
-};
+// Etapas en las que la orden ya debe cumplir el mínimo de selecciones de cada grupo de modificadores
+const ETAPAS_CIERRE = ['CONFIRMATION', 'IDENTIFICATION', 'FINALIZED'];
+
+// Sucursal que atiende la llamada (el servidor la guarda en el estado al contestar).
+const sucursalDe = estado => estado.sucursal?.id ?? Sucursales.PRINCIPAL;
 
 class AsistenteIA {
-    constructor(db) {
+    /**
+     * 'proveedorLLM' es cualquier objeto con 'disponible()' y 'generar({ sistema, usuario, herramienta })'
+     * (p. ej. el del simulador); por defecto, el indicado en LLM_PROVIDER.
+     * 'horario' valida las horas de recogida y estima cuándo estará lista la orden; 'promociones'
+     * da las promociones vigentes de la sucursal.
+     */
+    constructor(db, { proveedorLLM = crearProveedorLLM(), interprete = new InterpreteReglas(), horario = null, promociones = null } = {}) {
         this.db = db;
+        this.proveedorLLM = proveedorLLM;
+        this.interprete = interprete;
         if (!this.db) {
             throw new Error("AsistenteIA requiere una instancia de base de datos para funcionar.");
         }
-        console.log(`AsistenteIA: Inicializado en MODO PRODUCCIÓN con Anthropic Claude.`);
+        this.horario = horario || new HorarioNegocio(db);
+        this.promociones = promociones || new Promociones(db, { horario: this.horario });
+        console.log(`AsistenteIA: Inicializado con el proveedor "${proveedorLLM.nombre || 'personalizado'}"${proveedorLLM.disponible() ? '' : ' (no disponible: se usará el intérprete de reglas)'}.`);
     }
 
     // El esquema JSON que Claude debe seguir (definido como una "herramienta")
@@ -39,142 +54,476 @@ class AsistenteIA {
                 type: "object",
                 properties: {
                     "next_stage": { type: "string", description: "El nuevo estado de la conversación. Uno de: INITIAL_ORDER, CUSTOMIZATION, UPSELL_FINAL, CONFIRMATION, IDENTIFICATION, FINALIZED." },
-                    "items_update": {
-                        type: "array", description: "Lista COMPLETA y ACTUALIZADA de productos confirmados por el cliente.",
+                    "operaciones": {
+                        type: "array", description: "Cambios al carrito pedidos en ESTE turno, en orden. Vacío si el cliente no cambió nada. Las líneas existentes se indican con su número 'linea' del estado actual.",
                         items: {
                             type: "object",
                             properties: {
-                                "nombre": { type: "string" },
-                                "personalizaciones": { type: "array", "items": { type: "string" } },
-                                "area_preparacion": { type: "string", description: "El área de preparación del menú (barra o cocina)." }
+                                "accion": { type: "string", enum: ["agregar", "quitar", "cambiar_cantidad", "cambiar_modificadores", "repetir_ultima_orden"], description: "'repetir_ultima_orden' agrega la última orden del cliente frecuente (sin más campos)." },
+                                "linea": { type: "integer", description: "Número de línea del carrito (para quitar y cambiar)." },
+                                "nombre": { type: "string", description: "Nombre exacto del producto del menú (para agregar)." },
+                                "cantidad": { type: "integer", description: "Unidades a agregar, nueva cantidad de la línea o unidades a quitar (si se omite al quitar, se quita la línea completa)." },
+                                "modificadores": { type: "array", "items": { type: "integer" }, description: "IDs de las opciones de modificador, tomados SOLO de 'grupos_modificadores' de ese producto. Al cambiar, la lista COMPLETA de la línea." }
                             },
-                            required: ["nombre", "area_preparacion"]
+                            required: ["accion"]
                         }
                     },
+                    "modificadores_rechazados": { type: "array", "items": { type: "string" }, description: "Personalizaciones que el cliente pidió y que NO existen en la lista de modificadores del producto." },
+                    "hora_recogida": { type: "string", description: "Solo si en ESTE turno el cliente pidió recoger a cierta hora: 'HH:MM' en formato de 24 horas (\"para las 8:30 de la noche\" -> '20:30'). 'ahora' si ya no la quiere programada." },
+                    "cupon": { type: "string", description: "Solo si en ESTE turno el cliente dijo un código de cupón: tal como lo dijo, en letras y números (\"café diez\" -> 'CAFE10')." },
                     "nombre_cliente": { type: "string" },
                     "telefono_cliente": { type: "string" },
-                    "llm_response_text": { type: "string", description: "Respuesta AMABLE y CONCISA del barista (máximo 15 palabras)." }
+                    "llm_response_text": { type: "string", description: "Respuesta AMABLE y CONCISA del barista (sin pasar el máximo de palabras de las instrucciones)." }
                 },
-                required: ["next_stage", "items_update", "llm_response_text"]
+                required: ["next_stage", "operaciones", "llm_response_text"]
             }
         };
     }
 
-    _calculateTotal(items, menu) {
-        let total = 0;
-        const menuMap = new Map(menu.map(item => [item.nombre, parseFloat(item.precio)]));
-        items.forEach(item => {
-            total += menuMap.get(item.nombre) || 0;
-            (item.personalizaciones || []).forEach(custom => {
-                total += PRECIOS_EXTRAS[custom.toLowerCase()] || 0;
-            });
+    /**
+     * Separa del carrito los items que ya no están en el menú disponible (p. ej. un producto
+     * retirado a mitad de la llamada). Devuelve { disponibles, retirados }.
+     */
+    _filtrarDisponibles(items, menu) {
+        const nombres = new Set(menu.map(p => p.nombre));
+        const disponibles = [];
+        const retirados = [];
+        for (const item of items) {
+            if (nombres.has(item.nombre)) {
+                disponibles.push(item);
+            } else {
+                console.warn(`[MENÚ] Se descarta "${item.nombre}": no está disponible.`);
+                retirados.push(item);
+            }
+        }
+        return { disponibles, retirados };
+    }
+
+    /**
+     * Representación del menú para el prompt: cada producto con los grupos de modificadores
+     * que acepta y los IDs de sus opciones, para que el modelo no invente personalizaciones.
+     * Los nombres y alias en inglés van solo si existen.
+     */
+    _menuParaPrompt(menu, grupos) {
+        return menu.map(p => ({
+            nombre: p.nombre, nombre_en: p.nombre_en || undefined, area: p.area_preparacion, categoria: p.categoria,
+            descripcion: p.descripcion || undefined, alias: p.alias, alias_en: p.alias_en?.length ? p.alias_en : undefined,
+            grupos_modificadores: grupos.filter(g => g.producto_ids.includes(p.id)).map(g => ({
+                grupo: g.nombre, min: g.min_selecciones, max: g.max_selecciones,
+                opciones: g.opciones.map(o => ({ id: o.id, nombre: o.nombre, nombre_en: o.nombre_en || undefined, precio: parseFloat(o.precio_delta) }))
+            }))
+        }));
+    }
+
+    /**
+     * Convierte los IDs de 'modificadores' de cada item en 'personalizaciones' estructuradas
+     * ({ id, nombre, grupo, precio_delta }) y valida que existan para ese producto y que
+     * respeten el máximo (y, con 'exigirMinimos', el mínimo) de cada grupo.
+     * Los IDs inválidos se descartan del item y se reportan en 'errores' (texto para el cliente,
+     * en el 'idioma' de la llamada).
+     */
+    _resolverModificadores(items, menu, grupos, { exigirMinimos = false, idioma } = {}) {
+        const textos = mensajes(idioma);
+        const errores = [];
+        const resueltos = items.map(item => {
+            const producto = menu.find(p => p.nombre === item.nombre);
+            const nombre = producto ? nombreEn(producto, idioma) : item.nombre;
+            const gruposProducto = grupos.filter(g => producto && g.producto_ids.includes(producto.id));
+            const personalizaciones = [];
+
+            for (const id of item.modificadores || []) {
+                const grupo = gruposProducto.find(g => g.opciones.some(o => o.id === id));
+                if (!grupo) {
+                    console.warn(`[MODIFICADORES] ID ${id} no válido para "${item.nombre}".`);
+                    const opciones = gruposProducto.flatMap(g => g.opciones.map(o => nombreEn(o, idioma)));
+                    errores.push(opciones.length ? textos.opcionNoDisponible(nombre, opciones) : textos.sinPersonalizaciones(nombre));
+                    continue;
+                }
+                const opcion = grupo.opciones.find(o => o.id === id);
+                const elegidasGrupo = personalizaciones.filter(p => p.grupo === grupo.nombre).length;
+                if (elegidasGrupo >= grupo.max_selecciones) {
+                    errores.push(textos.maximoGrupo(nombre, grupo.max_selecciones, nombreEn(grupo, idioma)));
+                    continue;
+                }
+                personalizaciones.push({
+                    id: opcion.id, nombre: opcion.nombre, ...(opcion.nombre_en ? { nombre_en: opcion.nombre_en } : {}),
+                    grupo: grupo.nombre, precio_delta: parseFloat(opcion.precio_delta)
+                });
+            }
+
+            if (exigirMinimos) {
+                for (const grupo of gruposProducto) {
+                    const elegidas = personalizaciones.filter(p => p.grupo === grupo.nombre).length;
+                    if (elegidas < grupo.min_selecciones) {
+                        errores.push(textos.elegirGrupo(nombre, nombreEn(grupo, idioma), grupo.opciones.map(o => nombreEn(o, idioma))));
+                    }
+                }
+            }
+
+            return { ...item, modificadores: personalizaciones.map(p => p.id), personalizaciones };
+        });
+        return { items: resueltos, errores };
+    }
+
+    /**
+     * Devuelve los items con sus precios: unitario del menú, suma de personalizaciones,
+     * cantidad y subtotal (y el nombre en inglés, si el producto lo tiene). Database.agregarOrden
+     * persiste estos valores como snapshot. Requiere items ya resueltos por _resolverModificadores.
+     */
+    _preciarItems(items, menu) {
+        const menuMap = new Map(menu.map(item => [item.nombre, item]));
+        return items.map(item => {
+            const producto = menuMap.get(item.nombre);
+            const precioUnitario = producto ? parseFloat(producto.precio) : 0;
+            const precioPersonalizaciones = (item.personalizaciones || []).reduce((acc, p) => acc + p.precio_delta, 0);
+            const cantidad = item.cantidad || 1;
+            return {
+                ...item,
+                ...(producto?.nombre_en ? { nombre_en: producto.nombre_en } : {}),
+                precio_unitario: precioUnitario,
+                precio_personalizaciones: precioPersonalizaciones,
+                cantidad,
+                subtotal: parseFloat(((precioUnitario + precioPersonalizaciones) * cantidad).toFixed(2))
+            };
         });
+    }
+
+    /**
+     * Aplica las operaciones de carrito del turno sobre las líneas actuales y devuelve
+     * { items, errores }. Las líneas se numeran desde 1 en el orden del carrito; agregar un
+     * producto con los mismos modificadores que una línea existente suma a su cantidad.
+     * 'ultimaOrden' es la del perfil del cliente frecuente (para 'repetir_ultima_orden').
+     */
+    _aplicarOperaciones(itemsActuales, operaciones, menu, ultimaOrden = null, idioma = undefined) {
+        const textos = mensajes(idioma);
+        const lineas = itemsActuales.map(i => ({
+            nombre: i.nombre, area_preparacion: i.area_preparacion,
+            modificadores: i.modificadores || [], cantidad: i.cantidad || 1
+        }));
+        const errores = [];
+        const mismaLista = (a, b) => JSON.stringify([...a].sort()) === JSON.stringify([...b].sort());
+        const cantidadValida = c => Number.isInteger(c) && c > 0;
+        const agregarLinea = (nombre, cantidad, modificadores = []) => {
+            const producto = menu.find(p => p.nombre === nombre);
+            if (!producto) {
+                console.warn(`[CARRITO] Se descarta "${nombre}": no está disponible.`);
+                errores.push(textos.noDisponible(nombre));
+                return;
+            }
+            // Una línea quitada en este mismo turno no recibe lo que se agrega: se elimina al final.
+            const existente = lineas.find(l => !l.eliminada && l.nombre === producto.nombre && mismaLista(l.modificadores, modificadores));
+            if (existente) {
+                existente.cantidad += cantidad;
+            } else {
+                lineas.push({ nombre: producto.nombre, area_preparacion: producto.area_preparacion, modificadores, cantidad });
+            }
+        };
+
+        for (const op of operaciones || []) {
+            if (op.accion === 'agregar') {
+                agregarLinea(op.nombre, cantidadValida(op.cantidad) ? op.cantidad : 1, op.modificadores || []);
+                continue;
+            }
+            if (op.accion === 'repetir_ultima_orden') {
+                if (!ultimaOrden || !ultimaOrden.items.length) {
+                    errores.push(textos.sinOrdenAnterior);
+                    continue;
+                }
+                // Se agregan con los precios actuales: _preciarItems usa el menú vigente.
+                for (const item of ultimaOrden.items) {
+                    agregarLinea(item.nombre, item.cantidad || 1, item.modificadores || []);
+                }
+                continue;
+            }
+
+            const linea = lineas[op.linea - 1];
+            if (!linea) {
+                errores.push(textos.sinLinea(op.linea));
+                continue;
+            }
+            if (op.accion === 'quitar') {
+                if (cantidadValida(op.cantidad) && op.cantidad < linea.cantidad) {
+                    linea.cantidad -= op.cantidad;
+                } else {
+                    linea.eliminada = true;
+                }
+            } else if (op.accion === 'cambiar_cantidad') {
+                if (op.cantidad === 0) {
+                    linea.eliminada = true;
+                } else if (cantidadValida(op.cantidad)) {
+                    linea.cantidad = op.cantidad;
+                } else {
+                    errores.push(textos.cantidadEntera(nombreEn(menu.find(p => p.nombre === linea.nombre) || linea, idioma)));
+                }
+            } else if (op.accion === 'cambiar_modificadores') {
+                linea.modificadores = op.modificadores || [];
+            } else {
+                console.warn(`[CARRITO] Operación desconocida: ${JSON.stringify(op)}`);
+            }
+        }
+        // Las líneas se marcan y se eliminan al final para que los números de 'linea'
+        // de todas las operaciones del turno se refieran al carrito anterior.
+        return { items: lineas.filter(l => !l.eliminada), errores };
+    }
+
+    /**
+     * Resumen hablado línea por línea: "2 Café Americano con leche de avena; 1 Muffin de Arándanos".
+     * En inglés usa los 'nombre_en' guardados en los items ("2 Americano with oat milk").
+     */
+    resumenOrden(items, idioma) {
+        const { con, y } = mensajes(idioma).resumen;
+        return items.map(item => {
+            const personalizaciones = (item.personalizaciones || []).map(p => nombreEn(p, idioma));
+            const detalle = personalizaciones.length ? ` ${con} ${personalizaciones.join(` ${y} `)}` : '';
+            return `${item.cantidad} ${nombreEn(item, idioma)}${detalle}`;
+        }).join('; ');
+    }
+
+    _calculateTotal(items) {
+        const total = items.reduce((acc, item) => acc + item.subtotal, 0);
         return parseFloat(total.toFixed(2));
     }
 
-    async procesarConversacion(transcripcion, estadoActual) {
-        console.log(`IA (Claude) procesando: "${transcripcion}" | Etapa: ${estadoActual.stage}`);
+    /**
+     * Aplica una respuesta con la forma de la herramienta (del LLM o del intérprete de reglas)
+     * al estado de la conversación: valida productos, modificadores, hora de recogida y cupón,
+     * calcula precios y la mejor promoción, y arma el mensaje. La respuesta original queda en
+     * 'interpretacion' (para la transcripción de la llamada, ver Transcripciones.js). El carrito
+     * de 'estadoActual' ya viene sin los productos retirados (ver procesarConversacion).
+     */
+    async _aplicarRespuesta(aiResponse, estadoActual, menu, grupos, promociones = []) {
+        const idioma = estadoActual.idioma;
+        const textos = mensajes(idioma);
+        const { items: itemsCarrito, errores: erroresCarrito } = this._aplicarOperaciones(
+            estadoActual.items || [], aiResponse.operaciones, menu,
+            estadoActual.cliente?.ultimaOrden, idioma
+        );
+        const { items: itemsResueltos, errores } = this._resolverModificadores(
+            itemsCarrito, menu, grupos, { exigirMinimos: ETAPAS_CIERRE.includes(aiResponse.next_stage), idioma }
+        );
+        errores.unshift(...erroresCarrito);
+        for (const rechazado of aiResponse.modificadores_rechazados || []) {
+            errores.unshift(textos.noTenemos(rechazado));
+        }
+        const itemsActualizados = this._preciarItems(itemsResueltos, menu);
+
+        // Los cupones válidos quedan en el estado para los turnos siguientes.
+        const codigo = aiResponse.cupon ? Promociones.normalizarCodigo(aiResponse.cupon) : '';
+        const cuponValido = Boolean(codigo) && promociones.some(p => p.codigo === codigo);
+        const cupones = cuponValido ? [...new Set([...(estadoActual.cupones || []), codigo])] : (estadoActual.cupones || []);
+        const promocion = Promociones.mejorPromocion(promociones, itemsActualizados, menu, cupones);
+        const descuento = promocion ? promocion.descuento : 0;
+        const totalCalculado = parseFloat((this._calculateTotal(itemsActualizados) - descuento).toFixed(2));
+
+        const nuevoEstado = {
+            ...estadoActual,
+            stage: aiResponse.next_stage,
+            items: itemsActualizados,
+            total: totalCalculado,
+            descuento,
+            promocion,
+            cupones,
+            nombreCliente: aiResponse.nombre_cliente || estadoActual.nombreCliente,
+            telefonoCliente: aiResponse.telefono_cliente || estadoActual.telefonoCliente || estadoActual.caller,
+        };
+
+        // Modificadores inválidos: no se avanza la orden y se vuelve a preguntar.
+        if (errores.length > 0) {
+            nuevoEstado.stage = 'CUSTOMIZATION';
+            const detalle = errores.slice(0, 2).join(' ');
+            return { mensaje: textos.corregir(detalle), estadoActualizado: nuevoEstado, interpretacion: aiResponse };
+        }
+
+        // Hora de recogida: se valida contra el horario, el tiempo de preparación y las franjas libres.
+        if (aiResponse.hora_recogida === 'ahora') {
+            nuevoEstado.recogida = null;
+        } else if (aiResponse.hora_recogida) {
+            const recogida = await this.horario.validarHoraRecogida(sucursalDe(estadoActual), aiResponse.hora_recogida, itemsActualizados, menu, idioma);
+            if (recogida.error) {
+                nuevoEstado.stage = 'CUSTOMIZATION';
+                return { mensaje: textos.corregirRecogida(recogida.error), estadoActualizado: nuevoEstado, interpretacion: aiResponse };
+            }
+            nuevoEstado.recogida = recogida;
+        }
+
+        let mensajeFinal = aiResponse.llm_response_text;
+        if (nuevoEstado.stage === 'CONFIRMATION') {
+            // El resumen lo arma el servidor con el carrito real, para que el cliente detecte errores.
+            const entrega = nuevoEstado.recogida
+                ? textos.paraRecoger(nuevoEstado.recogida.hora)
+                : textos.listaEnMinutos(await this.horario.estimarMinutosListo(sucursalDe(estadoActual), itemsActualizados, menu));
+            const resumen = this.resumenOrden(itemsActualizados, idioma)
+                + (promocion ? `; ${textos.promociones.descuento(nombreEn(promocion, idioma), descuento)}` : '');
+            mensajeFinal = textos.confirmacion(resumen, totalCalculado, entrega, mensajeFinal);
+        } else if (nuevoEstado.stage === 'FINALIZED' && !mensajeFinal.toLowerCase().includes('total')) {
+            mensajeFinal += textos.total(totalCalculado);
+        }
+        const { avisos, sugerencia } = this._avisosPromocion(nuevoEstado, estadoActual, { codigo, cuponValido, promociones, menu });
+        mensajeFinal = [...avisos, mensajeFinal, sugerencia].filter(Boolean).join(' ');
+        return { mensaje: mensajeFinal, estadoActualizado: nuevoEstado, interpretacion: aiResponse };
+    }
+
+    /**
+     * Lo que el asistente dice de las promociones en este turno: 'avisos' (van antes de la
+     * respuesta) sobre el cupón dicho y la promoción recién aplicada (en CONFIRMATION y después ya
+     * va en el resumen), y en UPSELL_FINAL la 'sugerencia' del combo al que le falta un producto,
+     * una sola vez por combo. Anota en 'nuevoEstado' los combos ofrecidos.
+     */
+    _avisosPromocion(nuevoEstado, estadoActual, { codigo, cuponValido, promociones, menu }) {
+        const { idioma, promocion, descuento, cupones } = nuevoEstado;
+        const textos = mensajes(idioma).promociones;
+        const avisos = [];
+        if (codigo && !cuponValido) {
+            avisos.push(textos.cuponInvalido(codigo));
+        }
+        if (promocion && promocion.id !== estadoActual.promocion?.id && !ETAPAS_CIERRE.includes(nuevoEstado.stage)) {
+            avisos.push(textos.aplicada(nombreEn(promocion, idioma), descuento));
+        } else if (cuponValido && promocion?.codigo !== codigo) {
+            avisos.push(textos.cuponAnotado(codigo));
+        }
+
+        let sugerencia = null;
+        const ofrecidos = estadoActual.combosOfrecidos || [];
+        const combo = nuevoEstado.stage === 'UPSELL_FINAL' && Promociones.comboSugerido(promociones, nuevoEstado.items, menu, cupones);
+        if (combo && !ofrecidos.includes(combo.promocion.id)) {
+            sugerencia = textos.sugerirCombo(nombreEn(combo.producto, idioma), nombreEn(combo.promocion, idioma), combo.promocion.precio);
+            nuevoEstado.combosOfrecidos = [...ofrecidos, combo.promocion.id];
+        }
+        return { avisos, sugerencia };
+    }
 
-        if (!ANTHROPIC_API_KEY) {
-            console.error("[ERROR CRÍTICO] La clave de API de Anthropic no está configurada.");
-            return { mensaje: "Error de configuración del sistema.", estadoActualizado: estadoActual };
+    /**
+     * Respaldo sin LLM: el intérprete de reglas. Si tampoco entiende el turno, se pide repetir y
+     * se marca 'noEntendido'. 'respaldo' indica que se llegó aquí porque el LLM falló.
+     */
+    async _procesarConReglas(transcripcion, estadoActual, menu, grupos, promociones, { respaldo = false } = {}) {
+        const interpretacion = this.interprete.interpretar(transcripcion, estadoActual, menu, grupos);
+        if (!interpretacion) {
+            console.warn(`[REGLAS] No se entendió: "${transcripcion}".`);
+            return {
+                mensaje: mensajes(estadoActual.idioma).noEntendido,
+                estadoActualizado: { ...estadoActual, transcripcionPendiente: transcripcion },
+                interpretacion: null,
+                origen: 'reglas',
+                noEntendido: true,
+                respaldo
+            };
         }
+        const resultado = await this._aplicarRespuesta(interpretacion, estadoActual, menu, grupos, promociones);
+        console.log(`[REGLAS] Turno interpretado sin LLM. Nuevo estado: ${resultado.estadoActualizado.stage}`);
+        return { ...resultado, origen: 'reglas', respaldo };
+    }
+
+    /**
+     * Procesa un turno de la llamada. Devuelve { mensaje, estadoActualizado, interpretacion, origen },
+     * donde 'origen' es el proveedor LLM o 'reglas'; con las reglas también 'respaldo' (el LLM
+     * falló) y 'noEntendido' (no se entendió el turno; ver Transferencias.js).
+     */
+    async procesarConversacion(transcripcion, estadoRecibido) {
+        console.log(`IA (${this.proveedorLLM.nombre || 'LLM'}) procesando: "${transcripcion}" | Etapa: ${estadoRecibido.stage}`);
+
+        // Solo se ofrecen productos disponibles, para no vender algo que se terminó, con los
+        // precios de la sucursal. Si las promociones no se pueden cargar, el turno sigue sin ellas.
+        const [menu, grupos, promociones] = await Promise.all([
+            this.db.obtenerMenu({ soloDisponibles: true, sucursalId: sucursalDe(estadoRecibido) }),
+            this.db.obtenerGruposModificadores({ soloDisponibles: true }),
+            this.promociones.vigentes(sucursalDe(estadoRecibido)).catch(error => {
+                console.error('[PROMOCIONES] No se pudieron cargar:', error.message);
+                return [];
+            })
+        ]);
+
+        // El carrito se filtra una sola vez, antes de armar el prompt: las líneas que numera el
+        // modelo (o el intérprete de reglas) son las mismas sobre las que se aplican sus operaciones.
+        // Lo que se quitó se le anuncia al cliente en la respuesta.
+        const { disponibles, retirados } = this._filtrarDisponibles(estadoRecibido.items || [], menu);
+        const estadoActual = { ...estadoRecibido, items: disponibles };
+        const anunciarRetirados = resultado => retirados.length === 0 ? resultado : {
+            ...resultado,
+            mensaje: `${mensajes(estadoActual.idioma).retirados(retirados.map(i => nombreEn(i, estadoActual.idioma)).join(', '))} ${resultado.mensaje}`
+        };
 
-        const menu = await this.db.obtenerMenu();
+        if (!this.proveedorLLM.disponible()) {
+            console.warn("[FALLBACK] El proveedor LLM no está configurado. Se usa el intérprete de reglas.");
+            return anunciarRetirados(await this._procesarConReglas(transcripcion, estadoActual, menu, grupos, promociones));
+        }
+
+        const textoEscrito = Canales.esTexto(estadoActual.canal);
         const system_prompt = `
-            Eres un barista de IA para "Cafe Delicia". Tu tarea es atender un pedido por teléfono.
+            Eres un barista de IA para "${estadoActual.sucursal?.nombre || 'Cafe Delicia'}". Tu tarea es atender un pedido ${textoEscrito ? 'por mensajes de texto (chat)' : 'por teléfono'}.
             Sé amable, rápido y conciso. Sigue el flujo de la conversación y actualiza el estado de la orden.
-            Tu respuesta de texto NO DEBE EXCEDER 15 PALABRAS.
+            Tu respuesta de texto NO DEBE EXCEDER ${Canales.maxPalabras(estadoActual.canal)} PALABRAS.${textoEscrito ? ' El cliente ve su carrito junto a tu respuesta, así que no lo repitas; puedes listar opciones del menú si te las pide.' : ''}
             Analiza la transcripción del cliente, considera el estado actual de la orden y usa la herramienta 'actualizar_estado_orden' para devolver el nuevo estado y tu respuesta.
             REGLA IMPORTANTE: Si el cliente confirma la orden pero el nombre del cliente es 'Cliente Anónimo', tu 'next_stage' DEBE ser 'IDENTIFICATION' para pedir el nombre. NO pases a 'FINALIZED' sin un nombre.
+            REGLA DE CLIENTE FRECUENTE: Si hay 'CLIENTE FRECUENTE', ya conoces su nombre: NO lo pidas ni uses 'IDENTIFICATION'. Si pide "lo mismo de siempre" (o acepta repetir su última orden), usa la operación 'repetir_ultima_orden'.
+            REGLA DE MENÚ: Solo puedes vender productos del MENÚ DISPONIBLE, usando su 'nombre' exacto. Los 'alias' son formas en que los clientes los piden. Si piden algo que no está, díselo y ofrece una alternativa.
+            REGLA DE CARRITO: NO reenvíes la orden completa. En 'operaciones' indica solo lo que cambió en este turno: 'agregar' (con 'nombre' y 'cantidad', p. ej. "tres capuchinos" es UNA operación con cantidad 3), 'quitar', 'cambiar_cantidad' o 'cambiar_modificadores' sobre el número de 'linea' del estado actual.
+            REGLA DE MODIFICADORES: Las personalizaciones se indican SOLO con los 'id' de 'grupos_modificadores' del producto, respetando 'min' y 'max' de cada grupo. Si el cliente pide una personalización que no está en la lista, NO la inventes: agrégala a 'modificadores_rechazados'.
+            REGLA DE CONFIRMACIÓN: En CONFIRMATION el sistema lee el resumen de la orden, el total y cuándo estará lista; tu texto solo debe preguntar si la confirma.
+            REGLA DE RECOGIDA: Si el cliente quiere recoger a cierta hora ("para las 8:30"), indícala en 'hora_recogida' (HH:MM, 24 horas, considerando la HORA ACTUAL). El sistema la valida; NO prometas horas ni tiempos de espera tú mismo.
+            REGLA DE PROMOCIONES: Solo existen las PROMOCIONES listadas; menciónalas si el cliente pregunta. El sistema aplica la mejor al carrito, anuncia el descuento y ofrece en UPSELL_FINAL el combo que está por completarse: NO calcules descuentos ni inventes promociones. Si el cliente dice un código de cupón, ponlo en 'cupon'; el sistema lo valida.
             REGLA DE CONTEXTO: Si el cliente hace una pregunta (ej. 'qué más tienes') en una etapa avanzada (como CONFIRMATION), responde la pregunta y cambia el 'next_stage' a 'UPSELL_FINAL' para que puedan añadir más cosas. NO reinicies la orden a 'INITIAL_ORDER'.
+            ${estadoActual.idioma === 'en' ? `REGLA DE IDIOMA: El cliente habla INGLÉS. Escribe 'llm_response_text' y 'modificadores_rechazados' en inglés y nombra los productos y opciones por su 'nombre_en' (si lo tienen); los 'alias_en' son formas en que los piden. En 'operaciones' usa SIEMPRE el 'nombre' del catálogo en español.` : ''}
         `;
         const user_prompt = `
-            MENÚ DISPONIBLE: ${JSON.stringify(menu.map(p => ({ nombre: p.nombre, area: p.area_preparacion })))}
-            ESTADO ACTUAL DE LA ORDEN: ${JSON.stringify({ items: estadoActual.items, stage: estadoActual.stage, nombreCliente: estadoActual.nombreCliente })}
+            MENÚ DISPONIBLE: ${JSON.stringify(this._menuParaPrompt(menu, grupos))}
+            ${estadoActual.cliente ? `CLIENTE FRECUENTE: ${JSON.stringify({ nombre: estadoActual.cliente.nombre, ordenes_previas: estadoActual.cliente.ordenes, favoritos: estadoActual.cliente.favoritos, ultima_orden: (estadoActual.cliente.ultimaOrden?.items || []).map(i => ({ nombre: i.nombre, cantidad: i.cantidad, personalizaciones: (i.personalizaciones || []).map(p => p.nombre) })) })}` : ''}
+            PROMOCIONES: ${JSON.stringify(promociones.filter(p => !p.codigo).map(p => ({ nombre: nombreEn(p, estadoActual.idioma), detalle: Promociones.describir(p, menu, estadoActual.idioma) })))}
+            ${estadoActual.promocion ? `PROMOCIÓN APLICADA: ${JSON.stringify({ nombre: nombreEn(estadoActual.promocion, estadoActual.idioma), descuento: estadoActual.descuento })}` : ''}
+            HORA ACTUAL: ${this.horario.ahoraLocal().hora}
+            ESTADO ACTUAL DE LA ORDEN: ${JSON.stringify({ items: estadoActual.items.map((i, n) => ({ linea: n + 1, nombre: i.nombre, cantidad: i.cantidad || 1, modificadores: i.modificadores || [] })), stage: estadoActual.stage, nombreCliente: estadoActual.nombreCliente, hora_recogida: estadoActual.recogida?.hora || null })}
             TRANSCRIPCIÓN DEL CLIENTE: "${transcripcion}"
         `;
 
-        const payload = {
-            model: "claude-3-haiku-20240307", // Modelo rápido y económico
-            system: system_prompt,
-            messages: [{ role: "user", content: user_prompt }],
-            max_tokens: 1024,
-            tools: [this.JSON_TOOL_SCHEMA],
-            tool_choice: {
-                type: "tool",
-                name: "actualizar_estado_orden"
-            }
-        };
-
+        // Solo las fallas del proveedor pasan al intérprete de reglas: un error al aplicar la
+        // respuesta (p. ej. de la base de datos) se propaga en lugar de aplicarse dos veces.
+        let aiResponse;
         try {
-            for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-                try {
-                    const response = await axios.post(API_URL, payload, {
-                        headers: {
-                            'x-api-key': ANTHROPIC_API_KEY,
-                            'anthropic-version': '2023-06-01',
-                            'content-type': 'application/json'
-                        },
-                        timeout: 6000
-                    });
-
-                    const toolCall = response.data?.content?.find(block => block.type === 'tool_use');
-                    if (toolCall && toolCall.input) {
-                        const aiResponse = toolCall.input;
-                        const itemsActualizados = aiResponse.items_update || [];
-                        const totalCalculado = this._calculateTotal(itemsActualizados, menu);
-
-                        const nuevoEstado = {
-                            ...estadoActual,
-                            stage: aiResponse.next_stage,
-                            items: itemsActualizados,
-                            total: totalCalculado,
-                            nombreCliente: aiResponse.nombre_cliente || estadoActual.nombreCliente,
-                            telefonoCliente: aiResponse.telefono_cliente || estadoActual.telefonoCliente || estadoActual.caller,
-                        };
-
-                        let mensajeFinal = aiResponse.llm_response_text;
-                        if ((nuevoEstado.stage === 'CONFIRMATION' || nuevoEstado.stage === 'FINALIZED') && !mensajeFinal.toLowerCase().includes('total')) {
-                            mensajeFinal += ` El total es de $${totalCalculado.toFixed(2)}.`;
-                        }
-
-                        console.log(`[DIAGNÓSTICO] Respuesta de Claude exitosa. Nuevo estado: ${nuevoEstado.stage}`);
-                        return { mensaje: mensajeFinal, estadoActualizado: nuevoEstado };
-                    }
-                    throw new Error("NO_TOOL_CALL_IN_RESPONSE");
-
-                } catch (error) {
-                    const status = error.response?.status;
-                    const isRetryable = [503, 429, 500, 529].includes(status) || error.code === 'ECONNABORTED';
-                    if (attempt < MAX_RETRIES - 1 && isRetryable) {
-                        const delayTime = INITIAL_DELAY_MS * (2 ** attempt);
-                        console.warn(`[REINTENTO #${attempt + 1}] Error ${status || 'de red'}. Reintentando en ${Math.round(delayTime)}ms.`);
-                        await delay(delayTime);
-                    } else {
-                        throw error;
-                    }
-                }
-            }
-            throw new Error("MAX_RETRIES_EXCEEDED");
-
+            aiResponse = await this._generarConReintentos({
+                sistema: system_prompt,
+                usuario: user_prompt,
+                herramienta: this.JSON_TOOL_SCHEMA
+            });
         } catch (error) {
             let logDetails;
             if (error.response) {
                 logDetails = `Fallo de API (HTTP ${error.response.status}).`;
-                console.error("Detalles del error de Anthropic:", error.response.data);
+                console.error(`Detalles del error de ${this.proveedorLLM.nombre || 'LLM'}:`, error.response.data);
             } else {
-                logDetails = `Error de red o reintentos fallidos.`;
+                logDetails = `Error de red o reintentos fallidos (${error.message}).`;
             }
-            
-            console.error(`[FALLBACK] Se activa el manejo de errores: ${logDetails}`);
-            return {
-                mensaje: "Lo siento, hubo un problema técnico. ¿Podrías repetir, por favor?",
-                estadoActualizado: { ...estadoActual, transcripcionPendiente: transcripcion }
-            };
+
+            console.error(`[FALLBACK] Se usa el intérprete de reglas: ${logDetails}`);
+            return anunciarRetirados(await this._procesarConReglas(transcripcion, estadoActual, menu, grupos, promociones, { respaldo: true }));
         }
+
+        const resultado = await this._aplicarRespuesta(aiResponse, estadoActual, menu, grupos, promociones);
+        console.log(`[DIAGNÓSTICO] Respuesta del LLM exitosa. Nuevo estado: ${resultado.estadoActualizado.stage}`);
+        return anunciarRetirados({ ...resultado, origen: this.proveedorLLM.nombre || 'llm' });
+    }
+
+    /**
+     * Pide la respuesta al proveedor LLM, reintentando con espera exponencial los errores
+     * transitorios (503, 429, 500, 529 o tiempo agotado).
+     */
+    async _generarConReintentos(solicitud) {
+        for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+            try {
+                return await this.proveedorLLM.generar(solicitud);
+            } catch (error) {
+                const status = error.response?.status;
+                const isRetryable = [503, 429, 500, 529].includes(status) || error.code === 'ECONNABORTED';
+                if (attempt < MAX_RETRIES - 1 && isRetryable) {
+                    const delayTime = INITIAL_DELAY_MS * (2 ** attempt);
+                    console.warn(`[REINTENTO #${attempt + 1}] Error ${status || 'de red'}. Reintentando en ${Math.round(delayTime)}ms.`);
+                    await delay(delayTime);
+                } else {
+                    throw error;
+                }
+            }
+        }
+        throw new Error("MAX_RETRIES_EXCEEDED");
     }
 }
 
 module.exports = AsistenteIA;
-
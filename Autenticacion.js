@@ -0,0 +1,147 @@
+// Archivo: Autenticacion.js
+// Cuentas del personal (admin, barra, cocina), contraseñas con scrypt y sesiones por cookie.
+// El token de sesión viaja solo en la cookie; en la base de datos se guarda su hash SHA-256.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['admin', 'barra', 'cocina'];
+const DURACION_SESION_MS = (parseInt(process.env.SESSION_TTL_HOURS, 10) || 12) * 60 * 60 * 1000;
+const LONGITUD_CLAVE = 64;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+class Autenticacion {
+    constructor(db) {
+        this.db = db;
+        if (!this.db) {
+            throw new Error("Autenticacion requiere una instancia de base de datos para funcionar.");
+        }
+    }
+
+    /**
+     * Devuelve 'scrypt$<salt>$<hash>' (ambos en hex).
+     */
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const derivada = await scrypt(password, salt, LONGITUD_CLAVE);
+        return `scrypt$${salt}$${derivada.toString('hex')}`;
+    }
+
+    async verificarPassword(password, passwordHash) {
+        const [algoritmo, salt, hash] = (passwordHash || '').split('$');
+        if (algoritmo !== 'scrypt' || !salt || !hash) return false;
+        const esperada = Buffer.from(hash, 'hex');
+        const derivada = await scrypt(password, salt, esperada.length);
+        return crypto.timingSafeEqual(derivada, esperada);
+    }
+
+    /**
+     * Quita el hash de la contraseña antes de devolver un usuario por la API.
+     */
+    _publico(usuario) {
+        if (!usuario) return usuario;
+        const { password_hash, ...resto } = usuario;
+        return resto;
+    }
+
+    /**
+     * 'sucursal_id' limita al usuario a una sucursal; null = todas (administración general).
+     */
+    async crearUsuario({ usuario, nombre = null, password, rol, sucursal_id = null }) {
+        const res = await this.db.pool.query(
+            'INSERT INTO usuarios (usuario, nombre, password_hash, rol, sucursal_id) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+            [usuario, nombre, await this.hashPassword(password), rol, sucursal_id]
+        );
+        return this._publico(res.rows[0]);
+    }
+
+    async listarUsuarios() {
+        const res = await this.db.pool.query('SELECT * FROM usuarios ORDER BY usuario');
+        return res.rows.map(u => this._publico(u));
+    }
+
+    /**
+     * Actualiza nombre, rol, sucursal, activo y/o contraseña. Al desactivar un usuario o cambiar
+     * su contraseña se cierran sus sesiones abiertas.
+     */
+    async actualizarUsuario(id, { nombre, rol, sucursal_id, activo, password }) {
+        const campos = { nombre, rol, sucursal_id, activo };
+        if (password !== undefined) {
+            campos.password_hash = await this.hashPassword(password);
+        }
+        const usuario = await this.db._actualizarCampos('usuarios', id, campos, ['nombre', 'rol', 'sucursal_id', 'activo', 'password_hash']);
+        if (usuario && (activo === false || password !== undefined)) {
+            await this.db.pool.query('DELETE FROM sesiones WHERE usuario_id = $1', [id]);
+        }
+        return this._publico(usuario);
+    }
+
+    async eliminarUsuario(id) {
+        const res = await this.db.pool.query('DELETE FROM usuarios WHERE id = $1 RETURNING *', [id]);
+        return this._publico(res.rows[0]);
+    }
+
+    /**
+     * Crea el primer administrador a partir de ADMIN_USUARIO/ADMIN_PASSWORD si todavía
+     * no existe ningún usuario. No hace nada en arranques posteriores.
+     */
+    async crearAdminInicial() {
+        const { rowCount } = await this.db.pool.query('SELECT 1 FROM usuarios LIMIT 1');
+        if (rowCount > 0) return;
+        const { ADMIN_USUARIO, ADMIN_PASSWORD } = process.env;
+        if (!ADMIN_USUARIO || !ADMIN_PASSWORD) {
+            console.warn("[AUTH] No hay usuarios. Define ADMIN_USUARIO y ADMIN_PASSWORD para crear el primer administrador.");
+            return;
+        }
+        await this.crearUsuario({ usuario: ADMIN_USUARIO, nombre: 'Administrador', password: ADMIN_PASSWORD, rol: 'admin' });
+        console.log(`[AUTH] Administrador inicial '${ADMIN_USUARIO}' creado.`);
+    }
+
+    /**
+     * Verifica las credenciales y abre una sesión. Devuelve { token, usuario, expiraEn }
+     * o null si el usuario no existe, está inactivo o la contraseña no coincide.
+     */
+    async iniciarSesion(usuario, password) {
+        const res = await this.db.pool.query('SELECT * FROM usuarios WHERE usuario = $1 AND activo = TRUE', [usuario]);
+        const encontrado = res.rows[0];
+        if (!encontrado || !(await this.verificarPassword(password, encontrado.password_hash))) {
+            return null;
+        }
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiraEn = new Date(Date.now() + DURACION_SESION_MS);
+        await this.db.pool.query(
+            'INSERT INTO sesiones (token_hash, usuario_id, expira_en) VALUES ($1, $2, $3)',
+            [hashToken(token), encontrado.id, expiraEn]
+        );
+        return { token, usuario: this._publico(encontrado), expiraEn };
+    }
+
+    /**
+     * Devuelve el usuario (activo) dueño de una sesión vigente, o undefined.
+     */
+    async obtenerUsuarioDeSesion(token) {
+        if (!token) return undefined;
+        const res = await this.db.pool.query(
+            `SELECT u.* FROM sesiones s JOIN usuarios u ON u.id = s.usuario_id
+             WHERE s.token_hash = $1 AND s.expira_en > NOW() AND u.activo = TRUE`,
+            [hashToken(token)]
+        );
+        return this._publico(res.rows[0]);
+    }
+
+    async cerrarSesion(token) {
+        if (!token) return;
+        await this.db.pool.query('DELETE FROM sesiones WHERE token_hash = $1', [hashToken(token)]);
+    }
+
+    async limpiarSesionesExpiradas() {
+        await this.db.pool.query('DELETE FROM sesiones WHERE expira_en <= NOW()');
+    }
+}
+
+Autenticacion.ROLES = ROLES;
+
+module.exports = Autenticacion;
@@ -0,0 +1,73 @@
+// Archivo: Canales.js
+// Canales por los que se toman pedidos: la llamada ('voz', /twilio-conversation) y los de texto,
+// el chat de la página web ('web', /chat) y los mensajes de SMS y WhatsApp ('sms', 'whatsapp',
+// /twilio-mensajes). Todos usan el mismo asistente (AsistenteIA.js) y el mismo almacén de estado;
+// el canal queda en el estado de la conversación, en 'llamadas' y en la orden. Por escrito las
+// respuestas pueden ser más largas que en la llamada y van acompañadas del carrito.
+
+const { mensajes, nombreEn } = require('./Idiomas');
+
+const VOZ = 'voz';
+const CANALES = [VOZ, 'web', 'sms', 'whatsapp'];
+
+// Cómo se muestra cada canal en el panel.
+const NOMBRES = { voz: 'Llamada', web: 'Chat web', sms: 'SMS', whatsapp: 'WhatsApp' };
+
+// Máximo de palabras de la respuesta del asistente: en la llamada debe ser breve; por escrito
+// puede, p. ej., listar opciones del menú (TEXT_REPLY_MAX_WORDS).
+const MAX_PALABRAS_VOZ = 15;
+const MAX_PALABRAS_TEXTO = parseInt(process.env.TEXT_REPLY_MAX_WORDS, 10) || 60;
+
+const esTexto = canal => Boolean(canal) && canal !== VOZ;
+
+// El número de una llamada, SMS o WhatsApp lo da Twilio; el del chat web lo escribe el cliente y
+// queda sin verificar hasta que confirme el código que se le envía (ver VerificacionTelefono.js).
+const numeroVerificado = canal => canal !== 'web';
+
+const maxPalabras = canal => esTexto(canal) ? MAX_PALABRAS_TEXTO : MAX_PALABRAS_VOZ;
+
+/**
+ * Canal y número de un 'From' o 'To' de los mensajes de Twilio: en WhatsApp llegan con prefijo
+ * ('whatsapp:+5215512345678').
+ */
+function leerNumero(numero) {
+    const texto = String(numero || '');
+    return texto.startsWith('whatsapp:')
+        ? { canal: 'whatsapp', telefono: texto.slice('whatsapp:'.length) }
+        : { canal: 'sms', telefono: texto };
+}
+
+/**
+ * Las líneas del carrito para mostrarlas al cliente, con los nombres en el idioma de la conversación:
+ * { items: [{ nombre, cantidad, personalizaciones, subtotal }], promocion: { nombre, descuento } | null, total }.
+ */
+function carrito({ items = [], total = 0, promocion = null }, idioma) {
+    return {
+        items: items.map(item => ({
+            nombre: nombreEn(item, idioma),
+            cantidad: item.cantidad || 1,
+            personalizaciones: (item.personalizaciones || []).map(p => nombreEn(p, idioma)),
+            subtotal: item.subtotal
+        })),
+        promocion: promocion ? { nombre: nombreEn(promocion, idioma), descuento: promocion.descuento } : null,
+        total
+    };
+}
+
+/**
+ * El carrito en texto, para SMS y WhatsApp ('' si está vacío):
+ *   Tu orden:
+ *   • 2× Capuchino (leche de avena) — $9.00
+ *   Descuento (Combo desayuno): -$0.50
+ *   Total: $8.50
+ */
+function carritoTexto(estado) {
+    const { items, promocion, total } = carrito(estado, estado.idioma);
+    if (!items.length) return '';
+    const textos = mensajes(estado.idioma).texto;
+    const lineas = items.map(i => `• ${i.cantidad}× ${i.nombre}${i.personalizaciones.length ? ` (${i.personalizaciones.join(', ')})` : ''} — $${Number(i.subtotal).toFixed(2)}`);
+    if (promocion) lineas.push(`${textos.descuento} (${promocion.nombre}): -$${Number(promocion.descuento).toFixed(2)}`);
+    return [`${textos.carrito}:`, ...lineas, `${textos.total}: $${Number(total).toFixed(2)}`].join('\n');
+}
+
+module.exports = { CANALES, NOMBRES, VOZ, esTexto, numeroVerificado, maxPalabras, leerNumero, carrito, carritoTexto };
@@ -0,0 +1,90 @@
+// Archivo: CanalesNotificacion.js
+// Adaptadores de canal para Notificador.js. Todos exponen:
+//   nombre: identificador del canal (se guarda en la bandeja de salida)
+//   destinatarioPara(orden) -> destinatario o null si el canal no aplica a esa orden
+//   async enviar({ destinatario, mensaje, evento, datos }) -> lanza un error si el envío falla
+// Las dependencias externas (cliente de Twilio, función HTTP) se inyectan para poder
+// sustituirlas por dobles en pruebas sin acceso a red.
+
+const axios = require('axios');
+const twilio = require('twilio');
+
+/**
+ * Escribe las notificaciones en la consola. Útil en desarrollo y como registro.
+ */
+class CanalConsola {
+    constructor({ log = console.log } = {}) {
+        this.nombre = 'consola';
+        this.log = log;
+    }
+
+    destinatarioPara() {
+        return 'consola';
+    }
+
+    async enviar({ evento, mensaje }) {
+        this.log(`[NOTIFICACIÓN ${evento.toUpperCase()}] ${mensaje}`);
+    }
+}
+
+/**
+ * SMS al teléfono del cliente con la API de mensajes de Twilio.
+ */
+class CanalTwilioSMS {
+    constructor({ cliente, desde } = {}) {
+        this.nombre = 'sms';
+        this.desde = desde || process.env.TWILIO_SMS_FROM;
+        this.cliente = cliente || twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+        if (!this.desde) {
+            throw new Error("CanalTwilioSMS requiere TWILIO_SMS_FROM (número remitente).");
+        }
+    }
+
+    // Un número sin verificar (chat web, ver migración 022) puede ser de otra persona: no se le escribe.
+    destinatarioPara(orden) {
+        return orden.telefono_verificado === false ? null : orden.telefono || null;
+    }
+
+    async enviar({ destinatario, mensaje }) {
+        await this.cliente.messages.create({ to: destinatario, from: this.desde, body: mensaje });
+    }
+}
+
+/**
+ * POST JSON a una URL configurable (p. ej. un bot de Slack o una integración propia).
+ */
+class CanalWebhook {
+    constructor({ url, post = axios.post } = {}) {
+        this.nombre = 'webhook';
+        this.url = url || process.env.NOTIFICATION_WEBHOOK_URL;
+        this.post = post;
+        if (!this.url) {
+            throw new Error("CanalWebhook requiere NOTIFICATION_WEBHOOK_URL.");
+        }
+    }
+
+    destinatarioPara() {
+        return this.url;
+    }
+
+    async enviar({ destinatario, evento, mensaje, datos }) {
+        await this.post(destinatario, { evento, mensaje, datos }, { timeout: 5000 });
+    }
+}
+
+const CANALES = { consola: CanalConsola, sms: CanalTwilioSMS, webhook: CanalWebhook };
+
+/**
+ * Crea los canales listados en NOTIFICATION_CHANNELS (por defecto solo 'consola').
+ */
+function crearCanales(nombres = process.env.NOTIFICATION_CHANNELS || 'consola') {
+    return nombres.split(',').map(n => n.trim()).filter(Boolean).map(nombre => {
+        const Canal = CANALES[nombre];
+        if (!Canal) {
+            throw new Error(`Canal de notificación desconocido: "${nombre}". Usa: ${Object.keys(CANALES).join(', ')}.`);
+        }
+        return new Canal();
+    });
+}
+
+module.exports = { CanalConsola, CanalTwilioSMS, CanalWebhook, crearCanales };
@@ -0,0 +1,58 @@
+// Archivo: CentralEventos.js
+// Difusión de eventos de órdenes en tiempo real con Server-Sent Events (SSE).
+// Cada suscriptor (pantalla KDS o panel de administración) recibe solo los eventos de
+// las áreas y la sucursal que le corresponden. Los eventos son avisos ligeros ({ tipo, orden_id, areas });
+// los clientes vuelven a pedir sus datos al recibirlos.
+// Nota: la difusión es dentro del proceso; con varias instancias cada una notifica a sus propios clientes.
+
+const INTERVALO_LATIDO_MS = 25 * 1000;
+
+class CentralEventos {
+    constructor() {
+        this.suscriptores = new Set();
+        this.latido = setInterval(() => this._enviarATodos(': latido\n\n'), INTERVALO_LATIDO_MS);
+        this.latido.unref();
+    }
+
+    /**
+     * Convierte la respuesta HTTP en un stream SSE. 'areas' es la lista de áreas que
+     * interesan al suscriptor, o null para recibir todo; 'sucursalId' limita los eventos a los
+     * de esa sucursal (null = todas).
+     */
+    suscribir(req, res, areas = null, sucursalId = null) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 3000\n\n');
+
+        const suscriptor = { res, areas, sucursalId };
+        this.suscriptores.add(suscriptor);
+        req.on('close', () => this.suscriptores.delete(suscriptor));
+    }
+
+    /**
+     * Envía un evento a los suscriptores cuyas áreas coinciden con 'evento.areas'. Un evento con
+     * 'sucursal_id' solo llega a los suscriptores de esa sucursal o de todas.
+     */
+    publicar(evento) {
+        const mensaje = `event: ${evento.tipo}\ndata: ${JSON.stringify(evento)}\n\n`;
+        for (const { res, areas, sucursalId } of this.suscriptores) {
+            if (sucursalId && evento.sucursal_id && sucursalId !== evento.sucursal_id) continue;
+            if (!areas || (evento.areas || []).some(a => areas.includes(a))) {
+                res.write(mensaje);
+            }
+        }
+    }
+
+    _enviarATodos(texto) {
+        for (const { res } of this.suscriptores) {
+            res.write(texto);
+        }
+    }
+}
+
+module.exports = CentralEventos;
@@ -0,0 +1,164 @@
+// Archivo: Clientes.js
+// Reconocimiento de clientes frecuentes por su número (Caller). El perfil se deriva de las
+// órdenes guardadas con ese 'telefono': nombre, número de órdenes, productos favoritos y la
+// última orden (para ofrecer "¿lo mismo de siempre?"). Solo cuentan las órdenes con el número
+// verificado (migración 022): cualquiera puede escribir un número en el chat web. Un cliente
+// puede pedir que no se le reconozca y que se borren sus datos; su número queda excluido solo
+// como hash SHA-256.
+
+const crypto = require('crypto');
+
+const hashTelefono = telefono => crypto.createHash('sha256').update(normalizarTelefono(telefono)).digest('hex');
+
+// Las órdenes canceladas o rechazadas no cuentan para el perfil.
+const ESTADOS_SIN_VENTA = ['cancelada', 'rechazada'];
+const NOMBRE_ANONIMO = 'Cliente Anónimo';
+const MAX_FAVORITOS = 3;
+// Marca que reemplaza el teléfono de las órdenes de un cliente borrado ('telefono' es NOT NULL).
+const TELEFONO_ELIMINADO = 'eliminado';
+
+/**
+ * Solo dígitos y '+' inicial: '+1 (555) 000-0001' -> '+15550000001'.
+ */
+function normalizarTelefono(telefono) {
+    const texto = String(telefono || '').trim();
+    return (texto.startsWith('+') ? '+' : '') + texto.replace(/\D/g, '');
+}
+
+/**
+ * Un número identificable: Twilio manda 'anonymous' o vacío cuando el número está oculto.
+ */
+function esTelefonoReconocible(telefono) {
+    return /\d{7,}/.test(normalizarTelefono(telefono));
+}
+
+class Clientes {
+    constructor(db) {
+        this.db = db;
+        if (!this.db) {
+            throw new Error("Clientes requiere una instancia de base de datos para funcionar.");
+        }
+    }
+
+    async estaExcluido(telefono) {
+        const res = await this.db.pool.query('SELECT 1 FROM clientes_excluidos WHERE telefono_hash = $1', [hashTelefono(telefono)]);
+        return res.rowCount > 0;
+    }
+
+    /**
+     * Perfil del cliente con ese número, o null si no tiene órdenes o pidió no ser reconocido.
+     * 'ultimaOrden.items' conserva nombre (y 'nombre_en'), cantidad e IDs de modificadores para repetirla con
+     * los precios actuales (AsistenteIA la vuelve a validar y preciar contra el menú).
+     */
+    async obtenerPerfil(telefono) {
+        if (!esTelefonoReconocible(telefono) || await this.estaExcluido(telefono)) {
+            return null;
+        }
+        const numero = normalizarTelefono(telefono);
+        const [ordenes, favoritos] = await Promise.all([
+            this.db.pool.query(
+                `SELECT id, fecha, nombre_cliente, items, COUNT(*) OVER ()::int AS total_ordenes
+                 FROM ordenes WHERE telefono = $1 AND telefono_verificado AND estado <> ALL($2::text[])
+                 ORDER BY fecha DESC LIMIT 1`,
+                [numero, ESTADOS_SIN_VENTA]
+            ),
+            this.db.pool.query(
+                `SELECT i.nombre, SUM(i.cantidad)::int AS unidades
+                 FROM orden_items i JOIN ordenes o ON o.id = i.orden_id
+                 WHERE o.telefono = $1 AND o.telefono_verificado AND o.estado <> ALL($2::text[])
+                 GROUP BY i.nombre ORDER BY unidades DESC, i.nombre LIMIT $3`,
+                [numero, ESTADOS_SIN_VENTA, MAX_FAVORITOS]
+            )
+        ]);
+        const ultima = ordenes.rows[0];
+        if (!ultima) {
+            return null;
+        }
+        const nombre = await this._ultimoNombre(numero);
+        return {
+            telefono: numero,
+            nombre,
+            ordenes: ultima.total_ordenes,
+            favoritos: favoritos.rows.map(f => f.nombre),
+            ultimaOrden: {
+                id: ultima.id,
+                fecha: ultima.fecha,
+                items: (ultima.items || []).map(i => ({
+                    nombre: i.nombre,
+                    ...(i.nombre_en ? { nombre_en: i.nombre_en } : {}),
+                    cantidad: i.cantidad || 1,
+                    modificadores: (i.personalizaciones || []).map(p => p.id).filter(Boolean),
+                    personalizaciones: i.personalizaciones || []
+                }))
+            }
+        };
+    }
+
+    /**
+     * Último nombre con el que el cliente registró una orden (ignora 'Cliente Anónimo').
+     */
+    async _ultimoNombre(numero) {
+        const res = await this.db.pool.query(
+            `SELECT nombre_cliente FROM ordenes
+             WHERE telefono = $1 AND telefono_verificado AND nombre_cliente IS NOT NULL AND nombre_cliente <> $2
+             ORDER BY fecha DESC LIMIT 1`,
+            [numero, NOMBRE_ANONIMO]
+        );
+        return res.rows[0]?.nombre_cliente || null;
+    }
+
+    /**
+     * El cliente deja de ser reconocido (sus órdenes se conservan).
+     */
+    async excluir(telefono) {
+        await this.db.pool.query(
+            'INSERT INTO clientes_excluidos (telefono_hash) VALUES ($1) ON CONFLICT DO NOTHING',
+            [hashTelefono(telefono)]
+        );
+    }
+
+    /**
+     * Vuelve a permitir el reconocimiento. Devuelve false si no estaba excluido.
+     */
+    async permitir(telefono) {
+        const res = await this.db.pool.query('DELETE FROM clientes_excluidos WHERE telefono_hash = $1', [hashTelefono(telefono)]);
+        return res.rowCount > 0;
+    }
+
+    /**
+     * Borra los datos personales del cliente y lo excluye del reconocimiento. Las órdenes se
+     * conservan para los reportes, sin teléfono, nombre ni transcripción. Devuelve cuántos
+     * registros se anonimizaron o borraron de cada tabla.
+     */
+    async eliminarDatos(telefono) {
+        const numero = normalizarTelefono(telefono);
+        return this.db.transaccion(async (client) => {
+            const ordenes = await client.query(
+                `UPDATE ordenes SET telefono = $2, nombre_cliente = NULL, transcripcion = NULL WHERE telefono = $1`,
+                [numero, TELEFONO_ELIMINADO]
+            );
+            const abandonadas = await client.query('DELETE FROM ordenes_abandonadas WHERE telefono = $1', [numero]);
+            const turnos = await client.query(
+                'DELETE FROM turnos_llamada WHERE call_sid IN (SELECT call_sid FROM llamadas WHERE telefono = $1)',
+                [numero]
+            );
+            const llamadas = await client.query('UPDATE llamadas SET telefono = NULL WHERE telefono = $1', [numero]);
+            const notificaciones = await client.query('DELETE FROM notificaciones_salientes WHERE destinatario = $1', [numero]);
+            await client.query(
+                'INSERT INTO clientes_excluidos (telefono_hash) VALUES ($1) ON CONFLICT DO NOTHING',
+                [hashTelefono(numero)]
+            );
+            return {
+                ordenes: ordenes.rowCount,
+                ordenes_abandonadas: abandonadas.rowCount,
+                llamadas: llamadas.rowCount,
+                turnos_llamada: turnos.rowCount,
+                notificaciones: notificaciones.rowCount
+            };
+        });
+    }
+}
+
+Clientes.normalizarTelefono = normalizarTelefono;
+
+module.exports = Clientes;
@@ -3,6 +3,10 @@
 // Utiliza pg para simular una implementación real de base de datos.
 
 const { Pool } = require('pg');
+const Migrador = require('./Migrador');
+const { ESTADOS_FINALES, validarTransicion } = require('./MaquinaEstadosOrden');
+const { ZONA_HORARIA } = require('./HorarioNegocio');
+const Inventario = require('./Inventario');
 
 class Database {
     constructor() {
@@ -10,77 +14,99 @@ class Database {
         // (Debe estar definida en tu archivo .env)
         this.pool = new Pool({
             connectionString: process.env.DATABASE_URL,
-            // Configuración SSL para entornos de hosting como Render
-            ssl: process.env.DATABASE_URL ? { rejectUnauthorized: false } : false
+            // Configuración SSL para entornos de hosting como Render.
+            // DATABASE_SSL=false la desactiva para un PostgreSQL local (p. ej. el del simulador).
+            ssl: process.env.DATABASE_URL && process.env.DATABASE_SSL !== 'false' ? { rejectUnauthorized: false } : false
         });
         console.log("Database: Pool de conexión PostgreSQL inicializado.");
     }
 
     /**
-     * Verifica y crea las tablas 'menu' y 'ordenes' si no existen.
-     * Si la tabla 'ordenes' existe pero le falta la columna 'items' (error común), la añade.
+     * Aplica las migraciones pendientes (ver Migrador.js y la carpeta 'migrations/')
+     * e inserta el menú inicial si la tabla está vacía.
      */
     async verificarTablas() {
-        console.log("Verificando/creando tablas de la base de datos...");
+        console.log("Verificando/migrando el esquema de la base de datos...");
         
         try {
-            // 1. Tabla de Menú (Productos)
-            const createMenuTable = `
-                CREATE TABLE IF NOT EXISTS menu (
-                    id SERIAL PRIMARY KEY,
-                    nombre VARCHAR(100) NOT NULL,
-                    precio NUMERIC(10, 2) NOT NULL,
-                    area_preparacion VARCHAR(50) NOT NULL 
-                );
-            `;
-            
-            // 2. Tabla de Órdenes
-            const createOrdersTable = `
-                CREATE TABLE IF NOT EXISTS ordenes (
-                    id SERIAL PRIMARY KEY,
-                    fecha TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                    telefono VARCHAR(50) NOT NULL,
-                    transcripcion TEXT,
-                    estado VARCHAR(50) NOT NULL DEFAULT 'recibida',
-                    items JSONB 
-                );
-            `;
-            
-            await this.pool.query(createMenuTable);
-            await this.pool.query(createOrdersTable);
-
-            // CORRECCIÓN PERMANENTE: Si la tabla ya existía sin la columna 'items', la añadimos.
-            const addItemsColumn = `
-                DO $$
-                BEGIN
-                    IF NOT EXISTS (
-                        SELECT 1 
-                        FROM information_schema.columns 
-                        WHERE table_name='ordenes' AND column_name='items'
-                    ) THEN
-                        ALTER TABLE ordenes ADD COLUMN items JSONB;
-                    END IF;
-                END
-                $$;
-            `;
-            await this.pool.query(addItemsColumn);
+            await new Migrador(this.pool).ejecutar();
             
             // Insertar datos de menú si la tabla está vacía
             const { rowCount } = await this.pool.query('SELECT 1 FROM menu LIMIT 1');
             if (rowCount === 0) {
                 console.log("Insertando datos iniciales en la tabla de menú...");
                 const initialMenu = [
-                    ["Café Americano", 2.50, "barra"],
-                    ["Capuchino", 3.50, "barra"], // <-- Nuevo producto añadido
-                    ["Latte de Vainilla", 3.75, "barra"],
-                    ["Muffin de Arándanos", 2.00, "cocina"],
-                    ["Sándwich de Pavo", 6.50, "cocina"]
+                    ["Café Americano", 2.50, "barra", "bebidas", ["americano"], 3, "Americano", ["black coffee"]],
+                    ["Capuchino", 3.50, "barra", "bebidas", ["cappuccino"], 4, "Cappuccino", []],
+                    ["Latte de Vainilla", 3.75, "barra", "bebidas", ["latte", "latte vainilla"], 4, "Vanilla Latte", ["latte"]],
+                    ["Muffin de Arándanos", 2.00, "cocina", "alimentos", ["muffin", "panquecito"], 2, "Blueberry Muffin", ["muffin"]],
+                    ["Sándwich de Pavo", 6.50, "cocina", "alimentos", ["sándwich", "sandwich"], 6, "Turkey Sandwich", ["sandwich"]]
                 ];
                 
-                for (const [nombre, precio, area] of initialMenu) {
+                for (const [nombre, precio, area, categoria, alias, minutos_preparacion, nombre_en, alias_en] of initialMenu) {
+                    await this.crearProducto({ nombre, precio, area_preparacion: area, categoria, alias, minutos_preparacion, nombre_en, alias_en });
+                }
+
+                // Las bebidas de barra aceptan todos los grupos de modificadores iniciales (migración 004).
+                await this.pool.query(`
+                    INSERT INTO producto_grupos_modificadores (producto_id, grupo_id)
+                    SELECT p.id, g.id FROM menu p CROSS JOIN grupos_modificadores g
+                    WHERE p.area_preparacion = 'barra'
+                    ON CONFLICT DO NOTHING
+                `);
+
+                // Inventario de ejemplo (migración 014): existencias iniciales y recetas del menú inicial.
+                const ingredientes = [
+                    ["Espresso", "shot", 300, 50],
+                    ["Leche", "ml", 20000, 4000],
+                    ["Leche de avena", "ml", 6000, 1000],
+                    ["Leche de almendra", "ml", 6000, 1000],
+                    ["Leche deslactosada", "ml", 6000, 1000],
+                    ["Jarabe de vainilla", "ml", 1500, 300],
+                    ["Jarabe de caramelo", "ml", 1500, 300],
+                    ["Muffin de arándanos", "pieza", 24, 6],
+                    ["Pan para sándwich", "pieza", 20, 5],
+                    ["Pavo", "g", 2000, 400]
+                ];
+                const recetas = [
+                    ["Café Americano", "Espresso", 1],
+                    ["Capuchino", "Espresso", 1], ["Capuchino", "Leche", 180],
+                    ["Latte de Vainilla", "Espresso", 1], ["Latte de Vainilla", "Leche", 250], ["Latte de Vainilla", "Jarabe de vainilla", 15],
+                    ["Muffin de Arándanos", "Muffin de arándanos", 1],
+                    ["Sándwich de Pavo", "Pan para sándwich", 1], ["Sándwich de Pavo", "Pavo", 80]
+                ];
+                // [modificador, ingrediente, cantidad extra, ingrediente de la receta que reemplaza]
+                const recetasModificadores = [
+                    ["tamaño grande", "Espresso", 1, null],
+                    ["shot extra de espresso", "Espresso", 1, null],
+                    ["doble shot extra de espresso", "Espresso", 2, null],
+                    ["jarabe de vainilla", "Jarabe de vainilla", 15, null],
+                    ["jarabe de caramelo", "Jarabe de caramelo", 15, null],
+                    ["leche de avena", "Leche de avena", null, "Leche"],
+                    ["leche de almendra", "Leche de almendra", null, "Leche"],
+                    ["leche deslactosada", "Leche deslactosada", null, "Leche"]
+                ];
+                for (const [nombre, unidad, existencia, minimo] of ingredientes) {
+                    await this.pool.query(
+                        'INSERT INTO ingredientes (nombre, unidad, existencia, minimo) VALUES ($1, $2, $3, $4) ON CONFLICT (nombre) DO NOTHING',
+                        [nombre, unidad, existencia, minimo]
+                    );
+                }
+                for (const [producto, ingrediente, cantidad] of recetas) {
+                    await this.pool.query(
+                        `INSERT INTO recetas (producto_id, ingrediente_id, cantidad)
+                         SELECT m.id, i.id, $3 FROM menu m JOIN ingredientes i ON i.nombre = $2 WHERE m.nombre = $1
+                         ON CONFLICT DO NOTHING`,
+                        [producto, ingrediente, cantidad]
+                    );
+                }
+                for (const [modificador, ingrediente, cantidad, reemplaza] of recetasModificadores) {
                     await this.pool.query(
-                        'INSERT INTO menu (nombre, precio, area_preparacion) VALUES ($1, $2, $3)',
-                        [nombre, precio, area]
+                        `INSERT INTO recetas_modificadores (modificador_id, ingrediente_id, cantidad, reemplaza_ingrediente_id)
+                         SELECT m.id, i.id, $3, r.id FROM modificadores m JOIN ingredientes i ON i.nombre = $2
+                         LEFT JOIN ingredientes r ON r.nombre = $4 WHERE m.nombre = $1
+                         ON CONFLICT DO NOTHING`,
+                        [modificador, ingrediente, cantidad, reemplaza]
                     );
                 }
             }
@@ -91,13 +117,41 @@ class Database {
             throw error;
         }
     }
+
+    /**
+     * Ejecuta 'fn' dentro de una transacción con un cliente dedicado del pool.
+     * Hace ROLLBACK si 'fn' lanza un error.
+     */
+    async transaccion(fn) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const resultado = await fn(client);
+            await client.query('COMMIT');
+            return resultado;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
     
     // Método temporal para forzar la eliminación y recreación de tablas
     async eliminarYRecrearTablas() {
         console.log("--- ATENCIÓN: Eliminando y recreando tablas para corregir la estructura. ---");
         try {
+            await this.pool.query('DROP TABLE IF EXISTS movimientos_inventario, recetas_modificadores, recetas, ingredientes CASCADE;');
+            await this.pool.query('DROP TABLE IF EXISTS orden_promociones, promociones CASCADE;');
+            await this.pool.query('DROP TABLE IF EXISTS turnos_llamada, pagos, llamadas, notificaciones_salientes, orden_eventos, orden_items CASCADE;');
             await this.pool.query('DROP TABLE IF EXISTS ordenes CASCADE;');
+            await this.pool.query('DROP TABLE IF EXISTS producto_grupos_modificadores, modificadores, grupos_modificadores CASCADE;');
             await this.pool.query('DROP TABLE IF EXISTS menu CASCADE;');
+            await this.pool.query('DROP TABLE IF EXISTS estados_conversacion, ordenes_abandonadas, clientes_excluidos;');
+            await this.pool.query('DROP TABLE IF EXISTS horarios, dias_cerrados, configuracion;');
+            await this.pool.query('DROP TABLE IF EXISTS sesiones, usuarios, limites_intentos;');
+            await this.pool.query('DROP TABLE IF EXISTS menu_sucursales, sucursales CASCADE;');
+            await this.pool.query('DROP TABLE IF EXISTS schema_migrations;');
             await this.verificarTablas();
             console.log("--- Estructura de tablas corregida. ---");
         } catch (error) {
@@ -107,66 +161,524 @@ class Database {
     }
 
     /**
-     * Obtiene todos los productos del menú.
+     * Obtiene los productos del menú en el orden definido en el panel.
+     * Con 'soloDisponibles' excluye los productos retirados durante el turno.
+     * Con 'sucursalId', 'precio' y 'disponible' incluyen los ajustes de esa sucursal (ver Sucursales.js).
      */
-    async obtenerMenu() {
-        const res = await this.pool.query('SELECT * FROM menu ORDER BY id');
+    async obtenerMenu({ soloDisponibles = false, sucursalId = null } = {}) {
+        const disponible = 'm.disponible AND COALESCE(s.disponible, TRUE)';
+        // Las columnas calculadas van después de m.*, así que reemplazan a las del catálogo en la fila.
+        const res = await this.pool.query(
+            `SELECT m.*, COALESCE(s.precio, m.precio) AS precio, ${disponible} AS disponible
+             FROM menu m LEFT JOIN menu_sucursales s ON s.producto_id = m.id AND s.sucursal_id = $1
+             ${soloDisponibles ? `WHERE ${disponible}` : ''} ORDER BY m.posicion, m.id`,
+            [sucursalId]
+        );
         return res.rows;
     }
 
     /**
-     * Agrega una nueva orden a la tabla 'ordenes'.
+     * Obtiene un producto del menú por su id, o undefined si no existe.
+     */
+    async obtenerProducto(id) {
+        const res = await this.pool.query('SELECT * FROM menu WHERE id = $1', [id]);
+        return res.rows[0];
+    }
+
+    /**
+     * Crea un producto al final del menú. 'nombre_en' y 'alias_en' son para las llamadas en inglés.
      */
-    async agregarOrden(items, telefono, transcripcion) {
-        // Aseguramos que items se serialice como string JSON antes de insertarlo en el campo JSONB
-        const itemsJson = JSON.stringify(items); 
+    async crearProducto({ nombre, precio, area_preparacion, categoria = 'general', descripcion = null, disponible = true, alias = [], minutos_preparacion = 4, nombre_en = null, alias_en = [] }) {
         const res = await this.pool.query(
-            'INSERT INTO ordenes (items, telefono, transcripcion) VALUES ($1, $2, $3) RETURNING *',
-            [itemsJson, telefono, transcripcion]
+            `INSERT INTO menu (nombre, precio, area_preparacion, categoria, descripcion, disponible, alias, minutos_preparacion, nombre_en, alias_en, posicion)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, (SELECT COALESCE(MAX(posicion), 0) + 1 FROM menu))
+             RETURNING *`,
+            [nombre, precio, area_preparacion, categoria, descripcion, disponible, JSON.stringify(alias), minutos_preparacion, nombre_en, JSON.stringify(alias_en)]
         );
-        
-        // El campo 'items' se devuelve como objeto/array JSON, lo parseamos antes de devolver
-        const order = res.rows[0];
-        
-        // Modificamos el item devuelto para que 'server.js' pueda procesar las notificaciones.
-        const menu = await this.obtenerMenu();
-        
-        // Adjuntar el área de preparación a los items de la orden
-        order.items = order.items.map(item => {
-            const menuMatch = menu.find(m => m.nombre === item.nombre);
+        return res.rows[0];
+    }
+
+    /**
+     * Actualiza solo los campos recibidos de un producto. Devuelve undefined si no existe.
+     * Cambiar 'disponible' a mano anula el retiro automático por inventario (ver Inventario.js).
+     */
+    async actualizarProducto(id, campos) {
+        return this._actualizarCampos('menu', id, this._conDisponibilidadManual(campos),
+            ['nombre', 'precio', 'area_preparacion', 'categoria', 'descripcion', 'disponible', 'agotado_por_inventario', 'alias', 'minutos_preparacion', 'nombre_en', 'alias_en'], ['alias', 'alias_en']);
+    }
+
+    _conDisponibilidadManual(campos) {
+        return campos.disponible === undefined ? campos : { ...campos, agotado_por_inventario: false };
+    }
+
+    /**
+     * UPDATE genérico de los campos 'permitidos' presentes en 'campos'. Los de 'columnasJson'
+     * se serializan para columnas JSONB. Devuelve la fila actualizada o undefined si no existe.
+     */
+    async _actualizarCampos(tabla, id, campos, permitidos, columnasJson = []) {
+        const sets = [];
+        const valores = [];
+        for (const campo of permitidos) {
+            if (campos[campo] === undefined) continue;
+            valores.push(columnasJson.includes(campo) ? JSON.stringify(campos[campo]) : campos[campo]);
+            sets.push(`${campo} = $${valores.length}`);
+        }
+        valores.push(id);
+        const sql = sets.length === 0
+            ? `SELECT * FROM ${tabla} WHERE id = $1`
+            : `UPDATE ${tabla} SET ${sets.join(', ')} WHERE id = $${valores.length} RETURNING *`;
+        const res = await this.pool.query(sql, valores);
+        return res.rows[0];
+    }
+
+    /**
+     * Elimina un producto. Las órdenes históricas conservan su nombre y precio en 'orden_items'.
+     */
+    async eliminarProducto(id) {
+        const res = await this.pool.query('DELETE FROM menu WHERE id = $1 RETURNING *', [id]);
+        return res.rows[0];
+    }
+
+    /**
+     * Reordena el menú: la posición de cada producto es su índice en 'ids'.
+     */
+    async reordenarMenu(ids) {
+        await this.transaccion(async (client) => {
+            for (const [posicion, id] of ids.entries()) {
+                await client.query('UPDATE menu SET posicion = $1 WHERE id = $2', [posicion + 1, id]);
+            }
+        });
+        return this.obtenerMenu();
+    }
+
+    /**
+     * Obtiene los grupos de modificadores con sus opciones ('opciones') y los ids de
+     * los productos a los que aplican ('producto_ids').
+     * Con 'soloDisponibles' excluye las opciones agotadas.
+     */
+    async obtenerGruposModificadores({ soloDisponibles = false } = {}) {
+        const [grupos, opciones, enlaces] = await Promise.all([
+            this.pool.query('SELECT * FROM grupos_modificadores ORDER BY posicion, id'),
+            this.pool.query(`SELECT * FROM modificadores ${soloDisponibles ? 'WHERE disponible = TRUE' : ''} ORDER BY posicion, id`),
+            this.pool.query('SELECT * FROM producto_grupos_modificadores')
+        ]);
+        return grupos.rows.map(grupo => ({
+            ...grupo,
+            opciones: opciones.rows.filter(o => o.grupo_id === grupo.id),
+            producto_ids: enlaces.rows.filter(e => e.grupo_id === grupo.id).map(e => e.producto_id)
+        }));
+    }
+
+    async crearGrupoModificadores({ nombre, min_selecciones = 0, max_selecciones = 1, nombre_en = null }) {
+        const res = await this.pool.query(
+            `INSERT INTO grupos_modificadores (nombre, min_selecciones, max_selecciones, nombre_en, posicion)
+             VALUES ($1, $2, $3, $4, (SELECT COALESCE(MAX(posicion), 0) + 1 FROM grupos_modificadores))
+             RETURNING *`,
+            [nombre, min_selecciones, max_selecciones, nombre_en]
+        );
+        return res.rows[0];
+    }
+
+    async actualizarGrupoModificadores(id, campos) {
+        return this._actualizarCampos('grupos_modificadores', id, campos, ['nombre', 'min_selecciones', 'max_selecciones', 'posicion', 'nombre_en']);
+    }
+
+    async eliminarGrupoModificadores(id) {
+        const res = await this.pool.query('DELETE FROM grupos_modificadores WHERE id = $1 RETURNING *', [id]);
+        return res.rows[0];
+    }
+
+    async crearModificador(grupoId, { nombre, precio_delta = 0, disponible = true, nombre_en = null }) {
+        const res = await this.pool.query(
+            `INSERT INTO modificadores (grupo_id, nombre, precio_delta, disponible, nombre_en, posicion)
+             VALUES ($1, $2, $3, $4, $5, (SELECT COALESCE(MAX(posicion), 0) + 1 FROM modificadores WHERE grupo_id = $1))
+             RETURNING *`,
+            [grupoId, nombre, precio_delta, disponible, nombre_en]
+        );
+        return res.rows[0];
+    }
+
+    async actualizarModificador(id, campos) {
+        return this._actualizarCampos('modificadores', id, this._conDisponibilidadManual(campos),
+            ['nombre', 'precio_delta', 'disponible', 'agotado_por_inventario', 'posicion', 'nombre_en']);
+    }
+
+    async eliminarModificador(id) {
+        const res = await this.pool.query('DELETE FROM modificadores WHERE id = $1 RETURNING *', [id]);
+        return res.rows[0];
+    }
+
+    /**
+     * Reemplaza la lista de productos a los que aplica un grupo de modificadores.
+     */
+    async asignarProductosAGrupo(grupoId, productoIds) {
+        await this.transaccion(async (client) => {
+            await client.query('DELETE FROM producto_grupos_modificadores WHERE grupo_id = $1', [grupoId]);
+            for (const productoId of productoIds) {
+                await client.query(
+                    'INSERT INTO producto_grupos_modificadores (producto_id, grupo_id) VALUES ($1, $2)',
+                    [productoId, grupoId]
+                );
+            }
+        });
+    }
+
+    /**
+     * Agrega una nueva orden con su nombre de cliente, total y líneas en 'orden_items'.
+     * Cada línea guarda el precio unitario del menú en ese momento (snapshot), para que
+     * los totales históricos no cambien si después se modifican los precios.
+     * Los items pueden traer 'precio_personalizaciones' y 'cantidad' (ver AsistenteIA._preciarItems);
+     * 'personalizaciones' son los modificadores resueltos ({ id, nombre, grupo, precio_delta }).
+     * Con 'callSid' la orden se vincula a la llamada registrada (ver registrarLlamada).
+     * Una orden programada trae 'horaRecogida' y 'liberarEn' (ver HorarioNegocio.tiempoDeEntrega):
+     * no llega a las estaciones hasta 'liberarEn' (ver liberarOrdenesProgramadas).
+     * En la misma transacción se descuentan los ingredientes de sus recetas; 'inventario' en la
+     * orden devuelta trae lo que se retiró del menú y los ingredientes en su mínimo.
+     * Los precios de respaldo son los de 'sucursalId', la sucursal que tomó la orden.
+     * 'canal' es por donde se pidió: 'voz', 'web', 'sms' o 'whatsapp' (ver Canales.js).
+     * 'promocion' es la que se aplicó (ver Promociones.mejorPromocion); queda en 'orden_promociones'
+     * y su 'descuento' ya viene restado de 'total'.
+     */
+    async agregarOrden({ items = [], telefono, telefonoVerificado = true, nombre, total, transcripcion = null, callSid = null, horaRecogida = null, liberarEn = null, sucursalId = 1, canal = 'voz', descuento = 0, promocion = null }) {
+        const menu = await this.obtenerMenu({ sucursalId });
+        const menuPorNombre = new Map(menu.map(m => [m.nombre, m]));
+
+        const lineas = items.map(item => {
+            const producto = menuPorNombre.get(item.nombre);
+            const precioUnitario = parseFloat(item.precio_unitario ?? producto?.precio ?? 0);
+            const precioPersonalizaciones = parseFloat(item.precio_personalizaciones ?? 0);
+            const cantidad = item.cantidad || 1;
             return {
                 ...item,
-                area_preparacion: menuMatch ? menuMatch.area_preparacion : 'general'
+                producto_id: producto ? producto.id : null,
+                area_preparacion: producto ? producto.area_preparacion : (item.area_preparacion || 'general'),
+                personalizaciones: item.personalizaciones || [],
+                precio_unitario: precioUnitario,
+                precio_personalizaciones: precioPersonalizaciones,
+                cantidad,
+                subtotal: parseFloat(((precioUnitario + precioPersonalizaciones) * cantidad).toFixed(2))
             };
         });
+        const totalOrden = total ?? parseFloat((lineas.reduce((acc, l) => acc + l.subtotal, 0) - descuento).toFixed(2));
 
-        return order;
+        return this.transaccion(async (client) => {
+            // 'items' (JSONB) se conserva como copia desnormalizada para el panel de administración.
+            const res = await client.query(
+                `INSERT INTO ordenes (items, telefono, nombre_cliente, total, transcripcion, hora_recogida, liberar_en, liberada_en, sucursal_id, canal, descuento, telefono_verificado)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7::timestamptz, CASE WHEN $7::timestamptz IS NULL OR $7::timestamptz <= NOW() THEN NOW() END, $8, $9, $10, $11)
+                 RETURNING *`,
+                [JSON.stringify(lineas), telefono, nombre, totalOrden, transcripcion, horaRecogida, liberarEn, sucursalId, canal, descuento, telefonoVerificado]
+            );
+            const order = res.rows[0];
+
+            await this._registrarEvento(client, order.id, null, order.estado, { nombre: canal === 'voz' ? 'llamada' : canal });
+
+            for (const linea of lineas) {
+                await client.query(
+                    `INSERT INTO orden_items (orden_id, producto_id, nombre, area_preparacion, precio_unitario,
+                        personalizaciones, precio_personalizaciones, cantidad, subtotal)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+                    [order.id, linea.producto_id, linea.nombre, linea.area_preparacion, linea.precio_unitario,
+                        JSON.stringify(linea.personalizaciones), linea.precio_personalizaciones, linea.cantidad, linea.subtotal]
+                );
+            }
+
+            if (promocion) {
+                await client.query(
+                    `INSERT INTO orden_promociones (orden_id, promocion_id, nombre, tipo, codigo, veces, descuento)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                    [order.id, promocion.id, promocion.nombre, promocion.tipo, promocion.codigo || null, promocion.veces || 1, promocion.descuento]
+                );
+            }
+
+            if (callSid) {
+                await client.query("UPDATE llamadas SET orden_id = $1, resultado = 'orden' WHERE call_sid = $2", [order.id, callSid]);
+            }
+
+            order.inventario = await Inventario.descontarOrden(client, order.id, lineas);
+
+            // 'server.js' usa 'nombreCliente' y el área de cada item para las notificaciones.
+            order.nombreCliente = order.nombre_cliente;
+            order.items = lineas;
+            return order;
+        });
     }
     
     /**
-     * Obtiene todas las órdenes que no están 'completada'.
+     * Obtiene las líneas normalizadas (con precios históricos) de una orden.
      */
-    async obtenerOrdenesActivas() {
-        const res = await this.pool.query("SELECT * FROM ordenes WHERE estado != 'completada' ORDER BY fecha DESC");
+    async obtenerItemsOrden(ordenId) {
+        const res = await this.pool.query('SELECT * FROM orden_items WHERE orden_id = $1 ORDER BY id', [ordenId]);
         return res.rows;
     }
 
     /**
-     * Actualiza el estado de una orden.
+     * Obtiene todas las órdenes que no están en un estado final (completada, cancelada, rechazada),
+     * de una sucursal o de todas (sucursalId null).
      */
-    async actualizarEstadoOrden(id, estado) {
+    async obtenerOrdenesActivas({ sucursalId = null } = {}) {
         const res = await this.pool.query(
-            'UPDATE ordenes SET estado = $1 WHERE id = $2 RETURNING *',
-            [estado, id]
+            'SELECT * FROM ordenes WHERE estado <> ALL($1) AND ($2::int IS NULL OR sucursal_id = $2) ORDER BY fecha DESC',
+            [ESTADOS_FINALES, sucursalId]
+        );
+        return res.rows;
+    }
+
+    /**
+     * Busca órdenes (incluidas las ya completadas) con filtros opcionales y paginación.
+     * Filtros: desde/hasta ('AAAA-MM-DD', inclusive, en la zona del café), estados (lista),
+     * telefono y nombre (coincidencia parcial), producto (alguna línea con ese nombre),
+     * totalMin/totalMax, area (solo órdenes con items de esa estación), sucursalId y canal.
+     * Devuelve { ordenes, total } con 'total' = número de órdenes que cumplen los filtros.
+     */
+    async buscarOrdenes({ desde, hasta, estados, telefono, nombre, producto, totalMin, totalMax, area, sucursalId, canal, pagina = 1, porPagina = 25 } = {}) {
+        const condiciones = [];
+        const valores = [];
+        const agregar = (sql, valor) => {
+            valores.push(valor);
+            condiciones.push(sql.replace('?', `$${valores.length}`));
+        };
+        const zona = () => {
+            valores.push(ZONA_HORARIA);
+            return `$${valores.length}::text`;
+        };
+
+        if (desde) agregar(`(o.fecha AT TIME ZONE ${zona()})::date >= ?::date`, desde);
+        if (hasta) agregar(`(o.fecha AT TIME ZONE ${zona()})::date <= ?::date`, hasta);
+        if (estados && estados.length) agregar('o.estado = ANY(?::text[])', estados);
+        // El teléfono se compara solo por dígitos: "+52 55 1234" encuentra "+525512345678".
+        if (telefono && /\d/.test(telefono)) agregar(`regexp_replace(o.telefono, '\\D', '', 'g') LIKE '%' || ? || '%'`, telefono.replace(/\D/g, ''));
+        if (nombre) agregar(`o.nombre_cliente ILIKE '%' || ? || '%'`, nombre);
+        if (producto) agregar(`EXISTS (SELECT 1 FROM orden_items i WHERE i.orden_id = o.id AND i.nombre ILIKE '%' || ? || '%')`, producto);
+        if (totalMin !== undefined) agregar('o.total >= ?', totalMin);
+        if (totalMax !== undefined) agregar('o.total <= ?', totalMax);
+        if (area) agregar('EXISTS (SELECT 1 FROM orden_items i WHERE i.orden_id = o.id AND i.area_preparacion = ?)', area);
+        if (sucursalId) agregar('o.sucursal_id = ?', sucursalId);
+        if (canal) agregar('o.canal = ?', canal);
+
+        const where = condiciones.length ? `WHERE ${condiciones.join(' AND ')}` : '';
+        const [conteo, filas] = await Promise.all([
+            this.pool.query(`SELECT COUNT(*)::int AS total FROM ordenes o ${where}`, valores),
+            this.pool.query(
+                `SELECT o.* FROM ordenes o ${where} ORDER BY o.fecha DESC, o.id DESC
+                 LIMIT $${valores.length + 1} OFFSET $${valores.length + 2}`,
+                [...valores, porPagina, (pagina - 1) * porPagina]
+            )
+        ]);
+        return { ordenes: filas.rows, total: conteo.rows[0].total };
+    }
+
+    /**
+     * Obtiene una orden por su id (con el nombre de su sucursal en 'sucursal', la llamada que
+     * la generó en 'call_sid' y las promociones aplicadas en 'promociones'), o undefined si no existe.
+     */
+    async obtenerOrden(id) {
+        const res = await this.pool.query(
+            `SELECT o.*, s.nombre AS sucursal, l.call_sid,
+                    COALESCE((SELECT json_agg(json_build_object('nombre', op.nombre, 'tipo', op.tipo, 'codigo', op.codigo,
+                                'veces', op.veces, 'descuento', op.descuento) ORDER BY op.id)
+                              FROM orden_promociones op WHERE op.orden_id = o.id), '[]') AS promociones
+             FROM ordenes o JOIN sucursales s ON s.id = o.sucursal_id LEFT JOIN llamadas l ON l.orden_id = o.id
+             WHERE o.id = $1`,
+            [id]
         );
         return res.rows[0];
     }
+
+    /**
+     * Cambia el estado de una orden validando la transición (ver MaquinaEstadosOrden.js)
+     * y registra el evento en 'orden_eventos'. La fila se bloquea (FOR UPDATE) para que dos
+     * cambios simultáneos no partan del mismo estado. Devuelve undefined si la orden no existe;
+     * lanza TransicionInvalidaError (409) si la transición no está permitida.
+     * 'actor' es { usuario_id, nombre } de quien hace el cambio ('sistema' si se omite).
+     * Al cancelar o rechazar se devuelven los ingredientes descontados; la orden devuelta trae
+     * entonces 'inventario' con lo que volvió al menú.
+     */
+    async cambiarEstadoOrden(id, estado, { actor = {}, motivo = null } = {}) {
+        return this.transaccion(async (client) => {
+            const actual = await client.query('SELECT * FROM ordenes WHERE id = $1 FOR UPDATE', [id]);
+            const orden = actual.rows[0];
+            if (!orden) return undefined;
+
+            validarTransicion(orden.estado, estado);
+            const res = await client.query('UPDATE ordenes SET estado = $1 WHERE id = $2 RETURNING *', [estado, id]);
+            await this._registrarEvento(client, id, orden.estado, estado, actor, motivo);
+            if (['cancelada', 'rechazada'].includes(estado)) {
+                return { ...res.rows[0], inventario: await Inventario.devolverOrden(client, id, { usuarioId: actor.usuario_id || null }) };
+            }
+            return res.rows[0];
+        });
+    }
+
+    async _registrarEvento(client, ordenId, estadoAnterior, estadoNuevo, { usuario_id = null, nombre = 'sistema' } = {}, motivo = null) {
+        await client.query(
+            `INSERT INTO orden_eventos (orden_id, estado_anterior, estado_nuevo, usuario_id, actor, motivo)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [ordenId, estadoAnterior, estadoNuevo, usuario_id, nombre, motivo]
+        );
+    }
+
+    /**
+     * Línea de tiempo de una orden, del evento más antiguo al más reciente.
+     */
+    async obtenerEventosOrden(ordenId) {
+        const res = await this.pool.query('SELECT * FROM orden_eventos WHERE orden_id = $1 ORDER BY fecha, id', [ordenId]);
+        return res.rows;
+    }
     
     /**
-     * Elimina todas las órdenes y reinicia la secuencia de IDs.
+     * Libera a las estaciones las órdenes programadas cuyo 'liberar_en' ya llegó.
+     * Devuelve las órdenes liberadas, para avisar a las pantallas.
+     */
+    async liberarOrdenesProgramadas() {
+        const res = await this.pool.query(
+            `UPDATE ordenes SET liberada_en = NOW()
+             WHERE liberada_en IS NULL AND liberar_en <= NOW() AND estado = 'recibida'
+             RETURNING *`
+        );
+        return res.rows;
+    }
+
+    /**
+     * Tickets pendientes de una estación (KDS): órdenes en 'recibida' o 'en_preparacion'
+     * que aún tienen líneas sin terminar en esa área. Solo incluye las líneas del área y
+     * las órdenes ya liberadas (las programadas aparecen a su hora, ver liberarOrdenesProgramadas).
+     * Con 'sucursalId', solo las de esa sucursal.
+     */
+    async obtenerTicketsEstacion(area, sucursalId = null) {
+        const res = await this.pool.query(
+            `SELECT o.id, o.fecha, o.liberada_en, o.hora_recogida, o.estado, o.estado_pago, o.nombre_cliente,
+                    json_agg(json_build_object(
+                        'id', i.id, 'nombre', i.nombre, 'cantidad', i.cantidad,
+                        'personalizaciones', i.personalizaciones, 'estado_estacion', i.estado_estacion
+                    ) ORDER BY i.id) AS items
+             FROM ordenes o JOIN orden_items i ON i.orden_id = o.id
+             WHERE i.area_preparacion = $1 AND o.estado IN ('recibida', 'en_preparacion') AND o.liberada_en IS NOT NULL
+               AND ($2::int IS NULL OR o.sucursal_id = $2)
+             GROUP BY o.id
+             HAVING bool_or(i.estado_estacion = 'pendiente')
+             ORDER BY o.liberada_en`,
+            [area, sucursalId]
+        );
+        return res.rows;
+    }
+
+    /**
+     * Marca como listas las líneas de una estación ('itemIds' concretos, o todas las del área).
+     * La primera marca pasa la orden a 'en_preparacion'; cuando ya no quedan líneas pendientes
+     * en ninguna estación, la orden pasa sola a 'lista_para_servir'. Ambos cambios quedan en
+     * 'orden_eventos'. Devuelve undefined si la orden no existe; lanza un error 409 si la
+     * orden ya no está en preparación.
+     */
+    async marcarItemsListos(ordenId, area, { itemIds = null, actor = {} } = {}) {
+        return this.transaccion(async (client) => {
+            const actual = await client.query('SELECT * FROM ordenes WHERE id = $1 FOR UPDATE', [ordenId]);
+            let orden = actual.rows[0];
+            if (!orden) return undefined;
+            if (!['recibida', 'en_preparacion'].includes(orden.estado)) {
+                throw Object.assign(new Error(`La orden ${ordenId} ya no está en preparación ('${orden.estado}').`), { status: 409 });
+            }
+
+            await client.query(
+                `UPDATE orden_items SET estado_estacion = 'listo', listo_en = NOW(), listo_por = $3
+                 WHERE orden_id = $1 AND area_preparacion = $2 AND estado_estacion = 'pendiente'
+                   AND ($4::int[] IS NULL OR id = ANY($4))`,
+                [ordenId, area, actor.usuario_id || null, itemIds]
+            );
+
+            if (orden.estado === 'recibida') {
+                validarTransicion(orden.estado, 'en_preparacion');
+                await client.query("UPDATE ordenes SET estado = 'en_preparacion' WHERE id = $1", [ordenId]);
+                await this._registrarEvento(client, ordenId, orden.estado, 'en_preparacion', actor);
+                orden = { ...orden, estado: 'en_preparacion' };
+            }
+
+            const pendientes = await client.query(
+                "SELECT area_preparacion FROM orden_items WHERE orden_id = $1 AND estado_estacion = 'pendiente'",
+                [ordenId]
+            );
+            if (pendientes.rowCount === 0) {
+                validarTransicion(orden.estado, 'lista_para_servir');
+                await client.query("UPDATE ordenes SET estado = 'lista_para_servir' WHERE id = $1", [ordenId]);
+                await this._registrarEvento(client, ordenId, orden.estado, 'lista_para_servir', { nombre: 'kds' },
+                    'Todas las estaciones terminaron.');
+                orden = { ...orden, estado: 'lista_para_servir' };
+            }
+
+            return {
+                orden,
+                estacionTerminada: !pendientes.rows.some(p => p.area_preparacion === area)
+            };
+        });
+    }
+
+    /**
+     * Registra el inicio de una llamada (para la conversión llamada → orden de los reportes).
+     * Es idempotente: Twilio puede reenviar el primer turno. 'resultado' es 'no_atendida' cuando
+     * la llamada no pudo ordenar (fuera de horario, pausa...). Las conversaciones de texto se
+     * registran igual, con su 'canal' (ver Canales.js).
+     */
+    async registrarLlamada(callSid, telefono, sucursalId = 1, resultado = null, canal = 'voz') {
+        await this.pool.query(
+            'INSERT INTO llamadas (call_sid, telefono, sucursal_id, resultado, canal) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (call_sid) DO NOTHING',
+            [callSid, telefono, sucursalId, resultado, canal]
+        );
+    }
+
+    /**
+     * Guarda el idioma en que se está atendiendo la llamada ('es' o 'en'; ver Idiomas.js).
+     */
+    async registrarIdiomaLlamada(callSid, idioma) {
+        await this.pool.query('UPDATE llamadas SET idioma = $2 WHERE call_sid = $1', [callSid, idioma]);
+    }
+
+    /**
+     * Registra una llamada que terminó sin llegar a FINALIZED, con lo que se llevaba de la orden.
+     * 'motivo' es 'colgo' (Twilio informó el fin de la llamada), 'expirado' (TTL del estado) o
+     * 'transferida' (pasó a una persona del equipo, con 'motivoTransferencia'; ver Transferencias.js).
+     * La llamada queda con resultado 'abandonada' o 'transferida'.
+     */
+    async registrarOrdenAbandonada(estado, motivo, motivoTransferencia = null) {
+        const res = await this.pool.query(
+            `INSERT INTO ordenes_abandonadas (call_sid, telefono, nombre_cliente, etapa, items, total, motivo, sucursal_id, motivo_transferencia, canal)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+            [estado.callSid, estado.telefonoCliente || estado.caller, estado.nombreCliente, estado.stage,
+                JSON.stringify(estado.items || []), estado.total || 0, motivo, estado.sucursal?.id ?? 1, motivoTransferencia, estado.canal || 'voz']
+        );
+        await this.pool.query('UPDATE llamadas SET resultado = $2 WHERE call_sid = $1',
+            [estado.callSid, motivo === 'transferida' ? 'transferida' : 'abandonada']);
+        return res.rows[0];
+    }
+
+    /**
+     * Obtiene las llamadas abandonadas más recientes, de una sucursal o de todas.
+     */
+    async obtenerOrdenesAbandonadas({ limite = 50, sucursalId = null } = {}) {
+        const res = await this.pool.query(
+            'SELECT * FROM ordenes_abandonadas WHERE $2::int IS NULL OR sucursal_id = $2 ORDER BY fecha DESC LIMIT $1',
+            [limite, sucursalId]
+        );
+        return res.rows;
+    }
+
+    /**
+     * Elimina todas las órdenes con sus llamadas, turnos y conversaciones abandonadas, y reinicia la
+     * secuencia de IDs. Los movimientos de inventario se conservan (quedan sin orden) y las existencias no
+     * cambian. Si hay pagos registrados no borra nada: los pagos se borran con su orden.
      */
     async reiniciarOrdenes() {
-        await this.pool.query('TRUNCATE TABLE ordenes RESTART IDENTITY');
+        await this.transaccion(async (client) => {
+            // Bloquea los pagos nuevos hasta terminar, para que ninguno se borre entre la consulta y el DELETE.
+            await client.query('LOCK TABLE pagos IN SHARE MODE');
+            const pagos = await client.query('SELECT 1 FROM pagos LIMIT 1');
+            if (pagos.rowCount > 0) {
+                throw Object.assign(new Error('Hay pagos registrados: reiniciar las órdenes borraría su historial.'), { status: 409 });
+            }
+            await client.query('TRUNCATE TABLE llamadas, turnos_llamada, ordenes_abandonadas, notificaciones_salientes RESTART IDENTITY');
+            // DELETE y no TRUNCATE: los movimientos de inventario quedan con orden_id NULL en lugar de borrarse.
+            await client.query('DELETE FROM ordenes');
+            await client.query("SELECT setval(pg_get_serial_sequence('ordenes', 'id'), 1, false)");
+        });
         return { message: "Todas las órdenes han sido eliminadas." };
     }
 }
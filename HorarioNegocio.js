@@ -0,0 +1,360 @@
+// Archivo: HorarioNegocio.js
+// Cuándo acepta pedidos la línea telefónica: horario por día de la semana (en la zona horaria
+// del café), días cerrados (feriados, cierres puntuales), la pausa manual desde el panel y el
+// límite de órdenes activas por estación. 'disponibilidad()' resume todo al contestar una llamada.
+// También estima cuándo estará lista una orden (minutos de preparación de cada producto más lo
+// pendiente en su estación) y valida las horas de recogida programadas.
+// Todo es por sucursal (ver Sucursales.js): los métodos reciben su id como primer argumento.
+
+const { mensajes: mensajesDe } = require('./Idiomas');
+
+// Zona horaria del café (común a todas las sucursales): define el horario de atención y a qué
+// día pertenece cada orden.
+const ZONA_HORARIA = process.env.CAFE_TIMEZONE || 'America/Mexico_City';
+
+// Los nombres de los días en el panel (en español); los del horario hablado, en Idiomas.js.
+const DIAS = mensajesDe('es').horario.dias;
+// Orden en que se lee el horario en voz alta: de lunes a domingo.
+const ORDEN_SEMANA = [1, 2, 3, 4, 5, 6, 0];
+const DIAS_INTL = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const CAPACIDAD_POR_DEFECTO = { max_ordenes_por_estacion: 15, max_ordenes_por_franja: 4 };
+// Las recogidas programadas se agrupan en franjas de 15 minutos para limitar cuántas coinciden.
+const MINUTOS_FRANJA = 15;
+// Una orden programada se libera a las estaciones con este margen sobre su tiempo de preparación.
+const MARGEN_LIBERACION_MINUTOS = 5;
+const MINUTOS_PREPARACION_POR_DEFECTO = 4;
+
+/**
+ * '07:00' -> '7:00', para leerlo en voz alta.
+ */
+function horaHablada(hora) {
+    return hora.replace(/^0(\d)/, '$1');
+}
+
+const aMinutos = hora => {
+    const [h, m] = hora.split(':').map(Number);
+    return h * 60 + m;
+};
+const aHora = minutos => `${String(Math.floor(minutos / 60)).padStart(2, '0')}:${String(minutos % 60).padStart(2, '0')}`;
+
+class HorarioNegocio {
+    /**
+     * 'reloj' devuelve la fecha actual; el simulador lo sustituye para no depender de la hora real.
+     */
+    constructor(db, { reloj = () => new Date() } = {}) {
+        this.db = db;
+        if (!this.db) {
+            throw new Error("HorarioNegocio requiere una instancia de base de datos para funcionar.");
+        }
+        this.reloj = reloj;
+        // Límites por estación y por franja. El simulador los desactiva para que la carga de la
+        // base de pruebas no rechace los fixtures.
+        this.aplicarCapacidad = true;
+    }
+
+    /**
+     * Fecha ('AAAA-MM-DD'), día de la semana (0 = domingo) y hora ('HH:MM') actuales en el café.
+     */
+    ahoraLocal() {
+        const partes = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+            timeZone: ZONA_HORARIA, year: 'numeric', month: '2-digit', day: '2-digit',
+            weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }).formatToParts(this.reloj()).map(p => [p.type, p.value]));
+        return {
+            fecha: `${partes.year}-${partes.month}-${partes.day}`,
+            diaSemana: DIAS_INTL.indexOf(partes.weekday),
+            hora: `${partes.hour}:${partes.minute}`
+        };
+    }
+
+    // --- Horario semanal ---
+
+    async obtenerHorarios(sucursalId) {
+        const res = await this.db.pool.query(
+            `SELECT dia_semana, to_char(abre, 'HH24:MI') AS abre, to_char(cierra, 'HH24:MI') AS cierra
+             FROM horarios WHERE sucursal_id = $1 ORDER BY dia_semana`,
+            [sucursalId]
+        );
+        return res.rows;
+    }
+
+    /**
+     * Reemplaza el horario de la semana. Los días que no vienen en la lista quedan cerrados.
+     */
+    async actualizarHorarios(sucursalId, horarios) {
+        await this.db.transaccion(async (client) => {
+            await client.query('DELETE FROM horarios WHERE sucursal_id = $1', [sucursalId]);
+            for (const { dia_semana, abre, cierra } of horarios) {
+                await client.query('INSERT INTO horarios (sucursal_id, dia_semana, abre, cierra) VALUES ($1, $2, $3, $4)', [sucursalId, dia_semana, abre, cierra]);
+            }
+        });
+        return this.obtenerHorarios(sucursalId);
+    }
+
+    /**
+     * El horario para decirlo por teléfono, en el idioma indicado, agrupando los días seguidos con
+     * las mismas horas: "de lunes a viernes de 7:00 a 20:00, y sábado y domingo de 8:00 a 18:00".
+     */
+    describirHorario(horarios, idioma = 'es') {
+        const textos = mensajesDe(idioma).horario;
+        const porDia = new Map(horarios.map(h => [Number(h.dia_semana), h]));
+        const grupos = [];
+        for (const dia of ORDEN_SEMANA) {
+            const horario = porDia.get(dia);
+            const ultimo = grupos[grupos.length - 1];
+            if (horario && ultimo && ultimo.abre === horario.abre && ultimo.cierra === horario.cierra && ultimo.dias[ultimo.dias.length - 1] === ORDEN_SEMANA[ORDEN_SEMANA.indexOf(dia) - 1]) {
+                ultimo.dias.push(dia);
+            } else if (horario) {
+                grupos.push({ dias: [dia], abre: horario.abre, cierra: horario.cierra });
+            }
+        }
+        const frases = grupos.map(({ dias, abre, cierra }) => {
+            const [primero, ultimo] = [textos.dias[dias[0]], textos.dias[dias[dias.length - 1]]];
+            const nombres = dias.length === 1 ? primero
+                : dias.length === 2 ? `${primero} ${textos.y} ${ultimo}`
+                : textos.rangoDias(primero, ultimo);
+            return textos.horas(nombres, horaHablada(abre), horaHablada(cierra));
+        });
+        return frases.length > 1 ? `${frases.slice(0, -1).join(', ')}, ${textos.y} ${frases[frases.length - 1]}` : (frases[0] || '');
+    }
+
+    // --- Días cerrados ---
+
+    /**
+     * Días cerrados de hoy en adelante (o todos, con 'incluirPasados').
+     */
+    async obtenerDiasCerrados(sucursalId, { incluirPasados = false } = {}) {
+        const res = await this.db.pool.query(
+            `SELECT to_char(fecha, 'YYYY-MM-DD') AS fecha, motivo FROM dias_cerrados
+             WHERE sucursal_id = $3 AND ($1 OR fecha >= $2::date) ORDER BY fecha`,
+            [incluirPasados, this.ahoraLocal().fecha, sucursalId]
+        );
+        return res.rows;
+    }
+
+    async agregarDiaCerrado(sucursalId, fecha, motivo = null) {
+        const res = await this.db.pool.query(
+            `INSERT INTO dias_cerrados (sucursal_id, fecha, motivo) VALUES ($1, $2, $3)
+             ON CONFLICT (sucursal_id, fecha) DO UPDATE SET motivo = EXCLUDED.motivo
+             RETURNING to_char(fecha, 'YYYY-MM-DD') AS fecha, motivo`,
+            [sucursalId, fecha, motivo]
+        );
+        return res.rows[0];
+    }
+
+    async eliminarDiaCerrado(sucursalId, fecha) {
+        const res = await this.db.pool.query('DELETE FROM dias_cerrados WHERE sucursal_id = $1 AND fecha = $2', [sucursalId, fecha]);
+        return res.rowCount > 0;
+    }
+
+    // --- Pausa y capacidad (tabla 'configuracion') ---
+
+    async _leerConfiguracion(sucursalId, clave, porDefecto) {
+        const res = await this.db.pool.query('SELECT valor FROM configuracion WHERE sucursal_id = $1 AND clave = $2', [sucursalId, clave]);
+        return res.rows.length > 0 ? res.rows[0].valor : porDefecto;
+    }
+
+    async _guardarConfiguracion(sucursalId, clave, valor) {
+        await this.db.pool.query(
+            `INSERT INTO configuracion (sucursal_id, clave, valor, actualizado_en) VALUES ($1, $2, $3, NOW())
+             ON CONFLICT (sucursal_id, clave) DO UPDATE SET valor = EXCLUDED.valor, actualizado_en = NOW()`,
+            [sucursalId, clave, JSON.stringify(valor)]
+        );
+        return valor;
+    }
+
+    async pedidosPausados(sucursalId) {
+        return Boolean(await this._leerConfiguracion(sucursalId, 'pedidos_pausados', false));
+    }
+
+    async pausarPedidos(sucursalId, pausado) {
+        return this._guardarConfiguracion(sucursalId, 'pedidos_pausados', Boolean(pausado));
+    }
+
+    async obtenerCapacidad(sucursalId) {
+        return { ...CAPACIDAD_POR_DEFECTO, ...(await this._leerConfiguracion(sucursalId, 'capacidad', {})) };
+    }
+
+    /**
+     * Actualiza 'max_ordenes_por_estacion' y/o 'max_ordenes_por_franja' (null = sin límite).
+     */
+    async actualizarCapacidad(sucursalId, cambios) {
+        return this._guardarConfiguracion(sucursalId, 'capacidad', { ...(await this.obtenerCapacidad(sucursalId)), ...cambios });
+    }
+
+    /**
+     * Órdenes en curso con items pendientes, por estación: { barra: 3, cocina: 1 }.
+     */
+    async ordenesActivasPorEstacion(sucursalId) {
+        const res = await this.db.pool.query(
+            `SELECT i.area_preparacion AS area, COUNT(DISTINCT o.id)::int AS ordenes
+             FROM ordenes o JOIN orden_items i ON i.orden_id = o.id
+             WHERE o.sucursal_id = $1 AND o.estado IN ('recibida', 'en_preparacion') AND o.liberada_en IS NOT NULL AND i.estado_estacion = 'pendiente'
+             GROUP BY i.area_preparacion`,
+            [sucursalId]
+        );
+        return Object.fromEntries(res.rows.map(r => [r.area, r.ordenes]));
+    }
+
+    // --- Tiempos de preparación y recogida ---
+
+    /**
+     * Minutos de trabajo pendiente por estación (cantidad × minutos de preparación de cada línea
+     * sin terminar): { barra: 12, cocina: 6 }.
+     */
+    async colaPorEstacion(sucursalId) {
+        const res = await this.db.pool.query(
+            `SELECT i.area_preparacion AS area, SUM(i.cantidad * COALESCE(m.minutos_preparacion, $1))::int AS minutos
+             FROM ordenes o
+             JOIN orden_items i ON i.orden_id = o.id
+             LEFT JOIN menu m ON m.id = i.producto_id
+             WHERE o.sucursal_id = $2 AND o.estado IN ('recibida', 'en_preparacion') AND o.liberada_en IS NOT NULL AND i.estado_estacion = 'pendiente'
+             GROUP BY i.area_preparacion`,
+            [MINUTOS_PREPARACION_POR_DEFECTO, sucursalId]
+        );
+        return Object.fromEntries(res.rows.map(r => [r.area, r.minutos]));
+    }
+
+    /**
+     * Minutos de preparación de los items por área: { barra: 8, cocina: 2 }.
+     */
+    minutosPorArea(items, menu) {
+        const porNombre = new Map(menu.map(p => [p.nombre, p]));
+        const minutos = {};
+        for (const item of items) {
+            const producto = porNombre.get(item.nombre);
+            const area = producto?.area_preparacion || item.area_preparacion || 'general';
+            minutos[area] = (minutos[area] || 0) + (item.cantidad || 1) * (producto?.minutos_preparacion || MINUTOS_PREPARACION_POR_DEFECTO);
+        }
+        return minutos;
+    }
+
+    /**
+     * Minutos hasta que estaría lista una orden con estos items si se pide ahora: en cada
+     * estación que la prepara, lo pendiente más lo suyo; manda la estación más tardada.
+     */
+    async estimarMinutosListo(sucursalId, items, menu) {
+        const cola = await this.colaPorEstacion(sucursalId);
+        const propios = this.minutosPorArea(items, menu);
+        return Math.max(0, ...Object.entries(propios).map(([area, minutos]) => (cola[area] || 0) + minutos));
+    }
+
+    /**
+     * Valida una hora de recogida pedida en la llamada ('HH:MM'; "para las 8:30" puede ser de la
+     * mañana o de la tarde: se toma la primera que sea posible). Debe ser hoy, dentro del horario,
+     * después de lo que tardaría la orden y en una franja con lugar.
+     * Devuelve { hora: 'H:MM' (para decirla), en: ISO } o { error } con lo que se le dice al
+     * cliente, en el idioma de la llamada (ver Idiomas.js).
+     */
+    async validarHoraRecogida(sucursalId, hora, items, menu, idioma = 'es') {
+        const mensajes = mensajesDe(idioma).recogida;
+        if (!/^([01]?\d|2[0-3]):[0-5]\d$/.test(hora || '')) {
+            return { error: mensajes.sinHora };
+        }
+        const ahora = this.ahoraLocal();
+        const [horarios, cierres, capacidad, minutosListo] = await Promise.all([
+            this.obtenerHorarios(sucursalId), this.obtenerDiasCerrados(sucursalId), this.obtenerCapacidad(sucursalId),
+            this.estimarMinutosListo(sucursalId, items, menu)
+        ]);
+        const hoy = horarios.find(h => Number(h.dia_semana) === ahora.diaSemana);
+        if (!hoy || cierres.some(c => c.fecha === ahora.fecha)) {
+            return { error: mensajes.sinRecogidas };
+        }
+
+        const pedida = aMinutos(hora);
+        const candidatas = pedida < 12 * 60 ? [pedida, pedida + 12 * 60] : [pedida];
+        const masPronto = aMinutos(ahora.hora) + minutosListo;
+        const posibles = candidatas.filter(m => m >= masPronto);
+        const elegida = posibles.find(m => m >= aMinutos(hoy.abre) && m < aMinutos(hoy.cierra));
+        if (posibles.length === 0) {
+            return { error: mensajes.muyPronto(horaHablada(aHora(masPronto))) };
+        }
+        if (elegida === undefined) {
+            return { error: mensajes.cerrado(horaHablada(hoy.abre), horaHablada(hoy.cierra)) };
+        }
+
+        const inicioFranja = elegida - (elegida % MINUTOS_FRANJA);
+        const res = await this.db.pool.query(
+            `SELECT ($1::date + make_interval(mins => $2)) AT TIME ZONE $3::text AS en,
+                    (SELECT COUNT(*)::int FROM ordenes
+                     WHERE hora_recogida >= ($1::date + make_interval(mins => $4)) AT TIME ZONE $3::text
+                       AND hora_recogida < ($1::date + make_interval(mins => $4 + $5)) AT TIME ZONE $3::text
+                       AND estado NOT IN ('cancelada', 'rechazada') AND sucursal_id = $6) AS ordenes_en_franja`,
+            [ahora.fecha, elegida, ZONA_HORARIA, inicioFranja, MINUTOS_FRANJA, sucursalId]
+        );
+        const { en, ordenes_en_franja } = res.rows[0];
+        const limite = capacidad.max_ordenes_por_franja;
+        if (this.aplicarCapacidad && limite !== null && ordenes_en_franja >= limite) {
+            const siguiente = inicioFranja + MINUTOS_FRANJA;
+            return { error: mensajes.sinLugar(horaHablada(aHora(elegida)), horaHablada(aHora(siguiente))) };
+        }
+        return { hora: horaHablada(aHora(elegida)), en: new Date(en).toISOString() };
+    }
+
+    /**
+     * Para registrar la orden: si está programada ('recogida' validada), cuándo liberarla a las
+     * estaciones ({ horaRecogida, liberarEn }); si es inmediata, los minutos estimados ({ minutosListo }).
+     */
+    async tiempoDeEntrega(sucursalId, items, recogida = null) {
+        const menu = await this.db.obtenerMenu();
+        if (!recogida) {
+            return { minutosListo: await this.estimarMinutosListo(sucursalId, items, menu) };
+        }
+        const preparacion = Math.max(0, ...Object.values(this.minutosPorArea(items, menu)));
+        const horaRecogida = new Date(recogida.en);
+        return { horaRecogida, liberarEn: new Date(horaRecogida.getTime() - (preparacion + MARGEN_LIBERACION_MINUTOS) * 60000) };
+    }
+
+    /**
+     * Hora local ('HH:MM') de una fecha, para decírsela al cliente.
+     */
+    horaLocal(fecha) {
+        return horaHablada(new Date(fecha).toLocaleTimeString('en-GB', { timeZone: ZONA_HORARIA, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }));
+    }
+
+    // --- Decisión al contestar ---
+
+    /**
+     * ¿Puede una llamada nueva empezar una orden? Devuelve { aceptaPedidos, motivo, ... }:
+     * - 'dia_cerrado' (con 'cierre'), 'cerrado' o 'pausado': no se toman pedidos; incluye 'horarios' para
+     *   decirlos en el idioma de la llamada (ver describirHorario).
+     * - 'saturado': alguna estación llegó a 'max_ordenes_por_estacion'.
+     * - aceptaPedidos: true, con 'esperaMinutos' (lo pendiente en la estación más cargada) y 'ordenesEnCola'.
+     */
+    async disponibilidad(sucursalId) {
+        const ahora = this.ahoraLocal();
+        const [horarios, cierres, pausado] = await Promise.all([
+            this.obtenerHorarios(sucursalId), this.obtenerDiasCerrados(sucursalId), this.pedidosPausados(sucursalId)
+        ]);
+        const cierre = cierres.find(c => c.fecha === ahora.fecha);
+        if (cierre) {
+            return { aceptaPedidos: false, motivo: 'dia_cerrado', cierre, horarios };
+        }
+        const hoy = horarios.find(h => Number(h.dia_semana) === ahora.diaSemana);
+        if (!hoy || ahora.hora < hoy.abre || ahora.hora >= hoy.cierra) {
+            return { aceptaPedidos: false, motivo: 'cerrado', horarios };
+        }
+        if (pausado) {
+            return { aceptaPedidos: false, motivo: 'pausado', horarios };
+        }
+
+        const [capacidad, porEstacion, cola] = await Promise.all([
+            this.obtenerCapacidad(sucursalId), this.ordenesActivasPorEstacion(sucursalId), this.colaPorEstacion(sucursalId)
+        ]);
+        const ordenesEnCola = Math.max(0, ...Object.values(porEstacion));
+        const limite = capacidad.max_ordenes_por_estacion;
+        if (this.aplicarCapacidad && limite !== null && ordenesEnCola >= limite) {
+            return { aceptaPedidos: false, motivo: 'saturado', horarios, ordenesEnCola };
+        }
+        return {
+            aceptaPedidos: true, motivo: null, horarios, ordenesEnCola,
+            esperaMinutos: Math.max(0, ...Object.values(cola))
+        };
+    }
+}
+
+HorarioNegocio.ZONA_HORARIA = ZONA_HORARIA;
+HorarioNegocio.DIAS = DIAS;
+
+module.exports = HorarioNegocio;
@@ -0,0 +1,338 @@
+// Archivo: Idiomas.js
+// Idiomas de la atención telefónica: español (por defecto) e inglés. Al contestar se ofrece el
+// inglés ("for English, say English or press 9") y, si no, se detecta en la primera frase del
+// cliente; el idioma queda en el estado de la llamada ('idioma') y define el reconocimiento de voz
+// del Gather, la voz (la de la sucursal o su 'voz_en'), el prompt del modelo y todos los mensajes
+// fijos, que están aquí. Productos y modificadores tienen nombre (y los productos alias) en inglés
+// ('nombre_en', 'alias_en'), pero la orden siempre se registra con los productos del catálogo.
+
+const POR_DEFECTO = 'es';
+
+// Tecla que cambia la llamada a inglés (las del pedido están en Teclado.js).
+const TECLA_INGLES = '9';
+
+const RECONOCIMIENTO = { es: 'es-MX', en: 'en-US' };
+
+const PIDE_INGLES = /^(?:(?:in|speak|hablo|en) )?(?:english|ingles|inglish)(?: please| por favor)?$/;
+const PIDE_ESPANOL = /^(?:(?:in|speak|hablo|en) )?(?:spanish|espanol)(?: please| por favor)?$/;
+
+// Palabras frecuentes que solo aparecen en uno de los dos idiomas, para detectar el de la primera frase.
+const PALABRAS = {
+    en: new Set(['i', 'id', 'would', 'like', 'want', 'can', 'could', 'get', 'please', 'the', 'and', 'with', 'hi', 'hello', 'hey', 'have', 'coffee', 'of', 'my', 'thanks', 'order', 'some']),
+    es: new Set(['quiero', 'quisiera', 'un', 'una', 'unos', 'y', 'con', 'de', 'el', 'la', 'los', 'por', 'favor', 'hola', 'dame', 'para', 'me', 'gustaria', 'cafe', 'gracias', 'orden'])
+};
+
+/**
+ * Minúsculas, sin acentos ni puntuación y con espacios simples.
+ */
+const normalizar = texto => String(texto || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+
+const dinero = monto => `$${Number(monto).toFixed(2)}`;
+
+/**
+ * "a, b o c" / "a, b or c".
+ */
+const lista = (elementos, conjuncion) => elementos.length > 1
+    ? `${elementos.slice(0, -1).join(', ')} ${conjuncion} ${elementos[elementos.length - 1]}`
+    : elementos[0] || '';
+
+const MENSAJES = {
+    es: {
+        // Saludo
+        bienvenida: sucursal => sucursal.saludo || `¡Hola! Bienvenido a ${sucursal.nombre}.`,
+        bienvenidaFrecuente: (nombre, sucursal) => nombre ? `¡Hola de nuevo, ${nombre}! Gracias por llamar a ${sucursal.nombre}.` : `¡Hola de nuevo! Gracias por llamar a ${sucursal.nombre}.`,
+        espera: minutos => ` Ahora mismo el tiempo de espera es de unos ${minutos} minutos.`,
+        preguntaOrden: '¿Qué te gustaría ordenar hoy?',
+        ofrecerLoDeSiempre: resumen => `¿Quieres lo mismo de siempre: ${resumen}? ¿O qué te gustaría hoy?`,
+        cambioIdioma: '¡Claro, seguimos en español!',
+        ordenHastaAhora: resumen => `Tu orden hasta ahora: ${resumen}. ¿Algo más?`,
+
+        // Pedido (AsistenteIA)
+        noEntendido: 'Lo siento, hubo un problema técnico. ¿Podrías repetir, por favor?',
+        corregir: detalle => `Lo siento, ${detalle} ¿Cómo lo prefieres?`,
+        corregirRecogida: error => `Lo siento, ${error} ¿A qué hora quieres recogerla?`,
+        paraRecoger: hora => `Para recoger a las ${hora}.`,
+        listaEnMinutos: minutos => `Estará lista en unos ${minutos} minutos.`,
+        confirmacion: (resumen, total, entrega, texto) => `Tu orden: ${resumen}. El total es de ${dinero(total)}. ${entrega} ${texto}`,
+        total: total => ` El total es de ${dinero(total)}.`,
+        resumen: { con: 'con', y: 'y' },
+        noDisponible: nombre => `no tenemos ${nombre} disponible.`,
+        retirados: nombres => `Quité de tu orden lo que ya no está disponible: ${nombres}.`,
+        noTenemos: nombre => `no tenemos ${nombre}.`,
+        sinOrdenAnterior: 'no encontré una orden anterior a tu nombre.',
+        sinLinea: linea => `no encontré la línea ${linea} en tu orden.`,
+        cantidadEntera: nombre => `la cantidad para ${nombre} debe ser un número entero.`,
+        opcionNoDisponible: (nombre, opciones) => `esa personalización no está disponible para ${nombre}; tenemos ${opciones.join(', ')}.`,
+        sinPersonalizaciones: nombre => `${nombre} no admite personalizaciones.`,
+        maximoGrupo: (nombre, maximo, grupo) => `para ${nombre} solo puedes elegir ${maximo} de ${grupo.toLowerCase()}.`,
+        elegirGrupo: (nombre, grupo, opciones) => `para ${nombre} elige ${grupo.toLowerCase()}: ${opciones.join(', ')}.`,
+
+        // Hora de recogida (HorarioNegocio)
+        recogida: {
+            sinHora: 'no entendí a qué hora quieres recogerla.',
+            sinRecogidas: 'hoy no tenemos recogidas programadas.',
+            muyPronto: hora => `lo más pronto que podemos tenerla es a las ${hora}.`,
+            cerrado: (abre, cierra) => `a esa hora estamos cerrados; hoy atendemos de ${abre} a ${cierra}.`,
+            sinLugar: (hora, siguiente) => `ya no tenemos lugar para recoger a las ${hora}; podría ser a partir de las ${siguiente}.`
+        },
+
+        // Horario de atención y aviso de que no se toman pedidos (HorarioNegocio y server.js)
+        horario: {
+            dias: ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'],
+            y: 'y',
+            rangoDias: (desde, hasta) => `de ${desde} a ${hasta}`,
+            horas: (dias, abre, cierra) => `${dias} de ${abre} a ${cierra}`
+        },
+        sinPedidos: {
+            gracias: (sucursal, texto) => `Gracias por ${texto ? 'escribir' : 'llamar'} a ${sucursal.nombre}.`,
+            atendemos: (horario, texto) => ` Atendemos pedidos${texto ? '' : ' por teléfono'} ${horario}.`,
+            diaCerrado: (motivo, atendemos) => `Hoy estamos cerrados${motivo ? ` por ${motivo}` : ''}.${atendemos} ¡Te esperamos pronto!`,
+            cerrado: atendemos => `En este momento estamos cerrados.${atendemos} ¡Te esperamos!`,
+            saturado: 'En este momento tenemos muchos pedidos y no podríamos preparar el tuyo a tiempo. Por favor, intenta de nuevo en unos minutos.',
+            pausado: texto => `En este momento no estamos tomando pedidos${texto ? '' : ' por teléfono'}. Por favor, intenta de nuevo más tarde.`
+        },
+
+        // Promociones, combos y cupones (Promociones.js)
+        promociones: {
+            combo: (productos, precio) => `${lista(productos, 'y')} por ${dinero(precio)}`,
+            porcentaje: (porcentaje, productos) => `${porcentaje}% de descuento en ${productos.length ? lista(productos, 'y') : 'toda la orden'}`,
+            llevaPaga: (lleva, paga, productos) => `lleva ${lleva} y paga ${paga} en ${lista(productos, 'o')}`,
+            horario: (inicio, fin) => ` de ${inicio} a ${fin}`,
+            descuento: (nombre, monto) => `${nombre}, descuento de ${dinero(monto)}`,
+            aplicada: (nombre, monto) => `Se aplicó ${nombre}: ahorras ${dinero(monto)}.`,
+            sugerirCombo: (producto, nombre, precio) => `Tenemos ${nombre} por ${dinero(precio)}: solo agrega ${producto}.`,
+            cuponAnotado: codigo => `Anoté tu cupón ${codigo}; siempre aplicamos la mejor promoción para tu orden.`,
+            cuponInvalido: codigo => `El cupón ${codigo} no es válido o ya no está vigente.`
+        },
+
+        // Intérprete de reglas
+        reglas: {
+            quitado: 'Listo, lo quité. ¿Algo más?',
+            anotado: resumen => `Anotado: ${resumen}. ¿Algo más?`,
+            loDeSiempre: 'lo mismo de siempre',
+            gracias: nombre => `Gracias, ${nombre}. Tu orden está confirmada.`,
+            confirmada: '¡Listo! Tu orden está confirmada.',
+            pedirNombre: '¿A nombre de quién registro la orden?',
+            queCambiar: '¿Qué te gustaría agregar o cambiar?',
+            confirmas: '¿Confirmas tu orden?',
+            horaAnotada: 'Perfecto, a esa hora. ¿Algo más?',
+            horaSinItems: 'Perfecto, a esa hora. ¿Qué te gustaría ordenar?',
+            algoMas: '¿Algo más?'
+        },
+
+        // Cierre de la orden
+        listaALas: hora => `Te la tendremos lista a las ${hora}.`,
+        enlacePago: ' Te enviaremos por mensaje un enlace para pagar, o puedes pagar al recoger.',
+        ordenRegistrada: (id, cuando, pago) => `Tu orden ha sido registrada con el número ${id}. ${cuando}${pago} ¡Gracias por llamar!`,
+
+        // Teclado
+        teclado: {
+            confirmar: { frase: 'sí, confirmo', opcion: 'confirmar' },
+            cambiar: { frase: 'no, quiero cambiar algo', opcion: 'cambiar algo' },
+            terminar: { frase: 'eso es todo', opcion: 'terminar tu orden' },
+            loDeSiempre: { frase: 'lo mismo de siempre', opcion: 'pedir lo de siempre' },
+            persona: 'hablar con una persona',
+            instrucciones: opciones => `También puedes usar el teclado: marca ${lista(opciones, 'o')}.`,
+            opcion: (tecla, opcion) => `${tecla} para ${opcion}`,
+            invalida: 'Esa tecla no es una opción.'
+        },
+
+        // Transferencia y errores
+        transferir: 'Te comunico con una persona de nuestro equipo. Un momento, por favor.',
+        sinPersonal: 'Por ahora no hay nadie del equipo disponible para atenderte, pero yo puedo tomar tu orden. ¿Qué te gustaría?',
+        nadieContesto: 'Lo siento, en este momento nadie del equipo pudo contestar y tu orden no quedó registrada. Por favor, llámanos de nuevo en unos minutos.',
+        falloAsistente: 'Perdón, tuve un problema para tomar tu pedido. ¿Podrías repetirlo?',
+        errorSistema: 'Lo sentimos, ha ocurrido un error en el sistema. Por favor, inténtelo de nuevo.',
+
+        // Chat web, SMS y WhatsApp (ver Canales.js)
+        texto: {
+            bienvenidaFrecuente: (nombre, sucursal) => nombre ? `¡Hola de nuevo, ${nombre}! Gracias por escribir a ${sucursal.nombre}.` : `¡Hola de nuevo! Gracias por escribir a ${sucursal.nombre}.`,
+            ordenRegistrada: (id, cuando, pago) => `Tu orden ha sido registrada con el número ${id}. ${cuando}${pago} ¡Gracias por tu pedido!`,
+            sinPersonal: telefono => `Por aquí no puedo comunicarte con alguien del equipo${telefono ? `; si lo prefieres, llámanos al ${telefono}` : ''}. Yo puedo tomar tu orden: ¿qué te gustaría?`,
+            telefonoVerificado: 'Listo, verificamos tu número: te avisaremos por SMS cuando tu orden esté lista.',
+            carrito: 'Tu orden',
+            descuento: 'Descuento',
+            total: 'Total'
+        }
+    },
+
+    en: {
+        bienvenida: sucursal => `Hi! Welcome to ${sucursal.nombre}.`,
+        bienvenidaFrecuente: (nombre, sucursal) => nombre ? `Welcome back, ${nombre}! Thanks for calling ${sucursal.nombre}.` : `Welcome back! Thanks for calling ${sucursal.nombre}.`,
+        espera: minutos => ` Right now the wait is about ${minutos} minutes.`,
+        preguntaOrden: 'What would you like to order today?',
+        ofrecerLoDeSiempre: resumen => `Would you like your usual: ${resumen}? Or what can I get you today?`,
+        cambioIdioma: 'Sure, let\'s continue in English!',
+        ordenHastaAhora: resumen => `Your order so far: ${resumen}. Anything else?`,
+
+        noEntendido: 'Sorry, there was a technical problem. Could you repeat that, please?',
+        corregir: detalle => `Sorry, ${detalle} How would you like it?`,
+        corregirRecogida: error => `Sorry, ${error} What time would you like to pick it up?`,
+        paraRecoger: hora => `For pickup at ${hora}.`,
+        listaEnMinutos: minutos => `It will be ready in about ${minutos} minutes.`,
+        confirmacion: (resumen, total, entrega, texto) => `Your order: ${resumen}. The total is ${dinero(total)}. ${entrega} ${texto}`,
+        total: total => ` The total is ${dinero(total)}.`,
+        resumen: { con: 'with', y: 'and' },
+        noDisponible: nombre => `we don't have ${nombre} available.`,
+        retirados: nombres => `I removed what's no longer available from your order: ${nombres}.`,
+        noTenemos: nombre => `we don't have ${nombre}.`,
+        sinOrdenAnterior: 'I couldn\'t find a previous order under your number.',
+        sinLinea: linea => `I couldn't find item ${linea} in your order.`,
+        cantidadEntera: nombre => `the quantity for ${nombre} must be a whole number.`,
+        opcionNoDisponible: (nombre, opciones) => `that option isn't available for ${nombre}; we have ${opciones.join(', ')}.`,
+        sinPersonalizaciones: nombre => `${nombre} can't be customized.`,
+        maximoGrupo: (nombre, maximo, grupo) => `for ${nombre} you can only choose ${maximo} ${grupo.toLowerCase()}.`,
+        elegirGrupo: (nombre, grupo, opciones) => `for ${nombre}, please choose a ${grupo.toLowerCase()}: ${opciones.join(', ')}.`,
+
+        recogida: {
+            sinHora: 'I didn\'t catch what time you\'d like to pick it up.',
+            sinRecogidas: 'we don\'t have scheduled pickups today.',
+            muyPronto: hora => `the earliest we can have it ready is ${hora}.`,
+            cerrado: (abre, cierra) => `we're closed at that time; today we're open from ${abre} to ${cierra}.`,
+            sinLugar: (hora, siguiente) => `we're fully booked for pickup at ${hora}; it could be from ${siguiente} on.`
+        },
+
+        // El motivo de un día cerrado lo escribe el café en español: en inglés no se lee.
+        horario: {
+            dias: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+            y: 'and',
+            rangoDias: (desde, hasta) => `${desde} to ${hasta}`,
+            horas: (dias, abre, cierra) => `${dias} from ${abre} to ${cierra}`
+        },
+        sinPedidos: {
+            gracias: (sucursal, texto) => `Thanks for ${texto ? 'texting' : 'calling'} ${sucursal.nombre}.`,
+            atendemos: (horario, texto) => ` We take ${texto ? '' : 'phone '}orders ${horario}.`,
+            diaCerrado: (motivo, atendemos) => `We're closed today.${atendemos} We hope to see you soon!`,
+            cerrado: atendemos => `We're closed right now.${atendemos} We hope to see you soon!`,
+            saturado: 'We have a lot of orders right now and couldn\'t prepare yours in time. Please try again in a few minutes.',
+            pausado: texto => `We're not taking ${texto ? '' : 'phone '}orders right now. Please ${texto ? 'try' : 'call'} again later.`
+        },
+
+        promociones: {
+            combo: (productos, precio) => `${lista(productos, 'and')} for ${dinero(precio)}`,
+            porcentaje: (porcentaje, productos) => `${porcentaje}% off ${productos.length ? lista(productos, 'and') : 'your whole order'}`,
+            llevaPaga: (lleva, paga, productos) => `buy ${lleva}, pay for ${paga} on ${lista(productos, 'or')}`,
+            horario: (inicio, fin) => ` from ${inicio} to ${fin}`,
+            descuento: (nombre, monto) => `${nombre}, ${dinero(monto)} off`,
+            aplicada: (nombre, monto) => `${nombre} applied: you save ${dinero(monto)}.`,
+            sugerirCombo: (producto, nombre, precio) => `We have ${nombre} for ${dinero(precio)}: just add ${producto}.`,
+            cuponAnotado: codigo => `I noted your coupon ${codigo}; we always apply the best deal for your order.`,
+            cuponInvalido: codigo => `Coupon ${codigo} isn't valid or has expired.`
+        },
+
+        reglas: {
+            quitado: 'Done, I removed it. Anything else?',
+            anotado: resumen => `Got it: ${resumen}. Anything else?`,
+            loDeSiempre: 'your usual',
+            gracias: nombre => `Thanks, ${nombre}. Your order is confirmed.`,
+            confirmada: 'All set! Your order is confirmed.',
+            pedirNombre: 'What name should I put the order under?',
+            queCambiar: 'What would you like to add or change?',
+            confirmas: 'Do you confirm your order?',
+            horaAnotada: 'Perfect, at that time. Anything else?',
+            horaSinItems: 'Perfect, at that time. What would you like to order?',
+            algoMas: 'Anything else?'
+        },
+
+        listaALas: hora => `We'll have it ready at ${hora}.`,
+        enlacePago: ' We\'ll text you a link to pay, or you can pay at pickup.',
+        ordenRegistrada: (id, cuando, pago) => `Your order has been placed with number ${id}. ${cuando}${pago} Thanks for calling!`,
+
+        teclado: {
+            confirmar: { frase: 'yes, I confirm', opcion: 'confirm' },
+            cambiar: { frase: 'no, I want to change something', opcion: 'change something' },
+            terminar: { frase: 'that\'s all', opcion: 'finish your order' },
+            loDeSiempre: { frase: 'the usual', opcion: 'order your usual' },
+            persona: 'talk to a person',
+            instrucciones: opciones => `You can also use your keypad: press ${lista(opciones, 'or')}.`,
+            opcion: (tecla, opcion) => `${tecla} to ${opcion}`,
+            invalida: 'That key isn\'t an option.'
+        },
+
+        transferir: 'Let me connect you with someone from our team. One moment, please.',
+        sinPersonal: 'There\'s no one from our team available right now, but I can take your order. What would you like?',
+        nadieContesto: 'Sorry, no one from our team could answer and your order wasn\'t placed. Please call us again in a few minutes.',
+        falloAsistente: 'Sorry, I had a problem taking your order. Could you say that again?',
+        errorSistema: 'Sorry, a system error occurred. Please try again.',
+
+        texto: {
+            bienvenidaFrecuente: (nombre, sucursal) => nombre ? `Welcome back, ${nombre}! Thanks for texting ${sucursal.nombre}.` : `Welcome back! Thanks for texting ${sucursal.nombre}.`,
+            ordenRegistrada: (id, cuando, pago) => `Your order has been placed with number ${id}. ${cuando}${pago} Thanks for your order!`,
+            sinPersonal: telefono => `I can't connect you with someone from our team here${telefono ? `; if you prefer, call us at ${telefono}` : ''}. I can take your order: what would you like?`,
+            telefonoVerificado: 'Done, your number is verified: we\'ll text you when your order is ready.',
+            carrito: 'Your order',
+            descuento: 'Discount',
+            total: 'Total'
+        }
+    }
+};
+
+// Lo que se agrega al saludo en español, en inglés.
+const OFRECER_INGLES = 'For English, say English or press 9.';
+// Lo mismo en los canales de texto (ver Canales.js).
+const OFRECER_INGLES_TEXTO = 'For English, reply English.';
+
+/**
+ * El idioma si es uno de los soportados; si no, el de por defecto.
+ */
+function idiomaValido(idioma) {
+    return MENSAJES[idioma] ? idioma : POR_DEFECTO;
+}
+
+/**
+ * Los mensajes fijos de un idioma.
+ */
+function mensajes(idioma) {
+    return MENSAJES[idiomaValido(idioma)];
+}
+
+/**
+ * Opciones de <Say>: el idioma y la voz de la sucursal para él ('voz' o 'voz_en').
+ */
+function voz(sucursal, idioma) {
+    const codigo = idiomaValido(idioma);
+    return { language: RECONOCIMIENTO[codigo], voice: codigo === 'en' ? sucursal?.voz_en || 'Polly.Joanna' : sucursal?.voz || 'Polly.Lupe' };
+}
+
+/**
+ * Idioma del reconocimiento de voz (el 'language' del Gather).
+ */
+function reconocimiento(idioma) {
+    return RECONOCIMIENTO[idiomaValido(idioma)];
+}
+
+/**
+ * Idioma que pide el cliente ("English", "in English", "español", o la tecla 9), o null.
+ */
+function idiomaPedido(texto, digitos) {
+    if (digitos === TECLA_INGLES) return 'en';
+    const normalizado = normalizar(texto);
+    if (PIDE_INGLES.test(normalizado)) return 'en';
+    if (PIDE_ESPANOL.test(normalizado)) return 'es';
+    return null;
+}
+
+/**
+ * Idioma de una frase: el que tiene más palabras propias, si son al menos dos; si no, null.
+ */
+function detectarIdioma(texto) {
+    const palabras = normalizar(texto).split(' ');
+    const cuenta = idioma => palabras.filter(p => PALABRAS[idioma].has(p)).length;
+    const [en, es] = [cuenta('en'), cuenta('es')];
+    if (en >= 2 && en > es) return 'en';
+    if (es >= 2 && es > en) return 'es';
+    return null;
+}
+
+/**
+ * Nombre de un producto o modificador para decirlo en el idioma ('nombre_en' en inglés, si lo tiene).
+ */
+function nombreEn(elemento, idioma) {
+    return (idiomaValido(idioma) === 'en' && elemento.nombre_en) || elemento.nombre;
+}
+
+module.exports = {
+    POR_DEFECTO, OFRECER_INGLES, OFRECER_INGLES_TEXTO,
+    mensajes, voz, reconocimiento, idiomaPedido, detectarIdioma, nombreEn
+};
@@ -0,0 +1,110 @@
+// Archivo: Impresion.js
+// Impresión de tickets (ver Tickets.js para el formato e Impresoras.js para las salidas). Al
+// crearse una orden se imprime la comanda de cada estación en su impresora y el recibo en la de
+// 'recibos'; el panel y las pantallas KDS pueden reimprimirlos o abrirlos en HTML/PDF.
+// Cada sucursal usa sus propias impresoras.
+
+const Tickets = require('./Tickets');
+const { crearImpresoras, claveImpresora, variableImpresora } = require('./Impresoras');
+
+const TIPOS = ['cocina', 'recibo'];
+
+const errorConflicto = mensaje => Object.assign(new Error(mensaje), { status: 409 });
+
+class Impresion {
+    /**
+     * 'automatica' imprime los tickets de cada orden nueva (TICKETS_AUTO_PRINT=false lo desactiva).
+     */
+    constructor(db, impresoras = crearImpresoras(), { automatica = process.env.TICKETS_AUTO_PRINT !== 'false' } = {}) {
+        this.db = db;
+        if (!this.db) {
+            throw new Error("Impresion requiere una instancia de base de datos para funcionar.");
+        }
+        this.impresoras = impresoras;
+        this.automatica = automatica;
+    }
+
+    /**
+     * Arma un ticket de una orden: { tipo: 'cocina', area } para la comanda de una estación o
+     * { tipo: 'recibo' }. Devuelve undefined si la orden no existe, o null si no tiene items
+     * de esa estación.
+     */
+    async ticket(ordenId, opciones) {
+        const orden = await this.db.obtenerOrden(ordenId);
+        if (!orden) return undefined;
+        return this._armar(orden, await this.db.obtenerItemsOrden(ordenId), opciones);
+    }
+
+    _armar(orden, lineas, { tipo, area = null, reimpresion = false }) {
+        if (tipo === 'recibo') {
+            return Tickets.recibo(orden, lineas, { reimpresion });
+        }
+        return lineas.some(l => l.area_preparacion === area) ? Tickets.ticketCocina(orden, lineas, area, { reimpresion }) : null;
+    }
+
+    /**
+     * Imprime las comandas de las estaciones con impresora que tienen items en la orden.
+     * Devuelve los destinos impresos; una impresora que falla no impide las demás.
+     */
+    async imprimirComandas(ordenId) {
+        if (!this.automatica) return [];
+        const orden = await this.db.obtenerOrden(ordenId);
+        if (!orden) return [];
+        const lineas = await this.db.obtenerItemsOrden(ordenId);
+        const areas = [...new Set(lineas.map(l => l.area_preparacion))].filter(a => this.impresoras.has(claveImpresora(orden.sucursal_id, a)));
+        const resultados = await Promise.all(areas.map(area =>
+            this._imprimir(orden.sucursal_id, area, Tickets.ticketCocina(orden, lineas, area)).then(() => area, () => null)
+        ));
+        return resultados.filter(Boolean);
+    }
+
+    /**
+     * Imprime el recibo de una orden nueva si su sucursal tiene impresora de 'recibos'.
+     */
+    async imprimirRecibo(ordenId) {
+        if (!this.automatica) return false;
+        const orden = await this.db.obtenerOrden(ordenId);
+        if (!orden || !this.impresoras.has(claveImpresora(orden.sucursal_id, 'recibos'))) return false;
+        const ticket = this._armar(orden, await this.db.obtenerItemsOrden(ordenId), { tipo: 'recibo' });
+        return this._imprimir(orden.sucursal_id, 'recibos', ticket).then(() => true, () => false);
+    }
+
+    /**
+     * Reimprime un ticket a pedido (aunque la impresión automática esté desactivada). Devuelve el
+     * destino, undefined si la orden no existe, o lanza un error 409 si no hay impresora para él
+     * o la orden no tiene items de esa estación. Un fallo de la impresora se propaga.
+     */
+    async reimprimir(ordenId, { tipo, area = null }) {
+        const orden = await this.db.obtenerOrden(ordenId);
+        if (!orden) return undefined;
+        const destino = tipo === 'recibo' ? 'recibos' : area;
+        if (!this.impresoras.has(claveImpresora(orden.sucursal_id, destino))) {
+            throw errorConflicto(`No hay impresora configurada para '${destino}' (${variableImpresora(orden.sucursal_id, destino)}).`);
+        }
+        const ticket = this._armar(orden, await this.db.obtenerItemsOrden(ordenId), { tipo, area, reimpresion: true });
+        if (ticket === null) {
+            throw errorConflicto(`La orden ${ordenId} no tiene items de ${area}.`);
+        }
+        await this._imprimir(orden.sucursal_id, destino, ticket);
+        return destino;
+    }
+
+    /**
+     * Envía el ticket en ESC/POS a la impresora del destino en la sucursal. Si falla, lo
+     * registra y lanza un error con status 502.
+     */
+    async _imprimir(sucursalId, destino, ticket) {
+        const impresora = this.impresoras.get(claveImpresora(sucursalId, destino));
+        try {
+            await impresora.escribir(Tickets.aEscPos(ticket));
+            console.log(`[IMPRESIÓN] ${ticket.titulo} enviado a ${impresora.descripcion}.`);
+        } catch (error) {
+            console.error(`[IMPRESIÓN] No se pudo imprimir ${ticket.titulo} en ${impresora.descripcion}:`, error.message);
+            throw Object.assign(new Error(`La impresora de '${destino}' no respondió: ${error.message}`), { status: 502 });
+        }
+    }
+}
+
+Impresion.TIPOS = TIPOS;
+
+module.exports = Impresion;
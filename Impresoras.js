@@ -0,0 +1,98 @@
+// Archivo: Impresoras.js
+// Salidas de impresión para los tickets ESC/POS (ver Impresion.js). Cada destino (una estación
+// como 'barra' o 'cocina', o 'recibos') se configura con PRINTER_<DESTINO> en la sucursal
+// principal y PRINTER_<DESTINO>_<ID DE SUCURSAL> en las demás (PRINTER_BARRA_2):
+//   tcp://192.168.1.50:9100   impresora de red (puerto RAW, normalmente 9100)
+//   file:./tickets/barra.bin  agrega los tickets a un archivo (pruebas, o un spooler que lo vigile)
+//   /dev/usb/lp0              dispositivo local de la impresora
+// Todas exponen:
+//   descripcion: para el log
+//   async escribir(bytes) -> lanza un error si la impresora no lo recibió
+
+const fs = require('fs/promises');
+const net = require('net');
+const { PRINCIPAL: SUCURSAL_PRINCIPAL } = require('./Sucursales');
+
+/**
+ * Escribe en un archivo (agregando) o en un dispositivo de impresora.
+ */
+class SalidaArchivo {
+    constructor({ ruta, anexar = true }) {
+        this.ruta = ruta;
+        this.anexar = anexar;
+        this.descripcion = ruta;
+    }
+
+    async escribir(bytes) {
+        await (this.anexar ? fs.appendFile(this.ruta, bytes) : fs.writeFile(this.ruta, bytes));
+    }
+}
+
+/**
+ * Envía los bytes por TCP a una impresora de red.
+ */
+class SalidaTcp {
+    constructor({ host, puerto = 9100, esperaMs = 5000 }) {
+        this.host = host;
+        this.puerto = puerto;
+        this.esperaMs = esperaMs;
+        this.descripcion = `tcp://${host}:${puerto}`;
+    }
+
+    escribir(bytes) {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.puerto });
+            socket.setTimeout(this.esperaMs, () => socket.destroy(new Error(`La impresora ${this.descripcion} no respondió.`)));
+            socket.once('error', reject);
+            socket.once('connect', () => socket.end(bytes));
+            socket.once('close', hadError => { if (!hadError) resolve(); });
+        });
+    }
+}
+
+/**
+ * Crea la salida descrita por un valor de PRINTER_<DESTINO>.
+ */
+function crearSalida(destino) {
+    const tcp = /^tcp:\/\/([^:/]+)(?::(\d+))?\/?$/.exec(destino);
+    if (tcp) {
+        return new SalidaTcp({ host: tcp[1], puerto: tcp[2] ? parseInt(tcp[2], 10) : undefined });
+    }
+    if (destino.startsWith('file:')) {
+        return new SalidaArchivo({ ruta: destino.slice('file:'.length) });
+    }
+    if (destino.startsWith('/dev/')) {
+        return new SalidaArchivo({ ruta: destino, anexar: false });
+    }
+    throw new Error(`Impresora desconocida: "${destino}". Usa tcp://host:puerto, file:ruta o /dev/....`);
+}
+
+/**
+ * Clave de una impresora en el Map de crearImpresoras: '<sucursal>:<destino>' ('1:barra').
+ */
+const claveImpresora = (sucursalId, destino) => `${sucursalId}:${destino}`;
+
+/**
+ * Nombre de la variable que configura la impresora, para los mensajes de error.
+ */
+function variableImpresora(sucursalId, destino) {
+    return `PRINTER_${destino.toUpperCase()}${Number(sucursalId) === SUCURSAL_PRINCIPAL ? '' : `_${sucursalId}`}`;
+}
+
+/**
+ * Impresoras configuradas en las variables PRINTER_<DESTINO>[_<SUCURSAL>], como Map
+ * clave (ver claveImpresora) -> salida.
+ */
+function crearImpresoras(entorno = process.env) {
+    const impresoras = new Map();
+    for (const [clave, valor] of Object.entries(entorno)) {
+        const coincide = /^PRINTER_([A-Z]+)(?:_(\d+))?$/.exec(clave);
+        if (coincide && valor) {
+            const sucursalId = coincide[2] ? parseInt(coincide[2], 10) : SUCURSAL_PRINCIPAL;
+            impresoras.set(claveImpresora(sucursalId, coincide[1].toLowerCase()), crearSalida(valor.trim()));
+        }
+    }
+    return impresoras;
+}
+
+module.exports = { SalidaArchivo, SalidaTcp, crearSalida, crearImpresoras, claveImpresora, variableImpresora };
@@ -0,0 +1,272 @@
+// Archivo: InterpreteReglas.js
+// Intérprete determinista de respaldo para cuando el LLM no está disponible (sin clave,
+// proveedor 'stub' o la API falla en todos los reintentos). Reconoce productos por nombre
+// y alias (con cantidades como "dos americanos y un muffin"), los modificadores más comunes,
+// confirmaciones/negaciones, la hora de recogida ("para las 8:30"), los cupones ("tengo el
+// cupón café 10") y el nombre del cliente, en español o en inglés según el idioma de la llamada (ver Idiomas.js).
+// Devuelve un objeto con la misma forma que la herramienta 'actualizar_estado_orden' (con
+// 'operaciones' de carrito), para que AsistenteIA lo procese igual.
+
+const { mensajes, nombreEn } = require('./Idiomas');
+
+const NUMEROS = {
+    un: 1, una: 1, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5,
+    seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10
+};
+const NUMEROS_EN = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+    six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+};
+
+// Expresiones de cada idioma. La hora de recogida captura (hora, minutos, "y media/cuarto",
+// parte del día).
+const REGLAS = {
+    es: {
+        numeros: NUMEROS,
+        horas: { ...NUMEROS, once: 11, doce: 12 },
+        // "para las 8:30" (normalizado: "para las 8 30"), "a las ocho y media de la noche", "para la una".
+        horaRecogida: /\b(?:para|a) las? (\d{1,2}|[a-z]+)(?: (\d{2}))?(?: y (media|cuarto))?(?: de la (manana|tarde|noche))?\b/,
+        minutos: { media: 30, cuarto: 15 },
+        tarde: ['tarde', 'noche'],
+        afirmaciones: /\b(si|claro|correcto|confirmo|confirmado|exacto|perfecto|de acuerdo|esta bien|asi es|ok|okay|dale|va)\b/,
+        loDeSiempre: /\b(lo (mismo )?de siempre|lo mismo que la (vez pasada|ultima vez)|mi orden de siempre|repite (mi|la) (ultima )?orden)\b/,
+        quitar: /\b(quita|quitale|quitar|elimina|borra|cancela|ya no quiero)\b/,
+        negaciones: /\b(no|nada mas|eso es todo|es todo|seria todo|nada)\b/,
+        // "cupón café 10", "código de descuento 2x1": una palabra y, si sigue, un número.
+        cupon: /\b(?:cupon|codigo)(?: de descuento| de promocion)? ([a-z0-9]+(?: \d+)?)\b/,
+        // Se aplica al texto original en minúsculas para conservar los acentos del nombre.
+        frasesNombre: /(?:^|\s)(?:a nombre de|mi nombre es|me llamo|soy)\s+([a-záéíóúüñ]+(?:\s+[a-záéíóúüñ]+)?)/
+    },
+    en: {
+        numeros: NUMEROS_EN,
+        horas: { ...NUMEROS_EN, eleven: 11, twelve: 12 },
+        // "at 8:30 pm" (normalizado: "at 8 30 pm"), "for eight thirty in the evening". Para no tomar
+        // "for two" como hora, exige los minutos o la parte del día.
+        horaRecogida: /\b(?:at|for) (?=[a-z0-9]+ (?:\d{2}|thirty|fifteen|am|pm|a m|p m|in the|tonight)\b)(\d{1,2}|[a-z]+)(?: (\d{2}|thirty|fifteen))?()(?: (am|pm|a m|p m|in the morning|in the afternoon|in the evening|tonight))?\b/,
+        minutos: { thirty: 30, fifteen: 15 },
+        tarde: ['pm', 'p m', 'in the afternoon', 'in the evening', 'tonight'],
+        afirmaciones: /\b(yes|yeah|yep|sure|correct|confirm|confirmed|exactly|perfect|sounds good|that s right|ok|okay)\b/,
+        loDeSiempre: /\b(the usual|my usual|same as (always|last time)|my regular order|repeat my (last )?order)\b/,
+        quitar: /\b(remove|take off|take out|delete|cancel|i don t want)\b/,
+        negaciones: /\b(no|nope|nothing else|that s all|that s it|that is all|that s everything)\b/,
+        cupon: /\b(?:coupon|promo|discount)(?: code)? ([a-z0-9]+(?: \d+)?)\b/,
+        frasesNombre: /(?:^|\s)(?:my name is|the name is|it s for|under|this is)\s+([a-z]+(?:\s+[a-z]+)?)/
+    }
+};
+
+/**
+ * Minúsculas, sin acentos ni puntuación y con espacios simples.
+ */
+function normalizar(texto) {
+    return String(texto || '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function escaparRegex(texto) {
+    return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Expresión que acepta el término con cada palabra en singular o plural ("americanos", "sandwiches").
+ */
+function patronTermino(termino) {
+    const palabras = normalizar(termino).split(' ').map(p => `${escaparRegex(p)}(?:es|s)?`);
+    return new RegExp(`\\b${palabras.join(' ')}\\b`, 'g');
+}
+
+function capitalizar(nombre) {
+    return nombre.split(' ').map(p => p.charAt(0).toUpperCase() + p.slice(1)).join(' ');
+}
+
+class InterpreteReglas {
+    /**
+     * Busca los productos mencionados en el texto normalizado. Devuelve coincidencias
+     * { producto, inicio, fin } ordenadas por posición, sin solaparse (gana el término más largo).
+     */
+    _buscarProductos(texto, menu) {
+        const terminos = menu.flatMap(producto =>
+            [producto.nombre, ...(producto.alias || []), producto.nombre_en, ...(producto.alias_en || [])]
+                .filter(Boolean).map(termino => ({ producto, termino: normalizar(termino) }))
+        ).filter(t => t.termino).sort((a, b) => b.termino.length - a.termino.length);
+
+        const ocupado = new Array(texto.length).fill(false);
+        const coincidencias = [];
+        for (const { producto, termino } of terminos) {
+            for (const match of texto.matchAll(patronTermino(termino))) {
+                const inicio = match.index;
+                const fin = inicio + match[0].length;
+                if (ocupado.slice(inicio, fin).some(Boolean)) continue;
+                ocupado.fill(true, inicio, fin);
+                coincidencias.push({ producto, inicio, fin });
+            }
+        }
+        return coincidencias.sort((a, b) => a.inicio - b.inicio);
+    }
+
+    /**
+     * Cantidad indicada justo antes del producto ("dos", "3"); null si no hay ninguna.
+     */
+    _cantidadAntesDe(texto, inicio, reglas = REGLAS.es) {
+        const anterior = texto.slice(0, inicio).trim().split(' ').pop();
+        if (reglas.numeros[anterior]) return reglas.numeros[anterior];
+        const numero = parseInt(anterior, 10);
+        return numero > 0 && numero < 100 ? numero : null;
+    }
+
+    /**
+     * IDs de las opciones de modificador mencionadas en el fragmento que sigue al producto.
+     * Acepta el nombre completo ("leche de avena", "oat milk") o su última palabra si no es ambigua ("avena").
+     */
+    _modificadoresEn(fragmento, producto, grupos) {
+        const opciones = grupos
+            .filter(g => g.producto_ids.includes(producto.id))
+            .flatMap(g => g.opciones.flatMap(o => [o.nombre, o.nombre_en].filter(Boolean).map(nombre => ({ id: o.id, nombre: normalizar(nombre) }))))
+            .sort((a, b) => b.nombre.length - a.nombre.length);
+
+        const ids = [];
+        let resto = ` ${fragmento} `;
+        for (const opcion of opciones) {
+            if (resto.includes(` ${opcion.nombre} `)) {
+                ids.push(opcion.id);
+                resto = resto.replace(` ${opcion.nombre} `, ' ');
+            }
+        }
+        for (const opcion of opciones) {
+            if (ids.includes(opcion.id)) continue;
+            const clave = opcion.nombre.split(' ').pop();
+            const ambigua = opciones.filter(o => o.id !== opcion.id && o.nombre.split(' ').pop() === clave).length > 0;
+            if (!ambigua && patronTermino(clave).test(resto)) {
+                ids.push(opcion.id);
+            }
+        }
+        return ids;
+    }
+
+    /**
+     * Hora de recogida mencionada ('HH:MM'; "de la tarde/noche" suma 12 horas) y el fragmento
+     * que la contiene, para no confundir sus números con cantidades. null si no hay ninguna.
+     */
+    _extraerHora(texto, reglas = REGLAS.es) {
+        const match = texto.match(reglas.horaRecogida);
+        if (!match) return null;
+        let hora = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : reglas.horas[match[1]];
+        const minutos = match[2] ? (reglas.minutos[match[2]] ?? parseInt(match[2], 10)) : (reglas.minutos[match[3]] || 0);
+        if (hora === undefined || hora > 23 || minutos > 59) return null;
+        if (reglas.tarde.includes(match[4]) && hora < 12) hora += 12;
+        return { hora: `${String(hora).padStart(2, '0')}:${String(minutos).padStart(2, '0')}`, fragmento: match[0] };
+    }
+
+    _extraerNombre(transcripcion, etapa, reglas = REGLAS.es) {
+        const original = String(transcripcion || '').toLowerCase().replace(/[^a-záéíóúüñ\s]/g, ' ').replace(/\s+/g, ' ').trim();
+        const match = original.match(reglas.frasesNombre);
+        if (match) return capitalizar(match[1]);
+        // En IDENTIFICATION una respuesta corta ("Ana", "Luis Pérez") se toma como el nombre.
+        const texto = normalizar(original);
+        const palabras = texto.split(' ').filter(Boolean);
+        if (etapa === 'IDENTIFICATION' && palabras.length > 0 && palabras.length <= 3 && !reglas.negaciones.test(texto) && !reglas.afirmaciones.test(texto)) {
+            return capitalizar(original);
+        }
+        return null;
+    }
+
+    /**
+     * Interpreta la transcripción en el idioma de la llamada ('estadoActual.idioma'). Devuelve la
+     * respuesta con forma de herramienta o null si no se entendió nada (AsistenteIA pide
+     * entonces que el cliente repita).
+     */
+    interpretar(transcripcion, estadoActual, menu, grupos) {
+        const idioma = estadoActual.idioma;
+        const reglas = REGLAS[idioma] || REGLAS.es;
+        const textos = mensajes(idioma).reglas;
+        const recogida = this._extraerHora(normalizar(transcripcion), reglas);
+        let texto = recogida ? normalizar(normalizar(transcripcion).replace(recogida.fragmento, ' ')) : normalizar(transcripcion);
+        // El código del cupón se quita para no confundirlo con un producto ("cupón muffin 2").
+        const cupon = texto.match(reglas.cupon);
+        if (cupon) texto = normalizar(texto.replace(cupon[0], ' '));
+        const itemsActuales = estadoActual.items || [];
+        const etapa = estadoActual.stage;
+        const nombreCliente = this._extraerNombre(transcripcion, etapa, reglas);
+        const respuesta = (next_stage, llm_response_text, operaciones = []) => ({
+            next_stage, operaciones, llm_response_text,
+            ...(nombreCliente ? { nombre_cliente: nombreCliente } : {}),
+            ...(recogida ? { hora_recogida: recogida.hora } : {}),
+            ...(cupon ? { cupon: cupon[1] } : {})
+        });
+
+        const coincidencias = this._buscarProductos(texto, menu);
+        if (coincidencias.length > 0 && reglas.quitar.test(texto)) {
+            // Se quita de la última línea de ese producto.
+            const operaciones = [];
+            for (const c of coincidencias) {
+                const indice = itemsActuales.map(i => i.nombre).lastIndexOf(c.producto.nombre);
+                if (indice < 0) continue;
+                // "quita un americano" de una línea con 2 deja 1; sin cantidad se quita la línea.
+                const cantidad = this._cantidadAntesDe(texto, c.inicio, reglas);
+                operaciones.push({ accion: 'quitar', linea: indice + 1, ...(cantidad ? { cantidad } : {}) });
+            }
+            if (operaciones.length > 0) {
+                return respuesta('UPSELL_FINAL', textos.quitado, operaciones);
+            }
+        }
+
+        // Cliente frecuente: "lo mismo de siempre", o un "sí" al saludo que se lo ofreció.
+        const ultimaOrden = estadoActual.cliente?.ultimaOrden;
+        const repetir = Boolean(ultimaOrden) && (reglas.loDeSiempre.test(texto) || (etapa === 'INITIAL_ORDER' &&
+            itemsActuales.length === 0 && coincidencias.length === 0 && reglas.afirmaciones.test(texto) && !reglas.negaciones.test(texto)));
+
+        if (coincidencias.length > 0 || repetir) {
+            const operaciones = coincidencias.map((c, i) => ({
+                accion: 'agregar',
+                nombre: c.producto.nombre,
+                cantidad: this._cantidadAntesDe(texto, c.inicio, reglas) || 1,
+                modificadores: this._modificadoresEn(texto.slice(c.fin, coincidencias[i + 1]?.inicio), c.producto, grupos)
+            }));
+            const resumen = operaciones.map((o, i) => {
+                const nombre = nombreEn(coincidencias[i].producto, idioma);
+                return o.cantidad > 1 ? `${o.cantidad} ${nombre}` : nombre;
+            });
+            if (repetir) {
+                operaciones.unshift({ accion: 'repetir_ultima_orden' });
+                resumen.unshift(textos.loDeSiempre);
+            }
+            return respuesta('UPSELL_FINAL', textos.anotado(resumen.join(', ')), operaciones);
+        }
+
+        const tieneNombre = nombreCliente || (estadoActual.nombreCliente && estadoActual.nombreCliente !== 'Cliente Anónimo');
+
+        if (etapa === 'IDENTIFICATION' && nombreCliente) {
+            return respuesta('FINALIZED', textos.gracias(nombreCliente));
+        }
+        if (etapa === 'CONFIRMATION') {
+            if (reglas.afirmaciones.test(texto)) {
+                return tieneNombre
+                    ? respuesta('FINALIZED', textos.confirmada)
+                    : respuesta('IDENTIFICATION', textos.pedirNombre);
+            }
+            if (reglas.negaciones.test(texto)) {
+                return respuesta('UPSELL_FINAL', textos.queCambiar);
+            }
+        }
+        if (itemsActuales.length > 0 && ['INITIAL_ORDER', 'CUSTOMIZATION', 'UPSELL_FINAL'].includes(etapa) && reglas.negaciones.test(texto)) {
+            return respuesta('CONFIRMATION', textos.confirmas);
+        }
+        if (recogida) {
+            return itemsActuales.length > 0
+                ? respuesta('UPSELL_FINAL', textos.horaAnotada)
+                : respuesta('INITIAL_ORDER', textos.horaSinItems);
+        }
+        if (cupon) {
+            // AsistenteIA valida el código y avisa si quedó aplicado.
+            return itemsActuales.length > 0
+                ? respuesta('UPSELL_FINAL', textos.algoMas)
+                : respuesta('INITIAL_ORDER', mensajes(idioma).preguntaOrden);
+        }
+        return null;
+    }
+}
+
+module.exports = InterpreteReglas;
@@ -0,0 +1,275 @@
+// Archivo: Inventario.js
+// Existencias de ingredientes y recetas de productos y modificadores (migración 014).
+// Database.agregarOrden descuenta lo que consume la orden en su misma transacción y
+// Database.cambiarEstadoOrden lo devuelve si se cancela o rechaza. Cuando un ingrediente ya no
+// alcanza para una unidad más, los productos (y modificadores) que lo usan se retiran solos del
+// menú, y vuelven cuando se repone. El panel muestra alertas de ingredientes en su mínimo.
+
+const TIPOS_AJUSTE = ['conteo', 'ajuste'];
+
+const redondear = cantidad => Math.round(cantidad * 100) / 100;
+
+function sumar(mapa, id, cantidad) {
+    mapa.set(id, (mapa.get(id) || 0) + cantidad);
+}
+
+/**
+ * Ingredientes que consumen las líneas de una orden: Map ingrediente_id -> cantidad.
+ * 'recetas' y 'ajustes' son filas de 'recetas' y 'recetas_modificadores'.
+ */
+function consumoDeLineas(lineas, recetas, ajustes) {
+    const consumo = new Map();
+    for (const linea of lineas) {
+        const porUnidad = new Map();
+        recetas.filter(r => r.producto_id === linea.producto_id)
+            .forEach(r => sumar(porUnidad, r.ingrediente_id, parseFloat(r.cantidad)));
+        for (const { id } of linea.personalizaciones || []) {
+            for (const ajuste of ajustes.filter(a => a.modificador_id === id)) {
+                if (ajuste.reemplaza_ingrediente_id) {
+                    const cantidad = porUnidad.get(ajuste.reemplaza_ingrediente_id);
+                    if (!cantidad) continue;
+                    porUnidad.delete(ajuste.reemplaza_ingrediente_id);
+                    sumar(porUnidad, ajuste.ingrediente_id, cantidad);
+                } else {
+                    sumar(porUnidad, ajuste.ingrediente_id, parseFloat(ajuste.cantidad));
+                }
+            }
+        }
+        for (const [id, cantidad] of porUnidad) {
+            sumar(consumo, id, cantidad * (linea.cantidad || 1));
+        }
+    }
+    return consumo;
+}
+
+/**
+ * Retira del menú lo que ya no alcanza a prepararse y devuelve lo retirado automáticamente
+ * que ya se puede preparar otra vez. Devuelve { retirados, repuestos } con los nombres.
+ */
+async function actualizarDisponibilidad(client) {
+    const faltaProducto = `EXISTS (SELECT 1 FROM recetas r JOIN ingredientes i ON i.id = r.ingrediente_id
+                                   WHERE r.producto_id = menu.id AND i.existencia < r.cantidad)`;
+    const faltaModificador = `EXISTS (SELECT 1 FROM recetas_modificadores r JOIN ingredientes i ON i.id = r.ingrediente_id
+                                      WHERE r.modificador_id = modificadores.id
+                                        AND (i.existencia <= 0 OR i.existencia < COALESCE(r.cantidad, 0)))`;
+    const retirados = [
+        ...(await client.query(`UPDATE menu SET disponible = FALSE, agotado_por_inventario = TRUE WHERE disponible AND ${faltaProducto} RETURNING nombre`)).rows,
+        ...(await client.query(`UPDATE modificadores SET disponible = FALSE, agotado_por_inventario = TRUE WHERE disponible AND ${faltaModificador} RETURNING nombre`)).rows
+    ];
+    const repuestos = [
+        ...(await client.query(`UPDATE menu SET disponible = TRUE, agotado_por_inventario = FALSE WHERE agotado_por_inventario AND NOT ${faltaProducto} RETURNING nombre`)).rows,
+        ...(await client.query(`UPDATE modificadores SET disponible = TRUE, agotado_por_inventario = FALSE WHERE agotado_por_inventario AND NOT ${faltaModificador} RETURNING nombre`)).rows
+    ];
+    return { retirados: retirados.map(r => r.nombre), repuestos: repuestos.map(r => r.nombre) };
+}
+
+/**
+ * Aplica 'cambios' (Map ingrediente_id -> diferencia) a las existencias, registra cada
+ * movimiento y actualiza la disponibilidad del menú. Los ingredientes se bloquean en orden
+ * de id para que dos órdenes simultáneas no se esperen mutuamente.
+ * Devuelve { retirados, repuestos, bajos } ('bajos': ingredientes tocados que quedaron en su mínimo);
+ * sin cambios reales no toca nada.
+ */
+async function moverExistencias(client, cambios, { tipo, ordenId = null, usuarioId = null, nota = null }) {
+    const movimientos = [...cambios].filter(([, cantidad]) => redondear(cantidad) !== 0).sort((a, b) => a[0] - b[0]);
+    if (movimientos.length === 0) {
+        return { retirados: [], repuestos: [], bajos: [] };
+    }
+    const bajos = [];
+    for (const [id, cantidad] of movimientos) {
+        const res = await client.query(
+            'UPDATE ingredientes SET existencia = existencia + $2, actualizado_en = NOW() WHERE id = $1 RETURNING *',
+            [id, redondear(cantidad)]
+        );
+        const ingrediente = res.rows[0];
+        await client.query(
+            `INSERT INTO movimientos_inventario (ingrediente_id, tipo, cantidad, existencia_resultante, orden_id, usuario_id, nota)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [id, tipo, redondear(cantidad), ingrediente.existencia, ordenId, usuarioId, nota]
+        );
+        if (parseFloat(ingrediente.existencia) <= parseFloat(ingrediente.minimo)) {
+            bajos.push(ingrediente.nombre);
+        }
+    }
+    return { ...(await actualizarDisponibilidad(client)), bajos };
+}
+
+class Inventario {
+    constructor(db) {
+        this.db = db;
+        if (!this.db) {
+            throw new Error("Inventario requiere una instancia de base de datos para funcionar.");
+        }
+    }
+
+    /**
+     * Descuenta lo que consumen las líneas de una orden recién creada (ver Database.agregarOrden).
+     * Se ejecuta con el 'client' de la transacción de la orden.
+     */
+    static async descontarOrden(client, ordenId, lineas) {
+        const productoIds = [...new Set(lineas.map(l => l.producto_id).filter(Boolean))];
+        const modificadorIds = [...new Set(lineas.flatMap(l => (l.personalizaciones || []).map(p => p.id)).filter(Number.isInteger))];
+        const recetas = await client.query('SELECT * FROM recetas WHERE producto_id = ANY($1::int[])', [productoIds]);
+        const ajustes = await client.query('SELECT * FROM recetas_modificadores WHERE modificador_id = ANY($1::int[])', [modificadorIds]);
+
+        const consumo = consumoDeLineas(lineas, recetas.rows, ajustes.rows);
+        const cambios = new Map([...consumo].map(([id, cantidad]) => [id, -cantidad]));
+        return moverExistencias(client, cambios, { tipo: 'venta', ordenId });
+    }
+
+    /**
+     * Devuelve a las existencias lo que descontó una orden (cancelada o rechazada).
+     * Solo devuelve lo pendiente, así que llamarla dos veces no suma de más.
+     */
+    static async devolverOrden(client, ordenId, { usuarioId = null } = {}) {
+        const res = await client.query(
+            `SELECT ingrediente_id, SUM(cantidad) AS neto FROM movimientos_inventario
+             WHERE orden_id = $1 AND tipo IN ('venta', 'devolucion')
+             GROUP BY ingrediente_id`,
+            [ordenId]
+        );
+        const cambios = new Map(res.rows.map(r => [r.ingrediente_id, -parseFloat(r.neto)]));
+        return moverExistencias(client, cambios, { tipo: 'devolucion', ordenId, usuarioId });
+    }
+
+    /**
+     * Ingredientes (con 'bajo' si están en su mínimo) y las recetas de productos y modificadores.
+     */
+    async obtenerInventario() {
+        const [ingredientes, recetas, ajustes] = await Promise.all([
+            this.db.pool.query('SELECT *, existencia <= minimo AS bajo FROM ingredientes ORDER BY nombre'),
+            this.db.pool.query(
+                `SELECT r.*, m.nombre AS producto, i.nombre AS ingrediente, i.unidad
+                 FROM recetas r JOIN menu m ON m.id = r.producto_id JOIN ingredientes i ON i.id = r.ingrediente_id
+                 ORDER BY m.posicion, m.id, i.nombre`
+            ),
+            this.db.pool.query(
+                `SELECT r.*, m.nombre AS modificador, i.nombre AS ingrediente, i.unidad, ri.nombre AS reemplaza
+                 FROM recetas_modificadores r JOIN modificadores m ON m.id = r.modificador_id
+                 JOIN ingredientes i ON i.id = r.ingrediente_id
+                 LEFT JOIN ingredientes ri ON ri.id = r.reemplaza_ingrediente_id
+                 ORDER BY m.grupo_id, m.posicion, i.nombre`
+            )
+        ]);
+        return { ingredientes: ingredientes.rows, recetas: recetas.rows, recetas_modificadores: ajustes.rows };
+    }
+
+    /**
+     * Ingredientes en o por debajo de su mínimo, del más escaso al menos escaso.
+     */
+    async obtenerAlertas() {
+        const res = await this.db.pool.query(
+            'SELECT * FROM ingredientes WHERE existencia <= minimo ORDER BY existencia - minimo, nombre'
+        );
+        return res.rows;
+    }
+
+    /**
+     * Crea un ingrediente. La existencia inicial queda registrada como un conteo.
+     */
+    async crearIngrediente({ nombre, unidad = 'pieza', minimo = 0, existencia = 0 }, { usuario_id = null } = {}) {
+        return this.db.transaccion(async (client) => {
+            const res = await client.query(
+                'INSERT INTO ingredientes (nombre, unidad, minimo) VALUES ($1, $2, $3) RETURNING *',
+                [nombre, unidad, minimo]
+            );
+            const ingrediente = res.rows[0];
+            await moverExistencias(client, new Map([[ingrediente.id, existencia]]), { tipo: 'conteo', usuarioId: usuario_id, nota: 'Existencia inicial' });
+            return (await client.query('SELECT * FROM ingredientes WHERE id = $1', [ingrediente.id])).rows[0];
+        });
+    }
+
+    /**
+     * Cambia nombre, unidad o mínimo. La existencia solo cambia con ajustarExistencia.
+     */
+    async actualizarIngrediente(id, campos) {
+        const res = await this.db.pool.query(
+            `UPDATE ingredientes SET nombre = COALESCE($2, nombre), unidad = COALESCE($3, unidad), minimo = COALESCE($4, minimo)
+             WHERE id = $1 RETURNING *`,
+            [id, campos.nombre ?? null, campos.unidad ?? null, campos.minimo ?? null]
+        );
+        return res.rows[0];
+    }
+
+    /**
+     * Elimina un ingrediente y sus renglones de receta; lo que estaba retirado solo por él vuelve al menú.
+     */
+    async eliminarIngrediente(id) {
+        return this.db.transaccion(async (client) => {
+            const res = await client.query('DELETE FROM ingredientes WHERE id = $1 RETURNING *', [id]);
+            if (!res.rows[0]) return undefined;
+            return { ingrediente: res.rows[0], ...(await actualizarDisponibilidad(client)) };
+        });
+    }
+
+    /**
+     * Conteo físico ('conteo': 'cantidad' es la existencia real) o ajuste manual ('ajuste':
+     * 'cantidad' se suma, negativa para mermas). Devuelve { ingrediente, retirados, repuestos, bajos }
+     * o undefined si el ingrediente no existe.
+     */
+    async ajustarExistencia(id, { tipo, cantidad, nota = null }, { usuario_id = null } = {}) {
+        return this.db.transaccion(async (client) => {
+            const actual = await client.query('SELECT * FROM ingredientes WHERE id = $1 FOR UPDATE', [id]);
+            const ingrediente = actual.rows[0];
+            if (!ingrediente) return undefined;
+
+            const diferencia = tipo === 'conteo' ? cantidad - parseFloat(ingrediente.existencia) : cantidad;
+            const cambios = await moverExistencias(client, new Map([[ingrediente.id, diferencia]]), { tipo, usuarioId: usuario_id, nota });
+            const res = await client.query('SELECT * FROM ingredientes WHERE id = $1', [id]);
+            return { ingrediente: res.rows[0], ...cambios };
+        });
+    }
+
+    /**
+     * Reemplaza la receta de un producto ([{ ingrediente_id, cantidad }]; vacía = sin control).
+     */
+    async guardarRecetaProducto(productoId, ingredientes) {
+        return this.db.transaccion(async (client) => {
+            await client.query('DELETE FROM recetas WHERE producto_id = $1', [productoId]);
+            for (const { ingrediente_id, cantidad } of ingredientes) {
+                await client.query(
+                    'INSERT INTO recetas (producto_id, ingrediente_id, cantidad) VALUES ($1, $2, $3)',
+                    [productoId, ingrediente_id, cantidad]
+                );
+            }
+            return actualizarDisponibilidad(client);
+        });
+    }
+
+    /**
+     * Reemplaza los ajustes de receta de un modificador
+     * ([{ ingrediente_id, cantidad }] o [{ ingrediente_id, reemplaza_ingrediente_id }]).
+     */
+    async guardarRecetaModificador(modificadorId, ajustes) {
+        return this.db.transaccion(async (client) => {
+            await client.query('DELETE FROM recetas_modificadores WHERE modificador_id = $1', [modificadorId]);
+            for (const { ingrediente_id, cantidad = null, reemplaza_ingrediente_id = null } of ajustes) {
+                await client.query(
+                    `INSERT INTO recetas_modificadores (modificador_id, ingrediente_id, cantidad, reemplaza_ingrediente_id)
+                     VALUES ($1, $2, $3, $4)`,
+                    [modificadorId, ingrediente_id, reemplaza_ingrediente_id ? null : cantidad, reemplaza_ingrediente_id]
+                );
+            }
+            return actualizarDisponibilidad(client);
+        });
+    }
+
+    /**
+     * Movimientos más recientes (ventas, devoluciones, conteos y ajustes), opcionalmente de un ingrediente.
+     */
+    async obtenerMovimientos({ ingredienteId = null, limite = 100 } = {}) {
+        const res = await this.db.pool.query(
+            `SELECT mv.*, i.nombre AS ingrediente, i.unidad, u.usuario
+             FROM movimientos_inventario mv JOIN ingredientes i ON i.id = mv.ingrediente_id
+             LEFT JOIN usuarios u ON u.id = mv.usuario_id
+             WHERE ($1::int IS NULL OR mv.ingrediente_id = $1)
+             ORDER BY mv.fecha DESC, mv.id DESC LIMIT $2`,
+            [ingredienteId, limite]
+        );
+        return res.rows;
+    }
+}
+
+Inventario.TIPOS_AJUSTE = TIPOS_AJUSTE;
+
+module.exports = Inventario;
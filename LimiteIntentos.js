@@ -0,0 +1,43 @@
+// Archivo: LimiteIntentos.js
+// Límites de intentos por ventana de tiempo fija, guardados en 'limites_intentos' (migración 023)
+// para que se compartan entre instancias y sobrevivan a un reinicio. Cada clave lleva el prefijo de
+// lo que limita, p. ej. 'login-ip:203.0.113.7' o 'login-usuario:ana'.
+
+class LimiteIntentos {
+    constructor(db) {
+        this.db = db;
+        if (!this.db) {
+            throw new Error("LimiteIntentos requiere una instancia de base de datos para funcionar.");
+        }
+    }
+
+    /**
+     * Cuenta un intento para la clave y devuelve true si no pasa de 'maximo' en la ventana de
+     * 'ventanaMs'. Contar y comprobar es una sola sentencia: peticiones simultáneas no superan el límite.
+     */
+    async intentar(clave, { maximo, ventanaMs }) {
+        const res = await this.db.pool.query(
+            `INSERT INTO limites_intentos (clave, intentos, vence_en)
+             VALUES ($1, 1, NOW() + ($2 * INTERVAL '1 millisecond'))
+             ON CONFLICT (clave) DO UPDATE SET
+                 intentos = CASE WHEN limites_intentos.vence_en <= NOW() THEN 1 ELSE limites_intentos.intentos + 1 END,
+                 vence_en = CASE WHEN limites_intentos.vence_en <= NOW() THEN EXCLUDED.vence_en ELSE limites_intentos.vence_en END
+             RETURNING intentos`,
+            [clave, ventanaMs]
+        );
+        return res.rows[0].intentos <= maximo;
+    }
+
+    /**
+     * Olvida los intentos de la clave (p. ej. tras un inicio de sesión correcto).
+     */
+    async reiniciar(clave) {
+        await this.db.pool.query('DELETE FROM limites_intentos WHERE clave = $1', [clave]);
+    }
+
+    async limpiarVencidos() {
+        await this.db.pool.query('DELETE FROM limites_intentos WHERE vence_en <= NOW()');
+    }
+}
+
+module.exports = LimiteIntentos;
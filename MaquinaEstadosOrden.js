@@ -0,0 +1,52 @@
+// Archivo: MaquinaEstadosOrden.js
+// Estados de una orden y transiciones permitidas. Es la única fuente de verdad del flujo:
+// la usan Database.cambiarEstadoOrden (validación en servidor) y el panel de administración.
+//
+//   recibida -> en_preparacion -> lista_para_servir -> completada
+//   cualquier estado no final -> cancelada;  recibida -> rechazada
+
+const TRANSICIONES = {
+    recibida: ['en_preparacion', 'cancelada', 'rechazada'],
+    en_preparacion: ['lista_para_servir', 'cancelada'],
+    lista_para_servir: ['completada', 'cancelada'],
+    completada: [],
+    cancelada: [],
+    rechazada: []
+};
+
+const ESTADOS = Object.keys(TRANSICIONES);
+const ESTADOS_FINALES = ESTADOS.filter(e => TRANSICIONES[e].length === 0);
+
+// Estados que solo puede asignar un administrador y que exigen un motivo.
+const ESTADOS_CON_MOTIVO = ['cancelada', 'rechazada'];
+
+/**
+ * Error de una transición no permitida. 'status' lo usa el manejador de errores global.
+ */
+class TransicionInvalidaError extends Error {
+    constructor(desde, hacia) {
+        super(`No se puede pasar una orden de '${desde}' a '${hacia}'.`);
+        this.name = 'TransicionInvalidaError';
+        this.status = 409;
+        this.desde = desde;
+        this.hacia = hacia;
+    }
+}
+
+function puedeTransicionar(desde, hacia) {
+    return (TRANSICIONES[desde] || []).includes(hacia);
+}
+
+/**
+ * Lanza TransicionInvalidaError si 'desde' -> 'hacia' no está permitida.
+ */
+function validarTransicion(desde, hacia) {
+    if (!puedeTransicionar(desde, hacia)) {
+        throw new TransicionInvalidaError(desde, hacia);
+    }
+}
+
+module.exports = {
+    TRANSICIONES, ESTADOS, ESTADOS_FINALES, ESTADOS_CON_MOTIVO,
+    TransicionInvalidaError, puedeTransicionar, validarTransicion
+};
@@ -0,0 +1,91 @@
+// Archivo: Migrador.js
+// Ejecuta las migraciones versionadas de la carpeta 'migrations/' sobre PostgreSQL.
+// Cada archivo se nombra 'NNN_descripcion.sql' y se aplica una sola vez, en orden,
+// dentro de su propia transacción. Las versiones aplicadas se registran en 'schema_migrations'.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const DIRECTORIO_MIGRACIONES = path.join(__dirname, 'migrations');
+const PATRON_ARCHIVO = /^(\d+)_([\w-]+)\.sql$/;
+
+// Identificador arbitrario para pg_advisory_lock: evita que dos instancias
+// del servidor apliquen las mismas migraciones al arrancar simultáneamente.
+const LOCK_MIGRACIONES = 48151623;
+
+class Migrador {
+    constructor(pool, directorio = DIRECTORIO_MIGRACIONES) {
+        this.pool = pool;
+        this.directorio = directorio;
+    }
+
+    /**
+     * Lee la carpeta de migraciones y devuelve la lista ordenada por versión.
+     */
+    async listarMigraciones() {
+        const archivos = await fs.readdir(this.directorio);
+        const migraciones = [];
+        for (const archivo of archivos) {
+            const match = archivo.match(PATRON_ARCHIVO);
+            if (!match) continue;
+            migraciones.push({ version: parseInt(match[1], 10), nombre: match[2], archivo });
+        }
+        migraciones.sort((a, b) => a.version - b.version);
+
+        for (let i = 1; i < migraciones.length; i++) {
+            if (migraciones[i].version === migraciones[i - 1].version) {
+                throw new Error(`Migraciones duplicadas con la versión ${migraciones[i].version}.`);
+            }
+        }
+        return migraciones;
+    }
+
+    /**
+     * Aplica todas las migraciones pendientes. Devuelve las versiones aplicadas.
+     */
+    async ejecutar() {
+        const client = await this.pool.connect();
+        try {
+            await client.query('SELECT pg_advisory_lock($1)', [LOCK_MIGRACIONES]);
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS schema_migrations (
+                    version INTEGER PRIMARY KEY,
+                    nombre VARCHAR(200) NOT NULL,
+                    aplicada_en TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
+
+            const { rows } = await client.query('SELECT version FROM schema_migrations');
+            const aplicadas = new Set(rows.map(r => r.version));
+            const pendientes = (await this.listarMigraciones()).filter(m => !aplicadas.has(m.version));
+
+            for (const migracion of pendientes) {
+                const sql = await fs.readFile(path.join(this.directorio, migracion.archivo), 'utf8');
+                console.log(`[MIGRACIÓN] Aplicando ${migracion.archivo}...`);
+                try {
+                    await client.query('BEGIN');
+                    await client.query(sql);
+                    await client.query(
+                        'INSERT INTO schema_migrations (version, nombre) VALUES ($1, $2)',
+                        [migracion.version, migracion.nombre]
+                    );
+                    await client.query('COMMIT');
+                } catch (error) {
+                    await client.query('ROLLBACK');
+                    console.error(`[MIGRACIÓN] Falló ${migracion.archivo}:`, error.message);
+                    throw error;
+                }
+            }
+
+            if (pendientes.length === 0) {
+                console.log("[MIGRACIÓN] El esquema está al día.");
+            }
+            return pendientes.map(m => m.version);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [LOCK_MIGRACIONES]).catch(() => {});
+            client.release();
+        }
+    }
+}
+
+module.exports = Migrador;
@@ -0,0 +1,144 @@
+// Archivo: Notificador.js
+// Notificaciones al cliente (orden confirmada, lista, cancelada, enlace de pago) a través de canales
+// intercambiables (ver CanalesNotificacion.js). Los mensajes pasan por la bandeja de salida
+// 'notificaciones_salientes': se guardan primero y se envían/reintentan después.
+
+const { crearCanales } = require('./CanalesNotificacion');
+const { ZONA_HORARIA } = require('./HorarioNegocio');
+
+const formatoPrecio = valor => `$${parseFloat(valor || 0).toFixed(2)}`;
+const formatoHora = fecha => new Date(fecha).toLocaleTimeString('es-MX', { timeZone: ZONA_HORARIA, hour: 'numeric', minute: '2-digit' });
+
+// Plantillas en español. Reciben la orden y los datos extra del evento (p. ej. 'motivo'); el
+// mensaje se envía con el nombre de la sucursal de la orden al inicio ("Cafe Delicia: ...").
+const PLANTILLAS = {
+    orden_confirmada: (orden) =>
+        `¡Gracias${orden.nombre_cliente ? ', ' + orden.nombre_cliente : ''}! Tu orden #${orden.id} está confirmada. Total: ${formatoPrecio(orden.total)}.${orden.hora_recogida ? ` Recógela a las ${formatoHora(orden.hora_recogida)}.` : ''}`,
+    orden_lista: (orden) =>
+        `Tu orden #${orden.id} está lista para recoger. ¡Te esperamos!`,
+    orden_cancelada: (orden, { motivo } = {}) =>
+        `Tu orden #${orden.id} fue cancelada${motivo ? ` (${motivo})` : ''}. Si tienes dudas, llámanos.`,
+    enlace_pago: (orden, { url, monto } = {}) =>
+        `Paga tu orden #${orden.id} (${formatoPrecio(monto ?? orden.total)}) aquí: ${url} . También puedes pagar al recoger.`,
+    pago_recibido: (orden, { monto } = {}) =>
+        `Recibimos tu pago de ${formatoPrecio(monto)} de la orden #${orden.id}. ¡Gracias!`,
+    reembolso: (orden, { monto } = {}) =>
+        `Te reembolsamos ${formatoPrecio(monto)} de la orden #${orden.id}.`
+};
+
+class Notificador {
+    constructor(db, canales = crearCanales(), { maxIntentos = 5, esperaBaseMs = 30 * 1000 } = {}) {
+        this.db = db;
+        if (!this.db) {
+            throw new Error("Notificador requiere una instancia de base de datos para funcionar.");
+        }
+        this.canales = new Map(canales.map(c => [c.nombre, c]));
+        this.maxIntentos = maxIntentos;
+        this.esperaBaseMs = esperaBaseMs;
+    }
+
+    /**
+     * Encola el mensaje del evento para cada canal configurado y lanza un envío inmediato
+     * (sin esperar). Los fallos se reintentan en procesarPendientes().
+     */
+    async notificar(evento, orden, datos = {}) {
+        const plantilla = PLANTILLAS[evento];
+        if (!plantilla) {
+            throw new Error(`Evento de notificación desconocido: "${evento}".`);
+        }
+        const mensaje = `${await this._nombreSucursal(orden)}: ${plantilla(orden, datos)}`;
+
+        for (const canal of this.canales.values()) {
+            const destinatario = canal.destinatarioPara(orden);
+            if (!destinatario) continue;
+            await this.db.pool.query(
+                `INSERT INTO notificaciones_salientes (orden_id, evento, canal, destinatario, mensaje, datos)
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [orden.id, evento, canal.nombre, destinatario, mensaje, JSON.stringify({ ...datos, orden_id: orden.id })]
+            );
+        }
+
+        this.procesarPendientes().catch(error => console.error('[NOTIFICACIONES] Error al procesar la bandeja:', error));
+    }
+
+    async _nombreSucursal(orden) {
+        if (orden.sucursal) return orden.sucursal;
+        const res = await this.db.pool.query('SELECT nombre FROM sucursales WHERE id = $1', [orden.sucursal_id ?? 1]);
+        return res.rows[0].nombre;
+    }
+
+    /**
+     * Envía las notificaciones pendientes cuyo próximo intento ya venció. Las filas se bloquean
+     * con SKIP LOCKED, así que varias instancias pueden procesar la bandeja sin duplicar envíos.
+     * Devuelve cuántas se enviaron.
+     */
+    async procesarPendientes({ limite = 20 } = {}) {
+        return this.db.transaccion(async (client) => {
+            const { rows } = await client.query(
+                `SELECT * FROM notificaciones_salientes
+                 WHERE estado = 'pendiente' AND proximo_intento <= NOW()
+                 ORDER BY proximo_intento LIMIT $1
+                 FOR UPDATE SKIP LOCKED`,
+                [limite]
+            );
+
+            let enviadas = 0;
+            for (const notificacion of rows) {
+                const canal = this.canales.get(notificacion.canal);
+                try {
+                    if (!canal) {
+                        throw new Error(`El canal '${notificacion.canal}' ya no está configurado.`);
+                    }
+                    await canal.enviar({
+                        destinatario: notificacion.destinatario, evento: notificacion.evento,
+                        mensaje: notificacion.mensaje, datos: notificacion.datos
+                    });
+                    await client.query(
+                        `UPDATE notificaciones_salientes SET estado = 'enviada', intentos = intentos + 1, enviada_en = NOW(), ultimo_error = NULL
+                         WHERE id = $1`,
+                        [notificacion.id]
+                    );
+                    enviadas++;
+                } catch (error) {
+                    const intentos = notificacion.intentos + 1;
+                    const agotado = !canal || intentos >= this.maxIntentos;
+                    const esperaMs = this.esperaBaseMs * (2 ** (intentos - 1));
+                    console.warn(`[NOTIFICACIONES] Falló #${notificacion.id} (${notificacion.canal}, intento ${intentos}): ${error.message}`);
+                    await client.query(
+                        `UPDATE notificaciones_salientes
+                         SET estado = $2, intentos = $3, ultimo_error = $4, proximo_intento = NOW() + ($5 * INTERVAL '1 millisecond')
+                         WHERE id = $1`,
+                        [notificacion.id, agotado ? 'fallida' : 'pendiente', intentos, error.message, esperaMs]
+                    );
+                }
+            }
+            return enviadas;
+        });
+    }
+
+    /**
+     * Vuelve a poner en cola una notificación (p. ej. una 'fallida' desde el panel).
+     */
+    async reintentar(id) {
+        const res = await this.db.pool.query(
+            `UPDATE notificaciones_salientes SET estado = 'pendiente', proximo_intento = NOW()
+             WHERE id = $1 AND estado <> 'enviada' RETURNING *`,
+            [id]
+        );
+        return res.rows[0];
+    }
+
+    /**
+     * Notificaciones más recientes; con 'ordenId', solo las de esa orden.
+     */
+    async listar({ limite = 50, ordenId = null } = {}) {
+        const res = ordenId
+            ? await this.db.pool.query('SELECT * FROM notificaciones_salientes WHERE orden_id = $1 ORDER BY creada_en DESC LIMIT $2', [ordenId, limite])
+            : await this.db.pool.query('SELECT * FROM notificaciones_salientes ORDER BY creada_en DESC LIMIT $1', [limite]);
+        return res.rows;
+    }
+}
+
+Notificador.PLANTILLAS = PLANTILLAS;
+
+module.exports = Notificador;
@@ -0,0 +1,210 @@
+// Archivo: Pagos.js
+// Cobros y reembolsos de las órdenes (migración 015). Si hay una pasarela configurada
+// (PAYMENT_GATEWAY, ver PasarelasPago.js), al confirmar una orden por teléfono se crea un enlace de
+// pago que se envía por SMS; la pasarela avisa por el webhook cuando se paga. El personal registra además cobros en efectivo o con
+// tarjeta en el mostrador, y el admin los reembolsos.
+// Cada movimiento queda en 'pagos'; 'estado_pago' y 'monto_pagado' de la orden se recalculan.
+
+const { crearPasarelaPago } = require('./PasarelasPago');
+
+const METODOS_MOSTRADOR = ['efectivo', 'tarjeta'];
+const ESTADOS_SIN_COBRO = ['cancelada', 'rechazada'];
+
+const aMonto = valor => Math.round(parseFloat(valor || 0) * 100) / 100;
+
+const errorConflicto = mensaje => Object.assign(new Error(mensaje), { status: 409 });
+
+class Pagos {
+    /**
+     * 'pasarela' es null si no hay PAYMENT_GATEWAY. 'enlaces' activa el envío del enlace de pago al
+     * confirmar (PAYMENT_LINKS=false lo desactiva); sin pasarela no hay enlaces.
+     */
+    constructor(db, pasarela = crearPasarelaPago(), { enlaces = process.env.PAYMENT_LINKS !== 'false' } = {}) {
+        this.db = db;
+        if (!this.db) {
+            throw new Error("Pagos requiere una instancia de base de datos para funcionar.");
+        }
+        this.pasarela = pasarela;
+        this.enlaces = Boolean(pasarela) && enlaces;
+    }
+
+    /**
+     * Crea un enlace de pago por el saldo de la orden. Devuelve el pago pendiente, o null si
+     * la orden no tiene saldo. Lanza un error 409 si no hay pasarela.
+     */
+    async crearEnlace(orden) {
+        this._requierePasarela();
+        const saldo = aMonto(aMonto(orden.total) - aMonto(orden.monto_pagado));
+        if (saldo <= 0) {
+            return null;
+        }
+        const { referencia, url } = await this.pasarela.crearEnlace({
+            ordenId: orden.id, monto: saldo, descripcion: `Cafe Delicia, orden #${orden.id}`
+        });
+        const res = await this.db.pool.query(
+            `INSERT INTO pagos (orden_id, metodo, monto, estado, referencia, pasarela, url)
+             VALUES ($1, 'enlace', $2, 'pendiente', $3, $4, $5) RETURNING *`,
+            [orden.id, saldo, referencia, this.pasarela.nombre, url]
+        );
+        return res.rows[0];
+    }
+
+    /**
+     * Pago de un enlace con los datos de su orden, o undefined si no existe.
+     */
+    async obtenerEnlace(referencia) {
+        const res = await this.db.pool.query(
+            `SELECT p.*, o.nombre_cliente, o.items, o.estado AS estado_orden
+             FROM pagos p JOIN ordenes o ON o.id = p.orden_id
+             WHERE p.pasarela = $1 AND p.referencia = $2 AND p.metodo = 'enlace'`,
+            [this.pasarela.nombre, referencia]
+        );
+        return res.rows[0];
+    }
+
+    /**
+     * Aplica el aviso de la pasarela ({ referencia, estado: 'pagado' | 'fallido', monto }).
+     * Las pasarelas reintentan sus webhooks: un aviso repetido no cambia nada y devuelve
+     * { pago, orden: null }. Lanza un error 404 si la referencia no es de un enlace nuestro.
+     */
+    async confirmarEnlace({ referencia, estado, monto }) {
+        return this.db.transaccion(async (client) => {
+            const actual = await client.query(
+                `SELECT * FROM pagos WHERE pasarela = $1 AND referencia = $2 AND metodo = 'enlace' FOR UPDATE`,
+                [this.pasarela.nombre, referencia]
+            );
+            const pago = actual.rows[0];
+            if (!pago) {
+                throw Object.assign(new Error(`No hay un enlace de pago con la referencia '${referencia}'.`), { status: 404 });
+            }
+            if (pago.estado !== 'pendiente') {
+                return { pago, orden: null };
+            }
+            const res = estado === 'pagado'
+                ? await client.query(
+                    `UPDATE pagos SET estado = 'completado', monto = $2, completado_en = NOW() WHERE id = $1 RETURNING *`,
+                    [pago.id, Number.isFinite(monto) && monto > 0 ? aMonto(monto) : pago.monto])
+                : await client.query(`UPDATE pagos SET estado = 'fallido' WHERE id = $1 RETURNING *`, [pago.id]);
+            return { pago: res.rows[0], orden: await this._recalcular(client, pago.orden_id) };
+        });
+    }
+
+    /**
+     * Cobro en el mostrador ('efectivo' o 'tarjeta'). Sin 'monto' se cobra el saldo pendiente.
+     * Devuelve { pago, orden }, undefined si la orden no existe, o lanza un error 409 si la orden
+     * no admite el cobro.
+     */
+    async registrarCobro(ordenId, { metodo, monto = null, referencia = null }, { usuario_id = null } = {}) {
+        return this.db.transaccion(async (client) => {
+            const orden = await this._bloquearOrden(client, ordenId);
+            if (!orden) return undefined;
+            if (ESTADOS_SIN_COBRO.includes(orden.estado)) {
+                throw errorConflicto(`La orden ${ordenId} está ${orden.estado}; no se puede cobrar.`);
+            }
+            const saldo = aMonto(aMonto(orden.total) - aMonto(orden.monto_pagado));
+            if (saldo <= 0) {
+                throw errorConflicto(`La orden ${ordenId} ya está pagada.`);
+            }
+            const cobro = monto === null ? saldo : aMonto(monto);
+            if (cobro > saldo) {
+                throw errorConflicto(`El monto excede el saldo pendiente de $${saldo.toFixed(2)}.`);
+            }
+            const res = await client.query(
+                `INSERT INTO pagos (orden_id, metodo, monto, referencia, usuario_id, completado_en)
+                 VALUES ($1, $2, $3, $4, $5, NOW()) RETURNING *`,
+                [ordenId, metodo, cobro, referencia, usuario_id]
+            );
+            return { pago: res.rows[0], orden: await this._recalcular(client, ordenId) };
+        });
+    }
+
+    /**
+     * Reembolsa lo cobrado (todo, o 'monto'). Lo pagado con enlace se reembolsa en la pasarela;
+     * el efectivo y la tarjeta del mostrador solo se registran. Devuelve { pago, orden },
+     * undefined si la orden no existe, o lanza un error 409 si no hay nada que reembolsar.
+     */
+    async reembolsar(ordenId, { monto = null, motivo }, { usuario_id = null } = {}) {
+        return this.db.transaccion(async (client) => {
+            const orden = await this._bloquearOrden(client, ordenId);
+            if (!orden) return undefined;
+            const pagado = aMonto(orden.monto_pagado);
+            if (pagado <= 0) {
+                throw errorConflicto(`La orden ${ordenId} no tiene pagos que reembolsar.`);
+            }
+            const reembolso = monto === null ? pagado : aMonto(monto);
+            if (reembolso > pagado) {
+                throw errorConflicto(`El monto excede lo pagado ($${pagado.toFixed(2)}).`);
+            }
+
+            const metodo = orden.metodo_pago || 'efectivo';
+            let referencia = null;
+            if (metodo === 'enlace') {
+                this._requierePasarela();
+                ({ referencia } = await this.pasarela.reembolsar({ referencia: orden.referencia_pago, monto: reembolso }));
+            }
+            const res = await client.query(
+                `INSERT INTO pagos (orden_id, tipo, metodo, monto, referencia, pasarela, motivo, usuario_id, completado_en)
+                 VALUES ($1, 'reembolso', $2, $3, $4, $5, $6, $7, NOW()) RETURNING *`,
+                [ordenId, metodo, reembolso, referencia, referencia ? this.pasarela.nombre : null, motivo, usuario_id]
+            );
+            return { pago: res.rows[0], orden: await this._recalcular(client, ordenId) };
+        });
+    }
+
+    /**
+     * Cobros y reembolsos de una orden, del más antiguo al más reciente.
+     */
+    async obtenerPagos(ordenId) {
+        const res = await this.db.pool.query(
+            `SELECT p.*, u.usuario FROM pagos p LEFT JOIN usuarios u ON u.id = p.usuario_id
+             WHERE p.orden_id = $1 ORDER BY p.creado_en, p.id`,
+            [ordenId]
+        );
+        return res.rows;
+    }
+
+    _requierePasarela() {
+        if (!this.pasarela) {
+            throw errorConflicto('No hay pasarela de pago configurada (PAYMENT_GATEWAY).');
+        }
+    }
+
+    async _bloquearOrden(client, ordenId) {
+        const res = await client.query('SELECT * FROM ordenes WHERE id = $1 FOR UPDATE', [ordenId]);
+        return res.rows[0];
+    }
+
+    /**
+     * Recalcula el resumen de pago de la orden a partir de sus pagos completados: lo neto
+     * cobrado, el estado ('pendiente', 'parcial', 'pagada' o 'reembolsada') y el método y la
+     * referencia del último cobro. Devuelve la orden actualizada.
+     */
+    async _recalcular(client, ordenId) {
+        const res = await client.query(
+            `UPDATE ordenes o SET
+                monto_pagado = s.neto,
+                estado_pago = CASE
+                    WHEN s.reembolsado > 0 AND s.neto <= 0 THEN 'reembolsada'
+                    WHEN s.neto >= o.total THEN 'pagada'
+                    WHEN s.neto > 0 THEN 'parcial'
+                    ELSE 'pendiente' END,
+                metodo_pago = COALESCE(s.metodo, o.metodo_pago),
+                referencia_pago = CASE WHEN s.metodo IS NULL THEN o.referencia_pago ELSE s.referencia END
+             FROM (
+                SELECT COALESCE(SUM(CASE WHEN tipo = 'cobro' THEN monto ELSE -monto END), 0) AS neto,
+                       COALESCE(SUM(monto) FILTER (WHERE tipo = 'reembolso'), 0) AS reembolsado,
+                       (array_agg(metodo ORDER BY completado_en DESC) FILTER (WHERE tipo = 'cobro'))[1] AS metodo,
+                       (array_agg(referencia ORDER BY completado_en DESC) FILTER (WHERE tipo = 'cobro'))[1] AS referencia
+                FROM pagos WHERE orden_id = $1 AND estado = 'completado'
+             ) s
+             WHERE o.id = $1
+             RETURNING o.*`,
+            [ordenId]
+        );
+        return res.rows[0];
+    }
+}
+
+Pagos.METODOS_MOSTRADOR = METODOS_MOSTRADOR;
+
+module.exports = Pagos;
@@ -0,0 +1,177 @@
+// Archivo: PasarelasPago.js
+// Adaptadores de pasarela de pago para Pagos.js, seleccionables con PAYMENT_GATEWAY.
+// Todas exponen:
+//   nombre: identificador (se guarda en 'pagos.pasarela')
+//   async crearEnlace({ ordenId, monto, descripcion }) -> { referencia, url }
+//   leerWebhook(req) -> { referencia, estado: 'pagado' | 'fallido', monto }, o null si el aviso no
+//       cambia ningún pago; lanza un error con status 401 si la petición no viene firmada por la pasarela
+//   async reembolsar({ referencia, monto }) -> { referencia } del reembolso
+// Ninguna tiene secreto por defecto: sin PAYMENT_WEBHOOK_SECRET cualquiera podría firmar un aviso de pago.
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const URL_BASE_PUBLICA = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+// Antigüedad máxima de un aviso de Stripe, para que no se pueda reenviar uno capturado.
+const TOLERANCIA_FIRMA_SEGUNDOS = 300;
+
+const errorFirma = () => Object.assign(new Error('Firma del webhook de pago inválida.'), { status: 401 });
+
+const firmaValida = (firma, esperada) => typeof firma === 'string' && firma.length === esperada.length &&
+    crypto.timingSafeEqual(Buffer.from(firma), Buffer.from(esperada));
+
+/**
+ * Pasarela local para desarrollo y pruebas: no cobra nada. El enlace abre una página del propio
+ * servidor (/pagos/falso/:referencia) que envía al webhook el mismo evento firmado que mandaría
+ * una pasarela real. Solo se usa con PAYMENT_GATEWAY=falsa y nunca con NODE_ENV=production.
+ */
+class PasarelaFalsa {
+    constructor({ baseUrl = URL_BASE_PUBLICA, secreto = process.env.PAYMENT_WEBHOOK_SECRET } = {}) {
+        this.nombre = 'falsa';
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.secreto = secreto;
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error("PasarelaFalsa no cobra nada: no se puede usar con NODE_ENV=production.");
+        }
+        if (!this.secreto) {
+            throw new Error("PasarelaFalsa requiere PAYMENT_WEBHOOK_SECRET.");
+        }
+    }
+
+    async crearEnlace({ ordenId }) {
+        const referencia = `falso_${ordenId}_${crypto.randomBytes(6).toString('hex')}`;
+        return { referencia, url: `${this.baseUrl}/pagos/falso/${referencia}` };
+    }
+
+    /**
+     * Cuerpo firmado del webhook para un pago (lo usa la página de pago falsa).
+     */
+    eventoFirmado({ referencia, estado, monto }) {
+        const evento = { referencia, estado, monto: Number(monto).toFixed(2) };
+        return { ...evento, firma: this._firmar(evento) };
+    }
+
+    leerWebhook(req) {
+        const { referencia, estado, monto, firma } = req.body || {};
+        if (!firmaValida(firma, this._firmar({ referencia, estado, monto }))) {
+            throw errorFirma();
+        }
+        return { referencia, estado, monto: Number(monto) };
+    }
+
+    async reembolsar({ referencia }) {
+        return { referencia: `${referencia}_reembolso_${crypto.randomBytes(4).toString('hex')}` };
+    }
+
+    _firmar({ referencia, estado, monto }) {
+        return crypto.createHmac('sha256', this.secreto).update(`${referencia}|${estado}|${monto}`).digest('hex');
+    }
+}
+
+/**
+ * Stripe Checkout: cada enlace es una sesión de pago alojada por Stripe (la referencia es su id).
+ * El webhook del panel de Stripe debe enviar los eventos 'checkout.session.*' a /pagos/webhook;
+ * PAYMENT_WEBHOOK_SECRET es su secreto de firma ('whsec_...'). Los montos van en centavos de
+ * PAYMENT_CURRENCY ('mxn' por defecto).
+ */
+class PasarelaStripe {
+    constructor({
+        apiKey = process.env.STRIPE_SECRET_KEY,
+        secreto = process.env.PAYMENT_WEBHOOK_SECRET,
+        moneda = process.env.PAYMENT_CURRENCY || 'mxn',
+        baseUrl = URL_BASE_PUBLICA,
+        http = axios
+    } = {}) {
+        this.nombre = 'stripe';
+        this.apiKey = apiKey;
+        this.secreto = secreto;
+        this.moneda = moneda.toLowerCase();
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.http = http;
+        if (!this.apiKey || !this.secreto) {
+            throw new Error("PasarelaStripe requiere STRIPE_SECRET_KEY y PAYMENT_WEBHOOK_SECRET.");
+        }
+    }
+
+    async crearEnlace({ ordenId, monto, descripcion }) {
+        const sesion = await this._post('/checkout/sessions', {
+            'mode': 'payment',
+            'line_items[0][quantity]': 1,
+            'line_items[0][price_data][currency]': this.moneda,
+            'line_items[0][price_data][unit_amount]': Math.round(monto * 100),
+            'line_items[0][price_data][product_data][name]': descripcion,
+            'metadata[orden_id]': ordenId,
+            'success_url': `${this.baseUrl}/pagos/gracias`
+        });
+        return { referencia: sesion.id, url: sesion.url };
+    }
+
+    /**
+     * Verifica la cabecera 'Stripe-Signature' (HMAC-SHA256 de "t.cuerpo" con el secreto) sobre el
+     * cuerpo tal como llegó ('req.cuerpoCrudo', ver server.js).
+     */
+    leerWebhook(req) {
+        const partes = String(req.headers['stripe-signature'] || '').split(',').map(p => p.split('='));
+        const marca = partes.find(([clave]) => clave === 't')?.[1];
+        if (!marca || !req.cuerpoCrudo || Math.abs(Date.now() / 1000 - Number(marca)) > TOLERANCIA_FIRMA_SEGUNDOS) {
+            throw errorFirma();
+        }
+        const esperada = crypto.createHmac('sha256', this.secreto).update(`${marca}.${req.cuerpoCrudo}`).digest('hex');
+        if (!partes.some(([clave, firma]) => clave === 'v1' && firmaValida(firma, esperada))) {
+            throw errorFirma();
+        }
+
+        const { type: tipo, data } = JSON.parse(req.cuerpoCrudo);
+        const sesion = data?.object || {};
+        const monto = sesion.amount_total / 100;
+        // Con métodos asíncronos (p. ej. OXXO) la sesión se completa sin pago; se espera al aviso final.
+        if ((tipo === 'checkout.session.completed' && sesion.payment_status === 'paid') || tipo === 'checkout.session.async_payment_succeeded') {
+            return { referencia: sesion.id, estado: 'pagado', monto };
+        }
+        if (tipo === 'checkout.session.async_payment_failed' || tipo === 'checkout.session.expired') {
+            return { referencia: sesion.id, estado: 'fallido', monto };
+        }
+        return null;
+    }
+
+    async reembolsar({ referencia, monto }) {
+        const sesion = await this._get(`/checkout/sessions/${encodeURIComponent(referencia)}`);
+        const reembolso = await this._post('/refunds', { payment_intent: sesion.payment_intent, amount: Math.round(monto * 100) });
+        return { referencia: reembolso.id };
+    }
+
+    async _post(ruta, campos) {
+        const res = await this.http.post(`https://api.stripe.com/v1${ruta}`, new URLSearchParams(campos).toString(), {
+            headers: { Authorization: `Bearer ${this.apiKey}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: 10000
+        });
+        return res.data;
+    }
+
+    async _get(ruta) {
+        const res = await this.http.get(`https://api.stripe.com/v1${ruta}`, {
+            headers: { Authorization: `Bearer ${this.apiKey}` },
+            timeout: 10000
+        });
+        return res.data;
+    }
+}
+
+const PASARELAS = { stripe: PasarelaStripe, falsa: PasarelaFalsa };
+
+/**
+ * Crea la pasarela configurada en PAYMENT_GATEWAY, o devuelve null si no hay ninguna (sin
+ * pasarela no se envían enlaces de pago: se paga al recoger).
+ */
+function crearPasarelaPago(tipo = process.env.PAYMENT_GATEWAY) {
+    if (!tipo) {
+        return null;
+    }
+    const Pasarela = PASARELAS[tipo];
+    if (!Pasarela) {
+        throw new Error(`PAYMENT_GATEWAY desconocida: "${tipo}". Usa: ${Object.keys(PASARELAS).join(', ')}.`);
+    }
+    return new Pasarela();
+}
+
+module.exports = { PasarelaFalsa, PasarelaStripe, crearPasarelaPago };
@@ -0,0 +1,227 @@
+// Archivo: Promociones.js
+// Promociones, combos y cupones (migración 021): combos ("café + muffin por $4"), descuentos por
+// porcentaje (con franja horaria, p. ej. la hora feliz), "lleva X, paga Y" y cupones (cualquier
+// promoción con 'codigo', que solo aplica si el cliente lo dice). AsistenteIA evalúa el carrito
+// en cada turno con las promociones vigentes de la sucursal y aplica la mejor; no se acumulan.
+// Anuncia el descuento al aplicarlo y en UPSELL_FINAL ofrece el combo al que le falta un producto.
+// Las personalizaciones se cobran siempre: combos y "lleva X, paga Y" descuentan sobre el precio
+// del producto; el porcentaje, sobre el subtotal de la línea.
+
+const HorarioNegocio = require('./HorarioNegocio');
+const { mensajes, nombreEn } = require('./Idiomas');
+
+const TIPOS = ['combo', 'descuento', 'lleva_x_paga_y'];
+const CAMPOS = ['nombre', 'nombre_en', 'tipo', 'productos', 'precio', 'porcentaje', 'lleva', 'paga', 'codigo',
+    'dias', 'hora_inicio', 'hora_fin', 'vigente_desde', 'vigente_hasta', 'sucursal_id', 'activa'];
+
+// Las fechas de vigencia como 'AAAA-MM-DD' (pg devuelve Date en la zona del servidor); reemplazan
+// a las del '*'.
+const COLUMNAS = `*, to_char(vigente_desde, 'YYYY-MM-DD') AS vigente_desde, to_char(vigente_hasta, 'YYYY-MM-DD') AS vigente_hasta`;
+
+const redondear = monto => Math.round(monto * 100) / 100;
+
+/**
+ * Un código de cupón como se guarda: mayúsculas, sin acentos, espacios ni signos ("café 10" -> 'CAFE10').
+ */
+function normalizarCodigo(codigo) {
+    return String(codigo || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Map id -> veces que aparece en la lista.
+ */
+function contar(ids) {
+    return ids.reduce((mapa, id) => mapa.set(id, (mapa.get(id) || 0) + 1), new Map());
+}
+
+/**
+ * Las líneas del carrito con el id de su producto (el carrito solo guarda el nombre del catálogo).
+ */
+function lineasDe(items, menu) {
+    const idPorNombre = new Map(menu.map(p => [p.nombre, p.id]));
+    return items.map(item => ({
+        productoId: idPorNombre.get(item.nombre),
+        cantidad: item.cantidad || 1,
+        precio: parseFloat(item.precio_unitario) || 0,
+        subtotal: parseFloat(item.subtotal) || 0
+    }));
+}
+
+/**
+ * Cuánto descuenta una promoción a las líneas del carrito: { veces, descuento }, con descuento 0
+ * si no aplica. Un combo aplica tantas veces como se completa.
+ */
+function calcularDescuento(promocion, lineas) {
+    const productos = promocion.productos || [];
+    const incluida = linea => productos.length === 0 || productos.includes(linea.productoId);
+    switch (promocion.tipo) {
+        case 'combo': {
+            const enCarrito = new Map();
+            const precios = new Map();
+            for (const linea of lineas) {
+                enCarrito.set(linea.productoId, (enCarrito.get(linea.productoId) || 0) + linea.cantidad);
+                precios.set(linea.productoId, Math.max(precios.get(linea.productoId) || 0, linea.precio));
+            }
+            const veces = Math.min(...[...contar(productos)].map(([id, n]) => Math.floor((enCarrito.get(id) || 0) / n)));
+            const regular = productos.reduce((acc, id) => acc + (precios.get(id) || 0), 0);
+            return { veces, descuento: veces > 0 ? redondear(veces * Math.max(regular - parseFloat(promocion.precio), 0)) : 0 };
+        }
+        case 'lleva_x_paga_y': {
+            // Del más caro al más barato: en cada grupo de 'lleva' se regalan los más baratos.
+            const precios = lineas.filter(incluida).flatMap(l => Array(l.cantidad).fill(l.precio)).sort((a, b) => b - a);
+            const veces = Math.floor(precios.length / promocion.lleva);
+            let descuento = 0;
+            for (let grupo = 1; grupo <= veces; grupo++) {
+                precios.slice(grupo * promocion.lleva - (promocion.lleva - promocion.paga), grupo * promocion.lleva)
+                    .forEach(precio => { descuento += precio; });
+            }
+            return { veces, descuento: redondear(descuento) };
+        }
+        case 'descuento': {
+            const base = lineas.filter(incluida).reduce((acc, l) => acc + l.subtotal, 0);
+            return { veces: base > 0 ? 1 : 0, descuento: redondear(base * parseFloat(promocion.porcentaje) / 100) };
+        }
+        default:
+            return { veces: 0, descuento: 0 };
+    }
+}
+
+/**
+ * La promoción que más descuenta al carrito, de las vigentes ('promociones', ver vigentes) y los
+ * cupones que dijo el cliente: { id, nombre, nombre_en, tipo, codigo, veces, descuento }, o null.
+ * Los items deben tener precio (ver AsistenteIA._preciarItems).
+ */
+function mejorPromocion(promociones, items, menu, cupones = []) {
+    const lineas = lineasDe(items, menu);
+    let mejor = null;
+    for (const promocion of promociones) {
+        if (promocion.codigo && !cupones.includes(promocion.codigo)) continue;
+        const { veces, descuento } = calcularDescuento(promocion, lineas);
+        if (descuento > 0 && (!mejor || descuento > mejor.descuento)) {
+            const { id, nombre, nombre_en, tipo, codigo } = promocion;
+            mejor = { id, nombre, nombre_en, tipo, codigo, veces, descuento };
+        }
+    }
+    return mejor;
+}
+
+/**
+ * El combo al que solo le falta un producto para completarse (el de más ahorro, a precios del
+ * menú): { promocion, producto, ahorro }, o null.
+ */
+function comboSugerido(promociones, items, menu, cupones = []) {
+    const porId = new Map(menu.map(p => [p.id, p]));
+    const enCarrito = new Map();
+    for (const linea of lineasDe(items, menu)) {
+        enCarrito.set(linea.productoId, (enCarrito.get(linea.productoId) || 0) + linea.cantidad);
+    }
+    let sugerido = null;
+    for (const promocion of promociones) {
+        if (promocion.tipo !== 'combo' || (promocion.codigo && !cupones.includes(promocion.codigo))) continue;
+        const requeridos = contar(promocion.productos);
+        const faltan = [...requeridos].flatMap(([id, n]) => Array(Math.max(n - (enCarrito.get(id) || 0), 0)).fill(id));
+        if (faltan.length !== 1 || !porId.has(faltan[0]) || ![...requeridos.keys()].some(id => enCarrito.get(id))) continue;
+        const regular = promocion.productos.reduce((acc, id) => acc + parseFloat(porId.get(id)?.precio || 0), 0);
+        const ahorro = redondear(regular - parseFloat(promocion.precio));
+        if (ahorro > 0 && (!sugerido || ahorro > sugerido.ahorro)) {
+            sugerido = { promocion, producto: porId.get(faltan[0]), ahorro };
+        }
+    }
+    return sugerido;
+}
+
+/**
+ * La promoción en palabras, con los nombres del menú en el idioma de la conversación:
+ * "Café Americano y Muffin de Arándanos por $4.00", "20% de descuento en Capuchino de 16:00 a 18:00".
+ */
+function describir(promocion, menu, idioma) {
+    const textos = mensajes(idioma).promociones;
+    const porId = new Map(menu.map(p => [p.id, p]));
+    const productos = [...contar(promocion.productos || [])]
+        .filter(([id]) => porId.has(id))
+        .map(([id, n]) => `${n > 1 ? `${n} ` : ''}${nombreEn(porId.get(id), idioma)}`);
+    const descripcion = {
+        combo: () => textos.combo(productos, promocion.precio),
+        descuento: () => textos.porcentaje(parseFloat(promocion.porcentaje), productos),
+        lleva_x_paga_y: () => textos.llevaPaga(promocion.lleva, promocion.paga, productos)
+    }[promocion.tipo]();
+    return promocion.hora_inicio
+        ? `${descripcion}${textos.horario(promocion.hora_inicio.slice(0, 5), promocion.hora_fin.slice(0, 5))}`
+        : descripcion;
+}
+
+class Promociones {
+    /**
+     * 'horario' da la fecha y la hora del café (el simulador fija su reloj).
+     */
+    constructor(db, { horario = null } = {}) {
+        this.db = db;
+        if (!this.db) {
+            throw new Error("Promociones requiere una instancia de base de datos para funcionar.");
+        }
+        this.horario = horario || new HorarioNegocio(db);
+    }
+
+    /**
+     * Promociones activas de la sucursal (o de todas) que valen ahora: fechas, día de la semana y
+     * franja horaria en la zona del café.
+     */
+    async vigentes(sucursalId) {
+        const { fecha, diaSemana, hora } = this.horario.ahoraLocal();
+        const res = await this.db.pool.query(
+            `SELECT * FROM promociones
+             WHERE activa AND (sucursal_id IS NULL OR sucursal_id = $1)
+               AND (vigente_desde IS NULL OR vigente_desde <= $2::date) AND (vigente_hasta IS NULL OR vigente_hasta >= $2::date)
+               AND (dias IS NULL OR $3::smallint = ANY(dias))
+               AND (hora_inicio IS NULL OR ($4::time >= hora_inicio AND $4::time < hora_fin))
+             ORDER BY id`,
+            [sucursalId, fecha, diaSemana, hora]
+        );
+        return res.rows;
+    }
+
+    /**
+     * Todas las promociones, con su sucursal y cuántas órdenes la usaron.
+     */
+    async listar() {
+        const res = await this.db.pool.query(
+            `SELECT p.${COLUMNAS}, s.nombre AS sucursal,
+                    (SELECT COUNT(*) FROM orden_promociones op WHERE op.promocion_id = p.id)::int AS usos
+             FROM promociones p LEFT JOIN sucursales s ON s.id = p.sucursal_id
+             ORDER BY p.activa DESC, p.id`
+        );
+        return res.rows;
+    }
+
+    async crear(campos) {
+        const columnas = CAMPOS.filter(c => campos[c] !== undefined);
+        const res = await this.db.pool.query(
+            `INSERT INTO promociones (${columnas.join(', ')}) VALUES (${columnas.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING ${COLUMNAS}`,
+            columnas.map(c => campos[c])
+        );
+        return res.rows[0];
+    }
+
+    /**
+     * Actualiza los campos presentes. Devuelve undefined si no existe.
+     */
+    async actualizar(id, campos) {
+        return this.db._actualizarCampos('promociones', id, campos, CAMPOS);
+    }
+
+    /**
+     * Elimina una promoción. Las órdenes que la usaron conservan su nombre y descuento.
+     */
+    async eliminar(id) {
+        const res = await this.db.pool.query('DELETE FROM promociones WHERE id = $1 RETURNING *', [id]);
+        return res.rows[0];
+    }
+}
+
+Promociones.TIPOS = TIPOS;
+Promociones.normalizarCodigo = normalizarCodigo;
+Promociones.mejorPromocion = mejorPromocion;
+Promociones.comboSugerido = comboSugerido;
+Promociones.describir = describir;
+
+module.exports = Promociones;
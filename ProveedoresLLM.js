@@ -0,0 +1,126 @@
+// Archivo: ProveedoresLLM.js
+// Backends de modelo de lenguaje para AsistenteIA, seleccionables con LLM_PROVIDER.
+// Todos exponen la misma interfaz:
+//   nombre: identificador para los logs
+//   disponible() -> true si está configurado (p. ej. tiene clave de API)
+//   async generar({ sistema, usuario, herramienta }) -> 'input' de la herramienta (objeto)
+// 'herramienta' es { name, description, input_schema } (formato JSON Schema de Anthropic).
+// Los errores HTTP conservan 'error.response.status' (axios) para que AsistenteIA decida si reintenta.
+
+const axios = require('axios');
+
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS, 10) || 6000;
+
+/**
+ * API de mensajes de Anthropic con 'tool_choice' forzado a la herramienta.
+ */
+class ProveedorAnthropic {
+    constructor({ apiKey = process.env.ANTHROPIC_API_KEY, modelo = process.env.ANTHROPIC_MODEL || 'claude-3-haiku-20240307' } = {}) {
+        this.nombre = 'anthropic';
+        this.apiKey = apiKey || '';
+        this.modelo = modelo;
+    }
+
+    disponible() {
+        return Boolean(this.apiKey);
+    }
+
+    async generar({ sistema, usuario, herramienta }) {
+        const response = await axios.post('https://api.anthropic.com/v1/messages', {
+            model: this.modelo,
+            system: sistema,
+            messages: [{ role: 'user', content: usuario }],
+            max_tokens: 1024,
+            tools: [herramienta],
+            tool_choice: { type: 'tool', name: herramienta.name }
+        }, {
+            headers: {
+                'x-api-key': this.apiKey,
+                'anthropic-version': '2023-06-01',
+                'content-type': 'application/json'
+            },
+            timeout: TIMEOUT_MS
+        });
+
+        const toolCall = response.data?.content?.find(block => block.type === 'tool_use');
+        if (!toolCall || !toolCall.input) {
+            throw new Error("NO_TOOL_CALL_IN_RESPONSE");
+        }
+        return toolCall.input;
+    }
+}
+
+/**
+ * Servidor compatible con la API de OpenAI (/chat/completions con 'tools'), como los
+ * servidores locales de vLLM, llama.cpp u Ollama. LLM_BASE_URL apunta a la raíz '/v1'.
+ */
+class ProveedorOpenAICompatible {
+    constructor({ baseUrl = process.env.LLM_BASE_URL, modelo = process.env.LLM_MODEL, apiKey = process.env.LLM_API_KEY } = {}) {
+        this.nombre = 'openai';
+        this.baseUrl = (baseUrl || '').replace(/\/$/, '');
+        this.modelo = modelo;
+        this.apiKey = apiKey;
+    }
+
+    disponible() {
+        return Boolean(this.baseUrl && this.modelo);
+    }
+
+    async generar({ sistema, usuario, herramienta }) {
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+            model: this.modelo,
+            messages: [
+                { role: 'system', content: sistema },
+                { role: 'user', content: usuario }
+            ],
+            tools: [{
+                type: 'function',
+                function: { name: herramienta.name, description: herramienta.description, parameters: herramienta.input_schema }
+            }],
+            tool_choice: { type: 'function', function: { name: herramienta.name } },
+            temperature: 0
+        }, {
+            headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+            timeout: TIMEOUT_MS
+        });
+
+        const toolCall = response.data?.choices?.[0]?.message?.tool_calls?.[0];
+        if (!toolCall || !toolCall.function?.arguments) {
+            throw new Error("NO_TOOL_CALL_IN_RESPONSE");
+        }
+        return JSON.parse(toolCall.function.arguments);
+    }
+}
+
+/**
+ * Sin modelo: nunca está disponible, así que AsistenteIA usa siempre el intérprete de reglas.
+ * Útil en desarrollo y demos sin clave de API.
+ */
+class ProveedorStub {
+    constructor() {
+        this.nombre = 'stub';
+    }
+
+    disponible() {
+        return false;
+    }
+
+    async generar() {
+        throw new Error("ProveedorStub no genera respuestas.");
+    }
+}
+
+const PROVEEDORES = { anthropic: ProveedorAnthropic, openai: ProveedorOpenAICompatible, stub: ProveedorStub };
+
+/**
+ * Crea el proveedor configurado en LLM_PROVIDER ('anthropic' por defecto, 'openai' o 'stub').
+ */
+function crearProveedorLLM(tipo = process.env.LLM_PROVIDER || 'anthropic') {
+    const Proveedor = PROVEEDORES[tipo];
+    if (!Proveedor) {
+        throw new Error(`LLM_PROVIDER desconocido: "${tipo}". Usa: ${Object.keys(PROVEEDORES).join(', ')}.`);
+    }
+    return new Proveedor();
+}
+
+module.exports = { ProveedorAnthropic, ProveedorOpenAICompatible, ProveedorStub, crearProveedorLLM };
@@ -0,0 +1,229 @@
+// Archivo: Reportes.js
+// Consultas de reportes para el panel: ventas por día/semana, productos y modificadores más
+// vendidos, ingresos por área de preparación, tiempos de preparación por estación, conversión
+// de llamadas en órdenes, órdenes por canal (llamada, chat web, SMS, WhatsApp) y descuentos por
+// promoción. Todas reciben un rango de fechas (en la zona horaria del café) y,
+// opcionalmente, 'sucursalId' para una sola sucursal; devuelven filas planas, listas para JSON
+// o CSV (ver aCSV).
+
+const { ZONA_HORARIA } = require('./HorarioNegocio');
+
+const DIAS_POR_DEFECTO = 30;
+const FORMATO_FECHA = /^\d{4}-\d{2}-\d{2}$/;
+
+// Las órdenes canceladas o rechazadas no cuentan como ventas.
+const ESTADOS_SIN_VENTA = ['cancelada', 'rechazada'];
+
+class FiltroReporteInvalidoError extends Error {
+    constructor(mensaje) {
+        super(mensaje);
+        this.name = 'FiltroReporteInvalidoError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Convierte filas en CSV (separado por comas, con encabezado). Los valores con comas,
+ * comillas o saltos de línea se entrecomillan; objetos y arreglos se serializan como JSON.
+ */
+function aCSV(filas) {
+    if (filas.length === 0) return '';
+    const columnas = Object.keys(filas[0]);
+    const celda = (valor) => {
+        if (valor === null || valor === undefined) return '';
+        const texto = valor instanceof Date ? valor.toISOString()
+            : typeof valor === 'object' ? JSON.stringify(valor) : String(valor);
+        return /[",\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+    };
+    return [columnas.join(','), ...filas.map(f => columnas.map(c => celda(f[c])).join(','))].join('\n') + '\n';
+}
+
+class Reportes {
+    constructor(db) {
+        this.db = db;
+        if (!this.db) {
+            throw new Error("Reportes requiere una instancia de base de datos para funcionar.");
+        }
+    }
+
+    /**
+     * Valida el rango { desde, hasta } ('AAAA-MM-DD', ambos inclusive). Por defecto, los últimos 30 días.
+     */
+    normalizarRango({ desde, hasta } = {}) {
+        const hoy = new Date().toLocaleDateString('en-CA', { timeZone: ZONA_HORARIA });
+        hasta = hasta || hoy;
+        if (!desde) {
+            const inicio = new Date(`${hasta}T00:00:00Z`);
+            inicio.setUTCDate(inicio.getUTCDate() - (DIAS_POR_DEFECTO - 1));
+            desde = inicio.toISOString().slice(0, 10);
+        }
+        for (const [nombre, valor] of [['desde', desde], ['hasta', hasta]]) {
+            // Date acepta '2026-02-31' (lo pasa a marzo): se compara de vuelta para rechazarlo.
+            const fecha = new Date(`${valor}T00:00:00Z`);
+            if (!FORMATO_FECHA.test(valor) || isNaN(fecha) || fecha.toISOString().slice(0, 10) !== valor) {
+                throw new FiltroReporteInvalidoError(`'${nombre}' debe ser una fecha con formato AAAA-MM-DD.`);
+            }
+        }
+        if (desde > hasta) {
+            throw new FiltroReporteInvalidoError("'desde' no puede ser posterior a 'hasta'.");
+        }
+        return { desde, hasta };
+    }
+
+    /**
+     * Condición SQL para 'columna' dentro del rango, en la zona horaria del café, y de la sucursal
+     * pedida en la misma tabla ('o.fecha' -> 'o.sucursal_id').
+     * Usa los parámetros $1 (desde), $2 (hasta), $3 (zona horaria) y $4 (sucursal, null = todas).
+     */
+    _enRango(columna) {
+        const tabla = columna.includes('.') ? columna.slice(0, columna.indexOf('.') + 1) : '';
+        return `(${columna} AT TIME ZONE $3::text)::date BETWEEN $1::date AND $2::date AND ($4::int IS NULL OR ${tabla}sucursal_id = $4)`;
+    }
+
+    /**
+     * Ejecuta el reporte; los parámetros propios ('extra') empiezan en $5.
+     */
+    async _consultar(sql, rango, extra = []) {
+        const { desde, hasta } = this.normalizarRango(rango);
+        const res = await this.db.pool.query(sql, [desde, hasta, ZONA_HORARIA, rango.sucursalId ?? null, ...extra]);
+        return res.rows;
+    }
+
+    /**
+     * Ventas por periodo ('dia' o 'semana', que empieza el lunes): órdenes, total y ticket promedio.
+     */
+    async ventas({ agrupacion = 'dia', ...rango } = {}) {
+        const unidades = { dia: 'day', semana: 'week' };
+        if (!unidades[agrupacion]) {
+            throw new FiltroReporteInvalidoError("'agrupacion' debe ser 'dia' o 'semana'.");
+        }
+        return this._consultar(`
+            SELECT to_char(date_trunc('${unidades[agrupacion]}', fecha AT TIME ZONE $3::text), 'YYYY-MM-DD') AS periodo,
+                   COUNT(*)::int AS ordenes,
+                   COALESCE(SUM(total), 0)::float AS total,
+                   ROUND(COALESCE(AVG(total), 0), 2)::float AS ticket_promedio
+            FROM ordenes
+            WHERE ${this._enRango('fecha')} AND estado <> ALL($5::text[])
+            GROUP BY 1 ORDER BY 1`, rango, [ESTADOS_SIN_VENTA]);
+    }
+
+    /**
+     * Productos más vendidos por unidades, con sus ingresos.
+     */
+    async productosTop({ limite = 10, ...rango } = {}) {
+        return this._consultar(`
+            SELECT i.nombre, SUM(i.cantidad)::int AS unidades, SUM(i.subtotal)::float AS ingresos
+            FROM orden_items i JOIN ordenes o ON o.id = i.orden_id
+            WHERE ${this._enRango('o.fecha')} AND o.estado <> ALL($5::text[])
+            GROUP BY i.nombre ORDER BY unidades DESC, ingresos DESC LIMIT $6::int`, rango, [ESTADOS_SIN_VENTA, limite]);
+    }
+
+    /**
+     * Modificadores más pedidos (contando la cantidad de cada línea), con lo que sumaron al precio.
+     */
+    async modificadoresTop({ limite = 10, ...rango } = {}) {
+        return this._consultar(`
+            SELECT p->>'nombre' AS nombre, p->>'grupo' AS grupo,
+                   SUM(i.cantidad)::int AS unidades,
+                   SUM(i.cantidad * COALESCE((p->>'precio_delta')::numeric, 0))::float AS ingresos
+            FROM orden_items i
+            JOIN ordenes o ON o.id = i.orden_id
+            CROSS JOIN LATERAL jsonb_array_elements(i.personalizaciones) p
+            WHERE ${this._enRango('o.fecha')} AND o.estado <> ALL($5::text[])
+            GROUP BY 1, 2 ORDER BY unidades DESC LIMIT $6::int`, rango, [ESTADOS_SIN_VENTA, limite]);
+    }
+
+    /**
+     * Ingresos y unidades por área de preparación (barra, cocina...).
+     */
+    async ingresosPorArea(rango = {}) {
+        return this._consultar(`
+            SELECT i.area_preparacion AS area, SUM(i.cantidad)::int AS unidades, SUM(i.subtotal)::float AS ingresos
+            FROM orden_items i JOIN ordenes o ON o.id = i.orden_id
+            WHERE ${this._enRango('o.fecha')} AND o.estado <> ALL($5::text[])
+            GROUP BY 1 ORDER BY ingresos DESC`, rango, [ESTADOS_SIN_VENTA]);
+    }
+
+    /**
+     * Tiempo de preparación por estación: desde que se registró la orden hasta que la estación
+     * marcó listo su último item (orden_items.listo_en). En minutos.
+     */
+    async tiemposPreparacion(rango = {}) {
+        return this._consultar(`
+            WITH por_orden AS (
+                SELECT i.area_preparacion AS area, o.id, EXTRACT(EPOCH FROM MAX(i.listo_en) - o.fecha) / 60 AS minutos
+                FROM orden_items i JOIN ordenes o ON o.id = i.orden_id
+                WHERE ${this._enRango('o.fecha')} AND i.listo_en IS NOT NULL
+                GROUP BY i.area_preparacion, o.id, o.fecha
+            )
+            SELECT area, COUNT(*)::int AS ordenes,
+                   ROUND(AVG(minutos)::numeric, 1)::float AS promedio_minutos,
+                   ROUND(MIN(minutos)::numeric, 1)::float AS minimo_minutos,
+                   ROUND(MAX(minutos)::numeric, 1)::float AS maximo_minutos
+            FROM por_orden GROUP BY area ORDER BY area`, rango);
+    }
+
+    /**
+     * Conversión por día: llamadas iniciadas frente a las que terminaron en una orden (solo las
+     * llamadas; las conversaciones de texto están en 'porCanal').
+     */
+    async conversion(rango = {}) {
+        return this._consultar(`
+            SELECT to_char(iniciada_en AT TIME ZONE $3::text, 'YYYY-MM-DD') AS dia,
+                   COUNT(*)::int AS llamadas,
+                   COUNT(orden_id)::int AS ordenes,
+                   ROUND(100.0 * COUNT(orden_id) / COUNT(*), 1)::float AS conversion_pct
+            FROM llamadas
+            WHERE ${this._enRango('iniciada_en')} AND canal = 'voz'
+            GROUP BY 1 ORDER BY 1`, rango);
+    }
+
+    /**
+     * Por canal ('voz', 'web', 'sms', 'whatsapp'): conversaciones, órdenes, ventas y conversión.
+     */
+    async porCanal(rango = {}) {
+        return this._consultar(`
+            WITH conversaciones AS (
+                SELECT canal, COUNT(*)::int AS conversaciones FROM llamadas
+                WHERE ${this._enRango('iniciada_en')} GROUP BY canal
+            ), ventas AS (
+                SELECT canal, COUNT(*)::int AS ordenes, COALESCE(SUM(total), 0)::float AS total FROM ordenes
+                WHERE ${this._enRango('fecha')} AND estado <> ALL($5::text[]) GROUP BY canal
+            )
+            SELECT canal, COALESCE(c.conversaciones, 0) AS conversaciones, COALESCE(v.ordenes, 0) AS ordenes,
+                   COALESCE(v.total, 0)::float AS total,
+                   CASE WHEN c.conversaciones > 0 THEN ROUND(100.0 * COALESCE(v.ordenes, 0) / c.conversaciones, 1)::float END AS conversion_pct
+            FROM conversaciones c FULL JOIN ventas v USING (canal)
+            ORDER BY ordenes DESC, canal`, rango, [ESTADOS_SIN_VENTA]);
+    }
+
+    /**
+     * Por promoción aplicada (ver Promociones.js): órdenes, veces, lo que se descontó y lo que se
+     * vendió en esas órdenes (ya con el descuento).
+     */
+    async porPromocion(rango = {}) {
+        return this._consultar(`
+            SELECT op.nombre, op.tipo, op.codigo, COUNT(DISTINCT o.id)::int AS ordenes,
+                   SUM(op.veces)::int AS veces, SUM(op.descuento)::float AS descuento,
+                   SUM(o.total)::float AS ventas
+            FROM orden_promociones op JOIN ordenes o ON o.id = op.orden_id
+            WHERE ${this._enRango('o.fecha')} AND o.estado <> ALL($5::text[])
+            GROUP BY 1, 2, 3 ORDER BY descuento DESC, nombre`, rango, [ESTADOS_SIN_VENTA]);
+    }
+}
+
+// Reportes disponibles en la API (/admin/reportes/:tipo) -> método.
+Reportes.TIPOS = {
+    ventas: 'ventas',
+    productos: 'productosTop',
+    modificadores: 'modificadoresTop',
+    areas: 'ingresosPorArea',
+    'tiempos-preparacion': 'tiemposPreparacion',
+    conversion: 'conversion',
+    canales: 'porCanal',
+    promociones: 'porPromocion'
+};
+
+Reportes.aCSV = aCSV;
+
+module.exports = Reportes;
@@ -0,0 +1,112 @@
+// Archivo: Sucursales.js
+// Sucursales del café. Cada una contesta en su número de Twilio con su saludo y su voz ('voz_en'
+// en las llamadas en inglés, ver Idiomas.js), tiene su horario y su cola de órdenes (ver
+// HorarioNegocio.js) y puede ajustar el precio o la disponibilidad de los productos del catálogo
+// común ('menu_sucursales', ver Database.obtenerMenu).
+// El personal con 'sucursal_id' solo ve y atiende las órdenes de su sucursal; 'telefono_personal' es
+// a donde se transfieren sus llamadas cuando el cliente pide hablar con alguien (ver Transferencias.js).
+
+// La sucursal 1 existe siempre (migración 016): recibe las llamadas a números sin sucursal y es
+// la que se configura cuando el panel no tiene una elegida.
+const PRINCIPAL = 1;
+
+class Sucursales {
+    constructor(db) {
+        this.db = db;
+        if (!this.db) {
+            throw new Error("Sucursales requiere una instancia de base de datos para funcionar.");
+        }
+    }
+
+    async listar() {
+        const res = await this.db.pool.query('SELECT * FROM sucursales ORDER BY id');
+        return res.rows;
+    }
+
+    /**
+     * Obtiene una sucursal por su id, o undefined si no existe.
+     */
+    async obtener(id) {
+        const res = await this.db.pool.query('SELECT * FROM sucursales WHERE id = $1', [id]);
+        return res.rows[0];
+    }
+
+    /**
+     * Sucursal que atiende el número llamado (el 'To' de Twilio); si ninguna lo tiene, la principal.
+     */
+    async paraNumero(numero) {
+        const res = await this.db.pool.query(
+            'SELECT * FROM sucursales WHERE telefono = $1 OR id = $2 ORDER BY (telefono = $1) DESC NULLS LAST LIMIT 1',
+            [numero || null, PRINCIPAL]
+        );
+        return res.rows[0];
+    }
+
+    /**
+     * Crea una sucursal. Empieza con el horario semanal de la principal, que después se ajusta
+     * desde el panel.
+     */
+    async crear({ nombre, telefono = null, saludo = null, voz, telefono_personal = null, voz_en }) {
+        return this.db.transaccion(async (client) => {
+            const res = await client.query(
+                `INSERT INTO sucursales (nombre, telefono, saludo, voz, telefono_personal, voz_en)
+                 VALUES ($1, $2, $3, COALESCE($4, 'Polly.Lupe'), $5, COALESCE($6, 'Polly.Joanna')) RETURNING *`,
+                [nombre, telefono, saludo, voz || null, telefono_personal, voz_en || null]
+            );
+            const sucursal = res.rows[0];
+            await client.query(
+                'INSERT INTO horarios (sucursal_id, dia_semana, abre, cierra) SELECT $1, dia_semana, abre, cierra FROM horarios WHERE sucursal_id = $2',
+                [sucursal.id, PRINCIPAL]
+            );
+            return sucursal;
+        });
+    }
+
+    /**
+     * Actualiza nombre, teléfono, saludo, voces y/o teléfono del personal. Devuelve undefined si no existe.
+     */
+    async actualizar(id, campos) {
+        return this.db._actualizarCampos('sucursales', id, campos, ['nombre', 'telefono', 'saludo', 'voz', 'telefono_personal', 'voz_en']);
+    }
+
+    // --- Menú por sucursal ---
+
+    /**
+     * El catálogo con los ajustes de la sucursal: 'precio_sucursal' (null = el del catálogo) y
+     * 'disponible_sucursal' (null = sin ajuste).
+     */
+    async obtenerMenu(sucursalId) {
+        const res = await this.db.pool.query(
+            `SELECT m.id, m.nombre, m.precio, m.disponible, s.precio AS precio_sucursal, s.disponible AS disponible_sucursal
+             FROM menu m LEFT JOIN menu_sucursales s ON s.producto_id = m.id AND s.sucursal_id = $1
+             ORDER BY m.posicion, m.id`,
+            [sucursalId]
+        );
+        return res.rows;
+    }
+
+    /**
+     * Ajusta un producto en la sucursal: { precio (null = el del catálogo), disponible }.
+     */
+    async ajustarProducto(sucursalId, productoId, { precio = null, disponible = true }) {
+        const res = await this.db.pool.query(
+            `INSERT INTO menu_sucursales (sucursal_id, producto_id, precio, disponible) VALUES ($1, $2, $3, $4)
+             ON CONFLICT (sucursal_id, producto_id) DO UPDATE SET precio = EXCLUDED.precio, disponible = EXCLUDED.disponible
+             RETURNING *`,
+            [sucursalId, productoId, precio, disponible]
+        );
+        return res.rows[0];
+    }
+
+    /**
+     * Quita el ajuste: el producto vuelve al precio y la disponibilidad del catálogo.
+     */
+    async quitarAjuste(sucursalId, productoId) {
+        const res = await this.db.pool.query('DELETE FROM menu_sucursales WHERE sucursal_id = $1 AND producto_id = $2', [sucursalId, productoId]);
+        return res.rowCount > 0;
+    }
+}
+
+Sucursales.PRINCIPAL = PRINCIPAL;
+
+module.exports = Sucursales;
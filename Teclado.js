@@ -0,0 +1,50 @@
+// Archivo: Teclado.js
+// El teclado del teléfono (DTMF) como alternativa a la voz cuando el reconocimiento falla, p. ej.
+// en un lugar con ruido. Cada tecla se traduce a la frase que diría el cliente en esa etapa de la
+// conversación ("marca 1 para confirmar" -> "sí, confirmo") y el asistente la procesa como
+// cualquier otro turno, en el idioma de la llamada (ver Idiomas.js). El 0 pide hablar con una
+// persona (ver Transferencias.js).
+
+const { mensajes } = require('./Idiomas');
+
+const ETAPAS_PEDIDO = ['INITIAL_ORDER', 'CUSTOMIZATION', 'UPSELL_FINAL'];
+
+/**
+ * Teclas disponibles en la etapa actual: { tecla: { frase, opcion } }, donde 'opcion' es lo que
+ * se anuncia ("marca 1 para <opcion>").
+ */
+function teclasPara(estado) {
+    const items = estado.items || [];
+    const teclado = mensajes(estado.idioma).teclado;
+    if (estado.stage === 'CONFIRMATION') {
+        return { 1: teclado.confirmar, 2: teclado.cambiar };
+    }
+    if (items.length > 0 && ETAPAS_PEDIDO.includes(estado.stage)) {
+        return { 1: teclado.terminar };
+    }
+    if (items.length === 0 && estado.stage === 'INITIAL_ORDER' && estado.cliente) {
+        return { 1: teclado.loDeSiempre };
+    }
+    return {};
+}
+
+/**
+ * La frase que corresponde a la tecla marcada, o null si no es una opción en esta etapa.
+ */
+function fraseDeTecla(digitos, estado) {
+    return teclasPara(estado)[digitos]?.frase || null;
+}
+
+/**
+ * Instrucciones habladas del teclado para la etapa ('' si no hay opciones). Con 'transferible'
+ * se ofrece el 0 para hablar con una persona.
+ */
+function instruccionesTeclado(estado, { transferible = false } = {}) {
+    const teclado = mensajes(estado.idioma).teclado;
+    const opciones = Object.entries(teclasPara(estado)).map(([tecla, { opcion }]) => teclado.opcion(tecla, opcion));
+    if (transferible) opciones.push(teclado.opcion(0, teclado.persona));
+    if (!opciones.length) return '';
+    return teclado.instrucciones(opciones);
+}
+
+module.exports = { teclasPara, fraseDeTecla, instruccionesTeclado };
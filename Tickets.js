@@ -0,0 +1,204 @@
+// Archivo: Tickets.js
+// Formato de los tickets impresos: la comanda de cada estación (orden, cliente, items con sus
+// modificadores y hora de recogida) y el recibo del cliente con los precios. Un ticket se arma
+// una vez como lista de renglones y se convierte a ESC/POS (impresoras térmicas, ver
+// Impresoras.js), a HTML o a PDF (reimpresión desde el panel).
+
+const { ZONA_HORARIA } = require('./HorarioNegocio');
+
+// Columnas de una impresora térmica de 80 mm con la fuente normal; los renglones 'grande' usan
+// doble ancho y caben la mitad.
+const ANCHO = 42;
+
+const formatoPrecio = valor => `$${parseFloat(valor || 0).toFixed(2)}`;
+const formatoFecha = (fecha, opciones) => new Date(fecha).toLocaleString('es-MX', { timeZone: ZONA_HORARIA, ...opciones });
+const formatoHora = fecha => formatoFecha(fecha, { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Renglón con el texto a la izquierda y el monto alineado a la derecha.
+ */
+function columnas(izquierda, derecha, ancho = ANCHO) {
+    const espacio = ancho - derecha.length - 1;
+    const texto = izquierda.length > espacio ? izquierda.slice(0, espacio) : izquierda;
+    return texto + ' '.repeat(ancho - texto.length - derecha.length) + derecha;
+}
+
+/**
+ * Parte un texto largo en renglones de 'ancho' columnas, respetando palabras; 'sangria' se
+ * antepone a los renglones que siguen al primero.
+ */
+function partir(texto, ancho = ANCHO, sangria = '') {
+    const renglones = [];
+    let actual = '';
+    for (const palabra of String(texto).split(/\s+/).filter(Boolean)) {
+        const candidato = actual ? `${actual} ${palabra}` : palabra;
+        if (candidato.length <= ancho || !actual) {
+            actual = candidato;
+        } else {
+            renglones.push(actual);
+            actual = sangria + palabra;
+        }
+    }
+    if (actual) renglones.push(actual);
+    return renglones;
+}
+
+const nombresModificadores = linea => (linea.personalizaciones || []).map(p => p.nombre || p);
+
+/**
+ * Comanda de una estación con las líneas de su área. 'reimpresion' lo marca en el encabezado.
+ */
+function ticketCocina(orden, lineas, area, { reimpresion = false } = {}) {
+    const renglones = [
+        { texto: area.toUpperCase(), grande: true, centrado: true },
+        { texto: `#${orden.id}`, grande: true, centrado: true },
+        ...(reimpresion ? [{ texto: '** REIMPRESION **', centrado: true, negrita: true }] : []),
+        { texto: orden.nombre_cliente || 'Anónimo', negrita: true },
+        { texto: orden.hora_recogida ? `Recoge a las ${formatoHora(orden.hora_recogida)}` : 'Lo antes posible', negrita: true },
+        { texto: formatoFecha(orden.fecha, { dateStyle: 'short', timeStyle: 'short' }) },
+        { separador: true }
+    ];
+    for (const linea of lineas.filter(l => l.area_preparacion === area)) {
+        renglones.push({ texto: `${linea.cantidad} x ${linea.nombre}`, negrita: true });
+        for (const modificador of nombresModificadores(linea)) {
+            partir(modificador, ANCHO - 4, '  ').forEach(texto => renglones.push({ texto: `  + ${texto}` }));
+        }
+    }
+    renglones.push({ separador: true });
+    return { titulo: `${area} #${orden.id}`, renglones };
+}
+
+/**
+ * Recibo del cliente con el precio de cada línea, sus modificadores, las promociones aplicadas y
+ * el estado del pago. El encabezado es el nombre de la sucursal ('sucursal', ver Database.obtenerOrden).
+ */
+function recibo(orden, lineas, { reimpresion = false } = {}) {
+    const renglones = [
+        { texto: orden.sucursal, grande: true, centrado: true },
+        ...(reimpresion ? [{ texto: 'COPIA', centrado: true, negrita: true }] : []),
+        { texto: `Orden #${orden.id}`, negrita: true, centrado: true },
+        { texto: formatoFecha(orden.fecha, { dateStyle: 'short', timeStyle: 'short' }), centrado: true },
+        { texto: `Cliente: ${orden.nombre_cliente || 'Anónimo'}` },
+        ...(orden.hora_recogida ? [{ texto: `Recoge a las ${formatoHora(orden.hora_recogida)}` }] : []),
+        { separador: true }
+    ];
+    for (const linea of lineas) {
+        renglones.push({ texto: columnas(`${linea.cantidad} x ${linea.nombre}`, formatoPrecio(linea.subtotal)) });
+        if (linea.cantidad > 1) {
+            renglones.push({ texto: `    ${formatoPrecio(parseFloat(linea.precio_unitario) + parseFloat(linea.precio_personalizaciones || 0))} c/u` });
+        }
+        for (const p of linea.personalizaciones || []) {
+            const delta = parseFloat(p.precio_delta || 0);
+            renglones.push({ texto: delta ? columnas(`  + ${p.nombre}`, `+${formatoPrecio(delta)}`) : `  + ${p.nombre || p}` });
+        }
+    }
+    renglones.push({ separador: true });
+    // Con promoción: subtotal de las líneas y lo que descontó cada una (ver Database.obtenerOrden).
+    if (parseFloat(orden.descuento || 0) > 0) {
+        renglones.push({ texto: columnas('SUBTOTAL', formatoPrecio(parseFloat(orden.total) + parseFloat(orden.descuento))) });
+        for (const promocion of orden.promociones || []) {
+            renglones.push({ texto: columnas(`  ${promocion.nombre}`, `-${formatoPrecio(promocion.descuento)}`) });
+        }
+    }
+    renglones.push({ texto: columnas('TOTAL', formatoPrecio(orden.total)), negrita: true });
+    const pagado = parseFloat(orden.monto_pagado || 0);
+    if (orden.estado_pago === 'pagada') {
+        renglones.push({ texto: `Pagado${orden.metodo_pago ? ` (${orden.metodo_pago})` : ''}` });
+    } else if (pagado > 0) {
+        renglones.push({ texto: columnas('Pagado', formatoPrecio(pagado)) },
+            { texto: columnas('POR PAGAR', formatoPrecio(parseFloat(orden.total) - pagado)), negrita: true });
+    } else {
+        renglones.push({ texto: 'POR PAGAR', negrita: true });
+    }
+    renglones.push({ texto: '' }, { texto: '¡Gracias por tu compra!', centrado: true });
+    return { titulo: `Recibo #${orden.id}`, renglones };
+}
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+/**
+ * Bytes ESC/POS del ticket: inicializa la impresora, elige la página de códigos Windows-1252
+ * (acentos y ñ), imprime los renglones y corta el papel.
+ */
+function aEscPos(ticket) {
+    const partes = [Buffer.from([ESC, 0x40, ESC, 0x74, 16])];
+    for (const r of ticket.renglones) {
+        const texto = r.separador ? '-'.repeat(ANCHO) : r.texto;
+        partes.push(
+            Buffer.from([ESC, 0x61, r.centrado ? 1 : 0, ESC, 0x45, r.negrita ? 1 : 0, GS, 0x21, r.grande ? 0x11 : 0]),
+            Buffer.from(`${texto}\n`, 'latin1')
+        );
+    }
+    partes.push(Buffer.from([ESC, 0x61, 0, ESC, 0x45, 0, GS, 0x21, 0, ESC, 0x64, 4, GS, 0x56, 66, 0]));
+    return Buffer.concat(partes);
+}
+
+const escaparHtml = texto => String(texto).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+/**
+ * Página HTML del ticket con el ancho del papel de 80 mm, lista para imprimir desde el navegador.
+ */
+function aHtml(ticket) {
+    const renglones = ticket.renglones.map(r => r.separador
+        ? '<hr>'
+        : `<div class="${[r.centrado && 'centrado', r.negrita && 'negrita', r.grande && 'grande'].filter(Boolean).join(' ')}">${escaparHtml(r.texto) || '&nbsp;'}</div>`
+    ).join('\n');
+    return `<!DOCTYPE html><html lang="es"><head><meta charset="UTF-8"><title>${escaparHtml(ticket.titulo)}</title>
+<style>
+    body { font-family: 'Courier New', monospace; font-size: 12px; width: 72mm; margin: 4mm auto; }
+    div { white-space: pre; }
+    .centrado { text-align: center; } .negrita { font-weight: bold; } .grande { font-size: 22px; font-weight: bold; }
+    hr { border: 0; border-top: 1px dashed #000; }
+    @media print { button { display: none; } @page { size: 80mm auto; margin: 0; } }
+</style></head><body>
+${renglones}
+<button onclick="window.print()">Imprimir</button>
+</body></html>`;
+}
+
+const escaparPdf = texto => texto.replace(/[\\()]/g, c => `\\${c}`);
+
+/**
+ * PDF de una página del ancho del papel, con Courier (fuente estándar de PDF, sin incrustar).
+ */
+function aPdf(ticket) {
+    const tamano = 8;
+    const margen = 12;
+    const ancho = Math.ceil(ANCHO * tamano * 0.6 + margen * 2);
+    const alturas = ticket.renglones.map(r => (r.grande ? tamano * 2 : tamano) + 3);
+    const alto = Math.ceil(alturas.reduce((a, b) => a + b, 0) + margen * 2);
+
+    let y = alto - margen;
+    const contenido = ticket.renglones.map((r, i) => {
+        y -= alturas[i];
+        const texto = r.separador ? '-'.repeat(ANCHO) : r.texto;
+        const fuente = r.grande ? tamano * 2 : tamano;
+        const x = r.centrado ? (ancho - texto.length * fuente * 0.6) / 2 : margen;
+        return `BT /${r.negrita || r.grande ? 'F2' : 'F1'} ${fuente} Tf ${x.toFixed(1)} ${y.toFixed(1)} Td (${escaparPdf(texto)}) Tj ET`;
+    }).join('\n');
+    const flujo = Buffer.from(contenido, 'latin1');
+
+    const objetos = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${ancho} ${alto}] /Contents 4 0 R /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> >>`,
+        Buffer.concat([Buffer.from(`<< /Length ${flujo.length} >>\nstream\n`), flujo, Buffer.from('\nendstream')]),
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>'
+    ];
+    const partes = [Buffer.from('%PDF-1.4\n')];
+    let posicion = partes[0].length;
+    const posiciones = objetos.map((objeto, i) => {
+        const parte = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), Buffer.from(objeto, 'latin1'), Buffer.from('\nendobj\n')]);
+        partes.push(parte);
+        const inicio = posicion;
+        posicion += parte.length;
+        return inicio;
+    });
+    const xref = [`xref\n0 ${objetos.length + 1}\n0000000000 65535 f \n`, ...posiciones.map(p => `${String(p).padStart(10, '0')} 00000 n \n`)].join('');
+    partes.push(Buffer.from(`${xref}trailer\n<< /Size ${objetos.length + 1} /Root 1 0 R >>\nstartxref\n${posicion}\n%%EOF\n`));
+    return Buffer.concat(partes);
+}
+
+module.exports = { ANCHO, ticketCocina, recibo, aEscPos, aHtml, aPdf };
@@ -0,0 +1,116 @@
+// Archivo: Transcripciones.js
+// Registro de cada turno de las llamadas ('turnos_llamada'): lo que dijo el cliente, lo que
+// interpretó el asistente, el total, la respuesta y la latencia. Sirve para revisar una llamada
+// turno por turno desde el panel cuando un cliente reclama una orden. La transcripción en texto
+// se guarda también en la orden (ordenes.transcripcion). Ambas se borran pasados
+// TRANSCRIPT_RETENTION_DAYS días (90 por defecto; 0 = conservarlas siempre).
+
+// Clase arbitraria para pg_advisory_xact_lock(clase, hashtext(call_sid)): los turnos de una misma
+// llamada se numeran de uno en uno aunque lleguen a la vez (UNIQUE (call_sid, numero)).
+const LOCK_TURNOS = 48151624;
+
+const leerRetencion = valor => {
+    const dias = parseInt(valor, 10);
+    return Number.isNaN(dias) || dias < 0 ? 90 : dias;
+};
+
+class Transcripciones {
+    constructor(db, { retencionDias = leerRetencion(process.env.TRANSCRIPT_RETENTION_DAYS) } = {}) {
+        this.db = db;
+        if (!this.db) {
+            throw new Error("Transcripciones requiere una instancia de base de datos para funcionar.");
+        }
+        this.retencionDias = retencionDias;
+    }
+
+    /**
+     * Agrega un turno a la llamada, numerado en orden de llegada:
+     * { textoCliente, confianza, etapa, etapaNueva, origen, interpretacion, total, respuesta, latenciaMs }.
+     */
+    async registrarTurno(callSid, { textoCliente = null, confianza = null, etapa = null, etapaNueva = null, origen = null, interpretacion = null, total = null, respuesta, latenciaMs = null }) {
+        return this.db.transaccion(async (client) => {
+            await client.query('SELECT pg_advisory_xact_lock($1, hashtext($2))', [LOCK_TURNOS, callSid]);
+            const res = await client.query(
+                `INSERT INTO turnos_llamada (call_sid, numero, texto_cliente, confianza, etapa, etapa_nueva, origen, interpretacion, total, respuesta, latencia_ms)
+                 SELECT $1::varchar, COALESCE(MAX(numero), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9, $10 FROM turnos_llamada WHERE call_sid = $1::varchar
+                 RETURNING *`,
+                [callSid, textoCliente, confianza, etapa, etapaNueva, origen,
+                    interpretacion === null ? null : JSON.stringify(interpretacion), total, respuesta, latenciaMs]
+            );
+            return res.rows[0];
+        });
+    }
+
+    /**
+     * Llamadas más recientes con su resultado, la orden que generaron y cuántos turnos tienen.
+     * Filtros: 'sucursalId', 'resultado' ('orden', 'abandonada', 'no_atendida', 'transferida'), 'telefono'
+     * y 'canal' (las conversaciones por chat, SMS y WhatsApp también se registran; ver Canales.js).
+     */
+    async listarLlamadas({ sucursalId = null, resultado = null, telefono = null, canal = null, limite = 50 } = {}) {
+        const res = await this.db.pool.query(
+            `SELECT l.*, s.nombre AS sucursal, COUNT(t.id)::int AS turnos
+             FROM llamadas l
+             JOIN sucursales s ON s.id = l.sucursal_id
+             LEFT JOIN turnos_llamada t ON t.call_sid = l.call_sid
+             WHERE ($1::int IS NULL OR l.sucursal_id = $1)
+               AND ($2::text IS NULL OR l.resultado = $2)
+               AND ($3::text IS NULL OR regexp_replace(l.telefono, '\\D', '', 'g') LIKE '%' || $3 || '%')
+               AND ($5::text IS NULL OR l.canal = $5)
+             GROUP BY l.call_sid, s.nombre
+             ORDER BY l.iniciada_en DESC LIMIT $4`,
+            [sucursalId, resultado, telefono ? telefono.replace(/\D/g, '') || null : null, limite, canal]
+        );
+        return res.rows;
+    }
+
+    /**
+     * Una llamada con todos sus turnos, o undefined si no existe.
+     */
+    async obtenerLlamada(callSid) {
+        const res = await this.db.pool.query(
+            `SELECT l.*, s.nombre AS sucursal FROM llamadas l JOIN sucursales s ON s.id = l.sucursal_id WHERE l.call_sid = $1`,
+            [callSid]
+        );
+        if (!res.rows[0]) return undefined;
+        return { ...res.rows[0], turnos: await this.obtenerTurnos(callSid) };
+    }
+
+    async obtenerTurnos(callSid) {
+        const res = await this.db.pool.query('SELECT * FROM turnos_llamada WHERE call_sid = $1 ORDER BY numero', [callSid]);
+        return res.rows;
+    }
+
+    /**
+     * La conversación en texto ("Cliente: ..." / "Asistente: ..."), para ordenes.transcripcion.
+     */
+    async textoDeLlamada(callSid) {
+        const turnos = await this.obtenerTurnos(callSid);
+        return turnos.flatMap(t => [
+            ...(t.texto_cliente ? [`Cliente: ${t.texto_cliente}`] : []),
+            `Asistente: ${t.respuesta}`
+        ]).join('\n') || null;
+    }
+
+    /**
+     * Borra los turnos y las transcripciones de órdenes más antiguos que la retención.
+     * Devuelve cuántos se borraron, o null si la retención está desactivada.
+     */
+    async purgar() {
+        if (this.retencionDias === 0) return null;
+        return this.db.transaccion(async (client) => {
+            const turnos = await client.query(
+                `DELETE FROM turnos_llamada WHERE fecha < NOW() - make_interval(days => $1)`,
+                [this.retencionDias]
+            );
+            const ordenes = await client.query(
+                `UPDATE ordenes SET transcripcion = NULL WHERE transcripcion IS NOT NULL AND fecha < NOW() - make_interval(days => $1)`,
+                [this.retencionDias]
+            );
+            return { turnos: turnos.rowCount, ordenes: ordenes.rowCount };
+        });
+    }
+}
+
+Transcripciones.RESULTADOS = ['orden', 'abandonada', 'no_atendida', 'transferida'];
+
+module.exports = Transcripciones;
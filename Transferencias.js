@@ -0,0 +1,94 @@
+// Archivo: Transferencias.js
+// Transferencia de la llamada a una persona del equipo (<Dial> al teléfono del personal de la
+// sucursal, o HANDOFF_NUMBER). Se transfiere cuando:
+//   'solicitud'        el cliente pide hablar con alguien (o marca 0)
+//   'no_entendido'     el asistente no lo entiende HANDOFF_AFTER_MISUNDERSTOOD turnos seguidos (2)
+//   'falla_llm'        el LLM falló y el intérprete de reglas tampoco entendió el turno
+//   'falla_asistente'  el asistente falló dos veces seguidas
+// La orden parcial se guarda en 'ordenes_abandonadas' (motivo 'transferida') y se le lee a quien
+// contesta antes de conectarlo con el cliente. Sin número configurado la llamada sigue con el asistente.
+
+const PIDE_PERSONA = /\b(hablar|comunicarme|comunicame|pasarme|pasame) con (alguien|una persona|un humano|un empleado|una empleada|el encargado|la encargada|el gerente|la gerente|un barista|una barista)\b|\b(persona real|operador|operadora)\b/;
+const PIDE_PERSONA_EN = /\b(talk|speak) (to|with) (someone|somebody|a person|a human|a real person|an employee|the manager|a manager|a barista|staff)\b|\b(real person|operator|representative)\b/;
+
+const MAX_FALLOS_ASISTENTE = 2;
+
+const leerMaximo = valor => {
+    const maximo = parseInt(valor, 10);
+    return Number.isNaN(maximo) || maximo < 1 ? 2 : maximo;
+};
+
+/**
+ * Minúsculas y sin acentos, para buscar las frases.
+ */
+const normalizar = texto => String(texto || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+class Transferencias {
+    constructor(db, {
+        numero = process.env.HANDOFF_NUMBER || null,
+        maxNoEntendidos = leerMaximo(process.env.HANDOFF_AFTER_MISUNDERSTOOD)
+    } = {}) {
+        this.db = db;
+        if (!this.db) {
+            throw new Error("Transferencias requiere una instancia de base de datos para funcionar.");
+        }
+        this.numero = numero;
+        this.maxNoEntendidos = maxNoEntendidos;
+    }
+
+    /**
+     * Teléfono al que se transfieren las llamadas de la sucursal, o null si no hay.
+     */
+    numeroPara(sucursal) {
+        return sucursal?.telefono_personal || this.numero;
+    }
+
+    /**
+     * El cliente pide hablar con una persona ("quiero hablar con alguien", "un operador",
+     * "can I talk to someone").
+     */
+    pidePersona(texto) {
+        const normalizado = normalizar(texto);
+        return PIDE_PERSONA.test(normalizado) || PIDE_PERSONA_EN.test(normalizado);
+    }
+
+    /**
+     * Motivo para transferir después de un turno del asistente, o null para seguir. 'estado' trae
+     * los contadores del servidor ('noEntendidos', 'fallosAsistente') y 'resultado' es lo que
+     * devolvió AsistenteIA.procesarConversacion (o null si falló).
+     */
+    motivoTras(estado, resultado) {
+        if ((estado.fallosAsistente || 0) >= MAX_FALLOS_ASISTENTE) return 'falla_asistente';
+        if (resultado?.noEntendido && resultado.respaldo) return 'falla_llm';
+        if ((estado.noEntendidos || 0) >= this.maxNoEntendidos) return 'no_entendido';
+        return null;
+    }
+
+    /**
+     * Guarda la orden parcial de la llamada transferida para que el equipo la vea.
+     */
+    async registrar(estado, motivo) {
+        return this.db.registrarOrdenAbandonada(estado, 'transferida', motivo);
+    }
+
+    /**
+     * La orden parcial guardada al transferir la llamada, o undefined.
+     */
+    async obtener(callSid) {
+        const res = await this.db.pool.query(
+            "SELECT * FROM ordenes_abandonadas WHERE call_sid = $1 AND motivo = 'transferida' ORDER BY fecha DESC LIMIT 1",
+            [callSid]
+        );
+        return res.rows[0];
+    }
+}
+
+// Motivos de transferencia, como se le explican al personal.
+Transferencias.MOTIVOS = {
+    solicitud: 'el cliente pidió hablar con alguien',
+    no_entendido: 'el asistente no logró entender al cliente',
+    falla_llm: 'el modelo no respondió y el respaldo no entendió al cliente',
+    falla_asistente: 'el asistente falló dos veces'
+};
+
+module.exports = Transferencias;
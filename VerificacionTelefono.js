@@ -0,0 +1,46 @@
+// Archivo: VerificacionTelefono.js
+// Verificación del número que el cliente escribe en el chat web, con un código por SMS de Twilio
+// Verify (TWILIO_VERIFY_SERVICE_SID). Twilio genera el código, lo envía, lo expira y limita los
+// intentos. Sin el servicio configurado los números del chat web quedan sin verificar: no se
+// reconoce al cliente frecuente ni se le envían SMS (ver Canales.numeroVerificado).
+// El cliente de Twilio se inyecta para poder sustituirlo por un doble en pruebas sin acceso a red.
+
+const twilio = require('twilio');
+
+class VerificacionTelefono {
+    constructor({ cliente, servicio = process.env.TWILIO_VERIFY_SERVICE_SID } = {}) {
+        this.servicio = servicio || null;
+        this.cliente = cliente || (this.servicio ? twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN) : null);
+    }
+
+    disponible() {
+        return Boolean(this.servicio);
+    }
+
+    /**
+     * Envía por SMS un código nuevo al número. Lanza el error de Twilio si no se pudo enviar.
+     */
+    async enviarCodigo(telefono) {
+        await this._servicio().verifications.create({ to: telefono, channel: 'sms' });
+    }
+
+    /**
+     * true si el código es el último enviado al número y no ha expirado.
+     */
+    async verificar(telefono, codigo) {
+        try {
+            const resultado = await this._servicio().verificationChecks.create({ to: telefono, code: codigo });
+            return resultado.status === 'approved';
+        } catch (error) {
+            // Twilio responde 404 cuando no hay un código pendiente (expiró, ya se usó o se agotaron los intentos).
+            if (error.status === 404) return false;
+            throw error;
+        }
+    }
+
+    _servicio() {
+        return this.cliente.verify.v2.services(this.servicio);
+    }
+}
+
+module.exports = VerificacionTelefono;
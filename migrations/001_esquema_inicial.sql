@@ -0,0 +1,22 @@
+-- Migración 001: Esquema inicial (menú y órdenes).
+-- Es idempotente para que las bases de datos creadas antes del sistema de
+-- migraciones (por el antiguo verificarTablas) se adopten sin errores.
+
+CREATE TABLE IF NOT EXISTS menu (
+    id SERIAL PRIMARY KEY,
+    nombre VARCHAR(100) NOT NULL,
+    precio NUMERIC(10, 2) NOT NULL,
+    area_preparacion VARCHAR(50) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS ordenes (
+    id SERIAL PRIMARY KEY,
+    fecha TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    telefono VARCHAR(50) NOT NULL,
+    transcripcion TEXT,
+    estado VARCHAR(50) NOT NULL DEFAULT 'recibida',
+    items JSONB
+);
+
+-- Tablas antiguas que se crearon sin la columna 'items'.
+ALTER TABLE ordenes ADD COLUMN IF NOT EXISTS items JSONB;
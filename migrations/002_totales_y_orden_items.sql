@@ -0,0 +1,21 @@
+-- Migración 002: Nombre del cliente y total en la orden, y líneas normalizadas.
+-- Cada línea guarda una copia del precio unitario vigente al momento de la
+-- compra, de modo que los totales históricos no cambian si el menú se modifica.
+
+ALTER TABLE ordenes ADD COLUMN IF NOT EXISTS nombre_cliente VARCHAR(100);
+ALTER TABLE ordenes ADD COLUMN IF NOT EXISTS total NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS orden_items (
+    id SERIAL PRIMARY KEY,
+    orden_id INTEGER NOT NULL REFERENCES ordenes(id) ON DELETE CASCADE,
+    producto_id INTEGER REFERENCES menu(id) ON DELETE SET NULL,
+    nombre VARCHAR(100) NOT NULL,
+    area_preparacion VARCHAR(50) NOT NULL DEFAULT 'general',
+    precio_unitario NUMERIC(10, 2) NOT NULL,
+    personalizaciones JSONB NOT NULL DEFAULT '[]',
+    precio_personalizaciones NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    cantidad INTEGER NOT NULL DEFAULT 1 CHECK (cantidad > 0),
+    subtotal NUMERIC(10, 2) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_orden_items_orden_id ON orden_items (orden_id);
@@ -0,0 +1,13 @@
+-- Migración 003: Campos para administrar el menú desde el panel.
+-- 'disponible' permite retirar un producto durante el turno (86) sin borrarlo;
+-- 'alias' son formas habladas con las que los clientes piden el producto.
+
+ALTER TABLE menu ADD COLUMN IF NOT EXISTS categoria VARCHAR(50) NOT NULL DEFAULT 'general';
+ALTER TABLE menu ADD COLUMN IF NOT EXISTS descripcion TEXT;
+ALTER TABLE menu ADD COLUMN IF NOT EXISTS disponible BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE menu ADD COLUMN IF NOT EXISTS alias JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE menu ADD COLUMN IF NOT EXISTS posicion INTEGER NOT NULL DEFAULT 0;
+
+UPDATE menu SET categoria = 'bebidas' WHERE categoria = 'general' AND area_preparacion = 'barra';
+UPDATE menu SET categoria = 'alimentos' WHERE categoria = 'general' AND area_preparacion = 'cocina';
+UPDATE menu SET posicion = id WHERE posicion = 0;
@@ -0,0 +1,57 @@
+-- Migración 004: Grupos de modificadores (tamaño, leche, shots, jarabes) en la base de datos.
+-- Sustituye la constante PRECIOS_EXTRAS de AsistenteIA.js. Cada grupo define cuántas
+-- opciones se pueden elegir y a qué productos aplica; cada opción tiene su diferencia de precio.
+
+CREATE TABLE IF NOT EXISTS grupos_modificadores (
+    id SERIAL PRIMARY KEY,
+    nombre VARCHAR(100) NOT NULL UNIQUE,
+    min_selecciones INTEGER NOT NULL DEFAULT 0 CHECK (min_selecciones >= 0),
+    max_selecciones INTEGER NOT NULL DEFAULT 1 CHECK (max_selecciones >= 1),
+    posicion INTEGER NOT NULL DEFAULT 0,
+    CHECK (min_selecciones <= max_selecciones)
+);
+
+CREATE TABLE IF NOT EXISTS modificadores (
+    id SERIAL PRIMARY KEY,
+    grupo_id INTEGER NOT NULL REFERENCES grupos_modificadores(id) ON DELETE CASCADE,
+    nombre VARCHAR(100) NOT NULL,
+    precio_delta NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    disponible BOOLEAN NOT NULL DEFAULT TRUE,
+    posicion INTEGER NOT NULL DEFAULT 0,
+    UNIQUE (grupo_id, nombre)
+);
+
+CREATE TABLE IF NOT EXISTS producto_grupos_modificadores (
+    producto_id INTEGER NOT NULL REFERENCES menu(id) ON DELETE CASCADE,
+    grupo_id INTEGER NOT NULL REFERENCES grupos_modificadores(id) ON DELETE CASCADE,
+    PRIMARY KEY (producto_id, grupo_id)
+);
+
+-- Datos iniciales equivalentes a los antiguos PRECIOS_EXTRAS, más jarabes.
+INSERT INTO grupos_modificadores (nombre, min_selecciones, max_selecciones, posicion) VALUES
+    ('Tamaño', 0, 1, 1),
+    ('Leche', 0, 1, 2),
+    ('Shots de espresso', 0, 2, 3),
+    ('Jarabes', 0, 2, 4)
+ON CONFLICT (nombre) DO NOTHING;
+
+INSERT INTO modificadores (grupo_id, nombre, precio_delta, posicion)
+SELECT g.id, m.nombre, m.precio_delta, m.posicion
+FROM (VALUES
+    ('Tamaño', 'tamaño grande', 0.75, 1),
+    ('Leche', 'leche de avena', 1.00, 1),
+    ('Leche', 'leche de almendra', 1.00, 2),
+    ('Leche', 'leche deslactosada', 0.00, 3),
+    ('Shots de espresso', 'shot extra de espresso', 1.50, 1),
+    ('Shots de espresso', 'doble shot extra de espresso', 2.50, 2),
+    ('Jarabes', 'jarabe de vainilla', 0.50, 1),
+    ('Jarabes', 'jarabe de caramelo', 0.50, 2)
+) AS m (grupo, nombre, precio_delta, posicion)
+JOIN grupos_modificadores g ON g.nombre = m.grupo
+ON CONFLICT (grupo_id, nombre) DO NOTHING;
+
+-- Todas las bebidas de barra existentes aceptan los cuatro grupos.
+INSERT INTO producto_grupos_modificadores (producto_id, grupo_id)
+SELECT p.id, g.id FROM menu p CROSS JOIN grupos_modificadores g
+WHERE p.area_preparacion = 'barra'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,25 @@
+-- Migración 005: Estado de conversación persistente y registro de llamadas abandonadas.
+-- 'estados_conversacion' lo usa AlmacenEstadoPostgres (STATE_STORE=postgres) para que una
+-- llamada sobreviva a un reinicio y pueda atenderse desde varias instancias.
+
+CREATE TABLE IF NOT EXISTS estados_conversacion (
+    call_sid VARCHAR(64) PRIMARY KEY,
+    estado JSONB NOT NULL,
+    actualizado_en TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expira_en TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_estados_conversacion_expira_en ON estados_conversacion (expira_en);
+
+-- Llamadas que terminaron (colgó el cliente o expiró el estado) sin llegar a FINALIZED.
+CREATE TABLE IF NOT EXISTS ordenes_abandonadas (
+    id SERIAL PRIMARY KEY,
+    call_sid VARCHAR(64) NOT NULL,
+    telefono VARCHAR(50),
+    nombre_cliente VARCHAR(100),
+    etapa VARCHAR(50),
+    items JSONB NOT NULL DEFAULT '[]',
+    total NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    motivo VARCHAR(50) NOT NULL,
+    fecha TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,22 @@
+-- Migración 006: Cuentas del personal con contraseña hasheada, roles y sesiones.
+-- Sustituye la clave compartida ADMIN_API_KEY. Las sesiones guardan solo el hash del token
+-- de la cookie, de modo que una copia de la base de datos no permite suplantar sesiones.
+
+CREATE TABLE IF NOT EXISTS usuarios (
+    id SERIAL PRIMARY KEY,
+    usuario VARCHAR(50) NOT NULL UNIQUE,
+    nombre VARCHAR(100),
+    password_hash TEXT NOT NULL,
+    rol VARCHAR(20) NOT NULL CHECK (rol IN ('admin', 'barra', 'cocina')),
+    activo BOOLEAN NOT NULL DEFAULT TRUE,
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS sesiones (
+    token_hash CHAR(64) PRIMARY KEY,
+    usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+    creada_en TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expira_en TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sesiones_expira_en ON sesiones (expira_en);
@@ -0,0 +1,20 @@
+-- Migración 007: Historial de cambios de estado de las órdenes.
+-- Cada transición validada por MaquinaEstadosOrden.js deja un evento con fecha, actor y motivo.
+
+CREATE TABLE IF NOT EXISTS orden_eventos (
+    id SERIAL PRIMARY KEY,
+    orden_id INTEGER NOT NULL REFERENCES ordenes(id) ON DELETE CASCADE,
+    estado_anterior VARCHAR(50),
+    estado_nuevo VARCHAR(50) NOT NULL,
+    usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+    actor VARCHAR(100) NOT NULL,
+    motivo TEXT,
+    fecha TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_orden_eventos_orden_id ON orden_eventos (orden_id, fecha);
+
+-- Órdenes existentes: se registra su creación para que todas tengan línea de tiempo.
+INSERT INTO orden_eventos (orden_id, estado_anterior, estado_nuevo, actor, fecha)
+SELECT o.id, NULL, 'recibida', 'sistema', o.fecha FROM ordenes o
+WHERE NOT EXISTS (SELECT 1 FROM orden_eventos e WHERE e.orden_id = o.id);
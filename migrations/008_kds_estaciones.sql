@@ -0,0 +1,14 @@
+-- Migración 008: Estado por estación de cada línea, para las pantallas KDS.
+-- Una orden pasa sola a 'lista_para_servir' cuando todas sus líneas están 'listo'.
+
+ALTER TABLE orden_items ADD COLUMN IF NOT EXISTS estado_estacion VARCHAR(20) NOT NULL DEFAULT 'pendiente'
+    CHECK (estado_estacion IN ('pendiente', 'listo'));
+ALTER TABLE orden_items ADD COLUMN IF NOT EXISTS listo_en TIMESTAMP WITH TIME ZONE;
+ALTER TABLE orden_items ADD COLUMN IF NOT EXISTS listo_por INTEGER REFERENCES usuarios(id) ON DELETE SET NULL;
+
+-- Las órdenes que ya salieron de preparación no deben aparecer en las pantallas.
+UPDATE orden_items i SET estado_estacion = 'listo'
+FROM ordenes o
+WHERE o.id = i.orden_id AND o.estado NOT IN ('recibida', 'en_preparacion');
+
+CREATE INDEX IF NOT EXISTS idx_orden_items_area_estado ON orden_items (area_preparacion, estado_estacion);
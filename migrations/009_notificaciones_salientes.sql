@@ -0,0 +1,22 @@
+-- Migración 009: Bandeja de salida (outbox) de notificaciones a clientes.
+-- Cada mensaje se guarda antes de enviarse y se reintenta con espera exponencial,
+-- para que una caída de Twilio o del webhook no haga perder notificaciones.
+
+CREATE TABLE IF NOT EXISTS notificaciones_salientes (
+    id SERIAL PRIMARY KEY,
+    orden_id INTEGER REFERENCES ordenes(id) ON DELETE SET NULL,
+    evento VARCHAR(50) NOT NULL,
+    canal VARCHAR(30) NOT NULL,
+    destinatario VARCHAR(500) NOT NULL,
+    mensaje TEXT NOT NULL,
+    datos JSONB NOT NULL DEFAULT '{}',
+    estado VARCHAR(20) NOT NULL DEFAULT 'pendiente' CHECK (estado IN ('pendiente', 'enviada', 'fallida')),
+    intentos INTEGER NOT NULL DEFAULT 0,
+    proximo_intento TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ultimo_error TEXT,
+    creada_en TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    enviada_en TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_notificaciones_pendientes ON notificaciones_salientes (proximo_intento)
+    WHERE estado = 'pendiente';
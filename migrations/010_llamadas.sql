@@ -0,0 +1,16 @@
+-- Migración 010: Registro de llamadas recibidas, para medir la conversión llamada → orden.
+-- Se inserta una fila al empezar cada llamada y se vincula la orden si llega a FINALIZED.
+-- Las llamadas anteriores a esta migración no se registraron, así que los reportes de
+-- conversión solo son válidos desde su aplicación.
+
+CREATE TABLE IF NOT EXISTS llamadas (
+    call_sid VARCHAR(64) PRIMARY KEY,
+    telefono VARCHAR(50),
+    iniciada_en TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    orden_id INTEGER REFERENCES ordenes(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_llamadas_iniciada_en ON llamadas (iniciada_en);
+
+-- Los reportes filtran las órdenes por rango de fechas.
+CREATE INDEX IF NOT EXISTS idx_ordenes_fecha ON ordenes (fecha);
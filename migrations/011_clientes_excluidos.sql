@@ -0,0 +1,11 @@
+-- Migración 011: Clientes que pidieron no ser reconocidos (y que se borraran sus datos).
+-- El perfil de un cliente frecuente se deriva de sus órdenes por 'telefono'; esta tabla solo
+-- guarda el hash SHA-256 del número para no volver a reconocerlo sin conservar el número.
+
+CREATE TABLE IF NOT EXISTS clientes_excluidos (
+    telefono_hash CHAR(64) PRIMARY KEY,
+    fecha TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Búsqueda del perfil por número al empezar cada llamada.
+CREATE INDEX IF NOT EXISTS idx_ordenes_telefono ON ordenes (telefono, fecha DESC);
@@ -0,0 +1,35 @@
+-- Migración 012: Horario de atención del teléfono, días cerrados y control de carga.
+-- Las horas se interpretan en la zona horaria del café (CAFE_TIMEZONE). Un día de la semana
+-- sin fila en 'horarios' se considera cerrado.
+
+CREATE TABLE IF NOT EXISTS horarios (
+    dia_semana SMALLINT PRIMARY KEY CHECK (dia_semana BETWEEN 0 AND 6), -- 0 = domingo
+    abre TIME NOT NULL,
+    cierra TIME NOT NULL,
+    CHECK (abre < cierra)
+);
+
+-- Feriados y cierres puntuales (inventario, eventos privados...).
+CREATE TABLE IF NOT EXISTS dias_cerrados (
+    fecha DATE PRIMARY KEY,
+    motivo VARCHAR(200)
+);
+
+-- Ajustes de operación editables desde el panel (clave -> valor JSON).
+CREATE TABLE IF NOT EXISTS configuracion (
+    clave VARCHAR(100) PRIMARY KEY,
+    valor JSONB NOT NULL,
+    actualizado_en TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO horarios (dia_semana, abre, cierra) VALUES
+    (1, '07:00', '20:00'), (2, '07:00', '20:00'), (3, '07:00', '20:00'),
+    (4, '07:00', '20:00'), (5, '07:00', '20:00'),
+    (6, '08:00', '18:00'), (0, '08:00', '18:00')
+ON CONFLICT (dia_semana) DO NOTHING;
+
+-- 'max_ordenes_por_estacion' null = sin límite.
+INSERT INTO configuracion (clave, valor) VALUES
+    ('pedidos_pausados', 'false'),
+    ('capacidad', '{"max_ordenes_por_estacion": 15, "minutos_por_orden": 5}')
+ON CONFLICT (clave) DO NOTHING;
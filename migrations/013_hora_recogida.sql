@@ -0,0 +1,21 @@
+-- Migración 013: Órdenes programadas para una hora de recogida y tiempos de preparación.
+-- Una orden programada se guarda con 'hora_recogida' y 'liberar_en' (cuándo debe aparecer en las
+-- estaciones); 'liberada_en' queda vacía hasta ese momento. Las órdenes inmediatas se liberan al crearse.
+
+ALTER TABLE ordenes ADD COLUMN IF NOT EXISTS hora_recogida TIMESTAMP WITH TIME ZONE;
+ALTER TABLE ordenes ADD COLUMN IF NOT EXISTS liberar_en TIMESTAMP WITH TIME ZONE;
+ALTER TABLE ordenes ADD COLUMN IF NOT EXISTS liberada_en TIMESTAMP WITH TIME ZONE;
+UPDATE ordenes SET liberada_en = fecha WHERE liberada_en IS NULL AND liberar_en IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ordenes_por_liberar ON ordenes (liberar_en) WHERE liberada_en IS NULL;
+CREATE INDEX IF NOT EXISTS idx_ordenes_hora_recogida ON ordenes (hora_recogida) WHERE hora_recogida IS NOT NULL;
+
+-- Minutos típicos de preparación de una unidad, para estimar cuándo estará lista una orden.
+ALTER TABLE menu ADD COLUMN IF NOT EXISTS minutos_preparacion INTEGER NOT NULL DEFAULT 4 CHECK (minutos_preparacion > 0);
+UPDATE menu SET minutos_preparacion = 6 WHERE area_preparacion = 'cocina';
+
+-- La espera ahora se estima con los minutos de preparación de lo pendiente en cada estación;
+-- la capacidad suma el límite de órdenes programadas por franja de 15 minutos.
+UPDATE configuracion
+SET valor = (valor - 'minutos_por_orden') || '{"max_ordenes_por_franja": 4}'::jsonb
+WHERE clave = 'capacidad' AND NOT valor ? 'max_ordenes_por_franja';
@@ -0,0 +1,55 @@
+-- Migración 014: Inventario de ingredientes y recetas.
+-- Cada producto tiene una receta (ingredientes por unidad vendida) y cada modificador puede
+-- agregar ingredientes ("shot extra": +1 espresso) o reemplazar uno de la receta ("leche de
+-- avena" en lugar de leche). Las existencias se descuentan al registrar la orden y se devuelven
+-- si se cancela; cada cambio queda en 'movimientos_inventario'.
+-- Un producto sin receta no lleva control de existencias.
+
+CREATE TABLE IF NOT EXISTS ingredientes (
+    id SERIAL PRIMARY KEY,
+    nombre VARCHAR(100) NOT NULL UNIQUE,
+    unidad VARCHAR(20) NOT NULL DEFAULT 'pieza',
+    -- Puede quedar negativa si se vendió más de lo contado; el siguiente conteo la corrige.
+    existencia NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    -- Con la existencia en o por debajo del mínimo, el panel muestra la alerta de existencias bajas.
+    minimo NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (minimo >= 0),
+    actualizado_en TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS recetas (
+    producto_id INTEGER NOT NULL REFERENCES menu(id) ON DELETE CASCADE,
+    ingrediente_id INTEGER NOT NULL REFERENCES ingredientes(id) ON DELETE CASCADE,
+    cantidad NUMERIC(12, 2) NOT NULL CHECK (cantidad > 0),
+    PRIMARY KEY (producto_id, ingrediente_id)
+);
+
+-- Con 'reemplaza_ingrediente_id' el modificador usa 'ingrediente_id' en la misma cantidad que la
+-- receta del producto usaba del reemplazado; si no, agrega 'cantidad' por unidad.
+CREATE TABLE IF NOT EXISTS recetas_modificadores (
+    modificador_id INTEGER NOT NULL REFERENCES modificadores(id) ON DELETE CASCADE,
+    ingrediente_id INTEGER NOT NULL REFERENCES ingredientes(id) ON DELETE CASCADE,
+    cantidad NUMERIC(12, 2) CHECK (cantidad > 0),
+    reemplaza_ingrediente_id INTEGER REFERENCES ingredientes(id) ON DELETE CASCADE,
+    PRIMARY KEY (modificador_id, ingrediente_id),
+    CHECK ((cantidad IS NULL) <> (reemplaza_ingrediente_id IS NULL))
+);
+
+CREATE TABLE IF NOT EXISTS movimientos_inventario (
+    id SERIAL PRIMARY KEY,
+    ingrediente_id INTEGER NOT NULL REFERENCES ingredientes(id) ON DELETE CASCADE,
+    tipo VARCHAR(20) NOT NULL CHECK (tipo IN ('venta', 'devolucion', 'conteo', 'ajuste')),
+    cantidad NUMERIC(12, 2) NOT NULL,
+    existencia_resultante NUMERIC(12, 2) NOT NULL,
+    orden_id INTEGER REFERENCES ordenes(id) ON DELETE SET NULL,
+    usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+    nota TEXT,
+    fecha TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_movimientos_ingrediente ON movimientos_inventario (ingrediente_id, fecha);
+CREATE INDEX IF NOT EXISTS idx_movimientos_orden ON movimientos_inventario (orden_id) WHERE orden_id IS NOT NULL;
+
+-- Distingue lo retirado automáticamente por falta de ingredientes (vuelve solo al reponerse)
+-- de lo que el personal retiró a mano.
+ALTER TABLE menu ADD COLUMN IF NOT EXISTS agotado_por_inventario BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE modificadores ADD COLUMN IF NOT EXISTS agotado_por_inventario BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,35 @@
+-- Migración 015: Pagos de las órdenes.
+-- 'pagos' es el registro de cada cobro y reembolso (enlace de pago, efectivo o tarjeta en el
+-- mostrador). Las columnas de 'ordenes' resumen ese registro para el panel y las pantallas:
+-- 'estado_pago' y 'monto_pagado' (cobrado menos reembolsado) se recalculan con cada movimiento.
+
+CREATE TABLE IF NOT EXISTS pagos (
+    id SERIAL PRIMARY KEY,
+    orden_id INTEGER NOT NULL REFERENCES ordenes(id) ON DELETE CASCADE,
+    tipo VARCHAR(20) NOT NULL DEFAULT 'cobro' CHECK (tipo IN ('cobro', 'reembolso')),
+    metodo VARCHAR(20) NOT NULL CHECK (metodo IN ('enlace', 'efectivo', 'tarjeta')),
+    monto NUMERIC(10, 2) NOT NULL CHECK (monto > 0),
+    -- Un enlace queda 'pendiente' hasta que la pasarela avisa por el webhook.
+    estado VARCHAR(20) NOT NULL DEFAULT 'completado' CHECK (estado IN ('pendiente', 'completado', 'fallido')),
+    -- Identificador en la pasarela (enlaces y sus reembolsos) o folio del voucher de tarjeta.
+    referencia VARCHAR(100),
+    pasarela VARCHAR(30),
+    url TEXT,
+    motivo TEXT,
+    usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completado_en TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_pagos_orden_id ON pagos (orden_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pagos_referencia ON pagos (pasarela, referencia) WHERE pasarela IS NOT NULL;
+
+ALTER TABLE ordenes ADD COLUMN IF NOT EXISTS metodo_pago VARCHAR(20);
+ALTER TABLE ordenes ADD COLUMN IF NOT EXISTS estado_pago VARCHAR(20) NOT NULL DEFAULT 'pendiente'
+    CHECK (estado_pago IN ('pendiente', 'parcial', 'pagada', 'reembolsada'));
+ALTER TABLE ordenes ADD COLUMN IF NOT EXISTS monto_pagado NUMERIC(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE ordenes ADD COLUMN IF NOT EXISTS referencia_pago VARCHAR(100);
+
+-- Hasta ahora se cobraba en efectivo al recoger: las órdenes entregadas se dan por pagadas.
+UPDATE ordenes SET metodo_pago = 'efectivo', estado_pago = 'pagada', monto_pagado = total
+WHERE estado = 'completada' AND metodo_pago IS NULL;
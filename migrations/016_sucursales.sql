@@ -0,0 +1,54 @@
+-- Migración 016: Sucursales.
+-- Cada sucursal contesta en su propio número de Twilio (el 'To' de la llamada) con su saludo y
+-- su voz, y tiene su horario, días cerrados, pausa, capacidad y cola de órdenes. El catálogo del
+-- menú es común; 'menu_sucursales' ajusta el precio o retira un producto en una sucursal.
+-- Todo lo existente pasa a la sucursal 1 (la principal), creada con el nombre del café.
+
+CREATE TABLE IF NOT EXISTS sucursales (
+    id SERIAL PRIMARY KEY,
+    nombre VARCHAR(100) NOT NULL UNIQUE,
+    -- Número de Twilio en formato E.164. Las llamadas a un número sin sucursal van a la principal.
+    telefono VARCHAR(30) UNIQUE,
+    -- Bienvenida al contestar a un cliente nuevo; null = "¡Hola! Bienvenido a <nombre>."
+    saludo TEXT,
+    voz VARCHAR(50) NOT NULL DEFAULT 'Polly.Lupe',
+    creada_en TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO sucursales (id, nombre) VALUES (1, 'Cafe Delicia') ON CONFLICT (id) DO NOTHING;
+SELECT setval(pg_get_serial_sequence('sucursales', 'id'), (SELECT MAX(id) FROM sucursales));
+
+-- Sin fila, la sucursal usa el precio y la disponibilidad del catálogo. Un producto retirado
+-- del catálogo (o agotado por inventario) no se vende en ninguna sucursal.
+CREATE TABLE IF NOT EXISTS menu_sucursales (
+    sucursal_id INTEGER NOT NULL REFERENCES sucursales(id) ON DELETE CASCADE,
+    producto_id INTEGER NOT NULL REFERENCES menu(id) ON DELETE CASCADE,
+    -- null = precio del catálogo.
+    precio NUMERIC(10, 2) CHECK (precio >= 0),
+    disponible BOOLEAN NOT NULL DEFAULT TRUE,
+    PRIMARY KEY (sucursal_id, producto_id)
+);
+
+ALTER TABLE ordenes ADD COLUMN IF NOT EXISTS sucursal_id INTEGER NOT NULL DEFAULT 1 REFERENCES sucursales(id);
+ALTER TABLE llamadas ADD COLUMN IF NOT EXISTS sucursal_id INTEGER NOT NULL DEFAULT 1 REFERENCES sucursales(id);
+ALTER TABLE ordenes_abandonadas ADD COLUMN IF NOT EXISTS sucursal_id INTEGER NOT NULL DEFAULT 1 REFERENCES sucursales(id);
+
+CREATE INDEX IF NOT EXISTS idx_ordenes_sucursal_fecha ON ordenes (sucursal_id, fecha);
+
+-- Personal: null = todas las sucursales (administración general). Barra y cocina trabajaban en
+-- la única sucursal que había.
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS sucursal_id INTEGER REFERENCES sucursales(id);
+UPDATE usuarios SET sucursal_id = 1 WHERE rol <> 'admin' AND sucursal_id IS NULL;
+
+-- Horario, días cerrados y ajustes de operación pasan a ser de cada sucursal.
+ALTER TABLE horarios ADD COLUMN IF NOT EXISTS sucursal_id INTEGER NOT NULL DEFAULT 1 REFERENCES sucursales(id) ON DELETE CASCADE;
+ALTER TABLE horarios DROP CONSTRAINT IF EXISTS horarios_pkey;
+ALTER TABLE horarios ADD PRIMARY KEY (sucursal_id, dia_semana);
+
+ALTER TABLE dias_cerrados ADD COLUMN IF NOT EXISTS sucursal_id INTEGER NOT NULL DEFAULT 1 REFERENCES sucursales(id) ON DELETE CASCADE;
+ALTER TABLE dias_cerrados DROP CONSTRAINT IF EXISTS dias_cerrados_pkey;
+ALTER TABLE dias_cerrados ADD PRIMARY KEY (sucursal_id, fecha);
+
+ALTER TABLE configuracion ADD COLUMN IF NOT EXISTS sucursal_id INTEGER NOT NULL DEFAULT 1 REFERENCES sucursales(id) ON DELETE CASCADE;
+ALTER TABLE configuracion DROP CONSTRAINT IF EXISTS configuracion_pkey;
+ALTER TABLE configuracion ADD PRIMARY KEY (sucursal_id, clave);
@@ -0,0 +1,30 @@
+-- Migración 017: Transcripción de las llamadas, turno por turno.
+-- Cada turno guarda lo que dijo el cliente (con la confianza del reconocimiento de Twilio), lo
+-- que interpretó el modelo (la entrada de la herramienta tal cual), el total calculado, la
+-- respuesta hablada y cuánto tardó. Se borran pasados TRANSCRIPT_RETENTION_DAYS (ver Transcripciones.js).
+
+CREATE TABLE IF NOT EXISTS turnos_llamada (
+    id SERIAL PRIMARY KEY,
+    call_sid VARCHAR(64) NOT NULL,
+    numero INTEGER NOT NULL,
+    fecha TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    -- null en el saludo (el cliente todavía no habla).
+    texto_cliente TEXT,
+    confianza NUMERIC(4, 3),
+    etapa VARCHAR(50),
+    etapa_nueva VARCHAR(50),
+    -- Quién interpretó el turno: el proveedor LLM o 'reglas' (ver AsistenteIA.js).
+    origen VARCHAR(30),
+    interpretacion JSONB,
+    total NUMERIC(10, 2),
+    respuesta TEXT NOT NULL,
+    latencia_ms INTEGER,
+    UNIQUE (call_sid, numero)
+);
+
+CREATE INDEX IF NOT EXISTS idx_turnos_llamada_fecha ON turnos_llamada (fecha);
+
+-- Cómo terminó la llamada: 'orden', 'abandonada' o 'no_atendida' (fuera de horario, pausa...).
+-- null = en curso, o anterior a esta migración.
+ALTER TABLE llamadas ADD COLUMN IF NOT EXISTS resultado VARCHAR(20);
+UPDATE llamadas SET resultado = 'orden' WHERE orden_id IS NOT NULL AND resultado IS NULL;
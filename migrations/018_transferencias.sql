@@ -0,0 +1,11 @@
+-- Migración 018: Transferencia de llamadas a una persona del equipo.
+-- Cuando el cliente lo pide o el asistente no logra entenderlo, la llamada se transfiere
+-- (<Dial>) al teléfono del personal de la sucursal y la orden parcial queda en
+-- 'ordenes_abandonadas' con motivo 'transferida' para que el equipo la vea (ver Transferencias.js).
+-- La llamada queda con resultado 'transferida'.
+
+-- null = el número de HANDOFF_NUMBER.
+ALTER TABLE sucursales ADD COLUMN IF NOT EXISTS telefono_personal VARCHAR(30);
+
+-- Por qué se transfirió: 'solicitud', 'no_entendido', 'falla_llm' o 'falla_asistente'.
+ALTER TABLE ordenes_abandonadas ADD COLUMN IF NOT EXISTS motivo_transferencia VARCHAR(30);
@@ -0,0 +1,50 @@
+-- Migración 019: Atención telefónica en inglés.
+-- Cada llamada se atiende en español o en inglés (ver Idiomas.js). Productos, grupos y opciones
+-- de modificadores pueden tener su nombre en inglés (y los productos, alias en inglés) para
+-- leerlos y reconocerlos; las órdenes se siguen registrando con el nombre del catálogo.
+
+-- null = se dice el nombre en español.
+ALTER TABLE menu ADD COLUMN IF NOT EXISTS nombre_en VARCHAR(100);
+ALTER TABLE menu ADD COLUMN IF NOT EXISTS alias_en JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE grupos_modificadores ADD COLUMN IF NOT EXISTS nombre_en VARCHAR(100);
+ALTER TABLE modificadores ADD COLUMN IF NOT EXISTS nombre_en VARCHAR(100);
+
+-- Voz de Twilio para las llamadas en inglés de cada sucursal.
+ALTER TABLE sucursales ADD COLUMN IF NOT EXISTS voz_en VARCHAR(50) NOT NULL DEFAULT 'Polly.Joanna';
+
+-- Idioma en que se atendió la llamada: 'es' o 'en'.
+ALTER TABLE llamadas ADD COLUMN IF NOT EXISTS idioma VARCHAR(5) NOT NULL DEFAULT 'es';
+
+-- Nombres en inglés del menú y los modificadores iniciales (el menú inicial de una base nueva
+-- los trae desde Database.verificarTablas).
+UPDATE menu SET nombre_en = v.nombre_en, alias_en = v.alias_en::jsonb
+FROM (VALUES
+    ('Café Americano', 'Americano', '["black coffee"]'),
+    ('Capuchino', 'Cappuccino', '[]'),
+    ('Latte de Vainilla', 'Vanilla Latte', '["latte"]'),
+    ('Muffin de Arándanos', 'Blueberry Muffin', '["muffin"]'),
+    ('Sándwich de Pavo', 'Turkey Sandwich', '["sandwich"]')
+) AS v (nombre, nombre_en, alias_en)
+WHERE menu.nombre = v.nombre AND menu.nombre_en IS NULL;
+
+UPDATE grupos_modificadores SET nombre_en = v.nombre_en
+FROM (VALUES
+    ('Tamaño', 'Size'),
+    ('Leche', 'Milk'),
+    ('Shots de espresso', 'Espresso shots'),
+    ('Jarabes', 'Syrups')
+) AS v (nombre, nombre_en)
+WHERE grupos_modificadores.nombre = v.nombre AND grupos_modificadores.nombre_en IS NULL;
+
+UPDATE modificadores SET nombre_en = v.nombre_en
+FROM (VALUES
+    ('tamaño grande', 'large size'),
+    ('leche de avena', 'oat milk'),
+    ('leche de almendra', 'almond milk'),
+    ('leche deslactosada', 'lactose-free milk'),
+    ('shot extra de espresso', 'extra espresso shot'),
+    ('doble shot extra de espresso', 'double extra espresso shot'),
+    ('jarabe de vainilla', 'vanilla syrup'),
+    ('jarabe de caramelo', 'caramel syrup')
+) AS v (nombre, nombre_en)
+WHERE modificadores.nombre = v.nombre AND modificadores.nombre_en IS NULL;
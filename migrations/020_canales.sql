@@ -0,0 +1,8 @@
+-- Migración 020: Pedidos por chat web, SMS y WhatsApp.
+-- Cada conversación y cada orden guardan su canal: 'voz' (llamada), 'web', 'sms' o 'whatsapp'
+-- (ver Canales.js). Las conversaciones de texto se registran en 'llamadas' como las llamadas,
+-- con su propio id en 'call_sid', para guardar sus turnos y medir su conversión.
+
+ALTER TABLE llamadas ADD COLUMN IF NOT EXISTS canal VARCHAR(20) NOT NULL DEFAULT 'voz';
+ALTER TABLE ordenes ADD COLUMN IF NOT EXISTS canal VARCHAR(20) NOT NULL DEFAULT 'voz';
+ALTER TABLE ordenes_abandonadas ADD COLUMN IF NOT EXISTS canal VARCHAR(20) NOT NULL DEFAULT 'voz';
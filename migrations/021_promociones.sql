@@ -0,0 +1,54 @@
+-- Migración 021: Promociones, combos y cupones.
+-- Tipos (ver Promociones.js): 'combo' (los 'productos' juntos por 'precio'), 'descuento'
+-- ('porcentaje' sobre los 'productos', o sobre toda la orden si no indica ninguno) y
+-- 'lleva_x_paga_y' (de cada 'lleva' unidades de los 'productos' se cobran 'paga').
+-- Con 'codigo' la promoción es un cupón: solo aplica si el cliente dice el código.
+-- Se pueden limitar a días de la semana, a una franja horaria (p. ej. la hora feliz), a unas
+-- fechas y a una sucursal. A cada orden se le aplica la mejor promoción que cumple; lo que
+-- descontó queda en 'orden_promociones' y en 'ordenes.descuento'.
+
+CREATE TABLE IF NOT EXISTS promociones (
+    id SERIAL PRIMARY KEY,
+    nombre VARCHAR(100) NOT NULL,
+    nombre_en VARCHAR(100),
+    tipo VARCHAR(20) NOT NULL CHECK (tipo IN ('combo', 'descuento', 'lleva_x_paga_y')),
+    -- En un combo un producto puede repetirse ("2 cafés y un muffin").
+    productos INTEGER[] NOT NULL DEFAULT '{}',
+    precio NUMERIC(10, 2) CHECK (precio >= 0),
+    porcentaje NUMERIC(5, 2) CHECK (porcentaje > 0 AND porcentaje <= 100),
+    lleva INTEGER CHECK (lleva > 1),
+    paga INTEGER CHECK (paga >= 0),
+    codigo VARCHAR(30) UNIQUE,
+    -- 0 = domingo; NULL = todos los días.
+    dias SMALLINT[],
+    hora_inicio TIME,
+    hora_fin TIME,
+    vigente_desde DATE,
+    vigente_hasta DATE,
+    -- NULL = todas las sucursales.
+    sucursal_id INTEGER REFERENCES sucursales(id) ON DELETE CASCADE,
+    activa BOOLEAN NOT NULL DEFAULT TRUE,
+    creada_en TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (tipo <> 'combo' OR (precio IS NOT NULL AND cardinality(productos) > 1)),
+    CHECK (tipo <> 'descuento' OR porcentaje IS NOT NULL),
+    CHECK (tipo <> 'lleva_x_paga_y' OR (lleva IS NOT NULL AND paga IS NOT NULL AND paga < lleva AND cardinality(productos) > 0)),
+    CHECK ((hora_inicio IS NULL) = (hora_fin IS NULL) AND (hora_inicio IS NULL OR hora_inicio < hora_fin))
+);
+
+-- 'nombre', 'tipo' y 'codigo' se copian para que el reporte no cambie si la promoción se edita o se borra.
+CREATE TABLE IF NOT EXISTS orden_promociones (
+    id SERIAL PRIMARY KEY,
+    orden_id INTEGER NOT NULL REFERENCES ordenes(id) ON DELETE CASCADE,
+    promocion_id INTEGER REFERENCES promociones(id) ON DELETE SET NULL,
+    nombre VARCHAR(100) NOT NULL,
+    tipo VARCHAR(20) NOT NULL,
+    codigo VARCHAR(30),
+    veces INTEGER NOT NULL DEFAULT 1,
+    descuento NUMERIC(10, 2) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_orden_promociones_orden ON orden_promociones (orden_id);
+CREATE INDEX IF NOT EXISTS idx_orden_promociones_promocion ON orden_promociones (promocion_id);
+
+-- 'total' ya tiene el descuento aplicado; la suma de las líneas es 'total' + 'descuento'.
+ALTER TABLE ordenes ADD COLUMN IF NOT EXISTS descuento NUMERIC(10, 2) NOT NULL DEFAULT 0;
@@ -0,0 +1,6 @@
+-- Migración 022: Teléfono verificado de cada orden.
+-- En el chat web el cliente escribe su número y nadie lo comprueba, salvo que lo verifique con un
+-- código por SMS (ver VerificacionTelefono.js). Las órdenes con un número sin verificar no cuentan
+-- para el perfil de cliente frecuente de ese número ni le envían SMS.
+
+ALTER TABLE ordenes ADD COLUMN IF NOT EXISTS telefono_verificado BOOLEAN NOT NULL DEFAULT TRUE;
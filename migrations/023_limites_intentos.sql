@@ -0,0 +1,11 @@
+-- Migración 023: Límites de intentos por ventana de tiempo (ver LimiteIntentos.js).
+-- Una fila por clave ('login-ip:<ip>', 'login-usuario:<usuario>'...) con los intentos de la ventana
+-- en curso; al vencer la ventana el siguiente intento vuelve a contar desde 1.
+
+CREATE TABLE IF NOT EXISTS limites_intentos (
+    clave VARCHAR(200) PRIMARY KEY,
+    intentos INTEGER NOT NULL,
+    vence_en TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_limites_intentos_vence ON limites_intentos (vence_en);
@@ -1,56 +1,373 @@
 // Archivo: server.js
-// VERSIÓN CORREGIDA: Pasa la instancia de la base de datos (db) al constructor de AsistenteIA.
 
 // --- 1. SETUP INICIAL ---
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const bodyParser = require('body-parser');
 const twilio = require('twilio');
 
 const Database = require('./Database');
 const AsistenteIA = require('./AsistenteIA');
+const { crearAlmacenEstado } = require('./AlmacenEstado');
+const Autenticacion = require('./Autenticacion');
+const { TRANSICIONES, ESTADOS, ESTADOS_CON_MOTIVO } = require('./MaquinaEstadosOrden');
+const CentralEventos = require('./CentralEventos');
+const Notificador = require('./Notificador');
+const Reportes = require('./Reportes');
+const Clientes = require('./Clientes');
+const HorarioNegocio = require('./HorarioNegocio');
+const Inventario = require('./Inventario');
+const Pagos = require('./Pagos');
+const Impresion = require('./Impresion');
+const Tickets = require('./Tickets');
+const Sucursales = require('./Sucursales');
+const Transcripciones = require('./Transcripciones');
+const Transferencias = require('./Transferencias');
+const { fraseDeTecla, instruccionesTeclado } = require('./Teclado');
+const Idiomas = require('./Idiomas');
+const Canales = require('./Canales');
+const Promociones = require('./Promociones');
+const VerificacionTelefono = require('./VerificacionTelefono');
+const LimiteIntentos = require('./LimiteIntentos');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+// Validación de firma de Twilio. TWILIO_SKIP_VALIDATION=true la desactiva SOLO para pruebas locales
+// (p. ej. simular llamadas con curl); nunca debe activarse en producción.
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+const TWILIO_SKIP_VALIDATION = process.env.TWILIO_SKIP_VALIDATION === 'true';
+// URL pública con la que Twilio llama al servidor (necesaria detrás de proxies que reescriben host/protocolo).
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL;
+// Detrás de un proxy, los límites por IP necesitan la IP del cliente (X-Forwarded-For): TRUST_PROXY es
+// el número de proxies de confianza (p. ej. 1) o la lista de sus direcciones (ver 'trust proxy' de Express).
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+const COOKIE_SESION = 'sid';
+// Intentos de inicio de sesión por usuario y por IP (ver LimiteIntentos.js).
+const LIMITE_LOGIN_USUARIO = { maximo: 5, ventanaMs: 15 * 60 * 1000 };
+const LIMITE_LOGIN_IP = { maximo: 20, ventanaMs: 15 * 60 * 1000 };
 
 // Inicialización de dependencias
 const db = new Database();
-// --- CORRECCIÓN CRÍTICA ---
-// Se pasa la instancia 'db' al constructor de AsistenteIA para que pueda acceder al menú.
-const asistenteIA = new AsistenteIA(db);
-// -------------------------
+// Horario de atención, días cerrados, pausa de pedidos, capacidad por estación y tiempos de
+// preparación y recogida (ver HorarioNegocio.js).
+const horarioNegocio = new HorarioNegocio(db);
+// Promociones, combos y cupones que el asistente aplica al carrito (ver Promociones.js).
+const promociones = new Promociones(db, { horario: horarioNegocio });
+// Asistente de pedidos: LLM con respaldo del intérprete de reglas (ver AsistenteIA.js).
+const asistenteIA = new AsistenteIA(db, { horario: horarioNegocio, promociones });
+const autenticacion = new Autenticacion(db);
+// Eventos en tiempo real (SSE) para las pantallas KDS y el panel de administración.
+const centralEventos = new CentralEventos();
+// Notificaciones al cliente (NOTIFICATION_CHANNELS=consola,sms,webhook, ver CanalesNotificacion.js).
+const notificador = new Notificador(db);
+// Reportes de ventas, tiempos y conversión para el panel (ver Reportes.js).
+const reportes = new Reportes(db);
+// Clientes frecuentes reconocidos por su número (ver Clientes.js).
+const clientes = new Clientes(db);
+// Existencias de ingredientes y recetas (ver Inventario.js).
+const inventario = new Inventario(db);
+// Cobros, enlaces de pago y reembolsos (PAYMENT_GATEWAY, ver Pagos.js y PasarelasPago.js).
+const pagos = new Pagos(db);
+// Comandas y recibos en impresoras térmicas (PRINTER_<DESTINO>[_<SUCURSAL>], ver Impresoras.js).
+const impresion = new Impresion(db);
+// Sucursales: número, saludo, menú y personal de cada una (ver Sucursales.js).
+const sucursales = new Sucursales(db);
+// Turnos de cada llamada, para revisarlas desde el panel (TRANSCRIPT_RETENTION_DAYS, ver Transcripciones.js).
+const transcripciones = new Transcripciones(db);
+// Transferencia de llamadas al personal (HANDOFF_NUMBER o el teléfono de la sucursal, ver Transferencias.js).
+const transferencias = new Transferencias(db);
+// Código por SMS para verificar el número del chat web (TWILIO_VERIFY_SERVICE_SID, ver VerificacionTelefono.js).
+const verificacionTelefono = new VerificacionTelefono();
+// Límites de intentos compartidos entre instancias: inicio de sesión y códigos por SMS del chat web (ver LimiteIntentos.js).
+const limiteIntentos = new LimiteIntentos(db);
 
-const conversationState = {};
+// Estado de cada llamada en curso (STATE_STORE=memoria|postgres, ver AlmacenEstado.js).
+const almacenEstado = crearAlmacenEstado(db);
+const INTERVALO_LIMPIEZA_MS = 60 * 1000;
+const INTERVALO_PURGA_MS = 60 * 60 * 1000;
 
 // --- 2. MIDDLEWARES Y UTILIDADES ---
 
 app.use(bodyParser.urlencoded({ extended: false }));
-app.use(bodyParser.json());
+// La firma del webhook de pago se calcula sobre el cuerpo tal como llegó (ver PasarelasPago.js).
+app.use(bodyParser.json({ verify: (req, res, cuerpo) => { if (req.originalUrl === '/pagos/webhook') req.cuerpoCrudo = cuerpo.toString('utf8'); } }));
 
 app.use((req, res, next) => {
-    if (!req.originalUrl.includes('/admin') && !req.originalUrl.includes('/ordenes-activas')) {
+    if (!req.originalUrl.includes('/admin') && !req.originalUrl.includes('/ordenes-activas') && !req.originalUrl.startsWith('/kds') && !req.originalUrl.startsWith('/eventos')) {
         console.log(`[LOG] ${new Date().toISOString()} - ${req.method} ${req.originalUrl}`);
     }
     next();
 });
 
-function protegerRuta(req, res, next) {
-    const apiKey = req.headers['x-api-key'];
-    if (apiKey && apiKey === ADMIN_API_KEY) {
+function leerCookie(req, nombre) {
+    const cookies = (req.headers.cookie || '').split(';');
+    for (const cookie of cookies) {
+        const [clave, ...valor] = cookie.trim().split('=');
+        if (clave !== nombre) continue;
+        // Un valor mal codificado no es una sesión válida (decodeURIComponent lanzaría URIError).
+        try {
+            return decodeURIComponent(valor.join('='));
+        } catch (error) {
+            return undefined;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Middleware de sesión del personal. Sin argumentos admite cualquier rol autenticado;
+ * con roles (p. ej. protegerRuta('admin')) solo esos. Deja el usuario en req.usuario.
+ * Las páginas HTML redirigen a /login; la API responde 401/403 en JSON.
+ */
+function protegerRuta(...roles) {
+    return async (req, res, next) => {
+        try {
+            const usuario = await autenticacion.obtenerUsuarioDeSesion(leerCookie(req, COOKIE_SESION));
+            if (!usuario) {
+                if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+                    return res.redirect('/login');
+                }
+                return res.status(401).json({ error: 'No autorizado.' });
+            }
+            if (roles.length > 0 && !roles.includes(usuario.rol)) {
+                return res.status(403).json({ error: 'Tu rol no tiene permiso para esta acción.' });
+            }
+            req.usuario = usuario;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * URL absoluta de una ruta del servidor, como la ve Twilio.
+ */
+function urlPublica(req, ruta) {
+    return (PUBLIC_BASE_URL ? PUBLIC_BASE_URL.replace(/\/$/, '') : `${req.protocol}://${req.get('host')}`) + ruta;
+}
+
+/**
+ * Verifica la cabecera X-Twilio-Signature con TWILIO_AUTH_TOKEN.
+ */
+function validarFirmaTwilio(req, res, next) {
+    if (TWILIO_SKIP_VALIDATION) {
+        return next();
+    }
+    const url = urlPublica(req, req.originalUrl);
+    const firma = req.headers['x-twilio-signature'];
+    if (TWILIO_AUTH_TOKEN && firma && twilio.validateRequest(TWILIO_AUTH_TOKEN, firma, url, req.body)) {
         return next();
     }
-    res.status(401).json({ error: 'No autorizado.' });
+    console.warn(`[SEGURIDAD] Firma de Twilio inválida o ausente en ${req.originalUrl}.`);
+    res.status(403).type('text/plain').send('Firma de Twilio inválida.');
+}
+
+/**
+ * Vista de una orden según el rol: el admin la ve completa; barra y cocina solo ven
+ * sus propios items. Devuelve null si la orden no tiene nada para esa estación o es de
+ * otra sucursal que la del usuario.
+ */
+function filtrarOrdenParaRol(orden, usuario) {
+    if (usuario.sucursal_id && orden.sucursal_id !== usuario.sucursal_id) {
+        return null;
+    }
+    if (usuario.rol === 'admin') {
+        return orden;
+    }
+    const items = (orden.items || []).filter(i => i.area_preparacion === usuario.rol);
+    return items.length > 0 ? { ...orden, items } : null;
+}
+
+/**
+ * Sucursal con la que trabaja la petición: la del usuario, o la elegida en el panel por un
+ * admin general (cabecera X-Sucursal o ?sucursal=). null = todas.
+ */
+function sucursalDePeticion(req) {
+    if (req.usuario.sucursal_id) {
+        return req.usuario.sucursal_id;
+    }
+    const elegida = parseInt(req.get('X-Sucursal') || req.query.sucursal, 10);
+    return Number.isInteger(elegida) && elegida > 0 ? elegida : null;
+}
+
+/**
+ * Sucursal cuyos ajustes (horario, pausa, capacidad, menú) se leen o cambian: la de la
+ * petición o, si no hay, la principal. Lanza un error 404 si no existe.
+ */
+async function sucursalParaAjustes(req) {
+    const id = sucursalDePeticion(req) ?? Sucursales.PRINCIPAL;
+    if (!await sucursales.obtener(id)) {
+        throw Object.assign(new Error(`Sucursal ${id} no encontrada.`), { status: 404 });
+    }
+    return id;
+}
+
+/**
+ * Para lo que es común a todas las sucursales (catálogo, inventario, personal, clientes):
+ * solo el admin general, sin sucursal asignada. Se usa después de protegerRuta('admin').
+ */
+function soloAdminGeneral(req, res, next) {
+    if (req.usuario.sucursal_id) {
+        return res.status(403).json({ error: 'Solo la administración general puede cambiar esto.' });
+    }
+    next();
+}
+
+// Los ids de las rutas son SERIAL (int4). Cualquier otro valor no corresponde a ningún registro
+// (y Postgres lo rechazaría con un error 500), así que se responde 404 antes de llegar al handler.
+const ID_MAXIMO = 2147483647;
+const idValido = valor => /^\d+$/.test(valor) && Number(valor) >= 1 && Number(valor) <= ID_MAXIMO;
+
+app.param(['id', 'productoId'], (req, res, next, valor) => {
+    if (!idValido(valor)) {
+        return res.status(404).json({ error: `Registro ${valor} no encontrado.` });
+    }
+    next();
+});
+
+const AREAS_PREPARACION = ['barra', 'cocina'];
+
+/**
+ * Para rutas /kds/:area: el área debe existir y el usuario debe ser de esa estación o admin.
+ * Se usa después de protegerRuta().
+ */
+function protegerEstacion(req, res, next) {
+    const { area } = req.params;
+    if (!AREAS_PREPARACION.includes(area)) {
+        return res.status(404).json({ error: `Estación '${area}' no existe.` });
+    }
+    if (req.usuario.rol !== 'admin' && req.usuario.rol !== area) {
+        return res.status(403).json({ error: 'No tienes acceso a esta estación.' });
+    }
+    next();
+}
+
+/**
+ * Valida el cuerpo de una petición de producto del menú. Con 'parcial' (PUT)
+ * solo se validan los campos presentes. Devuelve un mensaje de error o null.
+ */
+function validarProducto(body, { parcial = false } = {}) {
+    const { nombre, precio, area_preparacion, categoria, descripcion, disponible, alias, minutos_preparacion, nombre_en, alias_en } = body;
+    if (!parcial || nombre !== undefined) {
+        if (typeof nombre !== 'string' || !nombre.trim()) return "'nombre' es obligatorio.";
+    }
+    if (!parcial || precio !== undefined) {
+        if (typeof precio !== 'number' || !Number.isFinite(precio) || precio < 0) return "'precio' debe ser un número mayor o igual a 0.";
+    }
+    if (!parcial || area_preparacion !== undefined) {
+        if (!AREAS_PREPARACION.includes(area_preparacion)) return `'area_preparacion' debe ser una de: ${AREAS_PREPARACION.join(', ')}.`;
+    }
+    if (categoria !== undefined && (typeof categoria !== 'string' || !categoria.trim())) return "'categoria' debe ser un texto no vacío.";
+    if (descripcion !== undefined && descripcion !== null && typeof descripcion !== 'string') return "'descripcion' debe ser texto.";
+    if (disponible !== undefined && typeof disponible !== 'boolean') return "'disponible' debe ser booleano.";
+    if (alias !== undefined && (!Array.isArray(alias) || alias.some(a => typeof a !== 'string'))) return "'alias' debe ser una lista de textos.";
+    if (nombre_en !== undefined && nombre_en !== null && (typeof nombre_en !== 'string' || !nombre_en.trim())) return "'nombre_en' debe ser un texto no vacío o null.";
+    if (alias_en !== undefined && (!Array.isArray(alias_en) || alias_en.some(a => typeof a !== 'string'))) return "'alias_en' debe ser una lista de textos.";
+    if (minutos_preparacion !== undefined && (!Number.isInteger(minutos_preparacion) || minutos_preparacion < 1)) return "'minutos_preparacion' debe ser un entero >= 1.";
+    return null;
+}
+
+/**
+ * Lee y valida los filtros de búsqueda del historial (query string de GET /ordenes).
+ * Devuelve { filtros } para Database.buscarOrdenes o { error } con el mensaje.
+ */
+function leerFiltrosOrdenes(query) {
+    const { desde, hasta, estado, telefono, nombre, producto, total_min, total_max, canal, pagina = '1', por_pagina = '25' } = query;
+    const fechaValida = f => /^\d{4}-\d{2}-\d{2}$/.test(f) && !isNaN(new Date(`${f}T00:00:00Z`));
+    if (desde !== undefined && !fechaValida(desde)) return { error: "'desde' debe tener formato AAAA-MM-DD." };
+    if (hasta !== undefined && !fechaValida(hasta)) return { error: "'hasta' debe tener formato AAAA-MM-DD." };
+    const estados = estado ? String(estado).split(',') : undefined;
+    if (estados && estados.some(e => !ESTADOS.includes(e))) return { error: `'estado' debe ser uno o varios (separados por coma) de: ${ESTADOS.join(', ')}.` };
+    if (canal !== undefined && !Canales.CANALES.includes(canal)) return { error: `'canal' debe ser uno de: ${Canales.CANALES.join(', ')}.` };
+    const montos = {};
+    for (const [clave, valor] of [['total_min', total_min], ['total_max', total_max]]) {
+        if (valor === undefined || valor === '') continue;
+        const numero = Number(valor);
+        if (!Number.isFinite(numero) || numero < 0) return { error: `'${clave}' debe ser un número mayor o igual a 0.` };
+        montos[clave] = numero;
+    }
+    if (!/^\d+$/.test(pagina) || pagina < 1) return { error: "'pagina' debe ser un entero >= 1." };
+    if (!/^\d+$/.test(por_pagina) || por_pagina < 1 || por_pagina > 100) return { error: "'por_pagina' debe ser un entero entre 1 y 100." };
+    return {
+        filtros: {
+            desde, hasta, estados, telefono, nombre, producto, canal,
+            totalMin: montos.total_min, totalMax: montos.total_max,
+            pagina: parseInt(pagina, 10), porPagina: parseInt(por_pagina, 10)
+        }
+    };
+}
+
+/**
+ * Valida el cuerpo de un grupo de modificadores. Devuelve un mensaje de error o null.
+ */
+function validarGrupoModificadores(body, { parcial = false } = {}) {
+    const { nombre, min_selecciones, max_selecciones, nombre_en } = body;
+    if (!parcial || nombre !== undefined) {
+        if (typeof nombre !== 'string' || !nombre.trim()) return "'nombre' es obligatorio.";
+    }
+    if (nombre_en !== undefined && nombre_en !== null && (typeof nombre_en !== 'string' || !nombre_en.trim())) return "'nombre_en' debe ser un texto no vacío o null.";
+    if (min_selecciones !== undefined && (!Number.isInteger(min_selecciones) || min_selecciones < 0)) return "'min_selecciones' debe ser un entero >= 0.";
+    if (max_selecciones !== undefined && (!Number.isInteger(max_selecciones) || max_selecciones < 1)) return "'max_selecciones' debe ser un entero >= 1.";
+    if (min_selecciones !== undefined && max_selecciones !== undefined && min_selecciones > max_selecciones) return "'min_selecciones' no puede ser mayor que 'max_selecciones'.";
+    return null;
+}
+
+/**
+ * Valida el cuerpo de una opción de modificador. Devuelve un mensaje de error o null.
+ */
+function validarModificador(body, { parcial = false } = {}) {
+    const { nombre, precio_delta, disponible, nombre_en } = body;
+    if (!parcial || nombre !== undefined) {
+        if (typeof nombre !== 'string' || !nombre.trim()) return "'nombre' es obligatorio.";
+    }
+    if (nombre_en !== undefined && nombre_en !== null && (typeof nombre_en !== 'string' || !nombre_en.trim())) return "'nombre_en' debe ser un texto no vacío o null.";
+    if (precio_delta !== undefined && (typeof precio_delta !== 'number' || !Number.isFinite(precio_delta))) return "'precio_delta' debe ser un número.";
+    if (disponible !== undefined && typeof disponible !== 'boolean') return "'disponible' debe ser booleano.";
+    return null;
 }
 
-async function enviarNotificacion(area, orden) {
+/**
+ * Avisa a la estación (log y pantalla KDS) que tiene items nuevos de una orden.
+ */
+function avisarEstacion(area, orden) {
     const items = orden.items || [];
-    console.log(`[NOTIFICACIÓN ${area.toUpperCase()}] Nueva orden #${orden.id} para ${orden.nombreCliente}.`);
-    console.log(`Detalles: ${items.map(i => i.nombre).join(' | ')}`);
+    console.log(`[ESTACIÓN ${area.toUpperCase()}] Nueva orden #${orden.id} para ${orden.nombreCliente}.`);
+    console.log(`Detalles: ${items.map(i => `${i.cantidad || 1}× ${i.nombre}`).join(' | ')}`);
+    centralEventos.publicar({ tipo: 'orden_nueva', orden_id: orden.id, sucursal_id: orden.sucursal_id, areas: [area] });
 }
 
-function procesarNotificaciones(orden) {
+/**
+ * Envía una notificación al cliente sin bloquear la respuesta; los errores quedan en el log
+ * (los envíos fallidos se reintentan desde la bandeja de salida).
+ */
+function notificarCliente(evento, orden, datos) {
+    notificador.notificar(evento, orden, datos).catch(error => console.error(`[NOTIFICACIONES] No se pudo encolar '${evento}':`, error));
+}
+
+function areasDeOrden(orden) {
+    return [...new Set((orden.items || []).map(i => i.area_preparacion || 'general'))];
+}
+
+/**
+ * Avisa a las pantallas de las estaciones involucradas (y al panel) que una orden cambió,
+ * y notifica al cliente cuando su orden queda lista o se cancela.
+ */
+function publicarCambioOrden(orden, { areas = areasDeOrden(orden), motivo = null } = {}) {
+    centralEventos.publicar({ tipo: 'orden_actualizada', orden_id: orden.id, sucursal_id: orden.sucursal_id, estado: orden.estado, areas });
+    if (orden.estado === 'lista_para_servir') {
+        notificarCliente('orden_lista', orden);
+    } else if (orden.estado === 'cancelada') {
+        notificarCliente('orden_cancelada', orden, { motivo });
+    }
+}
+
+function avisarEstaciones(orden) {
     const itemsPorArea = (orden.items || []).reduce((acc, item) => {
         const area = item.area_preparacion || 'general';
         acc[area] = acc[area] || [];
@@ -59,43 +376,319 @@ function procesarNotificaciones(orden) {
     }, {});
 
     for (const area in itemsPorArea) {
-        enviarNotificacion(area, { ...orden, items: itemsPorArea[area] });
+        avisarEstacion(area, { ...orden, items: itemsPorArea[area] });
+    }
+    impresion.imprimirComandas(orden.id).catch(error => console.error(`[IMPRESIÓN] No se pudieron imprimir las comandas de la orden #${orden.id}:`, error.message));
+}
+
+function procesarNotificaciones(orden) {
+    if (orden.liberada_en) {
+        avisarEstaciones(orden);
+    } else {
+        // Programada: las estaciones la reciben a su hora (ver liberarOrdenesProgramadas); el panel la ve ya.
+        console.log(`[PROGRAMADA] Orden #${orden.id} para recoger a las ${horarioNegocio.horaLocal(orden.hora_recogida)}.`);
+        centralEventos.publicar({ tipo: 'orden_nueva', orden_id: orden.id, sucursal_id: orden.sucursal_id, areas: [] });
+    }
+    notificarCliente('orden_confirmada', orden);
+    impresion.imprimirRecibo(orden.id).catch(error => console.error(`[IMPRESIÓN] No se pudo imprimir el recibo de la orden #${orden.id}:`, error.message));
+}
+
+/**
+ * Crea el enlace de pago de una orden recién confirmada y se lo envía al cliente, sin bloquear
+ * la llamada. Si falla, o si su número no está verificado, el cliente paga al recoger.
+ */
+function enviarEnlacePago(orden) {
+    if (!pagos.enlaces || orden.telefono_verificado === false) return;
+    pagos.crearEnlace(orden)
+        .then(pago => pago && notificarCliente('enlace_pago', orden, { url: pago.url, monto: pago.monto }))
+        .catch(error => console.error(`[PAGOS] No se pudo crear el enlace de pago de la orden #${orden.id}:`, error.message));
+}
+
+/**
+ * Avisa a las estaciones de la orden (y al panel) que cambió su estado de pago.
+ */
+function publicarPago(orden) {
+    centralEventos.publicar({ tipo: 'pago_actualizado', orden_id: orden.id, sucursal_id: orden.sucursal_id, estado_pago: orden.estado_pago, areas: areasDeOrden(orden) });
+}
+
+/**
+ * Registra en el log lo que un movimiento de inventario retiró o devolvió al menú y los
+ * ingredientes en su mínimo, y avisa al panel para que actualice las alertas.
+ */
+function avisarInventario({ retirados = [], repuestos = [], bajos = [] } = {}) {
+    if (retirados.length > 0) console.warn(`[INVENTARIO] Sin existencias, se retira del menú: ${retirados.join(', ')}.`);
+    if (repuestos.length > 0) console.log(`[INVENTARIO] Repuesto, vuelve al menú: ${repuestos.join(', ')}.`);
+    if (bajos.length > 0) console.warn(`[INVENTARIO] Existencias bajas: ${bajos.join(', ')}.`);
+    if (retirados.length + repuestos.length + bajos.length > 0) {
+        centralEventos.publicar({ tipo: 'inventario', areas: [] });
+    }
+}
+
+/**
+ * Pasa a las estaciones las órdenes programadas cuya hora de liberación ya llegó.
+ */
+async function liberarOrdenesProgramadas() {
+    try {
+        for (const orden of await db.liberarOrdenesProgramadas()) {
+            avisarEstaciones({ ...orden, nombreCliente: orden.nombre_cliente });
+        }
+    } catch (error) {
+        console.error('[PROGRAMADA] Error al liberar órdenes programadas:', error);
     }
 }
 
 // --- 3. GESTIÓN DE ESTADO DE CONVERSACIÓN ---
 
-function getOrCreateState(caller, callSid) {
-    if (conversationState[callSid]) {
-        return conversationState[callSid];
+/**
+ * Estado de la llamada; si es nueva, lo crea para la sucursal que la atiende.
+ * Las conversaciones de texto (ver atenderMensaje) pasan su 'canal' y la 'clave' con la que se
+ * guardan en el almacén; 'callSid' es siempre el id de la conversación en 'llamadas'.
+ */
+async function getOrCreateState(caller, callSid, sucursal, { canal = Canales.VOZ, clave = callSid } = {}) {
+    const estadoExistente = await almacenEstado.obtener(clave);
+    if (estadoExistente) {
+        return estadoExistente;
+    }
+    // Una conversación expirada con la misma clave (p. ej. el mismo número por SMS) se registra como
+    // abandonada antes de reemplazarla: después la limpieza periódica ya no la encontraría.
+    const expirado = await almacenEstado.retirarExpirado(clave);
+    if (expirado) {
+        await registrarExpirada(expirado)
+            .catch(error => console.error(`[ESTADO] No se pudo registrar la conversación expirada ${expirado.callSid}:`, error.message));
     }
+    // Con un número sin verificar (chat web) no se carga el perfil: podría ser el de otra persona.
+    const telefonoVerificado = Canales.numeroVerificado(canal);
+    const cliente = telefonoVerificado ? await cargarPerfil(caller) : null;
     const newState = {
-        caller, callSid, items: [], total: 0.00, stage: 'INITIAL_ORDER',
-        nombreCliente: 'Cliente Anónimo', telefonoCliente: caller,
+        caller, callSid, clave, canal, items: [], total: 0.00, stage: 'INITIAL_ORDER',
+        nombreCliente: cliente?.nombre || 'Cliente Anónimo', telefonoCliente: caller, telefonoVerificado,
+        cliente, idioma: Idiomas.POR_DEFECTO,
+        sucursal: { id: sucursal.id, nombre: sucursal.nombre, telefono: sucursal.telefono, saludo: sucursal.saludo, voz: sucursal.voz, voz_en: sucursal.voz_en, telefono_personal: sucursal.telefono_personal }
     };
-    conversationState[callSid] = newState;
+    await almacenEstado.guardar(clave, newState);
+    await db.registrarLlamada(callSid, caller, sucursal.id, null, canal);
     return newState;
 }
 
-function updateState(callSid, updates) {
-    if (conversationState[callSid]) {
-        conversationState[callSid] = { ...conversationState[callSid], ...updates };
+/**
+ * Perfil de cliente frecuente del número (ver Clientes.obtenerPerfil). Si no se puede cargar, la
+ * conversación sigue como la de un cliente nuevo.
+ */
+async function cargarPerfil(telefono) {
+    return clientes.obtenerPerfil(telefono).catch(error => {
+        console.error('[CLIENTES] No se pudo cargar el perfil:', error.message);
+        return null;
+    });
+}
+
+async function updateState(callSid, updates) {
+    const estado = await almacenEstado.obtener(callSid);
+    if (estado) {
+        await almacenEstado.guardar(callSid, { ...estado, ...updates });
     }
 }
 
-function deleteState(callSid) {
+async function deleteState(callSid) {
     console.log(`[ESTADO] Eliminando estado de conversación para CallSid: ${callSid}`);
-    delete conversationState[callSid];
+    return almacenEstado.eliminar(callSid);
+}
+
+/**
+ * Elimina el estado de una llamada que terminó sin FINALIZED y lo registra como orden abandonada.
+ */
+async function abandonarConversacion(callSid, motivo) {
+    const estado = await deleteState(callSid);
+    if (estado) {
+        await db.registrarOrdenAbandonada(estado, motivo);
+        console.log(`[ESTADO] Llamada ${callSid} abandonada (${motivo}) en etapa ${estado.stage}.`);
+    }
+}
+
+/**
+ * Guarda un turno de la llamada (ver Transcripciones.registrarTurno). Si falla queda en el log
+ * y la llamada sigue.
+ */
+async function registrarTurno(callSid, turno) {
+    await transcripciones.registrarTurno(callSid, turno)
+        .catch(error => console.error(`[TRANSCRIPCIÓN] No se pudo guardar el turno de ${callSid}:`, error.message));
+}
+
+/**
+ * El idioma de la conversación: lo pide el cliente ("English", la tecla 9, "español") en
+ * cualquier turno, o se detecta en su primera frase. Devuelve el estado ya con el idioma e
+ * 'idiomaPedido' si el turno solo fue para pedirlo.
+ */
+async function elegirIdioma(estado, texto, digitos) {
+    const idiomaPedido = Idiomas.idiomaPedido(texto, digitos);
+    const idioma = idiomaPedido || (!estado.idiomaElegido && texto && Idiomas.detectarIdioma(texto)) || estado.idioma;
+    if (idioma !== estado.idioma) {
+        console.log(`[IDIOMA] Conversación ${estado.callSid} en '${idioma}'.`);
+        await db.registrarIdiomaLlamada(estado.callSid, idioma)
+            .catch(error => console.error(`[IDIOMA] No se pudo guardar el idioma de ${estado.callSid}:`, error.message));
+    }
+    return { estado: { ...estado, idioma, idiomaElegido: true }, idiomaPedido };
+}
+
+/**
+ * Registra la orden de una conversación que llegó a FINALIZED (con su transcripción, cuándo
+ * estará lista y su canal), avisa a estaciones, inventario y cliente, y guarda la despedida como
+ * último turno. Devuelve { orden, despedida }.
+ */
+async function registrarOrden(estado, inicio) {
+    const { callSid, sucursal } = estado;
+    const textos = Idiomas.mensajes(estado.idioma);
+    const entrega = await horarioNegocio.tiempoDeEntrega(sucursal.id, estado.items, estado.recogida);
+    const orden = await db.agregarOrden({
+        items: estado.items,
+        telefono: estado.telefonoCliente,
+        telefonoVerificado: estado.telefonoVerificado !== false,
+        nombre: estado.nombreCliente,
+        total: estado.total,
+        transcripcion: await transcripciones.textoDeLlamada(callSid).catch(() => null),
+        callSid,
+        horaRecogida: entrega.horaRecogida,
+        liberarEn: entrega.liberarEn,
+        sucursalId: sucursal.id,
+        canal: estado.canal || Canales.VOZ,
+        descuento: estado.descuento || 0,
+        promocion: estado.promocion || null
+    });
+
+    procesarNotificaciones(orden);
+    avisarInventario(orden.inventario);
+    enviarEnlacePago(orden);
+
+    const cuando = estado.recogida
+        ? textos.listaALas(estado.recogida.hora)
+        : textos.listaEnMinutos(entrega.minutosListo);
+    const pago = pagos.enlaces && orden.telefono_verificado !== false ? textos.enlacePago : '';
+    const despedida = (Canales.esTexto(estado.canal) ? textos.texto : textos).ordenRegistrada(orden.id, cuando, pago);
+    await registrarTurno(callSid, { etapa: 'FINALIZED', etapaNueva: 'FINALIZED', total: orden.total, respuesta: despedida, latenciaMs: Date.now() - inicio });
+    return { orden, despedida };
+}
+
+/**
+ * Transfiere la llamada al personal: guarda la orden parcial (ver Transferencias.registrar),
+ * avisa al panel y responde con <Dial>. Antes de conectar, a quien contesta se le lee la orden
+ * parcial (/twilio-transferencia/aviso). 'turno' es el turno del cliente que la provocó.
+ */
+async function transferirLlamada(req, twiml, voz, estado, motivo, turno) {
+    const { callSid, sucursal } = estado;
+    await deleteState(callSid);
+    await transferencias.registrar(estado, motivo);
+    console.log(`[TRANSFERENCIA] Llamada ${callSid} transferida al personal (${motivo}) en etapa ${estado.stage}.`);
+    centralEventos.publicar({ tipo: 'llamada_transferida', call_sid: callSid, sucursal_id: sucursal.id, telefono: estado.telefonoCliente, motivo, areas: [] });
+
+    const idioma = estado.idioma || Idiomas.POR_DEFECTO;
+    const mensaje = Idiomas.mensajes(idioma).transferir;
+    await registrarTurno(callSid, { ...turno, etapaNueva: estado.stage, total: estado.total, respuesta: mensaje });
+    twiml.say(voz, mensaje);
+    const dial = twiml.dial({ action: `/twilio-transferencia/fin?idioma=${idioma}`, method: 'POST', timeout: 25 });
+    dial.number({ url: urlPublica(req, `/twilio-transferencia/aviso?llamada=${encodeURIComponent(callSid)}&idioma=${idioma}`), method: 'POST' }, transferencias.numeroPara(sucursal));
+}
+
+async function purgarTranscripciones() {
+    try {
+        const borrados = await transcripciones.purgar();
+        if (borrados && borrados.turnos + borrados.ordenes > 0) {
+            console.log(`[TRANSCRIPCIÓN] Retención de ${transcripciones.retencionDias} días: ${borrados.turnos} turnos y ${borrados.ordenes} transcripciones de órdenes borrados.`);
+        }
+    } catch (error) {
+        console.error('[TRANSCRIPCIÓN] Error al purgar transcripciones:', error);
+    }
+}
+
+async function limpiarConversacionesExpiradas() {
+    try {
+        const expirados = await almacenEstado.limpiarExpirados();
+        for (const estado of expirados) {
+            await registrarExpirada(estado);
+        }
+    } catch (error) {
+        console.error('[ESTADO] Error al limpiar conversaciones expiradas:', error);
+    }
+}
+
+async function registrarExpirada(estado) {
+    await db.registrarOrdenAbandonada(estado, 'expirado');
+    console.log(`[ESTADO] Llamada ${estado.callSid} expirada en etapa ${estado.stage}.`);
+}
+
+
+/**
+ * Saludo al contestar, con el nombre de la sucursal (o su saludo propio, para clientes nuevos).
+ * A un cliente frecuente se le saluda por su nombre y se le ofrece su última orden.
+ * Si hay órdenes en cola se avisa el tiempo de espera estimado (ver HorarioNegocio.disponibilidad).
+ * Va en el idioma de la llamada (el saludo propio de la sucursal solo se usa en español).
+ */
+function saludoInicial(estado, disponibilidad) {
+    return `${bienvenida(estado, disponibilidad)} ${preguntaInicial(estado)}`;
+}
+
+/**
+ * El saludo sin la invitación a ordenar (con la que empieza la respuesta al primer SMS).
+ */
+function bienvenida(estado, disponibilidad) {
+    const { cliente, sucursal } = estado;
+    const textos = Idiomas.mensajes(estado.idioma);
+    const espera = disponibilidad?.esperaMinutos > 0 ? textos.espera(disponibilidad.esperaMinutos) : '';
+    const saludo = cliente
+        ? (Canales.esTexto(estado.canal) ? textos.texto : textos).bienvenidaFrecuente(cliente.nombre, sucursal)
+        : textos.bienvenida(sucursal);
+    return `${saludo}${espera}`;
+}
+
+/**
+ * Con qué se invita a ordenar: a un cliente frecuente se le ofrece su última orden.
+ */
+function preguntaInicial({ cliente, idioma }) {
+    const textos = Idiomas.mensajes(idioma);
+    return cliente?.ultimaOrden?.items.length ? textos.ofrecerLoDeSiempre(asistenteIA.resumenOrden(cliente.ultimaOrden.items, idioma)) : textos.preguntaOrden;
+}
+
+/**
+ * Cómo seguir cuando el turno no cambió la orden (p. ej. solo se pidió otro idioma): lo que lleva
+ * hasta ahora o, si no lleva nada, la invitación a ordenar.
+ */
+function preguntaSiguiente(estado) {
+    const textos = Idiomas.mensajes(estado.idioma);
+    return estado.items.length ? textos.ordenHastaAhora(asistenteIA.resumenOrden(estado.items, estado.idioma)) : preguntaInicial(estado);
+}
+
+/**
+ * Lo que se le dice a quien llama (o escribe, según el 'canal') cuando no se están tomando
+ * pedidos (fuera de horario, día cerrado, pausa manual o estaciones saturadas), en el idioma
+ * indicado y con el horario de atención. Los textos están en Idiomas.js.
+ */
+function mensajeSinPedidos({ motivo, cierre, horarios }, sucursal, canal = Canales.VOZ, idioma = Idiomas.POR_DEFECTO) {
+    const texto = Canales.esTexto(canal);
+    const textos = Idiomas.mensajes(idioma).sinPedidos;
+    const horario = horarios ? horarioNegocio.describirHorario(horarios, idioma) : '';
+    const atendemos = horario ? textos.atendemos(horario, texto) : '';
+    const gracias = textos.gracias(sucursal, texto);
+    switch (motivo) {
+        case 'dia_cerrado':
+            return `${gracias} ${textos.diaCerrado(cierre.motivo, atendemos)}`;
+        case 'cerrado':
+            return `${gracias} ${textos.cerrado(atendemos)}`;
+        case 'saturado':
+            return `${gracias} ${textos.saturado}`;
+        default:
+            return `${gracias} ${textos.pausado(texto)}`;
+    }
 }
 
 
 // --- 4. RUTAS FRONTEND Y ADMIN ---
 
+// Página pública: el menú y el chat para ordenar por escrito (ver /chat). '?sucursal=<id>' elige
+// la sucursal que atiende el chat y cuyos precios se muestran.
 app.get('/', async (req, res, next) => {
     try {
-        const menu = await db.obtenerMenu();
+        const sucursalId = /^\d+$/.test(req.query.sucursal || '') ? parseInt(req.query.sucursal, 10) : Sucursales.PRINCIPAL;
+        const menu = await db.obtenerMenu({ sucursalId });
         const menuHTML = menu.map(p =>
-            `<li>${p.nombre} (<span class="font-semibold">${p.area_preparacion.toUpperCase()}</span>) - $${parseFloat(p.precio ?? 0).toFixed(2)}</li>`
+            `<li class="${p.disponible ? '' : 'line-through text-gray-400'}">${p.nombre} (<span class="font-semibold">${p.area_preparacion.toUpperCase()}</span>) - $${parseFloat(p.precio ?? 0).toFixed(2)}</li>`
         ).join('');
 
         const html = `
@@ -105,11 +698,126 @@ app.get('/', async (req, res, next) => {
                     <h1 class="text-3xl font-bold text-indigo-600 mb-4 border-b pb-2">Sistema de Pedidos por Voz</h1>
                     <p class="text-gray-600 mb-6">El backend está en <strong>modo producción</strong>. La IA utiliza el menú de la base de datos en tiempo real.</p>
                     <div class="mb-6 border p-4 rounded-lg bg-gray-50"><h2 class="text-xl font-semibold text-gray-800 mb-3">Menú (Base de Datos)</h2><ul class="list-disc list-inside text-gray-700 space-y-1">${menuHTML}</ul></div>
+                    <div class="mb-6 border rounded-lg">
+                        <h2 class="text-xl font-semibold text-gray-800 p-4 border-b">Ordena por chat</h2>
+                        <form id="chat-inicio" class="p-4 flex gap-2">
+                            <input name="telefono" type="tel" required placeholder="Tu teléfono (+5215512345678)" class="border p-2 rounded flex-1">
+                            <button class="bg-indigo-600 text-white px-4 py-2 rounded-lg">Empezar</button>
+                        </form>
+                        <div id="chat-mensajes" class="hidden h-72 overflow-y-auto p-4 space-y-2 bg-gray-50"></div>
+                        <div id="chat-carrito" class="hidden p-4 border-t text-sm"></div>
+                        <form id="chat-form" class="hidden p-4 border-t flex gap-2">
+                            <input name="mensaje" maxlength="${MAX_LARGO_MENSAJE}" autocomplete="off" placeholder="Escribe tu pedido…" class="border p-2 rounded flex-1">
+                            <button class="bg-indigo-600 text-white px-4 py-2 rounded-lg">Enviar</button>
+                        </form>
+                        <form id="chat-verificar" class="hidden px-4 pb-4 flex items-center gap-2 text-sm">
+                            <button type="button" id="chat-pedir-codigo" class="text-indigo-600 hover:underline">Verifica tu número por SMS para recibir los avisos de tu orden</button>
+                            <input name="codigo" inputmode="numeric" autocomplete="one-time-code" placeholder="Código" class="hidden border p-1 rounded w-28">
+                            <button name="confirmar" class="hidden bg-indigo-600 text-white px-3 py-1 rounded-lg">Verificar</button>
+                        </form>
+                        <p id="chat-error" class="hidden px-4 pb-4 text-sm text-red-600"></p>
+                    </div>
                     <div class="p-4 bg-green-100 border-l-4 border-green-500 text-green-700 rounded-lg">
-                        <p><strong>Ruta de Twilio:</strong> <code>/twilio-conversation</code></p>
+                        <p><strong>Ruta de Twilio:</strong> <code>/twilio-conversation</code> · SMS y WhatsApp: <code>/twilio-mensajes</code></p>
                         <p><strong>Panel Admin:</strong> <a href="/admin" class="text-indigo-600 hover:underline">/admin</a></p>
+                        <p><strong>Pantallas KDS:</strong> <a href="/kds/barra" class="text-indigo-600 hover:underline">/kds/barra</a> · <a href="/kds/cocina" class="text-indigo-600 hover:underline">/kds/cocina</a></p>
                     </div>
                 </div>
+                <script>
+                    const SUCURSAL = ${sucursalId};
+                    // La sesión se guarda en la pestaña para seguir la conversación si se recarga la página.
+                    let sesion = sessionStorage.getItem('chat-sesion');
+                    function escapar(texto) { const d = document.createElement('div'); d.textContent = texto; return d.innerHTML; }
+                    function agregarMensaje(texto, delCliente) {
+                        const lista = document.getElementById('chat-mensajes');
+                        lista.insertAdjacentHTML('beforeend', '<div class="flex ' + (delCliente ? 'justify-end' : '') + '"><p class="max-w-[80%] whitespace-pre-line px-3 py-2 rounded-lg ' + (delCliente ? 'bg-indigo-600 text-white' : 'bg-white border') + '">' + escapar(texto) + '</p></div>');
+                        lista.scrollTop = lista.scrollHeight;
+                    }
+                    function mostrarCarrito(carrito) {
+                        const panel = document.getElementById('chat-carrito');
+                        panel.classList.toggle('hidden', !carrito || !carrito.items.length);
+                        if (!carrito) return;
+                        panel.innerHTML = '<ul class="mb-1">' + carrito.items.map(i => '<li class="flex justify-between"><span>' + i.cantidad + '× ' + escapar(i.nombre)
+                            + (i.personalizaciones.length ? ' <span class="text-gray-500">(' + escapar(i.personalizaciones.join(', ')) + ')</span>' : '') + '</span><span>$' + Number(i.subtotal).toFixed(2) + '</span></li>').join('') + '</ul>'
+                            + (carrito.promocion ? '<p class="flex justify-between text-green-700"><span>' + escapar(carrito.promocion.nombre) + '</span><span>-$' + Number(carrito.promocion.descuento).toFixed(2) + '</span></p>' : '')
+                            + '<p class="flex justify-between font-semibold border-t pt-1"><span>Total</span><span>$' + Number(carrito.total).toFixed(2) + '</span></p>';
+                    }
+                    function mostrarChat(activo) {
+                        document.getElementById('chat-inicio').classList.toggle('hidden', activo);
+                        document.getElementById('chat-mensajes').classList.remove('hidden');
+                        document.getElementById('chat-form').classList.toggle('hidden', !activo);
+                    }
+                    function mostrarError(texto) {
+                        const error = document.getElementById('chat-error');
+                        error.textContent = texto || '';
+                        error.classList.toggle('hidden', !texto);
+                    }
+                    function guardarSesion(nueva) {
+                        sesion = nueva;
+                        if (sesion) sessionStorage.setItem('chat-sesion', sesion); else sessionStorage.removeItem('chat-sesion');
+                    }
+                    // Con la orden registrada (o si la conversación ya no existe) se puede empezar otra.
+                    function atender(r) {
+                        agregarMensaje(r.mensaje, false);
+                        mostrarCarrito(r.carrito);
+                        guardarSesion(r.sesion);
+                        mostrarChat(Boolean(sesion));
+                        if (!sesion) document.getElementById('chat-inicio').classList.remove('hidden');
+                        document.getElementById('chat-verificar').classList.toggle('hidden', !r.verificar_telefono);
+                    }
+                    async function enviar(url, cuerpo) {
+                        const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(cuerpo) });
+                        const datos = await res.json();
+                        if (res.status === 404 && sesion) guardarSesion(null);
+                        if (!res.ok) throw new Error(datos.error || 'No se pudo enviar el mensaje.');
+                        return datos;
+                    }
+                    document.getElementById('chat-inicio').addEventListener('submit', async e => {
+                        e.preventDefault();
+                        mostrarError('');
+                        try {
+                            document.getElementById('chat-mensajes').innerHTML = '';
+                            atender(await enviar('/chat', { telefono: e.target.telefono.value, sucursal: SUCURSAL }));
+                        } catch (error) { mostrarError(error.message); }
+                    });
+                    document.getElementById('chat-form').addEventListener('submit', async e => {
+                        e.preventDefault();
+                        const mensaje = e.target.mensaje.value.trim();
+                        if (!mensaje || !sesion) return;
+                        e.target.mensaje.value = '';
+                        mostrarError('');
+                        agregarMensaje(mensaje, true);
+                        try {
+                            atender(await enviar('/chat/' + sesion + '/mensajes', { mensaje }));
+                        } catch (error) {
+                            mostrarError(error.message);
+                            if (!sesion) mostrarChat(false);
+                        }
+                    });
+                    // Verificar el número: primero se pide el código y luego se escribe el que llegó por SMS.
+                    document.getElementById('chat-pedir-codigo').addEventListener('click', async e => {
+                        mostrarError('');
+                        try {
+                            await enviar('/chat/' + sesion + '/codigo', {});
+                            e.target.textContent = 'Te enviamos un código. ¿No llegó? Reenviar';
+                            const form = document.getElementById('chat-verificar');
+                            form.codigo.classList.remove('hidden');
+                            form.confirmar.classList.remove('hidden');
+                            form.codigo.focus();
+                        } catch (error) { mostrarError(error.message); }
+                    });
+                    document.getElementById('chat-verificar').addEventListener('submit', async e => {
+                        e.preventDefault();
+                        mostrarError('');
+                        try {
+                            atender(await enviar('/chat/' + sesion + '/verificacion', { codigo: e.target.codigo.value }));
+                            e.target.codigo.value = '';
+                        } catch (error) { mostrarError(error.message); }
+                    });
+                    if (sesion) {
+                        enviar('/chat/' + sesion + '/mensajes', {}).then(atender).catch(() => guardarSesion(null));
+                    }
+                </script>
             </body></html>`;
         res.send(html);
     } catch (error) {
@@ -117,10 +825,59 @@ app.get('/', async (req, res, next) => {
     }
 });
 
-app.get('/ordenes-activas', async (req, res, next) => {
+app.get('/ordenes-activas', protegerRuta(), async (req, res, next) => {
+    try {
+        const ordenesActivas = await db.obtenerOrdenesActivas({ sucursalId: sucursalDePeticion(req) });
+        res.json(ordenesActivas.map(o => filtrarOrdenParaRol(o, req.usuario)).filter(Boolean));
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+// Historial de órdenes (incluidas completadas y canceladas) con filtros y paginación.
+// Barra y cocina solo ven las órdenes con items de su estación, y solo esos items.
+app.get('/ordenes', protegerRuta(), async (req, res, next) => {
+    const { filtros, error } = leerFiltrosOrdenes(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    try {
+        const area = req.usuario.rol === 'admin' ? undefined : req.usuario.rol;
+        const { ordenes, total } = await db.buscarOrdenes({ ...filtros, area, sucursalId: sucursalDePeticion(req) });
+        res.json({
+            ordenes: ordenes.map(o => filtrarOrdenParaRol(o, req.usuario)),
+            total, pagina: filtros.pagina, por_pagina: filtros.porPagina,
+            paginas: Math.ceil(total / filtros.porPagina)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Detalle completo de una orden: datos, líneas con su estado por estación, historial de
+// estados, notificaciones enviadas al cliente y pagos.
+app.get('/ordenes/:id', protegerRuta(), async (req, res, next) => {
+    const { id } = req.params;
     try {
-        const ordenesActivas = await db.obtenerOrdenesActivas();
-        res.json(ordenesActivas);
+        const orden = await db.obtenerOrden(id);
+        const vista = orden && filtrarOrdenParaRol(orden, req.usuario);
+        if (!vista) {
+            return res.status(404).json({ error: `Orden ${id} no encontrada.` });
+        }
+        const [lineas, eventos, notificaciones, pagosOrden] = await Promise.all([
+            db.obtenerItemsOrden(id),
+            db.obtenerEventosOrden(id),
+            req.usuario.rol === 'admin' ? notificador.listar({ ordenId: id }) : [],
+            pagos.obtenerPagos(id)
+        ]);
+        res.json({
+            ...vista,
+            lineas: req.usuario.rol === 'admin' ? lineas : lineas.filter(l => l.area_preparacion === req.usuario.rol),
+            eventos,
+            notificaciones,
+            pagos: pagosOrden
+        });
     } catch (error) {
         next(error);
     }
@@ -129,47 +886,158 @@ app.get('/ordenes-activas', async (req, res, next) => {
 
 // --- 5. LÓGICA DE CONVERSACIÓN UNIFICADA CON TWILIO ---
 
-app.post('/twilio-conversation', async (req, res, next) => {
-    const { Caller, CallSid, SpeechResult } = req.body;
+// Cada turno escucha la voz del cliente o una tecla (ver Teclado.js), en el idioma de la llamada.
+const opcionesGather = (idioma) => ({
+    input: 'dtmf speech', numDigits: 1, action: '/twilio-conversation', method: 'POST',
+    timeout: 3, language: Idiomas.reconocimiento(idioma)
+});
+
+app.post('/twilio-conversation', validarFirmaTwilio, async (req, res, next) => {
+    const { Caller, CallSid, SpeechResult, Digits, To, Confidence } = req.body;
     const VoiceResponse = twilio.twiml.VoiceResponse;
     const twiml = new VoiceResponse();
+    const inicio = Date.now();
 
     try {
-        const estadoActual = getOrCreateState(Caller, CallSid);
+        // La sucursal se elige por el número llamado al contestar y queda en el estado de la llamada.
+        const estadoPrevio = await almacenEstado.obtener(CallSid);
+        const sucursal = estadoPrevio?.sucursal || await sucursales.paraNumero(To);
+        let voz = Idiomas.voz(sucursal, estadoPrevio?.idioma);
+
+        // Llamada nueva: antes de empezar una orden se revisan horario, pausa y carga de las estaciones.
+        // Si no se puede consultar, la llamada se atiende normalmente.
+        let disponibilidad = null;
+        if (!SpeechResult && !Digits && !estadoPrevio) {
+            disponibilidad = await horarioNegocio.disponibilidad(sucursal.id).catch(error => {
+                console.error('[HORARIO] No se pudo consultar la disponibilidad:', error.message);
+                return null;
+            });
+            if (disponibilidad && !disponibilidad.aceptaPedidos) {
+                console.log(`[HORARIO] Llamada ${CallSid} no atendida: ${disponibilidad.motivo}.`);
+                await db.registrarLlamada(CallSid, Caller, sucursal.id, 'no_atendida');
+                const mensaje = mensajeSinPedidos(disponibilidad, sucursal);
+                const mensajeIngles = mensajeSinPedidos(disponibilidad, sucursal, Canales.VOZ, 'en');
+                await registrarTurno(CallSid, { respuesta: `${mensaje} ${mensajeIngles}`, latenciaMs: Date.now() - inicio });
+                twiml.say(voz, mensaje);
+                twiml.say(Idiomas.voz(sucursal, 'en'), mensajeIngles);
+                twiml.hangup();
+                res.type('text/xml');
+                return res.send(twiml.toString());
+            }
+        }
 
-        if (!SpeechResult) {
-            twiml.say({ language: 'es-MX', voice: 'Polly.Lupe' }, '¡Hola! Bienvenido a Cafe Delicia. ¿Qué te gustaría ordenar hoy?');
+        let estadoActual = await getOrCreateState(Caller, CallSid, sucursal);
+        const transferible = Boolean(transferencias.numeroPara(sucursal));
+
+        if (!SpeechResult && !Digits) {
+            // En español se ofrece el inglés, con la voz en inglés de la sucursal (ver Idiomas.js).
+            const saludo = saludoInicial(estadoActual, disponibilidad);
+            const ofrecerIngles = estadoActual.idioma === Idiomas.POR_DEFECTO;
+            await registrarTurno(CallSid, { etapaNueva: estadoActual.stage, total: estadoActual.total, respuesta: ofrecerIngles ? `${saludo} ${Idiomas.OFRECER_INGLES}` : saludo, latenciaMs: Date.now() - inicio });
+            twiml.say(voz, saludo);
+            if (ofrecerIngles) twiml.say(Idiomas.voz(sucursal, 'en'), Idiomas.OFRECER_INGLES);
         } else {
-            const respuestaIA = await asistenteIA.procesarConversacion(SpeechResult, estadoActual);
-            updateState(CallSid, respuestaIA.estadoActualizado);
+            const turno = {
+                textoCliente: SpeechResult || `Tecla ${Digits}`,
+                confianza: Confidence ? parseFloat(Confidence) : null,
+                etapa: estadoActual.stage
+            };
 
-            twiml.say({ language: 'es-MX', voice: 'Polly.Lupe' }, respuestaIA.mensaje);
+            const { estado: estadoConIdioma, idiomaPedido } = await elegirIdioma(estadoActual, SpeechResult, Digits);
+            const idioma = estadoConIdioma.idioma;
+            if (idioma !== estadoActual.idioma) {
+                voz = Idiomas.voz(sucursal, idioma);
+            }
+            estadoActual = estadoConIdioma;
+            const textos = Idiomas.mensajes(idioma);
 
-            if (respuestaIA.estadoActualizado.stage === 'FINALIZED') {
-                const estadoFinal = respuestaIA.estadoActualizado;
-                
-                const nuevaOrden = await db.agregarOrden({
-                    items: estadoFinal.items,
-                    telefono: estadoFinal.telefonoCliente,
-                    nombre: estadoFinal.nombreCliente,
-                    total: estadoFinal.total
+            // Solo pidió el idioma: se le vuelve a invitar a ordenar, ya en ese idioma.
+            if (idiomaPedido) {
+                const mensaje = `${textos.cambioIdioma} ${preguntaSiguiente(estadoActual)}`;
+                await updateState(CallSid, estadoActual);
+                await registrarTurno(CallSid, { ...turno, etapaNueva: estadoActual.stage, total: estadoActual.total, respuesta: mensaje, latenciaMs: Date.now() - inicio });
+                twiml.say(voz, mensaje);
+                twiml.gather(opcionesGather(idioma));
+                res.type('text/xml');
+                return res.send(twiml.toString());
+            }
+
+            // El cliente pide hablar con una persona (o marca 0).
+            if (Digits === '0' || (SpeechResult && transferencias.pidePersona(SpeechResult))) {
+                if (transferible) {
+                    await transferirLlamada(req, twiml, voz, estadoActual, 'solicitud', { ...turno, latenciaMs: Date.now() - inicio });
+                    res.type('text/xml');
+                    return res.send(twiml.toString());
+                }
+                const mensaje = textos.sinPersonal;
+                await updateState(CallSid, estadoActual);
+                await registrarTurno(CallSid, { ...turno, etapaNueva: estadoActual.stage, total: estadoActual.total, respuesta: mensaje, latenciaMs: Date.now() - inicio });
+                twiml.say(voz, mensaje);
+                twiml.gather(opcionesGather(idioma));
+                res.type('text/xml');
+                return res.send(twiml.toString());
+            }
+
+            // Una tecla se traduce a la frase de la etapa; si no es una opción, cuenta como no entendida.
+            const textoCliente = SpeechResult || fraseDeTecla(Digits, estadoActual);
+            let respuestaIA = null;
+            let errorAsistente = null;
+            if (textoCliente) {
+                respuestaIA = await asistenteIA.procesarConversacion(textoCliente, estadoActual).catch(error => {
+                    console.error(`[ASISTENTE] Falló el turno de la llamada ${CallSid}:`, error);
+                    errorAsistente = error;
+                    return null;
                 });
-                
-                procesarNotificaciones(nuevaOrden);
-                
-                twiml.say({ language: 'es-MX', voice: 'Polly.Lupe' }, `Tu orden ha sido registrada con el número ${nuevaOrden.id}. ¡Gracias por llamar!`);
+            }
+            const noEntendido = !textoCliente || Boolean(respuestaIA?.noEntendido);
+            const estadoNuevo = {
+                ...(respuestaIA?.estadoActualizado || estadoActual),
+                noEntendidos: noEntendido ? (estadoActual.noEntendidos || 0) + 1 : errorAsistente ? estadoActual.noEntendidos : 0,
+                fallosAsistente: errorAsistente ? (estadoActual.fallosAsistente || 0) + 1 : 0,
+                // Después de un turno que no se entendió se ofrecen las opciones del teclado.
+                usarTeclado: Boolean(estadoActual.usarTeclado || noEntendido || errorAsistente || Digits)
+            };
+
+            const motivo = transferencias.motivoTras(estadoNuevo, respuestaIA);
+            if (motivo && transferible) {
+                await transferirLlamada(req, twiml, voz, estadoNuevo, motivo, { ...turno, latenciaMs: Date.now() - inicio });
+                res.type('text/xml');
+                return res.send(twiml.toString());
+            }
+            // Sin nadie a quien transferir, el asistente que falla dos veces termina la llamada como antes.
+            if (motivo === 'falla_asistente') {
+                throw errorAsistente;
+            }
+
+            const mensaje = respuestaIA?.mensaje || (errorAsistente ? textos.falloAsistente : textos.teclado.invalida);
+            const respuesta = estadoNuevo.usarTeclado && estadoNuevo.stage !== 'FINALIZED'
+                ? `${mensaje} ${instruccionesTeclado(estadoNuevo, { transferible })}`.trim()
+                : mensaje;
+            await updateState(CallSid, estadoNuevo);
+            await registrarTurno(CallSid, {
+                ...turno,
+                etapaNueva: estadoNuevo.stage,
+                origen: respuestaIA?.origen || null,
+                interpretacion: respuestaIA?.interpretacion ?? null,
+                total: estadoNuevo.total,
+                respuesta,
+                latenciaMs: Date.now() - inicio
+            });
+
+            twiml.say(voz, respuesta);
+
+            if (estadoNuevo.stage === 'FINALIZED') {
+                const { despedida } = await registrarOrden(estadoNuevo, inicio);
+                twiml.say(voz, despedida);
                 twiml.hangup();
-                deleteState(CallSid);
+                await deleteState(CallSid);
                 
                 res.type('text/xml');
                 return res.send(twiml.toString());
             }
         }
         
-        twiml.gather({
-            input: 'speech', action: '/twilio-conversation', method: 'POST',
-            timeout: 3, language: 'es-MX'
-        });
+        twiml.gather(opcionesGather(estadoActual.idioma));
 
         res.type('text/xml');
         res.send(twiml.toString());
@@ -180,101 +1048,2628 @@ app.post('/twilio-conversation', async (req, res, next) => {
 });
 
 
-// --- 6. RUTAS DEL PANEL DE ADMINISTRACIÓN ---
-app.get('/admin', async (req, res) => {
-    const html = `
-        <!DOCTYPE html><html lang="es"><head><meta charset="UTF-8"><title>Panel de Administración</title><script src="https://cdn.tailwindcss.com"></script></head>
-        <body class="bg-gray-100 p-6">
-            <div class="max-w-5xl mx-auto">
-                <h1 class="text-3xl font-extrabold text-gray-800 mb-6">Panel de Administración</h1>
-                <div id="api-key-info" class="bg-indigo-100 p-4 rounded-xl mb-6"><p class="font-bold text-indigo-800">CLAVE DE ADMIN (X-API-Key):</p><code id="admin-key" class="block bg-indigo-200 p-2 rounded mt-1">${ADMIN_API_KEY}</code></div>
-                <div class="flex justify-between items-center mb-4"><h2 class="text-2xl font-semibold">Órdenes Activas</h2><button onclick="fetchOrders()" class="bg-green-600 text-white px-4 py-2 rounded-lg">Refrescar</button></div>
-                <div id="orders-list" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6"></div>
-            </div>
-            <script>
-                const ADMIN_API_KEY = document.getElementById('admin-key').textContent.trim();
-                const API_BASE_URL = window.location.origin;
-                
-                async function updateStatus(orderId, currentStatus) {
-                    const statusMap = { 'recibida': 'en_preparacion', 'en_preparacion': 'lista_para_servir', 'lista_para_servir': 'completada' };
-                    const nextStatus = statusMap[currentStatus];
-                    if (!nextStatus) return;
-                    try {
-                        const res = await fetch(API_BASE_URL + '/ordenes/' + orderId + '/estado', {
-                            method: 'PUT', headers: { 'Content-Type': 'application/json', 'X-API-Key': ADMIN_API_KEY },
-                            body: JSON.stringify({ estado: nextStatus })
-                        });
-                        if (res.ok) fetchOrders();
-                    } catch (e) { console.error('Fallo de red'); }
-                }
-                function getStatusColor(s) { const c = { recibida: 'bg-yellow-100 text-yellow-800', en_preparacion: 'bg-blue-100 text-blue-800', lista_para_servir: 'bg-green-100 text-green-800', completada: 'bg-gray-200 text-gray-700' }; return c[s] || ''; }
-                function renderOrders(orders) {
-                    const list = document.getElementById('orders-list');
-                    list.innerHTML = orders.length === 0 ? '<p class="text-center col-span-full p-8">No hay órdenes activas.</p>' : '';
-                    orders.forEach(o => {
-                        const card = document.createElement('div');
-                        card.className = 'bg-white p-6 rounded-xl shadow-lg';
-                        const itemsHTML = (o.items || []).map(i => \`<li>\${i.nombre} \${i.personalizaciones ? '(' + i.personalizaciones.join(', ') + ')' : ''}</li>\`).join('');
-                        const isDone = o.estado === 'completada';
-                        const nextText = { recibida: 'A Preparación', en_preparacion: 'Lista', lista_para_servir: 'Completar' }[o.estado] || 'Finalizado';
-                        card.innerHTML = \`
-                            <div class="flex justify-between"><h3 class="text-2xl font-bold">#\${o.id}</h3><span class="px-3 py-1 text-xs font-semibold rounded-full \${getStatusColor(o.estado)}">\${o.estado.toUpperCase().replace('_', ' ')}</span></div>
-                            <p class="text-sm text-gray-500 mb-2">Cliente: \${o.nombre_cliente || 'Anónimo'} | Total: $\${parseFloat(o.total || 0).toFixed(2)}</p>
-                            <ul class="list-disc list-inside mb-4">\${itemsHTML}</ul>
-                            <button onclick="updateStatus(\${o.id}, '\${o.estado}')" class="w-full text-white py-2 rounded-lg \${isDone ? 'bg-gray-400' : 'bg-blue-500'}" \${isDone ? 'disabled' : ''}>\${nextText}</button>
-                        \`;
-                        list.appendChild(card);
-                    });
-                }
-                async function fetchOrders() {
-                    try { const res = await fetch(API_BASE_URL + '/ordenes-activas'); renderOrders(await res.json()); }
-                    catch (e) { console.error('Fallo al obtener órdenes'); }
-                }
-                window.onload = fetchOrders;
-            </script>
-        </body></html>`;
-    res.send(html);
-});
+// Callback de estado de llamada de Twilio (configurar como "Call status changes" del número).
+// Si la llamada termina sin haber llegado a FINALIZED, el estado sigue en el almacén: se registra como abandonada.
+const ESTADOS_LLAMADA_TERMINADA = ['completed', 'busy', 'failed', 'no-answer', 'canceled'];
 
-app.put('/ordenes/:id/estado', protegerRuta, async (req, res, next) => {
-    const { id } = req.params;
-    const { estado } = req.body;
+app.post('/twilio-status', validarFirmaTwilio, async (req, res, next) => {
+    const { CallSid, CallStatus } = req.body;
     try {
-        const orden = await db.actualizarEstadoOrden(id, estado);
-        res.json({ message: `Orden ${id} actualizada`, orden });
+        if (CallSid && ESTADOS_LLAMADA_TERMINADA.includes(CallStatus)) {
+            await abandonarConversacion(CallSid, 'colgo');
+        }
+        res.status(204).end();
     } catch (error) {
         next(error);
     }
 });
 
 
-// --- 7. MANEJADOR DE ERRORES GLOBAL ---
-app.use((error, req, res, next) => {
-    console.error('[ERROR GLOBAL]', error);
-    if (res.headersSent) {
-        return next(error);
+// Transferencia al personal (ver transferirLlamada). 'aviso' es lo que escucha quien contesta
+// antes de conectarse con el cliente: la orden parcial y por qué se transfirió.
+app.post('/twilio-transferencia/aviso', validarFirmaTwilio, async (req, res, next) => {
+    const twiml = new twilio.twiml.VoiceResponse();
+    try {
+        const transferida = typeof req.query.llamada === 'string' ? await transferencias.obtener(req.query.llamada) : undefined;
+        if (transferida) {
+            const sucursal = await sucursales.obtener(transferida.sucursal_id);
+            const cliente = transferida.nombre_cliente && transferida.nombre_cliente !== 'Cliente Anónimo' ? transferida.nombre_cliente : 'un cliente';
+            const orden = transferida.items.length
+                ? `Lleva en su orden: ${asistenteIA.resumenOrden(transferida.items)}, por $${parseFloat(transferida.total).toFixed(2)}.`
+                : 'Todavía no tiene nada en su orden.';
+            // El aviso es para el personal: siempre en español, advirtiendo si el cliente habla inglés.
+            const idioma = req.query.idioma === 'en' ? ' El cliente habla inglés.' : '';
+            twiml.say(Idiomas.voz(sucursal),
+                `Llamada transferida de ${cliente} a ${sucursal?.nombre || 'la sucursal'}: ${Transferencias.MOTIVOS[transferida.motivo_transferencia] || 'transferencia'}. ${orden}${idioma}`);
+        }
+        res.type('text/xml');
+        res.send(twiml.toString());
+    } catch (error) {
+        next(error);
     }
-    if (req.originalUrl.includes('twilio')) {
-        const VoiceResponse = twilio.twiml.VoiceResponse;
-        const twiml = new VoiceResponse();
-        if (req.body.CallSid) { deleteState(req.body.CallSid); }
-        twiml.say({ language: 'es-MX', voice: 'Polly.Lupe' }, 'Lo sentimos, ha ocurrido un error en el sistema. Por favor, inténtelo de nuevo.');
+});
+
+// Fin de la transferencia (el 'action' del <Dial>): si nadie del equipo contestó, se avisa al
+// cliente en el idioma de la llamada.
+app.post('/twilio-transferencia/fin', validarFirmaTwilio, async (req, res, next) => {
+    const { CallSid, DialCallStatus } = req.body;
+    const twiml = new twilio.twiml.VoiceResponse();
+    try {
+        if (DialCallStatus !== 'completed') {
+            const transferida = await transferencias.obtener(CallSid);
+            const sucursal = transferida && await sucursales.obtener(transferida.sucursal_id);
+            const mensaje = Idiomas.mensajes(req.query.idioma).nadieContesto;
+            console.log(`[TRANSFERENCIA] Nadie contestó la llamada ${CallSid} (${DialCallStatus}).`);
+            await registrarTurno(CallSid, { respuesta: mensaje });
+            twiml.say(Idiomas.voz(sucursal, req.query.idioma), mensaje);
+        }
         twiml.hangup();
         res.type('text/xml');
-        return res.status(500).send(twiml.toString());
+        res.send(twiml.toString());
+    } catch (error) {
+        next(error);
     }
-    res.status(500).json({ error: 'Ocurrió un error interno del servidor.', details: error.message });
 });
 
-// --- 8. INICIALIZACIÓN DEL SERVIDOR ---
-db.verificarTablas().then(() => {
-    console.log("Inicialización segura exitosa. Servidor listo.");
-    app.listen(PORT, () => {
-        console.log(`Servidor Express escuchando en el puerto ${PORT}`);
-        console.log(`URL Local: http://localhost:${PORT}`);
-    });
-}).catch(error => {
-    console.error("Error fatal al inicializar la base de datos:", error);
-    process.exit(1);
-});
 
+// --- 5.1 PEDIDOS POR TEXTO: CHAT WEB, SMS Y WHATSAPP ---
+// El mismo asistente y el mismo almacén de estado que las llamadas (ver Canales.js). Cada
+// conversación tiene su id ('call_sid' en 'llamadas' y en sus turnos) y su clave en el almacén:
+// la sesión del chat web, o el canal y el número del cliente en SMS y WhatsApp.
+
+const MAX_LARGO_MENSAJE = 500;
+const FORMATO_SESION_CHAT = /^web-[0-9a-f]{32}$/;
+const CONVERSACION_CHAT_TERMINADA = 'La conversación terminó o expiró. Empieza una nueva.';
+// Códigos de verificación por SMS del chat web por conversación, por número y por IP (ver
+// LimiteIntentos.js): abrir conversaciones nuevas no permite enviar SMS sin límite.
+const LIMITES_CODIGOS_CHAT = {
+    sesion: { maximo: 3, ventanaMs: 24 * 60 * 60 * 1000 },
+    telefono: { maximo: 5, ventanaMs: 24 * 60 * 60 * 1000 },
+    ip: { maximo: 10, ventanaMs: 60 * 60 * 1000 }
+};
+
+/**
+ * Atiende un mensaje de texto y devuelve { mensaje, estado, orden }: 'estado' es null si la
+ * conversación no empezó (no se están tomando pedidos) y 'orden' es la registrada en este turno,
+ * con la que termina la conversación. Una conversación nueva empieza con el saludo; un mensaje
+ * vacío (p. ej. el chat web al abrirse) solo recibe el saludo o lo que se lleva de la orden.
+ */
+async function atenderMensaje({ clave, conversacionId, canal, telefono, sucursal, texto = '' }) {
+    const inicio = Date.now();
+    let estadoActual = await almacenEstado.obtener(clave);
+    const nueva = !estadoActual;
+    let disponibilidad = null;
+    if (nueva) {
+        disponibilidad = await horarioNegocio.disponibilidad(sucursal.id).catch(error => {
+            console.error('[HORARIO] No se pudo consultar la disponibilidad:', error.message);
+            return null;
+        });
+        if (disponibilidad && !disponibilidad.aceptaPedidos) {
+            console.log(`[HORARIO] Conversación ${conversacionId} (${canal}) no atendida: ${disponibilidad.motivo}.`);
+            await db.registrarLlamada(conversacionId, telefono, sucursal.id, 'no_atendida', canal);
+            const mensaje = `${mensajeSinPedidos(disponibilidad, sucursal, canal)}\n\n${mensajeSinPedidos(disponibilidad, sucursal, canal, 'en')}`;
+            await registrarTurno(conversacionId, { textoCliente: texto || null, respuesta: mensaje, latenciaMs: Date.now() - inicio });
+            return { mensaje, estado: null, orden: null };
+        }
+        estadoActual = await getOrCreateState(telefono, conversacionId, sucursal, { canal, clave });
+    }
+
+    if (!texto) {
+        const mensaje = nueva
+            ? `${saludoInicial(estadoActual, disponibilidad)}\n\n${Idiomas.OFRECER_INGLES_TEXTO}`
+            : preguntaSiguiente(estadoActual);
+        await registrarTurno(estadoActual.callSid, { etapaNueva: estadoActual.stage, total: estadoActual.total, respuesta: mensaje, latenciaMs: Date.now() - inicio });
+        await almacenEstado.guardar(clave, estadoActual);
+        return { mensaje, estado: estadoActual, orden: null };
+    }
+
+    const turno = { textoCliente: texto, etapa: estadoActual.stage };
+    const { estado: estadoConIdioma, idiomaPedido } = await elegirIdioma(estadoActual, texto);
+    estadoActual = estadoConIdioma;
+    const textos = Idiomas.mensajes(estadoActual.idioma);
+
+    let respuestaIA = null;
+    let mensaje;
+    if (idiomaPedido) {
+        mensaje = `${textos.cambioIdioma} ${preguntaSiguiente(estadoActual)}`;
+    } else if (transferencias.pidePersona(texto)) {
+        // Por escrito no hay a quién transferir: se ofrece el teléfono de la sucursal.
+        mensaje = textos.texto.sinPersonal(estadoActual.sucursal.telefono);
+    } else {
+        respuestaIA = await asistenteIA.procesarConversacion(texto, estadoActual).catch(error => {
+            console.error(`[ASISTENTE] Falló el turno de la conversación ${estadoActual.callSid}:`, error);
+            return null;
+        });
+        mensaje = respuestaIA?.mensaje || textos.falloAsistente;
+    }
+    // El primer mensaje de SMS o WhatsApp ya suele traer el pedido: se contesta con el saludo y la respuesta.
+    if (nueva) {
+        const ofrecerIngles = estadoActual.idioma === Idiomas.POR_DEFECTO ? `\n\n${Idiomas.OFRECER_INGLES_TEXTO}` : '';
+        mensaje = `${bienvenida(estadoActual, disponibilidad)} ${mensaje}${ofrecerIngles}`;
+    }
+
+    const estadoNuevo = respuestaIA?.estadoActualizado || estadoActual;
+    await registrarTurno(estadoNuevo.callSid, {
+        ...turno,
+        etapaNueva: estadoNuevo.stage,
+        origen: respuestaIA?.origen || null,
+        interpretacion: respuestaIA?.interpretacion ?? null,
+        total: estadoNuevo.total,
+        respuesta: mensaje,
+        latenciaMs: Date.now() - inicio
+    });
+
+    if (estadoNuevo.stage === 'FINALIZED') {
+        const { orden, despedida } = await registrarOrden(estadoNuevo, inicio);
+        await deleteState(clave);
+        return { mensaje: `${mensaje}\n\n${despedida}`, estado: estadoNuevo, orden };
+    }
+    await almacenEstado.guardar(clave, estadoNuevo);
+    return { mensaje, estado: estadoNuevo, orden: null };
+}
+
+/**
+ * Respuesta del chat web: el mensaje del asistente, la etapa, el carrito (con los nombres en el
+ * idioma de la conversación) y, al registrarse, la orden. 'sesion' es null cuando la
+ * conversación terminó o no empezó.
+ */
+function respuestaChat(sesion, { mensaje, estado, orden }) {
+    return {
+        sesion: estado && !orden ? sesion : null,
+        mensaje,
+        etapa: estado?.stage || null,
+        carrito: estado ? Canales.carrito(estado, estado.idioma) : null,
+        orden: orden ? { id: orden.id, total: parseFloat(orden.total) } : null,
+        verificar_telefono: Boolean(estado && !orden && estado.telefonoVerificado === false && verificacionTelefono.disponible())
+    };
+}
+
+/**
+ * Estado de la conversación del chat web con esa sesión, o undefined si terminó o no existe.
+ */
+async function conversacionChat(sesion) {
+    const estado = FORMATO_SESION_CHAT.test(sesion) ? await almacenEstado.obtener(sesion) : undefined;
+    return estado?.canal === 'web' ? estado : undefined;
+}
+
+/**
+ * Valida el texto de un mensaje del chat ('' se permite: pide el saludo o la orden hasta ahora).
+ * Devuelve un mensaje de error o null.
+ */
+function validarMensajeChat(mensaje) {
+    if (mensaje === undefined || mensaje === null) return null;
+    if (typeof mensaje !== 'string') return "'mensaje' debe ser texto.";
+    if (mensaje.length > MAX_LARGO_MENSAJE) return `'mensaje' no puede pasar de ${MAX_LARGO_MENSAJE} caracteres.`;
+    return null;
+}
+
+// Chat de la página web. POST /chat { telefono, sucursal? } abre una conversación y devuelve el
+// saludo; POST /chat/:sesion/mensajes { mensaje } atiende cada mensaje. El teléfono es el del
+// cliente, pero nadie lo comprueba: hasta que lo verifique (ver /chat/:sesion/codigo) no se le
+// reconoce como cliente frecuente ni se le envían SMS.
+app.post('/chat', async (req, res, next) => {
+    const telefono = typeof req.body.telefono === 'string' ? req.body.telefono.replace(/[\s()-]/g, '') : req.body.telefono;
+    const { sucursal: sucursalId } = req.body;
+    if (typeof telefono !== 'string' || !/^\+\d{8,15}$/.test(telefono)) {
+        return res.status(400).json({ error: "'telefono' debe estar en formato E.164 (+5215512345678)." });
+    }
+    if (sucursalId !== undefined && sucursalId !== null && !Number.isInteger(sucursalId)) {
+        return res.status(400).json({ error: "'sucursal' debe ser el id de una sucursal." });
+    }
+    try {
+        const sucursal = await sucursales.obtener(sucursalId ?? Sucursales.PRINCIPAL);
+        if (!sucursal) {
+            return res.status(404).json({ error: `Sucursal ${sucursalId} no encontrada.` });
+        }
+        const sesion = `web-${crypto.randomBytes(16).toString('hex')}`;
+        const respuesta = await atenderMensaje({ clave: sesion, conversacionId: sesion, canal: 'web', telefono, sucursal });
+        res.status(respuesta.estado ? 201 : 200).json(respuestaChat(sesion, respuesta));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/chat/:sesion/mensajes', async (req, res, next) => {
+    const { sesion } = req.params;
+    const error = validarMensajeChat(req.body.mensaje);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    try {
+        const estado = await conversacionChat(sesion);
+        if (!estado) {
+            return res.status(404).json({ error: CONVERSACION_CHAT_TERMINADA });
+        }
+        const respuesta = await atenderMensaje({
+            clave: sesion, conversacionId: sesion, canal: 'web', telefono: estado.telefonoCliente,
+            sucursal: estado.sucursal, texto: (req.body.mensaje || '').trim()
+        });
+        res.json(respuestaChat(sesion, respuesta));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Verificación del número del chat web (TWILIO_VERIFY_SERVICE_SID, ver VerificacionTelefono.js).
+// POST /chat/:sesion/codigo envía un código por SMS; POST /chat/:sesion/verificacion { codigo } lo
+// comprueba y, si es correcto, reconoce al cliente frecuente y habilita sus avisos por SMS.
+app.post('/chat/:sesion/codigo', async (req, res, next) => {
+    if (!verificacionTelefono.disponible()) {
+        return res.status(404).json({ error: 'La verificación del teléfono no está disponible.' });
+    }
+    try {
+        const estado = await conversacionChat(req.params.sesion);
+        if (!estado) {
+            return res.status(404).json({ error: CONVERSACION_CHAT_TERMINADA });
+        }
+        if (estado.telefonoVerificado) {
+            return res.status(409).json({ error: 'Tu número ya está verificado.' });
+        }
+        // Se cuenta antes de enviar, para que un envío que falla tampoco se pueda repetir sin límite. Del
+        // límite más estrecho al más amplio: lo que rechaza la conversación no gasta los del número ni la IP.
+        const permitido = await limiteIntentos.intentar(`codigo-chat-sesion:${req.params.sesion}`, LIMITES_CODIGOS_CHAT.sesion) &&
+            await limiteIntentos.intentar(`codigo-chat-telefono:${estado.telefonoCliente}`, LIMITES_CODIGOS_CHAT.telefono) &&
+            await limiteIntentos.intentar(`codigo-chat-ip:${req.ip}`, LIMITES_CODIGOS_CHAT.ip);
+        if (!permitido) {
+            console.warn(`[SEGURIDAD] Demasiados códigos de verificación para ${estado.telefonoCliente} desde ${req.ip}.`);
+            return res.status(429).json({ error: 'Se enviaron demasiados códigos. Inténtalo más tarde.' });
+        }
+        await verificacionTelefono.enviarCodigo(estado.telefonoCliente);
+        res.status(202).json({ enviado: true });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/chat/:sesion/verificacion', async (req, res, next) => {
+    const codigo = typeof req.body.codigo === 'string' ? req.body.codigo.trim() : '';
+    if (!/^\d{4,10}$/.test(codigo)) {
+        return res.status(400).json({ error: "'codigo' debe ser el código numérico que recibiste por SMS." });
+    }
+    if (!verificacionTelefono.disponible()) {
+        return res.status(404).json({ error: 'La verificación del teléfono no está disponible.' });
+    }
+    try {
+        const { sesion } = req.params;
+        const estado = await conversacionChat(sesion);
+        if (!estado) {
+            return res.status(404).json({ error: CONVERSACION_CHAT_TERMINADA });
+        }
+        if (estado.telefonoVerificado) {
+            return res.status(409).json({ error: 'Tu número ya está verificado.' });
+        }
+        if (!await verificacionTelefono.verificar(estado.telefonoCliente, codigo)) {
+            return res.status(400).json({ error: 'El código no es correcto o ya expiró.' });
+        }
+        const cliente = await cargarPerfil(estado.telefonoCliente);
+        const verificado = {
+            ...estado, telefonoVerificado: true, cliente,
+            nombreCliente: estado.nombreCliente === 'Cliente Anónimo' && cliente?.nombre ? cliente.nombre : estado.nombreCliente
+        };
+        await almacenEstado.guardar(sesion, verificado);
+        // A un cliente frecuente que todavía no ha pedido nada se le ofrece su última orden.
+        const textos = Idiomas.mensajes(verificado.idioma);
+        const mensaje = cliente && !verificado.items.length
+            ? `${textos.texto.telefonoVerificado} ${preguntaInicial(verificado)}`
+            : textos.texto.telefonoVerificado;
+        res.json(respuestaChat(sesion, { mensaje, estado: verificado, orden: null }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Mensajes entrantes de SMS y WhatsApp (el webhook "A message comes in" del número de Twilio o
+// del remitente de WhatsApp). La sucursal es la del número al que se escribió. La conversación
+// sigue por número del cliente hasta que se registra la orden o expira (STATE_TTL_MINUTES).
+app.post('/twilio-mensajes', validarFirmaTwilio, async (req, res, next) => {
+    const { From, To, Body, MessageSid } = req.body;
+    const twiml = new twilio.twiml.MessagingResponse();
+    try {
+        const { canal, telefono } = Canales.leerNumero(From);
+        const sucursal = await sucursales.paraNumero(Canales.leerNumero(To).telefono);
+        const texto = String(Body || '').trim().slice(0, MAX_LARGO_MENSAJE);
+        const { mensaje, estado, orden } = await atenderMensaje({ clave: `${canal}:${telefono}`, conversacionId: MessageSid, canal, telefono, sucursal, texto });
+        // Mientras la orden está abierta, cada respuesta lleva el carrito.
+        const carrito = estado && !orden ? Canales.carritoTexto(estado) : '';
+        twiml.message([mensaje, carrito].filter(Boolean).join('\n\n'));
+        res.type('text/xml');
+        res.send(twiml.toString());
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+// --- 6. RUTAS DEL PANEL DE ADMINISTRACIÓN ---
+app.get('/login', (req, res) => {
+    const mensajes = { 1: 'Usuario o contraseña incorrectos.', 2: 'Demasiados intentos. Espera unos minutos e inténtalo de nuevo.' };
+    const error = mensajes[req.query.error] ? `<p class="text-red-600 mb-4">${mensajes[req.query.error]}</p>` : '';
+    res.send(`
+        <!DOCTYPE html><html lang="es"><head><meta charset="UTF-8"><title>Iniciar sesión</title><script src="https://cdn.tailwindcss.com"></script></head>
+        <body class="bg-gray-100 p-6">
+            <form method="POST" action="/login" class="max-w-sm mx-auto bg-white p-6 rounded-xl shadow-lg mt-20">
+                <h1 class="text-2xl font-bold text-gray-800 mb-4">Cafe Delicia - Personal</h1>
+                ${error}
+                <input name="usuario" placeholder="Usuario" required autofocus class="border p-2 rounded w-full mb-3">
+                <input name="password" type="password" placeholder="Contraseña" required class="border p-2 rounded w-full mb-4">
+                <button class="w-full bg-indigo-600 text-white py-2 rounded-lg">Entrar</button>
+            </form>
+        </body></html>`);
+});
+
+app.post('/login', async (req, res, next) => {
+    const { usuario, password } = req.body;
+    const esFormulario = req.is('application/x-www-form-urlencoded');
+    try {
+        // Cada intento cuenta antes de comprobar la contraseña; uno correcto reinicia los de ese usuario.
+        const claveUsuario = `login-usuario:${String(usuario ?? '').slice(0, 100)}`;
+        const permitido = await limiteIntentos.intentar(`login-ip:${req.ip}`, LIMITE_LOGIN_IP) &&
+            await limiteIntentos.intentar(claveUsuario, LIMITE_LOGIN_USUARIO);
+        if (!permitido) {
+            console.warn(`[SEGURIDAD] Demasiados intentos de inicio de sesión para '${usuario}' desde ${req.ip}.`);
+            return esFormulario ? res.redirect('/login?error=2') : res.status(429).json({ error: 'Demasiados intentos. Espera unos minutos e inténtalo de nuevo.' });
+        }
+        const sesion = typeof usuario === 'string' && typeof password === 'string'
+            ? await autenticacion.iniciarSesion(usuario, password)
+            : null;
+        if (!sesion) {
+            console.warn(`[SEGURIDAD] Inicio de sesión fallido para '${usuario}'.`);
+            return esFormulario ? res.redirect('/login?error=1') : res.status(401).json({ error: 'Credenciales inválidas.' });
+        }
+        await limiteIntentos.reiniciar(claveUsuario);
+        // SameSite=Lax impide que otros sitios envíen la cookie en peticiones POST/PUT (CSRF).
+        res.cookie(COOKIE_SESION, sesion.token, {
+            httpOnly: true, sameSite: 'lax', secure: process.env.NODE_ENV === 'production', expires: sesion.expiraEn
+        });
+        esFormulario ? res.redirect('/admin') : res.json({ usuario: sesion.usuario });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/logout', async (req, res, next) => {
+    try {
+        await autenticacion.cerrarSesion(leerCookie(req, COOKIE_SESION));
+        res.clearCookie(COOKIE_SESION);
+        res.redirect('/login');
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/admin', protegerRuta(), async (req, res, next) => {
+    const esAdmin = req.usuario.rol === 'admin';
+    // El admin general (sin sucursal) elige con qué sucursal trabaja con ?sucursal=; sin elegir ve
+    // las órdenes de todas y configura la principal.
+    const adminGeneral = esAdmin && !req.usuario.sucursal_id;
+    const sucursalElegida = sucursalDePeticion(req);
+    let listaSucursales;
+    try {
+        listaSucursales = (await sucursales.listar()).map(({ id, nombre }) => ({ id, nombre }));
+    } catch (error) {
+        return next(error);
+    }
+    const sucursalAjustes = listaSucursales.find(s => s.id === (sucursalElegida ?? Sucursales.PRINCIPAL));
+    const consultaSucursal = sucursalElegida && !req.usuario.sucursal_id ? `?sucursal=${sucursalElegida}` : '';
+    const html = `
+        <!DOCTYPE html><html lang="es"><head><meta charset="UTF-8"><title>Panel de Administración</title><script src="https://cdn.tailwindcss.com"></script>${esAdmin ? '<script src="https://cdn.jsdelivr.net/npm/chart.js"></script>' : ''}</head>
+        <body class="bg-gray-100 p-6">
+            <div class="max-w-5xl mx-auto">
+                <h1 class="text-3xl font-extrabold text-gray-800 mb-6">Panel de Administración</h1>
+                <div class="bg-indigo-100 p-4 rounded-xl mb-6 flex justify-between items-center"><p class="text-indigo-800">Sesión: <strong>${req.usuario.nombre || req.usuario.usuario}</strong> (${req.usuario.rol}) · KDS: ${AREAS_PREPARACION.filter(a => esAdmin || a === req.usuario.rol).map(a => `<a href="/kds/${a}${consultaSucursal}" class="underline">${a}</a>`).join(' · ')}</p>${req.usuario.sucursal_id
+                    ? `<p class="text-indigo-800 font-semibold">${listaSucursales.find(s => s.id === req.usuario.sucursal_id)?.nombre || ''}</p>`
+                    : `<select onchange="window.location.search = this.value ? '?sucursal=' + this.value : ''" class="border p-2 rounded"><option value="">Todas las sucursales</option>${listaSucursales.map(s => `<option value="${s.id}" ${s.id === sucursalElegida ? 'selected' : ''}>${s.nombre}</option>`).join('')}</select>`}<form method="POST" action="/logout"><button class="text-indigo-700 hover:underline">Cerrar sesión</button></form></div>
+                <div class="${esAdmin ? '' : 'hidden'} flex gap-2 mb-6 border-b">
+                    <button id="tab-btn-operacion" onclick="showTab('operacion')" class="px-4 py-2 font-semibold border-b-2 border-indigo-600">Operación</button>
+                    <button id="tab-btn-reportes" onclick="showTab('reportes')" class="px-4 py-2 font-semibold border-b-2 border-transparent">Reportes</button>
+                </div>
+                <div id="tab-operacion">
+                <div id="transfer-alert" onclick="this.classList.add('hidden')" class="hidden bg-yellow-100 border-l-4 border-yellow-500 text-yellow-800 p-4 rounded-lg mb-4 cursor-pointer"></div>
+                <div class="flex justify-between items-center mb-4"><h2 class="text-2xl font-semibold">Órdenes Activas</h2><button onclick="fetchOrders()" class="bg-green-600 text-white px-4 py-2 rounded-lg">Refrescar</button></div>
+                <div id="orders-list" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6"></div>
+                <div class="flex justify-between items-center mt-10 mb-4"><h2 class="text-2xl font-semibold">Historial de Órdenes</h2></div>
+                <form id="history-filters" onsubmit="event.preventDefault(); fetchHistory(1)" class="bg-white p-4 rounded-xl shadow mb-4 grid grid-cols-2 md:grid-cols-4 gap-2">
+                    <input name="telefono" placeholder="Teléfono" class="border p-2 rounded">
+                    <input name="nombre" placeholder="Cliente" class="border p-2 rounded">
+                    <input name="producto" placeholder="Producto" class="border p-2 rounded">
+                    <select name="estado" class="border p-2 rounded"><option value="">Todos los estados</option>${ESTADOS.map(e => `<option value="${e}">${e}</option>`).join('')}</select>
+                    <select name="canal" class="border p-2 rounded"><option value="">Todos los canales</option>${Canales.CANALES.map(c => `<option value="${c}">${Canales.NOMBRES[c]}</option>`).join('')}</select>
+                    <input name="desde" type="date" title="Desde" class="border p-2 rounded">
+                    <input name="hasta" type="date" title="Hasta" class="border p-2 rounded">
+                    <div class="flex gap-2"><input name="total_min" type="number" step="0.01" min="0" placeholder="Total mín." class="border p-2 rounded w-1/2"><input name="total_max" type="number" step="0.01" min="0" placeholder="Total máx." class="border p-2 rounded w-1/2"></div>
+                    <button class="bg-indigo-600 text-white px-4 py-2 rounded-lg">Buscar</button>
+                </form>
+                <table class="w-full bg-white rounded-xl shadow text-sm"><thead><tr class="text-left border-b"><th class="p-2">#</th><th>Fecha</th><th>Cliente</th><th>Teléfono</th><th>Items</th><th>Total</th><th>Estado</th><th></th></tr></thead><tbody id="history-list"></tbody></table>
+                <div class="flex justify-between items-center mt-2 text-sm"><span id="history-info"></span><span><button onclick="fetchHistory(historyPage - 1)" class="text-indigo-600 mr-3">« Anterior</button><button onclick="fetchHistory(historyPage + 1)" class="text-indigo-600">Siguiente »</button></span></div>
+                <div id="order-detail" class="hidden bg-white p-4 rounded-xl shadow mt-4"></div>
+                <div id="admin-sections" class="${esAdmin ? '' : 'hidden'}">
+                <div class="flex justify-between items-center mt-10 mb-4"><h2 class="text-2xl font-semibold">Sucursales</h2><button onclick="fetchBranches()" class="bg-green-600 text-white px-4 py-2 rounded-lg">Refrescar</button></div>
+                <form id="branch-form" onsubmit="saveBranch(event)" class="${adminGeneral ? '' : 'hidden'} bg-white p-4 rounded-xl shadow mb-4 grid grid-cols-2 md:grid-cols-7 gap-2">
+                    <input type="hidden" name="id">
+                    <input name="nombre" placeholder="Nombre" required class="border p-2 rounded">
+                    <input name="telefono" placeholder="Número de Twilio (+52...)" class="border p-2 rounded">
+                    <input name="voz" placeholder="Voz (Polly.Lupe)" class="border p-2 rounded">
+                    <input name="voz_en" placeholder="Voz en inglés (Polly.Joanna)" class="border p-2 rounded">
+                    <input name="saludo" placeholder="Saludo (opcional)" class="border p-2 rounded">
+                    <input name="telefono_personal" placeholder="Transferir llamadas a (+52...)" class="border p-2 rounded">
+                    <button class="bg-indigo-600 text-white px-4 py-2 rounded-lg">Guardar</button>
+                </form>
+                <table class="w-full bg-white rounded-xl shadow text-sm"><thead><tr class="text-left border-b"><th class="p-2">#</th><th>Nombre</th><th>Teléfono</th><th>Voz</th><th>Saludo</th><th>Personal</th><th></th></tr></thead><tbody id="branch-list"></tbody></table>
+                <div class="flex justify-between items-center mt-10 mb-4"><h2 class="text-2xl font-semibold">Horario y Pedidos · ${sucursalAjustes?.nombre || ''}</h2><button onclick="fetchSchedule()" class="bg-green-600 text-white px-4 py-2 rounded-lg">Refrescar</button></div>
+                <div class="bg-white p-4 rounded-xl shadow mb-4">
+                    <div class="flex justify-between items-center mb-4"><p id="schedule-status"></p><button id="pause-button" onclick="togglePause()" class="px-4 py-2 rounded-lg text-white bg-red-600">Pausar pedidos</button></div>
+                    <form id="schedule-form" onsubmit="saveSchedule(event)" class="grid grid-cols-2 md:grid-cols-7 gap-2 mb-4">
+                        ${[1, 2, 3, 4, 5, 6, 0].map(d => `<label class="text-sm capitalize">${HorarioNegocio.DIAS[d]}<input name="abre-${d}" type="time" title="Abre" class="border p-1 rounded w-full"><input name="cierra-${d}" type="time" title="Cierra" class="border p-1 rounded w-full"></label>`).join('')}
+                        <button class="bg-indigo-600 text-white px-4 py-2 rounded-lg col-span-2 md:col-span-7">Guardar horario (sin horas = cerrado)</button>
+                    </form>
+                    <form id="capacity-form" onsubmit="saveCapacity(event)" class="flex flex-wrap gap-2 items-end mb-4">
+                        <label class="text-sm">Máx. órdenes activas por estación<br><input name="max" type="number" min="1" placeholder="Sin límite" class="border p-2 rounded"></label>
+                        <label class="text-sm">Máx. recogidas programadas por franja de 15 min<br><input name="franja" type="number" min="1" placeholder="Sin límite" class="border p-2 rounded"></label>
+                        <button class="bg-indigo-600 text-white px-4 py-2 rounded-lg">Guardar capacidad</button>
+                    </form>
+                    <form id="closure-form" onsubmit="addClosure(event)" class="flex flex-wrap gap-2 mb-2">
+                        <input name="fecha" type="date" required class="border p-2 rounded">
+                        <input name="motivo" placeholder="Motivo (p. ej. Navidad)" class="border p-2 rounded flex-1">
+                        <button class="bg-indigo-600 text-white px-4 py-2 rounded-lg">Agregar día cerrado</button>
+                    </form>
+                    <ul id="closure-list" class="text-sm"></ul>
+                </div>
+                <div class="flex justify-between items-center mt-10 mb-4"><h2 class="text-2xl font-semibold">Menú</h2><button onclick="fetchMenu()" class="bg-green-600 text-white px-4 py-2 rounded-lg">Refrescar</button></div>
+                <form id="product-form" onsubmit="saveProduct(event)" class="${adminGeneral ? '' : 'hidden'} bg-white p-4 rounded-xl shadow mb-4 grid grid-cols-2 md:grid-cols-4 gap-2">
+                    <input type="hidden" name="id">
+                    <input name="nombre" placeholder="Nombre" required class="border p-2 rounded">
+                    <input name="precio" type="number" step="0.01" min="0" placeholder="Precio" required class="border p-2 rounded">
+                    <select name="area_preparacion" class="border p-2 rounded"><option value="barra">barra</option><option value="cocina">cocina</option></select>
+                    <input name="categoria" placeholder="Categoría" class="border p-2 rounded">
+                    <input name="descripcion" placeholder="Descripción" class="border p-2 rounded col-span-2">
+                    <input name="alias" placeholder="Alias (separados por coma)" class="border p-2 rounded">
+                    <input name="minutos_preparacion" type="number" min="1" placeholder="Minutos de preparación" title="Minutos de preparación por unidad" class="border p-2 rounded">
+                    <input name="nombre_en" placeholder="Nombre en inglés" title="Para las llamadas en inglés" class="border p-2 rounded">
+                    <input name="alias_en" placeholder="Alias en inglés (separados por coma)" class="border p-2 rounded col-span-2">
+                    <button class="bg-indigo-600 text-white px-4 py-2 rounded-lg">Guardar</button>
+                </form>
+                <table class="w-full bg-white rounded-xl shadow text-sm"><thead><tr class="text-left border-b"><th class="p-2">Orden</th><th>Nombre</th><th>Categoría</th><th>Área</th><th>Precio</th><th>Disponible</th><th>En ${sucursalAjustes?.nombre || ''}</th><th></th></tr></thead><tbody id="menu-list"></tbody></table>
+                <div class="${adminGeneral ? '' : 'hidden'}">
+                <div class="flex justify-between items-center mt-10 mb-4"><h2 class="text-2xl font-semibold">Inventario</h2><button onclick="fetchInventory()" class="bg-green-600 text-white px-4 py-2 rounded-lg">Refrescar</button></div>
+                <div id="stock-alerts" class="hidden bg-red-50 border border-red-200 text-red-800 p-4 rounded-xl mb-4"></div>
+                <form id="ingredient-form" onsubmit="saveIngredient(event)" class="bg-white p-4 rounded-xl shadow mb-4 grid grid-cols-2 md:grid-cols-5 gap-2">
+                    <input type="hidden" name="id">
+                    <input name="nombre" placeholder="Ingrediente" required class="border p-2 rounded">
+                    <input name="unidad" placeholder="Unidad (ml, g, pieza)" class="border p-2 rounded">
+                    <input name="minimo" type="number" step="0.01" min="0" placeholder="Mínimo (alerta)" class="border p-2 rounded">
+                    <input name="existencia" type="number" step="0.01" min="0" placeholder="Existencia inicial" class="border p-2 rounded">
+                    <button class="bg-indigo-600 text-white px-4 py-2 rounded-lg">Guardar</button>
+                </form>
+                <table class="w-full bg-white rounded-xl shadow text-sm"><thead><tr class="text-left border-b"><th class="p-2">Ingrediente</th><th>Existencia</th><th>Mínimo</th><th>Actualizado</th><th></th></tr></thead><tbody id="ingredient-list"></tbody></table>
+                <form id="recipe-form" onsubmit="saveRecipe(event)" class="bg-white p-4 rounded-xl shadow mt-4 grid gap-2">
+                    <label class="text-sm">Receta de<br><select name="destino" onchange="loadRecipe()" class="border p-2 rounded w-full"></select></label>
+                    <textarea name="renglones" rows="4" placeholder="Un ingrediente por renglón, cantidad por unidad: 'Leche: 250'. Un modificador también puede reemplazar: 'Leche de avena: reemplaza Leche'." class="border p-2 rounded font-mono text-sm"></textarea>
+                    <button class="bg-indigo-600 text-white px-4 py-2 rounded-lg">Guardar receta (vacía = sin control de existencias)</button>
+                </form>
+                <div class="flex justify-between items-center mt-10 mb-4"><h2 class="text-2xl font-semibold">Promociones</h2><button onclick="fetchPromotions()" class="bg-green-600 text-white px-4 py-2 rounded-lg">Refrescar</button></div>
+                <form id="promotion-form" onsubmit="savePromotion(event)" class="bg-white p-4 rounded-xl shadow mb-4 grid grid-cols-2 md:grid-cols-6 gap-2">
+                    <input type="hidden" name="id">
+                    <input name="nombre" placeholder="Nombre (p. ej. Combo desayuno)" required class="border p-2 rounded">
+                    <input name="nombre_en" placeholder="Nombre en inglés" class="border p-2 rounded">
+                    <select name="tipo" class="border p-2 rounded"><option value="combo">Combo (precio fijo)</option><option value="descuento">Descuento (%)</option><option value="lleva_x_paga_y">Lleva X, paga Y</option></select>
+                    <input name="productos" placeholder="Productos, separados por coma (vacío = toda la orden)" title="Repite un producto para pedir 2 unidades en un combo" class="border p-2 rounded col-span-2 md:col-span-3">
+                    <input name="precio" type="number" step="0.01" min="0" placeholder="Precio del combo" class="border p-2 rounded">
+                    <input name="porcentaje" type="number" step="0.01" min="0.01" max="100" placeholder="% de descuento" class="border p-2 rounded">
+                    <input name="lleva" type="number" min="2" placeholder="Lleva" class="border p-2 rounded">
+                    <input name="paga" type="number" min="0" placeholder="Paga" class="border p-2 rounded">
+                    <input name="codigo" placeholder="Cupón (vacío = automática)" class="border p-2 rounded uppercase">
+                    <select name="sucursal_id" class="border p-2 rounded"><option value="">Todas las sucursales</option>${listaSucursales.map(s => `<option value="${s.id}">${s.nombre}</option>`).join('')}</select>
+                    <label class="text-sm">De<br><input name="hora_inicio" type="time" class="border p-2 rounded w-full"></label>
+                    <label class="text-sm">A<br><input name="hora_fin" type="time" class="border p-2 rounded w-full"></label>
+                    <label class="text-sm">Desde<br><input name="vigente_desde" type="date" class="border p-2 rounded w-full"></label>
+                    <label class="text-sm">Hasta<br><input name="vigente_hasta" type="date" class="border p-2 rounded w-full"></label>
+                    <div class="text-sm col-span-2 flex flex-wrap gap-2 items-center">${[1, 2, 3, 4, 5, 6, 0].map(d => `<label class="capitalize"><input name="dia-${d}" type="checkbox"> ${HorarioNegocio.DIAS[d].slice(0, 3)}</label>`).join('')} <span class="text-gray-400">(ninguno = todos)</span></div>
+                    <label class="text-sm flex items-center gap-1"><input name="activa" type="checkbox" checked> Activa</label>
+                    <button class="bg-indigo-600 text-white px-4 py-2 rounded-lg">Guardar</button>
+                </form>
+                <table class="w-full bg-white rounded-xl shadow text-sm"><thead><tr class="text-left border-b"><th class="p-2">Nombre</th><th>Promoción</th><th>Cupón</th><th>Vigencia</th><th>Sucursal</th><th>Usos</th><th></th></tr></thead><tbody id="promotion-list"></tbody></table>
+                </div>
+                <div class="flex justify-between items-center mt-10 mb-4"><h2 class="text-2xl font-semibold">Llamadas Abandonadas</h2><button onclick="fetchAbandoned()" class="bg-green-600 text-white px-4 py-2 rounded-lg">Refrescar</button></div>
+                <table class="w-full bg-white rounded-xl shadow text-sm"><thead><tr class="text-left border-b"><th class="p-2">Fecha</th><th>Teléfono</th><th>Cliente</th><th>Etapa</th><th>Items</th><th>Total</th><th>Motivo</th></tr></thead><tbody id="abandoned-list"></tbody></table>
+                <div class="flex justify-between items-center mt-10 mb-4"><h2 class="text-2xl font-semibold">Llamadas</h2></div>
+                <form id="call-filters" onsubmit="event.preventDefault(); fetchCalls()" class="bg-white p-4 rounded-xl shadow mb-4 flex flex-wrap gap-2">
+                    <input name="telefono" placeholder="Teléfono" class="border p-2 rounded">
+                    <select name="resultado" class="border p-2 rounded"><option value="">Todos los resultados</option><option value="orden">Con orden</option><option value="abandonada">Abandonadas</option><option value="no_atendida">No atendidas</option><option value="transferida">Transferidas</option></select>
+                    <select name="canal" class="border p-2 rounded"><option value="">Todos los canales</option>${Canales.CANALES.map(c => `<option value="${c}">${Canales.NOMBRES[c]}</option>`).join('')}</select>
+                    <button class="bg-indigo-600 text-white px-4 py-2 rounded-lg">Buscar</button>
+                </form>
+                <table class="w-full bg-white rounded-xl shadow text-sm"><thead><tr class="text-left border-b"><th class="p-2">Fecha</th><th>Teléfono</th><th>Sucursal</th><th>Canal</th><th>Idioma</th><th>Resultado</th><th>Turnos</th><th></th></tr></thead><tbody id="call-list"></tbody></table>
+                <div class="${adminGeneral ? '' : 'hidden'}">
+                <div class="flex justify-between items-center mt-10 mb-4"><h2 class="text-2xl font-semibold">Notificaciones</h2><button onclick="fetchNotifications()" class="bg-green-600 text-white px-4 py-2 rounded-lg">Refrescar</button></div>
+                <table class="w-full bg-white rounded-xl shadow text-sm"><thead><tr class="text-left border-b"><th class="p-2">Fecha</th><th>Orden</th><th>Evento</th><th>Canal</th><th>Destinatario</th><th>Estado</th><th>Intentos</th><th></th></tr></thead><tbody id="notification-list"></tbody></table>
+                <div class="flex justify-between items-center mt-10 mb-4"><h2 class="text-2xl font-semibold">Clientes</h2></div>
+                <form id="customer-form" onsubmit="event.preventDefault(); fetchCustomer()" class="bg-white p-4 rounded-xl shadow mb-2 flex flex-wrap gap-2">
+                    <input name="telefono" placeholder="Teléfono (+5255...)" required class="border p-2 rounded flex-1">
+                    <button class="bg-indigo-600 text-white px-4 py-2 rounded-lg">Buscar</button>
+                    <button type="button" onclick="excludeCustomer()" class="bg-yellow-500 text-white px-4 py-2 rounded-lg">No reconocer</button>
+                    <button type="button" onclick="deleteCustomer()" class="bg-red-600 text-white px-4 py-2 rounded-lg">Borrar datos</button>
+                </form>
+                <div id="customer-detail" class="bg-white p-4 rounded-xl shadow text-sm hidden"></div>
+                <div class="flex justify-between items-center mt-10 mb-4"><h2 class="text-2xl font-semibold">Usuarios</h2><button onclick="fetchUsers()" class="bg-green-600 text-white px-4 py-2 rounded-lg">Refrescar</button></div>
+                <form id="user-form" onsubmit="createUser(event)" class="bg-white p-4 rounded-xl shadow mb-4 grid grid-cols-2 md:grid-cols-6 gap-2">
+                    <input name="usuario" placeholder="Usuario" required class="border p-2 rounded">
+                    <input name="nombre" placeholder="Nombre" class="border p-2 rounded">
+                    <input name="password" type="password" placeholder="Contraseña" required minlength="8" class="border p-2 rounded">
+                    <select name="rol" class="border p-2 rounded"><option value="barra">barra</option><option value="cocina">cocina</option><option value="admin">admin</option></select>
+                    <select name="sucursal_id" class="border p-2 rounded">${listaSucursales.map(s => `<option value="${s.id}">${s.nombre}</option>`).join('')}<option value="">Todas (admin general)</option></select>
+                    <button class="bg-indigo-600 text-white px-4 py-2 rounded-lg">Crear</button>
+                </form>
+                <table class="w-full bg-white rounded-xl shadow text-sm"><thead><tr class="text-left border-b"><th class="p-2">Usuario</th><th>Nombre</th><th>Rol</th><th>Sucursal</th><th>Activo</th><th></th></tr></thead><tbody id="user-list"></tbody></table>
+                </div>
+                </div>
+                </div>
+                <div id="tab-reportes" class="hidden">
+                    <form id="report-filters" onsubmit="event.preventDefault(); fetchReports()" class="bg-white p-4 rounded-xl shadow mb-6 flex flex-wrap gap-2 items-end">
+                        <label class="text-sm">Desde<br><input name="desde" type="date" class="border p-2 rounded"></label>
+                        <label class="text-sm">Hasta<br><input name="hasta" type="date" class="border p-2 rounded"></label>
+                        <label class="text-sm">Ventas por<br><select name="agrupacion" class="border p-2 rounded"><option value="dia">día</option><option value="semana">semana</option></select></label>
+                        <button class="bg-indigo-600 text-white px-4 py-2 rounded-lg">Actualizar</button>
+                    </form>
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        ${[['ventas', 'Ventas'], ['productos', 'Productos más vendidos'], ['areas', 'Ingresos por área'], ['tiempos-preparacion', 'Tiempo de preparación (min)'], ['conversion', 'Conversión de llamadas (%)'], ['modificadores', 'Modificadores más pedidos'], ['canales', 'Órdenes por canal'], ['promociones', 'Descuentos por promoción']].map(([tipo, titulo]) => `
+                        <div class="bg-white p-4 rounded-xl shadow">
+                            <div class="flex justify-between items-center mb-2"><h3 class="font-semibold">${titulo}</h3>
+                                <span class="text-sm"><a data-export="${tipo}" data-formato="csv" class="text-indigo-600 hover:underline" href="#">CSV</a> · <a data-export="${tipo}" data-formato="json" class="text-indigo-600 hover:underline" href="#" target="_blank">JSON</a></span></div>
+                            <canvas id="chart-${tipo}" height="200"></canvas>
+                            <p id="summary-${tipo}" class="text-sm text-gray-500 mt-2"></p>
+                        </div>`).join('')}
+                    </div>
+                </div>
+            </div>
+            <script>
+                const ROL = '${req.usuario.rol}';
+                const API_BASE_URL = window.location.origin;
+                // Sucursal elegida en el panel (null = todas); horario y menú se ajustan en SUCURSAL_AJUSTES.
+                const SUCURSAL = ${JSON.stringify(sucursalElegida)};
+                const SUCURSAL_AJUSTES = ${JSON.stringify(sucursalAjustes?.id ?? null)};
+                const ADMIN_GENERAL = ${adminGeneral};
+                const SUCURSALES = ${JSON.stringify(listaSucursales)};
+                const HANDOFF_NUMBER = ${JSON.stringify(transferencias.numero)};
+                const MOTIVOS_TRANSFERENCIA = ${JSON.stringify(Transferencias.MOTIVOS)};
+                const CANALES = ${JSON.stringify(Canales.NOMBRES)};
+                const HEADERS_SUCURSAL = SUCURSAL ? { 'X-Sucursal': String(SUCURSAL) } : {};
+                function nombreSucursal(id) { return (SUCURSALES.find(s => s.id === id) || {}).nombre || ''; }
+                // Lo que viene de la base de datos (nombres de clientes y productos, motivos...) se escapa antes de ir al HTML.
+                function escapar(texto) { return String(texto ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]); }
+                
+                // Transiciones del servidor (MaquinaEstadosOrden.js); el avance normal es la primera.
+                const TRANSICIONES = ${JSON.stringify(TRANSICIONES)};
+                async function updateStatus(orderId, nextStatus, motivo) {
+                    try {
+                        await adminFetch('/ordenes/' + orderId + '/estado', { method: 'PUT', body: JSON.stringify({ estado: nextStatus, motivo }) });
+                        fetchOrders();
+                    } catch (e) { console.error('Fallo al actualizar la orden'); }
+                }
+                function cancelOrder(orderId, estado) {
+                    const motivo = prompt(estado === 'rechazada' ? 'Motivo del rechazo:' : 'Motivo de la cancelación:');
+                    if (motivo) updateStatus(orderId, estado, motivo);
+                }
+                async function showTimeline(orderId) {
+                    const eventos = await adminFetch('/ordenes/' + orderId + '/eventos');
+                    alert('Orden #' + orderId + '\\n' + eventos.map(e => new Date(e.fecha).toLocaleString() + ' - ' + (e.estado_anterior || 'nueva') + ' → ' + e.estado_nuevo + ' (' + e.actor + ')' + (e.motivo ? ': ' + e.motivo : '')).join('\\n'));
+                }
+                async function chargeOrder(orderId, metodo) {
+                    const referencia = metodo === 'tarjeta' ? prompt('Folio del voucher (opcional):') : null;
+                    if (referencia === null && metodo === 'tarjeta') return;
+                    try {
+                        await adminFetch('/ordenes/' + orderId + '/pagos', { method: 'POST', body: JSON.stringify({ metodo, referencia: referencia || null }) });
+                        fetchOrders();
+                    } catch (e) { console.error('Fallo al registrar el cobro'); }
+                }
+                async function refundOrder(orderId) {
+                    const motivo = prompt('Motivo del reembolso:');
+                    if (!motivo) return;
+                    const monto = prompt('Monto a reembolsar (vacío = todo lo pagado):');
+                    if (monto === null) return;
+                    try {
+                        await adminFetch('/ordenes/' + orderId + '/reembolsos', { method: 'POST', body: JSON.stringify({ motivo, monto: monto ? parseFloat(monto) : null }) });
+                        fetchOrders();
+                    } catch (e) { console.error('Fallo al registrar el reembolso'); }
+                }
+                async function reprint(orderId, tipo, area) {
+                    try {
+                        const r = await adminFetch('/ordenes/' + orderId + '/reimprimir', { method: 'POST', body: JSON.stringify({ tipo, area }) });
+                        alert(r.message);
+                    } catch (e) { console.error('Fallo al reimprimir'); }
+                }
+                function ticketLinks(orderId, tipo, area) {
+                    const q = '/ordenes/' + orderId + '/ticket?tipo=' + tipo + (area ? '&area=' + area : '');
+                    return \`<a href="\${q}" target="_blank" class="text-indigo-600 mr-2">HTML</a><a href="\${q}&formato=pdf" target="_blank" class="text-indigo-600 mr-2">PDF</a><button onclick="reprint(\${orderId}, '\${tipo}', \${area ? "'" + area + "'" : 'null'})" class="text-indigo-600 mr-4">Reimprimir</button>\`;
+                }
+                function paymentBadge(o) {
+                    const c = { pendiente: 'bg-orange-100 text-orange-800', parcial: 'bg-yellow-100 text-yellow-800', pagada: 'bg-green-100 text-green-800', reembolsada: 'bg-gray-200 text-gray-700' };
+                    const texto = o.estado_pago === 'pagada' ? 'PAGADA' + (o.metodo_pago ? ' · ' + o.metodo_pago : '') : o.estado_pago === 'parcial' ? 'PAGO PARCIAL $' + parseFloat(o.monto_pagado).toFixed(2) : o.estado_pago === 'reembolsada' ? 'REEMBOLSADA' : 'POR PAGAR';
+                    return \`<span class="px-2 py-1 text-xs font-semibold rounded-full \${c[o.estado_pago] || c.pendiente}">\${texto}</span>\`;
+                }
+                function getStatusColor(s) { const c = { recibida: 'bg-yellow-100 text-yellow-800', en_preparacion: 'bg-blue-100 text-blue-800', lista_para_servir: 'bg-green-100 text-green-800', completada: 'bg-gray-200 text-gray-700', cancelada: 'bg-red-100 text-red-800', rechazada: 'bg-red-100 text-red-800' }; return c[s] || ''; }
+                function renderOrders(orders) {
+                    const list = document.getElementById('orders-list');
+                    list.innerHTML = orders.length === 0 ? '<p class="text-center col-span-full p-8">No hay órdenes activas.</p>' : '';
+                    orders.forEach(o => {
+                        const card = document.createElement('div');
+                        card.className = 'bg-white p-6 rounded-xl shadow-lg';
+                        const itemsHTML = (o.items || []).map(i => \`<li>\${i.cantidad || 1}× \${escapar(i.nombre)} \${(i.personalizaciones || []).length ? '(' + escapar(i.personalizaciones.map(p => p.nombre || p).join(', ')) + ')' : ''}</li>\`).join('');
+                        const next = (TRANSICIONES[o.estado] || [])[0];
+                        const isDone = !next;
+                        const nextText = { recibida: 'A Preparación', en_preparacion: 'Lista', lista_para_servir: 'Completar' }[o.estado] || 'Finalizado';
+                        const adminButtons = ROL !== 'admin' ? '' : (TRANSICIONES[o.estado] || []).filter(e => e === 'cancelada' || e === 'rechazada')
+                            .map(e => \`<button onclick="cancelOrder(\${o.id}, '\${e}')" class="text-red-600 text-sm mr-3">\${e === 'cancelada' ? 'Cancelar' : 'Rechazar'}</button>\`).join('');
+                        const porCobrar = o.estado_pago === 'pendiente' || o.estado_pago === 'parcial';
+                        const paymentButtons = (porCobrar ? ['efectivo', 'tarjeta'].map(m => \`<button onclick="chargeOrder(\${o.id}, '\${m}')" class="text-green-700 text-sm mr-3">Cobrar \${m}</button>\`).join('') : '')
+                            + (ROL === 'admin' && parseFloat(o.monto_pagado) > 0 ? \`<button onclick="refundOrder(\${o.id})" class="text-orange-700 text-sm mr-3">Reembolsar</button>\` : '');
+                        card.innerHTML = \`
+                            <div class="flex justify-between"><h3 class="text-2xl font-bold">#\${o.id}</h3><span class="px-3 py-1 text-xs font-semibold rounded-full \${getStatusColor(o.estado)}">\${o.estado.toUpperCase().replace('_', ' ')}</span></div>
+                            \${!SUCURSAL && SUCURSALES.length > 1 ? '<p class="text-xs font-semibold text-indigo-700">' + escapar(nombreSucursal(o.sucursal_id)) + '</p>' : ''}
+                            <p class="text-sm text-gray-500 mb-2">Cliente: \${escapar(o.nombre_cliente || 'Anónimo')} | Total: $\${parseFloat(o.total || 0).toFixed(2)} \${paymentBadge(o)}</p>
+                            \${o.hora_recogida ? '<p class="text-sm font-semibold text-purple-700 mb-2">Recoge a las ' + new Date(o.hora_recogida).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) + (o.liberada_en ? '' : ' · programada, aún no pasa a las estaciones') + '</p>' : ''}
+                            <ul class="list-disc list-inside mb-4">\${itemsHTML}</ul>
+                            <button onclick="updateStatus(\${o.id}, '\${next}')" class="w-full text-white py-2 rounded-lg \${isDone ? 'bg-gray-400' : 'bg-blue-500'}" \${isDone ? 'disabled' : ''}>\${nextText}</button>
+                            <div class="mt-2">\${paymentButtons}</div>
+                            <div class="mt-2">\${adminButtons}<button onclick="showTimeline(\${o.id})" class="text-indigo-600 text-sm mr-3">Historial</button><button onclick="showOrderDetail(\${o.id})" class="text-indigo-600 text-sm">Tickets</button></div>
+                        \`;
+                        list.appendChild(card);
+                    });
+                }
+                async function fetchOrders() {
+                    try { const res = await fetch(API_BASE_URL + '/ordenes-activas', { headers: HEADERS_SUCURSAL }); renderOrders(await res.json()); }
+                    catch (e) { console.error('Fallo al obtener órdenes'); }
+                }
+                let menuItems = [];
+                async function adminFetch(path, options = {}) {
+                    const res = await fetch(API_BASE_URL + path, { ...options, headers: { 'Content-Type': 'application/json', ...HEADERS_SUCURSAL, ...(options.headers || {}) } });
+                    if (res.status === 401) { window.location = '/login'; throw new Error('Sesión expirada'); }
+                    if (!res.ok) { const e = await res.json().catch(() => ({})); alert(e.error || 'Error ' + res.status); throw new Error(e.error); }
+                    return res.json();
+                }
+                let branchMenu = [];
+                function branchCell(p) {
+                    const a = branchMenu.find(b => b.id === p.id) || {};
+                    const ajustado = a.precio_sucursal != null || a.disponible_sucursal != null;
+                    return \`<input type="checkbox" \${a.disponible_sucursal !== false ? 'checked' : ''} onchange="adjustBranchProduct(\${p.id}, { disponible: this.checked })">
+                        \${a.precio_sucursal != null ? '$' + parseFloat(a.precio_sucursal).toFixed(2) : '<span class="text-gray-400">precio del catálogo</span>'}
+                        <button onclick="adjustBranchPrice(\${p.id})" class="text-indigo-600">Precio</button>\${ajustado ? \` <button onclick="resetBranchProduct(\${p.id})" class="text-red-600">Quitar</button>\` : ''}\`;
+                }
+                function renderMenu() {
+                    document.getElementById('menu-list').innerHTML = menuItems.map((p, i) => \`
+                        <tr class="border-b \${p.disponible ? '' : 'text-gray-400'}">
+                            <td class="p-2">\${ADMIN_GENERAL ? \`<button onclick="moveProduct(\${i}, -1)">▲</button><button onclick="moveProduct(\${i}, 1)">▼</button>\` : ''}</td>
+                            <td>\${escapar(p.nombre)}\${p.nombre_en ? ' <span class="text-xs text-gray-500">(' + escapar(p.nombre_en) + ')</span>' : ''}</td><td>\${escapar(p.categoria)}</td><td>\${escapar(p.area_preparacion)} · \${p.minutos_preparacion} min</td><td>$\${parseFloat(p.precio).toFixed(2)}</td>
+                            <td><input type="checkbox" \${p.disponible ? 'checked' : ''} \${ADMIN_GENERAL ? '' : 'disabled'} onchange="toggleAvailable(\${p.id}, this.checked)">\${p.agotado_por_inventario ? ' <span class="text-xs text-red-600">sin existencias</span>' : ''}</td>
+                            <td>\${branchCell(p)}</td>
+                            <td>\${ADMIN_GENERAL ? \`<button onclick="editProduct(\${i})" class="text-indigo-600">Editar</button> <button onclick="deleteProduct(\${p.id})" class="text-red-600">Eliminar</button>\` : ''}</td>
+                        </tr>\`).join('');
+                }
+                async function fetchMenu() {
+                    try {
+                        [menuItems, branchMenu] = await Promise.all([adminFetch('/admin/menu'), adminFetch('/admin/sucursales/' + SUCURSAL_AJUSTES + '/menu')]);
+                        renderMenu();
+                    } catch (e) { console.error('Fallo al obtener el menú'); }
+                }
+                async function adjustBranchProduct(id, cambios) {
+                    const a = branchMenu.find(b => b.id === id) || {};
+                    const body = { precio: a.precio_sucursal != null ? parseFloat(a.precio_sucursal) : null, disponible: a.disponible_sucursal !== false, ...cambios };
+                    await adminFetch('/admin/sucursales/' + SUCURSAL_AJUSTES + '/menu/' + id, { method: 'PUT', body: JSON.stringify(body) });
+                    fetchMenu();
+                }
+                function adjustBranchPrice(id) {
+                    const precio = prompt('Precio en ' + nombreSucursal(SUCURSAL_AJUSTES) + ' (vacío = el del catálogo):');
+                    if (precio !== null) adjustBranchProduct(id, { precio: precio.trim() ? parseFloat(precio) : null });
+                }
+                async function resetBranchProduct(id) {
+                    await adminFetch('/admin/sucursales/' + SUCURSAL_AJUSTES + '/menu/' + id, { method: 'DELETE' });
+                    fetchMenu();
+                }
+                async function saveProduct(event) {
+                    event.preventDefault();
+                    const f = event.target;
+                    const body = {
+                        nombre: f.nombre.value, precio: parseFloat(f.precio.value), area_preparacion: f.area_preparacion.value,
+                        categoria: f.categoria.value || undefined, descripcion: f.descripcion.value || null,
+                        alias: f.alias.value.split(',').map(a => a.trim()).filter(Boolean),
+                        nombre_en: f.nombre_en.value.trim() || null, alias_en: f.alias_en.value.split(',').map(a => a.trim()).filter(Boolean),
+                        minutos_preparacion: f.minutos_preparacion.value ? parseInt(f.minutos_preparacion.value, 10) : undefined
+                    };
+                    const id = f.id.value;
+                    await adminFetch('/admin/menu' + (id ? '/' + id : ''), { method: id ? 'PUT' : 'POST', body: JSON.stringify(body) });
+                    f.reset(); f.id.value = '';
+                    fetchMenu();
+                }
+                function editProduct(i) {
+                    const p = menuItems[i], f = document.getElementById('product-form');
+                    f.id.value = p.id; f.nombre.value = p.nombre; f.precio.value = p.precio; f.area_preparacion.value = p.area_preparacion;
+                    f.categoria.value = p.categoria; f.descripcion.value = p.descripcion || ''; f.alias.value = (p.alias || []).join(', ');
+                    f.minutos_preparacion.value = p.minutos_preparacion;
+                    f.nombre_en.value = p.nombre_en || ''; f.alias_en.value = (p.alias_en || []).join(', ');
+                }
+                async function toggleAvailable(id, disponible) {
+                    await adminFetch('/admin/menu/' + id, { method: 'PUT', body: JSON.stringify({ disponible }) });
+                    fetchMenu();
+                }
+                async function deleteProduct(id) {
+                    if (!confirm('¿Eliminar este producto del menú?')) return;
+                    await adminFetch('/admin/menu/' + id, { method: 'DELETE' });
+                    fetchMenu();
+                }
+                async function moveProduct(i, delta) {
+                    const j = i + delta;
+                    if (j < 0 || j >= menuItems.length) return;
+                    const ids = menuItems.map(p => p.id);
+                    [ids[i], ids[j]] = [ids[j], ids[i]];
+                    menuItems = await adminFetch('/admin/menu/orden', { method: 'PUT', body: JSON.stringify({ ids }) });
+                    renderMenu();
+                }
+                let inventory = { ingredientes: [], recetas: [], recetas_modificadores: [] }, recipeTargets = [];
+                async function fetchInventory() {
+                    try {
+                        const [inv, productos, grupos] = await Promise.all([adminFetch('/admin/inventario'), adminFetch('/admin/menu'), adminFetch('/admin/modificadores')]);
+                        inventory = inv;
+                        recipeTargets = productos.map(p => ({ value: 'menu/' + p.id, label: p.nombre, grupo: 'Productos' }))
+                            .concat(grupos.flatMap(g => g.opciones.map(o => ({ value: 'modificadores/' + o.id, label: g.nombre + ': ' + o.nombre, grupo: 'Modificadores' }))));
+                        renderInventory();
+                    } catch (e) { console.error('Fallo al obtener el inventario'); }
+                }
+                function renderInventory() {
+                    const bajos = inventory.ingredientes.filter(i => i.bajo);
+                    const alertas = document.getElementById('stock-alerts');
+                    alertas.classList.toggle('hidden', bajos.length === 0);
+                    alertas.innerHTML = '<strong>Existencias bajas:</strong> ' + bajos.map(i => escapar(i.nombre) + ' (' + parseFloat(i.existencia) + ' ' + escapar(i.unidad) + ', mínimo ' + parseFloat(i.minimo) + ')').join(' · ');
+                    document.getElementById('ingredient-list').innerHTML = inventory.ingredientes.map((i, n) => \`
+                        <tr class="border-b \${i.bajo ? 'text-red-700 font-semibold' : ''}"><td class="p-2">\${escapar(i.nombre)}</td><td>\${parseFloat(i.existencia)} \${escapar(i.unidad)}</td><td>\${parseFloat(i.minimo)}</td><td>\${new Date(i.actualizado_en).toLocaleString()}</td>
+                        <td><button onclick="adjustStock(\${i.id}, 'conteo')" class="text-indigo-600">Contar</button> <button onclick="adjustStock(\${i.id}, 'ajuste')" class="text-indigo-600">Ajustar</button> <button onclick="editIngredient(\${n})" class="text-indigo-600">Editar</button> <button onclick="deleteIngredient(\${i.id})" class="text-red-600">Eliminar</button></td></tr>\`).join('') || '<tr><td colspan="5" class="p-4 text-center">Sin ingredientes.</td></tr>';
+                    const select = document.getElementById('recipe-form').destino, actual = select.value;
+                    select.innerHTML = ['Productos', 'Modificadores'].map(g => '<optgroup label="' + g + '">' + recipeTargets.filter(t => t.grupo === g).map(t => '<option value="' + t.value + '">' + escapar(t.label) + '</option>').join('') + '</optgroup>').join('');
+                    if (actual) select.value = actual;
+                    loadRecipe();
+                }
+                function loadRecipe() {
+                    const f = document.getElementById('recipe-form');
+                    const [tipo, id] = f.destino.value.split('/');
+                    const renglones = tipo === 'menu'
+                        ? inventory.recetas.filter(r => r.producto_id == id).map(r => r.ingrediente + ': ' + parseFloat(r.cantidad))
+                        : inventory.recetas_modificadores.filter(r => r.modificador_id == id).map(r => r.ingrediente + ': ' + (r.reemplaza ? 'reemplaza ' + r.reemplaza : parseFloat(r.cantidad)));
+                    f.renglones.value = renglones.join('\\n');
+                }
+                async function saveRecipe(event) {
+                    event.preventDefault();
+                    const f = event.target;
+                    const porNombre = nombre => inventory.ingredientes.find(i => i.nombre.toLowerCase() === nombre.trim().toLowerCase());
+                    const ingredientes = [];
+                    for (const renglon of f.renglones.value.split('\\n').filter(r => r.trim())) {
+                        const [nombre, valor = ''] = renglon.split(':');
+                        const ingrediente = porNombre(nombre);
+                        const reemplaza = valor.trim().match(/^reemplaza (.+)$/i);
+                        const original = reemplaza && porNombre(reemplaza[1]);
+                        if (!ingrediente || (reemplaza && !original)) return alert('No existe el ingrediente "' + (ingrediente ? reemplaza[1] : nombre).trim() + '".');
+                        ingredientes.push(reemplaza ? { ingrediente_id: ingrediente.id, reemplaza_ingrediente_id: original.id } : { ingrediente_id: ingrediente.id, cantidad: parseFloat(valor) });
+                    }
+                    await adminFetch('/admin/' + f.destino.value + '/receta', { method: 'PUT', body: JSON.stringify({ ingredientes }) });
+                    fetchInventory(); fetchMenu();
+                }
+                async function saveIngredient(event) {
+                    event.preventDefault();
+                    const f = event.target;
+                    const id = f.id.value;
+                    const body = { nombre: f.nombre.value, unidad: f.unidad.value || undefined, minimo: f.minimo.value ? parseFloat(f.minimo.value) : undefined };
+                    if (!id) body.existencia = f.existencia.value ? parseFloat(f.existencia.value) : 0;
+                    await adminFetch('/admin/inventario/ingredientes' + (id ? '/' + id : ''), { method: id ? 'PUT' : 'POST', body: JSON.stringify(body) });
+                    f.reset(); f.id.value = ''; f.existencia.disabled = false;
+                    fetchInventory();
+                }
+                function editIngredient(n) {
+                    const i = inventory.ingredientes[n], f = document.getElementById('ingredient-form');
+                    f.id.value = i.id; f.nombre.value = i.nombre; f.unidad.value = i.unidad; f.minimo.value = parseFloat(i.minimo);
+                    // La existencia se cambia con "Contar" o "Ajustar", para que quede el movimiento.
+                    f.existencia.value = ''; f.existencia.disabled = true;
+                }
+                async function adjustStock(id, tipo) {
+                    const valor = prompt(tipo === 'conteo' ? 'Existencia contada:' : 'Cantidad a sumar (negativa para mermas):');
+                    if (valor === null || !valor.trim()) return;
+                    const nota = prompt('Nota (opcional):') || null;
+                    await adminFetch('/admin/inventario/ingredientes/' + id + '/ajustes', { method: 'POST', body: JSON.stringify({ tipo, cantidad: parseFloat(valor), nota }) });
+                    fetchInventory(); fetchMenu();
+                }
+                async function deleteIngredient(id) {
+                    if (!confirm('¿Eliminar este ingrediente? También se quita de las recetas.')) return;
+                    await adminFetch('/admin/inventario/ingredientes/' + id, { method: 'DELETE' });
+                    fetchInventory(); fetchMenu();
+                }
+                let promotions = [];
+                const DIAS_CORTOS = ${JSON.stringify(HorarioNegocio.DIAS.map(d => d.slice(0, 3)))};
+                async function fetchPromotions() {
+                    try {
+                        promotions = await adminFetch('/admin/promociones');
+                        document.getElementById('promotion-list').innerHTML = promotions.map((p, n) => \`
+                            <tr class="border-b \${p.activa ? '' : 'text-gray-400'}"><td class="p-2">\${escapar(p.nombre)}</td><td>\${escapar(p.descripcion)}</td><td>\${escapar(p.codigo)}</td>
+                            <td>\${[p.vigente_desde || p.vigente_hasta ? (p.vigente_desde || '…') + ' – ' + (p.vigente_hasta || '…') : '', p.dias ? p.dias.map(d => DIAS_CORTOS[d]).join(', ') : ''].filter(Boolean).join(' · ') || 'Siempre'}</td>
+                            <td>\${escapar(p.sucursal || 'Todas')}</td><td>\${p.usos}</td>
+                            <td><button onclick="editPromotion(\${n})" class="text-indigo-600">Editar</button> <button onclick="togglePromotion(\${n})" class="text-indigo-600">\${p.activa ? 'Desactivar' : 'Activar'}</button> <button onclick="deletePromotion(\${p.id})" class="text-red-600">Eliminar</button></td></tr>\`).join('') || '<tr><td colspan="7" class="p-4 text-center">Sin promociones.</td></tr>';
+                    } catch (e) { console.error('Fallo al obtener las promociones'); }
+                }
+                async function savePromotion(event) {
+                    event.preventDefault();
+                    const f = event.target;
+                    const productos = [];
+                    for (const nombre of f.productos.value.split(',').map(n => n.trim()).filter(Boolean)) {
+                        const producto = menuItems.find(m => m.nombre.toLowerCase() === nombre.toLowerCase());
+                        if (!producto) return alert('No existe el producto "' + nombre + '".');
+                        productos.push(producto.id);
+                    }
+                    const numero = campo => f[campo].value === '' ? null : parseFloat(f[campo].value);
+                    const dias = [0, 1, 2, 3, 4, 5, 6].filter(d => f['dia-' + d].checked);
+                    const body = {
+                        nombre: f.nombre.value, nombre_en: f.nombre_en.value.trim() || null, tipo: f.tipo.value, productos,
+                        precio: numero('precio'), porcentaje: numero('porcentaje'), lleva: numero('lleva'), paga: numero('paga'),
+                        codigo: f.codigo.value.trim() || null, dias: dias.length ? dias : null,
+                        hora_inicio: f.hora_inicio.value || null, hora_fin: f.hora_fin.value || null,
+                        vigente_desde: f.vigente_desde.value || null, vigente_hasta: f.vigente_hasta.value || null,
+                        sucursal_id: f.sucursal_id.value ? parseInt(f.sucursal_id.value, 10) : null, activa: f.activa.checked
+                    };
+                    const id = f.id.value;
+                    await adminFetch('/admin/promociones' + (id ? '/' + id : ''), { method: id ? 'PUT' : 'POST', body: JSON.stringify(body) });
+                    f.reset(); f.id.value = '';
+                    fetchPromotions();
+                }
+                function editPromotion(n) {
+                    const p = promotions[n], f = document.getElementById('promotion-form');
+                    f.id.value = p.id; f.nombre.value = p.nombre; f.nombre_en.value = p.nombre_en || ''; f.tipo.value = p.tipo;
+                    f.productos.value = p.productos.map(id => (menuItems.find(m => m.id === id) || {}).nombre || '').filter(Boolean).join(', ');
+                    ['precio', 'porcentaje', 'lleva', 'paga'].forEach(c => { f[c].value = p[c] === null ? '' : parseFloat(p[c]); });
+                    f.codigo.value = p.codigo || ''; f.sucursal_id.value = p.sucursal_id || '';
+                    f.hora_inicio.value = p.hora_inicio ? p.hora_inicio.slice(0, 5) : ''; f.hora_fin.value = p.hora_fin ? p.hora_fin.slice(0, 5) : '';
+                    f.vigente_desde.value = p.vigente_desde || ''; f.vigente_hasta.value = p.vigente_hasta || '';
+                    [0, 1, 2, 3, 4, 5, 6].forEach(d => { f['dia-' + d].checked = Boolean(p.dias && p.dias.includes(d)); });
+                    f.activa.checked = p.activa;
+                }
+                async function togglePromotion(n) {
+                    const p = promotions[n];
+                    await adminFetch('/admin/promociones/' + p.id, { method: 'PUT', body: JSON.stringify({ activa: !p.activa }) });
+                    fetchPromotions();
+                }
+                async function deletePromotion(id) {
+                    if (!confirm('¿Eliminar esta promoción? Las órdenes que la usaron conservan su descuento.')) return;
+                    await adminFetch('/admin/promociones/' + id, { method: 'DELETE' });
+                    fetchPromotions();
+                }
+                let branches = [];
+                async function fetchBranches() {
+                    try {
+                        branches = await adminFetch('/admin/sucursales');
+                        document.getElementById('branch-list').innerHTML = branches.map((b, i) => \`
+                            <tr class="border-b"><td class="p-2">\${b.id}</td><td>\${escapar(b.nombre)}</td><td>\${b.telefono ? escapar(b.telefono) : '<span class="text-gray-400">sin número</span>'}</td><td>\${escapar(b.voz)} · \${escapar(b.voz_en)}</td><td>\${escapar(b.saludo)}</td><td>\${b.telefono_personal ? escapar(b.telefono_personal) : '<span class="text-gray-400">' + escapar(HANDOFF_NUMBER || 'sin transferencia') + '</span>'}</td>
+                            <td>\${ADMIN_GENERAL ? \`<button onclick="editBranch(\${i})" class="text-indigo-600">Editar</button> <a href="/admin?sucursal=\${b.id}" class="text-indigo-600">Administrar</a>\` : ''}</td></tr>\`).join('');
+                    } catch (e) { console.error('Fallo al obtener las sucursales'); }
+                }
+                async function saveBranch(event) {
+                    event.preventDefault();
+                    const f = event.target;
+                    const body = { nombre: f.nombre.value, telefono: f.telefono.value.trim() || null, saludo: f.saludo.value || null, voz: f.voz.value.trim() || undefined, voz_en: f.voz_en.value.trim() || undefined, telefono_personal: f.telefono_personal.value.trim() || null };
+                    const id = f.id.value;
+                    await adminFetch('/admin/sucursales' + (id ? '/' + id : ''), { method: id ? 'PUT' : 'POST', body: JSON.stringify(body) });
+                    f.reset(); f.id.value = '';
+                    fetchBranches();
+                }
+                function editBranch(i) {
+                    const b = branches[i], f = document.getElementById('branch-form');
+                    f.id.value = b.id; f.nombre.value = b.nombre; f.telefono.value = b.telefono || ''; f.voz.value = b.voz; f.voz_en.value = b.voz_en; f.saludo.value = b.saludo || ''; f.telefono_personal.value = b.telefono_personal || '';
+                }
+                let pedidosPausados = false;
+                async function fetchSchedule() {
+                    try {
+                        const h = await adminFetch('/admin/horario');
+                        const f = document.getElementById('schedule-form');
+                        [0, 1, 2, 3, 4, 5, 6].forEach(d => {
+                            const dia = h.horarios.find(x => x.dia_semana === d);
+                            f['abre-' + d].value = dia ? dia.abre : ''; f['cierra-' + d].value = dia ? dia.cierra : '';
+                        });
+                        const c = document.getElementById('capacity-form');
+                        c.max.value = h.capacidad.max_ordenes_por_estacion ?? ''; c.franja.value = h.capacidad.max_ordenes_por_franja ?? '';
+                        pedidosPausados = h.pedidos_pausados;
+                        const d = h.disponibilidad;
+                        const motivos = { cerrado: 'Fuera de horario', dia_cerrado: 'Día cerrado', pausado: 'Pedidos pausados', saturado: 'Estaciones saturadas' };
+                        const carga = Object.entries(h.ordenes_activas).map(([area, n]) => area + ': ' + n).join(' · ') || 'sin órdenes en cola';
+                        document.getElementById('schedule-status').innerHTML = (d.aceptaPedidos
+                            ? '<span class="font-semibold text-green-700">Tomando pedidos</span> · espera estimada ' + d.esperaMinutos + ' min'
+                            : '<span class="font-semibold text-red-700">' + motivos[d.motivo] + '</span>') + ' · ' + carga + ' <span class="text-sm text-gray-400">(' + h.zona_horaria + ')</span>';
+                        const b = document.getElementById('pause-button');
+                        b.textContent = pedidosPausados ? 'Reanudar pedidos' : 'Pausar pedidos';
+                        b.className = 'px-4 py-2 rounded-lg text-white ' + (pedidosPausados ? 'bg-green-600' : 'bg-red-600');
+                        document.getElementById('closure-list').innerHTML = h.dias_cerrados.map(c => \`
+                            <li>\${c.fecha}\${c.motivo ? ' — ' + escapar(c.motivo) : ''} <button onclick="deleteClosure('\${c.fecha}')" class="text-red-600">Quitar</button></li>\`).join('') || '<li class="text-gray-500">Sin días cerrados próximos.</li>';
+                    } catch (e) { console.error('Fallo al obtener el horario'); }
+                }
+                async function togglePause() {
+                    if (!pedidosPausados && !confirm('¿Dejar de tomar pedidos por teléfono? Las llamadas en curso podrán terminar su orden.')) return;
+                    await adminFetch('/admin/horario/pausa', { method: 'PUT', body: JSON.stringify({ pausado: !pedidosPausados }) });
+                    fetchSchedule();
+                }
+                async function saveSchedule(event) {
+                    event.preventDefault();
+                    const f = event.target;
+                    const horarios = [0, 1, 2, 3, 4, 5, 6].filter(d => f['abre-' + d].value && f['cierra-' + d].value)
+                        .map(d => ({ dia_semana: d, abre: f['abre-' + d].value, cierra: f['cierra-' + d].value }));
+                    await adminFetch('/admin/horario', { method: 'PUT', body: JSON.stringify({ horarios }) });
+                    fetchSchedule();
+                }
+                async function saveCapacity(event) {
+                    event.preventDefault();
+                    const f = event.target;
+                    const body = { max_ordenes_por_estacion: f.max.value ? parseInt(f.max.value, 10) : null, max_ordenes_por_franja: f.franja.value ? parseInt(f.franja.value, 10) : null };
+                    await adminFetch('/admin/horario/capacidad', { method: 'PUT', body: JSON.stringify(body) });
+                    fetchSchedule();
+                }
+                async function addClosure(event) {
+                    event.preventDefault();
+                    const f = event.target;
+                    await adminFetch('/admin/horario/dias-cerrados', { method: 'POST', body: JSON.stringify({ fecha: f.fecha.value, motivo: f.motivo.value || null }) });
+                    f.reset();
+                    fetchSchedule();
+                }
+                async function deleteClosure(fecha) {
+                    await adminFetch('/admin/horario/dias-cerrados/' + fecha, { method: 'DELETE' });
+                    fetchSchedule();
+                }
+                async function fetchAbandoned() {
+                    try {
+                        const rows = await adminFetch('/admin/ordenes-abandonadas');
+                        document.getElementById('abandoned-list').innerHTML = rows.map(a => \`
+                            <tr class="border-b"><td class="p-2">\${new Date(a.fecha).toLocaleString()}</td><td>\${escapar(a.telefono)}\${a.canal !== 'voz' ? ' (' + CANALES[a.canal] + ')' : ''}</td><td>\${escapar(a.nombre_cliente)}</td><td>\${escapar(a.etapa)}</td>
+                            <td>\${escapar((a.items || []).map(i => (i.cantidad || 1) + '× ' + i.nombre).join(', '))}</td><td>$\${parseFloat(a.total || 0).toFixed(2)}</td><td>\${a.motivo}\${a.motivo_transferencia ? ': ' + MOTIVOS_TRANSFERENCIA[a.motivo_transferencia] : ''}</td></tr>\`).join('');
+                    } catch (e) { console.error('Fallo al obtener llamadas abandonadas'); }
+                }
+                async function fetchCalls() {
+                    const f = document.getElementById('call-filters');
+                    const params = new URLSearchParams();
+                    if (f.telefono.value) params.set('telefono', f.telefono.value);
+                    if (f.resultado.value) params.set('resultado', f.resultado.value);
+                    if (f.canal.value) params.set('canal', f.canal.value);
+                    try {
+                        const rows = await adminFetch('/admin/llamadas?' + params);
+                        const resultados = { orden: 'orden', abandonada: 'abandonada', no_atendida: 'no atendida', transferida: 'transferida' };
+                        document.getElementById('call-list').innerHTML = rows.map(l => \`
+                            <tr class="border-b"><td class="p-2">\${new Date(l.iniciada_en).toLocaleString()}</td><td>\${escapar(l.telefono)}</td><td>\${escapar(l.sucursal)}</td><td>\${CANALES[l.canal] || l.canal}</td><td>\${l.idioma === 'en' ? 'inglés' : 'español'}</td>
+                            <td>\${l.orden_id ? '<button onclick="showOrderDetail(' + l.orden_id + ')" class="text-indigo-600">Orden #' + l.orden_id + '</button>' : resultados[l.resultado] || 'en curso'}</td><td>\${l.turnos}</td>
+                            <td>\${l.turnos ? '<a href="/admin/llamadas/' + l.call_sid + '/reproduccion" target="_blank" class="text-indigo-600">' + (l.canal === 'voz' ? 'Reproducir' : 'Ver') + '</a>' : ''}</td></tr>\`).join('') || '<tr><td colspan="8" class="p-4 text-center">Sin llamadas.</td></tr>';
+                    } catch (e) { console.error('Fallo al obtener llamadas'); }
+                }
+                async function fetchNotifications() {
+                    try {
+                        const rows = await adminFetch('/admin/notificaciones');
+                        document.getElementById('notification-list').innerHTML = rows.map(n => \`
+                            <tr class="border-b" title="\${escapar(n.ultimo_error)}"><td class="p-2">\${new Date(n.creada_en).toLocaleString()}</td><td>#\${n.orden_id || ''}</td><td>\${n.evento}</td><td>\${n.canal}</td><td>\${escapar(n.destinatario)}</td>
+                            <td class="\${n.estado === 'fallida' ? 'text-red-600' : ''}">\${n.estado}</td><td>\${n.intentos}</td>
+                            <td>\${n.estado === 'enviada' ? '' : '<button onclick="retryNotification(' + n.id + ')" class="text-indigo-600">Reintentar</button>'}</td></tr>\`).join('');
+                    } catch (e) { console.error('Fallo al obtener notificaciones'); }
+                }
+                async function retryNotification(id) {
+                    await adminFetch('/admin/notificaciones/' + id + '/reintentar', { method: 'POST' });
+                    fetchNotifications();
+                }
+                function customerPhone() { return encodeURIComponent(document.getElementById('customer-form').telefono.value.trim()); }
+                function showCustomer(html) { const d = document.getElementById('customer-detail'); d.classList.remove('hidden'); d.innerHTML = html; }
+                async function fetchCustomer() {
+                    const c = await adminFetch('/admin/clientes/' + customerPhone());
+                    if (c.excluido) return showCustomer('<p>' + escapar(c.telefono) + ' pidió no ser reconocido.</p>');
+                    const p = c.perfil;
+                    showCustomer(\`<p><strong>\${escapar(p.nombre || 'Sin nombre')}</strong> · \${escapar(p.telefono)} · \${p.ordenes} órdenes</p>
+                        <p>Favoritos: \${escapar(p.favoritos.join(', ') || '—')}</p>
+                        <p>Última orden (#\${p.ultimaOrden.id}, \${new Date(p.ultimaOrden.fecha).toLocaleString()}): \${escapar(p.ultimaOrden.items.map(i => i.cantidad + '× ' + i.nombre).join(', '))}</p>\`);
+                }
+                async function excludeCustomer() {
+                    const r = await adminFetch('/admin/clientes/' + customerPhone() + '/exclusion', { method: 'POST' });
+                    showCustomer('<p>' + escapar(r.message) + '</p>');
+                }
+                async function deleteCustomer() {
+                    if (!confirm('¿Borrar el nombre, teléfono y transcripciones de este cliente? No se puede deshacer.')) return;
+                    const r = await adminFetch('/admin/clientes/' + customerPhone(), { method: 'DELETE' });
+                    showCustomer('<p>' + escapar(r.message) + ' Órdenes anonimizadas: ' + r.eliminados.ordenes + '.</p>');
+                }
+                async function fetchUsers() {
+                    try {
+                        const users = await adminFetch('/admin/usuarios');
+                        document.getElementById('user-list').innerHTML = users.map(u => \`
+                            <tr class="border-b"><td class="p-2">\${escapar(u.usuario)}</td><td>\${escapar(u.nombre)}</td><td>\${u.rol}</td>
+                            <td><select onchange="updateUser(\${u.id}, { sucursal_id: this.value ? parseInt(this.value, 10) : null })" class="border rounded">\${SUCURSALES.map(s => '<option value="' + s.id + '"' + (s.id === u.sucursal_id ? ' selected' : '') + '>' + escapar(s.nombre) + '</option>').join('')}<option value="" \${u.sucursal_id ? '' : 'selected'}>Todas</option></select></td>
+                            <td><input type="checkbox" \${u.activo ? 'checked' : ''} onchange="updateUser(\${u.id}, { activo: this.checked })"></td>
+                            <td><button onclick="resetPassword(\${u.id})" class="text-indigo-600">Cambiar contraseña</button> <button onclick="deleteUser(\${u.id})" class="text-red-600">Eliminar</button></td></tr>\`).join('');
+                    } catch (e) { console.error('Fallo al obtener usuarios'); }
+                }
+                async function createUser(event) {
+                    event.preventDefault();
+                    const f = event.target;
+                    await adminFetch('/admin/usuarios', { method: 'POST', body: JSON.stringify({ usuario: f.usuario.value, nombre: f.nombre.value || null, password: f.password.value, rol: f.rol.value, sucursal_id: f.sucursal_id.value ? parseInt(f.sucursal_id.value, 10) : null }) });
+                    f.reset();
+                    fetchUsers();
+                }
+                async function updateUser(id, campos) {
+                    await adminFetch('/admin/usuarios/' + id, { method: 'PUT', body: JSON.stringify(campos) });
+                    fetchUsers();
+                }
+                function resetPassword(id) {
+                    const password = prompt('Nueva contraseña (mínimo 8 caracteres):');
+                    if (password) updateUser(id, { password });
+                }
+                async function deleteUser(id) {
+                    if (!confirm('¿Eliminar este usuario?')) return;
+                    await adminFetch('/admin/usuarios/' + id, { method: 'DELETE' });
+                    fetchUsers();
+                }
+                function connectEvents() {
+                    const source = new EventSource('/eventos' + (SUCURSAL ? '?sucursal=' + SUCURSAL : ''));
+                    ['orden_nueva', 'orden_actualizada', 'pago_actualizado'].forEach(tipo => source.addEventListener(tipo, fetchOrders));
+                    if (ROL === 'admin') source.addEventListener('inventario', () => { if (ADMIN_GENERAL) fetchInventory(); fetchMenu(); });
+                    if (ROL === 'admin') source.addEventListener('llamada_transferida', e => {
+                        const t = JSON.parse(e.data);
+                        const aviso = document.getElementById('transfer-alert');
+                        aviso.textContent = 'Llamada transferida al personal (' + (t.telefono || 'sin número') + '): ' + MOTIVOS_TRANSFERENCIA[t.motivo] + '. Su orden parcial está en Llamadas Abandonadas.';
+                        aviso.classList.remove('hidden');
+                        fetchAbandoned(); fetchCalls();
+                    });
+                }
+                let historyPage = 1, historyPages = 1;
+                async function fetchHistory(page) {
+                    if (page < 1 || (page > historyPages && page !== 1)) return;
+                    const f = document.getElementById('history-filters');
+                    const params = new URLSearchParams({ pagina: page, por_pagina: 20 });
+                    ['telefono', 'nombre', 'producto', 'estado', 'canal', 'desde', 'hasta', 'total_min', 'total_max'].forEach(k => { if (f[k].value) params.set(k, f[k].value); });
+                    try {
+                        const r = await adminFetch('/ordenes?' + params);
+                        historyPage = r.pagina; historyPages = Math.max(r.paginas, 1);
+                        document.getElementById('history-list').innerHTML = r.ordenes.map(o => \`
+                            <tr class="border-b"><td class="p-2">\${o.id}</td><td>\${new Date(o.fecha).toLocaleString()}</td><td>\${escapar(o.nombre_cliente)}</td><td>\${escapar(o.telefono)}</td>
+                            <td>\${escapar((o.items || []).map(i => (i.cantidad || 1) + '× ' + i.nombre).join(', '))}</td><td>$\${parseFloat(o.total || 0).toFixed(2)}</td>
+                            <td><span class="px-2 py-1 text-xs rounded-full \${getStatusColor(o.estado)}">\${o.estado}</span></td>
+                            <td><button onclick="showOrderDetail(\${o.id})" class="text-indigo-600">Ver</button></td></tr>\`).join('') || '<tr><td colspan="8" class="p-4 text-center">Sin resultados.</td></tr>';
+                        document.getElementById('history-info').textContent = r.total + ' órdenes · página ' + historyPage + ' de ' + historyPages;
+                    } catch (e) { console.error('Fallo al buscar órdenes'); }
+                }
+                async function showOrderDetail(id) {
+                    const o = await adminFetch('/ordenes/' + id);
+                    const panel = document.getElementById('order-detail');
+                    panel.classList.remove('hidden');
+                    panel.innerHTML = \`
+                        <div class="flex justify-between"><h3 class="text-xl font-bold">Orden #\${o.id} · \${o.estado}</h3><button onclick="this.parentElement.parentElement.classList.add('hidden')" class="text-gray-500">Cerrar</button></div>
+                        <p class="text-sm text-gray-500 mb-2">\${new Date(o.fecha).toLocaleString()} · \${CANALES[o.canal] || o.canal} · \${escapar(o.nombre_cliente || 'Anónimo')} · \${escapar(o.telefono)} · Total $\${parseFloat(o.total || 0).toFixed(2)}\${parseFloat(o.descuento || 0) > 0 ? ' (descuento $' + parseFloat(o.descuento).toFixed(2) + ': ' + escapar(o.promociones.map(p => p.nombre + (p.codigo ? ' [' + p.codigo + ']' : '')).join(', ')) + ')' : ''} \${paymentBadge(o)}\${o.hora_recogida ? ' · Recoge ' + new Date(o.hora_recogida).toLocaleString() : ''}</p>
+                        <ul class="list-disc list-inside mb-2">\${o.lineas.map(l => \`<li>\${l.cantidad}× \${escapar(l.nombre)}\${(l.personalizaciones || []).length ? ' (' + escapar(l.personalizaciones.map(p => p.nombre).join(', ')) + ')' : ''} — $\${parseFloat(l.subtotal).toFixed(2)} · \${l.area_preparacion}: \${l.estado_estacion}</li>\`).join('')}</ul>
+                        <h4 class="font-semibold">Historial</h4>
+                        <ul class="text-sm mb-2">\${o.eventos.map(e => \`<li>\${new Date(e.fecha).toLocaleString()} — \${e.estado_anterior || 'nueva'} → \${e.estado_nuevo} (\${escapar(e.actor)})\${e.motivo ? ': ' + escapar(e.motivo) : ''}</li>\`).join('')}</ul>
+                        \${o.call_sid && ROL === 'admin' ? '<p class="text-sm mb-2"><a href="/admin/llamadas/' + o.call_sid + '/reproduccion" target="_blank" class="text-indigo-600">' + (o.canal === 'voz' ? 'Reproducir la llamada' : 'Ver la conversación') + '</a></p>' : ''}
+                        <h4 class="font-semibold">Tickets</h4>
+                        <p class="text-sm mb-2">Recibo: \${ticketLinks(o.id, 'recibo')}\${[...new Set(o.lineas.map(l => l.area_preparacion))].map(a => a + ': ' + ticketLinks(o.id, 'cocina', a)).join('')}</p>
+                        \${o.pagos.length ? '<h4 class="font-semibold">Pagos</h4><ul class="text-sm mb-2">' + o.pagos.map(p => '<li>' + new Date(p.creado_en).toLocaleString() + ' — ' + p.tipo + ' ' + p.metodo + ' $' + parseFloat(p.monto).toFixed(2) + ': ' + p.estado + (p.referencia ? ' (' + escapar(p.referencia) + ')' : '') + (p.motivo ? ' · ' + escapar(p.motivo) : '') + (p.usuario ? ' · ' + escapar(p.usuario) : '') + '</li>').join('') + '</ul>' : ''}
+                        \${o.notificaciones.length ? '<h4 class="font-semibold">Notificaciones</h4><ul class="text-sm">' + o.notificaciones.map(n => '<li>' + new Date(n.creada_en).toLocaleString() + ' — ' + n.evento + ' por ' + n.canal + ': ' + n.estado + '</li>').join('') + '</ul>' : ''}
+                    \`;
+                }
+                function showTab(tab) {
+                    ['operacion', 'reportes'].forEach(t => {
+                        document.getElementById('tab-' + t).classList.toggle('hidden', t !== tab);
+                        document.getElementById('tab-btn-' + t).classList.toggle('border-indigo-600', t === tab);
+                        document.getElementById('tab-btn-' + t).classList.toggle('border-transparent', t !== tab);
+                    });
+                    if (tab === 'reportes') fetchReports();
+                }
+                const charts = {};
+                function drawChart(tipo, config) {
+                    if (charts[tipo]) charts[tipo].destroy();
+                    charts[tipo] = new Chart(document.getElementById('chart-' + tipo), config);
+                }
+                function reportQuery(formato) {
+                    const f = document.getElementById('report-filters');
+                    const params = new URLSearchParams({ agrupacion: f.agrupacion.value, formato });
+                    if (f.desde.value) params.set('desde', f.desde.value);
+                    if (f.hasta.value) params.set('hasta', f.hasta.value);
+                    if (SUCURSAL) params.set('sucursal', SUCURSAL);
+                    return params.toString();
+                }
+                async function fetchReports() {
+                    document.querySelectorAll('[data-export]').forEach(a => {
+                        a.href = '/admin/reportes/' + a.dataset.export + '?' + reportQuery(a.dataset.formato);
+                    });
+                    try {
+                        const tipos = ['ventas', 'productos', 'areas', 'tiempos-preparacion', 'conversion', 'modificadores', 'canales', 'promociones'];
+                        const [ventas, productos, areas, tiempos, conversion, modificadores, canales, promos] = await Promise.all(
+                            tipos.map(t => adminFetch('/admin/reportes/' + t + '?' + reportQuery('json')).then(r => r.filas)));
+                        drawChart('ventas', { type: 'bar', data: { labels: ventas.map(v => v.periodo), datasets: [{ label: 'Total ($)', data: ventas.map(v => v.total), backgroundColor: '#6366f1' }] } });
+                        const totalVentas = ventas.reduce((acc, v) => acc + v.total, 0), totalOrdenes = ventas.reduce((acc, v) => acc + v.ordenes, 0);
+                        document.getElementById('summary-ventas').textContent = totalOrdenes + ' órdenes · $' + totalVentas.toFixed(2) + (totalOrdenes ? ' · ticket promedio $' + (totalVentas / totalOrdenes).toFixed(2) : '');
+                        drawChart('productos', { type: 'bar', options: { indexAxis: 'y' }, data: { labels: productos.map(p => p.nombre), datasets: [{ label: 'Unidades', data: productos.map(p => p.unidades), backgroundColor: '#10b981' }] } });
+                        drawChart('areas', { type: 'doughnut', data: { labels: areas.map(a => a.area), datasets: [{ data: areas.map(a => a.ingresos), backgroundColor: ['#6366f1', '#f59e0b', '#10b981', '#ef4444'] }] } });
+                        document.getElementById('summary-areas').textContent = areas.map(a => a.area + ': $' + a.ingresos.toFixed(2)).join(' · ');
+                        drawChart('tiempos-preparacion', { type: 'bar', data: { labels: tiempos.map(t => t.area), datasets: [{ label: 'Promedio', data: tiempos.map(t => t.promedio_minutos), backgroundColor: '#f59e0b' }, { label: 'Máximo', data: tiempos.map(t => t.maximo_minutos), backgroundColor: '#ef4444' }] } });
+                        drawChart('conversion', { type: 'line', data: { labels: conversion.map(c => c.dia), datasets: [{ label: '% llamadas con orden', data: conversion.map(c => c.conversion_pct), borderColor: '#6366f1' }] } });
+                        const llamadas = conversion.reduce((acc, c) => acc + c.llamadas, 0), convertidas = conversion.reduce((acc, c) => acc + c.ordenes, 0);
+                        document.getElementById('summary-conversion').textContent = llamadas + ' llamadas · ' + convertidas + ' órdenes' + (llamadas ? ' · ' + (100 * convertidas / llamadas).toFixed(1) + '%' : '');
+                        drawChart('modificadores', { type: 'bar', data: { labels: modificadores.map(m => m.nombre), datasets: [{ label: 'Unidades', data: modificadores.map(m => m.unidades), backgroundColor: '#8b5cf6' }] } });
+                        drawChart('canales', { type: 'doughnut', data: { labels: canales.map(c => CANALES[c.canal] || c.canal), datasets: [{ data: canales.map(c => c.ordenes), backgroundColor: ['#6366f1', '#f59e0b', '#10b981', '#ef4444'] }] } });
+                        document.getElementById('summary-canales').textContent = canales.map(c => (CANALES[c.canal] || c.canal) + ': ' + c.ordenes + ' órdenes, $' + c.total.toFixed(2) + (c.conversion_pct !== null ? ' (' + c.conversion_pct + '%)' : '')).join(' · ');
+                        drawChart('promociones', { type: 'bar', options: { indexAxis: 'y' }, data: { labels: promos.map(p => p.nombre), datasets: [{ label: 'Descuento ($)', data: promos.map(p => p.descuento), backgroundColor: '#10b981' }] } });
+                        document.getElementById('summary-promociones').textContent = promos.map(p => p.nombre + ': ' + p.ordenes + ' órdenes, -$' + p.descuento.toFixed(2)).join(' · ');
+                    } catch (e) { console.error('Fallo al obtener reportes'); }
+                }
+                window.onload = () => {
+                    fetchOrders();
+                    fetchHistory(1);
+                    connectEvents();
+                    if (ROL === 'admin') { fetchBranches(); fetchSchedule(); fetchMenu(); fetchAbandoned(); fetchCalls(); }
+                    if (ADMIN_GENERAL) { fetchInventory(); fetchPromotions(); fetchNotifications(); fetchUsers(); }
+                };
+            </script>
+        </body></html>`;
+    res.send(html);
+});
+
+app.put('/ordenes/:id/estado', protegerRuta(), async (req, res, next) => {
+    const { id } = req.params;
+    const { estado, motivo } = req.body;
+    if (!ESTADOS.includes(estado)) {
+        return res.status(400).json({ error: `'estado' debe ser uno de: ${ESTADOS.join(', ')}.` });
+    }
+    if (ESTADOS_CON_MOTIVO.includes(estado)) {
+        if (req.usuario.rol !== 'admin') {
+            return res.status(403).json({ error: `Solo un administrador puede marcar una orden como '${estado}'.` });
+        }
+        if (typeof motivo !== 'string' || !motivo.trim()) {
+            return res.status(400).json({ error: `'motivo' es obligatorio para marcar una orden como '${estado}'.` });
+        }
+    }
+    try {
+        // Barra y cocina solo pueden cambiar órdenes que incluyen items de su estación.
+        const actual = await db.obtenerOrden(id);
+        if (!actual || (req.usuario.sucursal_id && actual.sucursal_id !== req.usuario.sucursal_id)) {
+            return res.status(404).json({ error: `Orden ${id} no encontrada.` });
+        }
+        if (!filtrarOrdenParaRol(actual, req.usuario)) {
+            return res.status(403).json({ error: 'Esta orden no tiene items de tu estación.' });
+        }
+        // La transición se valida en Database.cambiarEstadoOrden (409 si no está permitida).
+        const orden = await db.cambiarEstadoOrden(id, estado, {
+            actor: { usuario_id: req.usuario.id, nombre: req.usuario.usuario },
+            motivo: typeof motivo === 'string' ? motivo.trim() || null : null
+        });
+        publicarCambioOrden({ ...orden, items: actual.items }, { motivo: orden.estado === 'cancelada' ? motivo : null });
+        avisarInventario(orden.inventario);
+        res.json({ message: `Orden ${id} actualizada`, orden });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/ordenes/:id/eventos', protegerRuta(), async (req, res, next) => {
+    try {
+        const orden = await db.obtenerOrden(req.params.id);
+        if (!orden || !filtrarOrdenParaRol(orden, req.usuario)) {
+            return res.status(404).json({ error: `Orden ${req.params.id} no encontrada.` });
+        }
+        res.json(await db.obtenerEventosOrden(req.params.id));
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+/**
+ * Valida el monto opcional de un cobro o reembolso (sin monto se usa el saldo o todo lo pagado).
+ * Devuelve un mensaje de error o null.
+ */
+function validarMontoPago(monto) {
+    if (monto !== undefined && monto !== null && (typeof monto !== 'number' || !Number.isFinite(monto) || monto <= 0)) {
+        return "'monto' debe ser un número mayor que 0.";
+    }
+    return null;
+}
+
+// Cobro en el mostrador: { metodo: 'efectivo' | 'tarjeta', monto?, referencia? (folio del voucher) }.
+// Barra y cocina pueden cobrar las órdenes de su estación.
+app.post('/ordenes/:id/pagos', protegerRuta(), async (req, res, next) => {
+    const { metodo, monto, referencia } = req.body;
+    if (!Pagos.METODOS_MOSTRADOR.includes(metodo)) {
+        return res.status(400).json({ error: `'metodo' debe ser uno de: ${Pagos.METODOS_MOSTRADOR.join(', ')}.` });
+    }
+    const errorMonto = validarMontoPago(monto);
+    if (errorMonto) {
+        return res.status(400).json({ error: errorMonto });
+    }
+    if (referencia !== undefined && referencia !== null && typeof referencia !== 'string') {
+        return res.status(400).json({ error: "'referencia' debe ser texto." });
+    }
+    try {
+        const actual = await db.obtenerOrden(req.params.id);
+        if (!actual || !filtrarOrdenParaRol(actual, req.usuario)) {
+            return res.status(404).json({ error: `Orden ${req.params.id} no encontrada.` });
+        }
+        const resultado = await pagos.registrarCobro(actual.id, {
+            metodo, monto: monto ?? null, referencia: referencia?.trim() || null
+        }, { usuario_id: req.usuario.id });
+        if (!resultado) {
+            return res.status(404).json({ error: `Orden ${req.params.id} no encontrada.` });
+        }
+        publicarPago(resultado.orden);
+        res.status(201).json(resultado);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/ordenes/:id/reembolsos', protegerRuta('admin'), async (req, res, next) => {
+    const { monto, motivo } = req.body;
+    const errorMonto = validarMontoPago(monto);
+    if (errorMonto) {
+        return res.status(400).json({ error: errorMonto });
+    }
+    if (typeof motivo !== 'string' || !motivo.trim()) {
+        return res.status(400).json({ error: "'motivo' es obligatorio para un reembolso." });
+    }
+    try {
+        const actual = await db.obtenerOrden(req.params.id);
+        const resultado = actual && filtrarOrdenParaRol(actual, req.usuario)
+            ? await pagos.reembolsar(actual.id, { monto: monto ?? null, motivo: motivo.trim() }, { usuario_id: req.usuario.id })
+            : undefined;
+        if (!resultado) {
+            return res.status(404).json({ error: `Orden ${req.params.id} no encontrada.` });
+        }
+        publicarPago(resultado.orden);
+        notificarCliente('reembolso', resultado.orden, { monto: resultado.pago.monto });
+        res.status(201).json(resultado);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Vuelve a crear y enviar el enlace de pago por el saldo pendiente (p. ej. si el cliente no lo recibió).
+app.post('/ordenes/:id/enlace-pago', protegerRuta('admin'), async (req, res, next) => {
+    try {
+        const orden = await db.obtenerOrden(req.params.id);
+        if (!orden || !filtrarOrdenParaRol(orden, req.usuario)) {
+            return res.status(404).json({ error: `Orden ${req.params.id} no encontrada.` });
+        }
+        if (['cancelada', 'rechazada'].includes(orden.estado)) {
+            return res.status(409).json({ error: `La orden ${orden.id} está ${orden.estado}; no se puede cobrar.` });
+        }
+        const pago = await pagos.crearEnlace(orden);
+        if (!pago) {
+            return res.status(409).json({ error: `La orden ${orden.id} ya está pagada.` });
+        }
+        notificarCliente('enlace_pago', orden, { url: pago.url, monto: pago.monto });
+        res.status(201).json(pago);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Webhook de la pasarela de pago (público; la pasarela firma cada aviso). Los avisos repetidos
+// se confirman sin volver a aplicarse, y los que no cambian ningún pago solo se confirman.
+app.post('/pagos/webhook', async (req, res, next) => {
+    if (!pagos.pasarela) {
+        return res.status(404).json({ error: 'No hay pasarela de pago configurada.' });
+    }
+    try {
+        const evento = pagos.pasarela.leerWebhook(req);
+        if (!evento) {
+            return res.json({ recibido: true });
+        }
+        const { pago, orden } = await pagos.confirmarEnlace(evento);
+        if (orden) {
+            console.log(`[PAGOS] Enlace ${pago.referencia} de la orden #${orden.id}: ${pago.estado} (orden ${orden.estado_pago}).`);
+            publicarPago(orden);
+            if (pago.estado === 'completado') {
+                notificarCliente('pago_recibido', orden, { monto: pago.monto });
+            }
+        }
+        res.json({ recibido: true });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// A donde la pasarela regresa al cliente después de pagar; el pago se aplica con el webhook.
+app.get('/pagos/gracias', (req, res) => {
+    res.send(`
+        <!DOCTYPE html><html lang="es"><head><meta charset="UTF-8"><title>Pago recibido</title><script src="https://cdn.tailwindcss.com"></script></head>
+        <body class="bg-gray-100 p-8"><div class="max-w-sm mx-auto bg-white p-6 rounded-xl shadow">
+            <h1 class="text-2xl font-bold mb-2">¡Gracias!</h1>
+            <p class="text-gray-600">Recibimos tu pago. Te esperamos en Cafe Delicia.</p>
+        </div></body></html>`);
+});
+
+// Página de pago de la pasarela falsa (PAYMENT_GATEWAY=falsa): simula el pago o el rechazo
+// enviando al webhook el aviso firmado, como lo haría una pasarela real.
+app.get('/pagos/falso/:referencia', async (req, res, next) => {
+    if (pagos.pasarela?.nombre !== 'falsa') {
+        return res.status(404).type('text/plain').send('No encontrado.');
+    }
+    try {
+        const pago = await pagos.obtenerEnlace(req.params.referencia);
+        if (!pago) {
+            return res.status(404).type('text/plain').send('Enlace de pago no encontrado.');
+        }
+        const eventos = {
+            pagado: pagos.pasarela.eventoFirmado({ referencia: pago.referencia, estado: 'pagado', monto: pago.monto }),
+            fallido: pagos.pasarela.eventoFirmado({ referencia: pago.referencia, estado: 'fallido', monto: pago.monto })
+        };
+        res.send(`
+            <!DOCTYPE html><html lang="es"><head><meta charset="UTF-8"><title>Pago orden #${pago.orden_id}</title><script src="https://cdn.tailwindcss.com"></script></head>
+            <body class="bg-gray-100 p-8"><div class="max-w-sm mx-auto bg-white p-6 rounded-xl shadow">
+                <p class="text-xs uppercase text-amber-600 font-bold mb-2">Pasarela de prueba: no se cobra nada</p>
+                <h1 class="text-2xl font-bold mb-2">Cafe Delicia · Orden #${pago.orden_id}</h1>
+                <p class="text-3xl font-extrabold mb-4">$${parseFloat(pago.monto).toFixed(2)}</p>
+                <p id="estado" class="mb-4 text-gray-600">${pago.estado === 'pendiente' ? 'Pendiente de pago.' : `Este enlace ya está ${pago.estado}.`}</p>
+                ${pago.estado === 'pendiente' ? `
+                <button onclick="enviar('pagado')" class="w-full bg-green-600 text-white py-2 rounded-lg mb-2">Pagar</button>
+                <button onclick="enviar('fallido')" class="w-full bg-gray-300 py-2 rounded-lg">Simular rechazo</button>` : ''}
+            </div>
+            <script>
+                const EVENTOS = ${JSON.stringify(eventos)};
+                async function enviar(estado) {
+                    const res = await fetch('/pagos/webhook', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(EVENTOS[estado]) });
+                    document.getElementById('estado').textContent = res.ok ? (estado === 'pagado' ? '¡Pago recibido, gracias!' : 'Pago rechazado.') : 'No se pudo procesar el pago.';
+                    document.querySelectorAll('button').forEach(b => b.remove());
+                }
+            </script></body></html>`);
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+/**
+ * Valida el ticket pedido ({ tipo, area }) para el rol del usuario: barra y cocina solo piden
+ * la comanda de su estación o el recibo. Devuelve { status, error } o null.
+ */
+function validarTicket({ tipo, area }, usuario) {
+    if (!Impresion.TIPOS.includes(tipo)) {
+        return { status: 400, error: `'tipo' debe ser uno de: ${Impresion.TIPOS.join(', ')}.` };
+    }
+    if (tipo === 'cocina' && (typeof area !== 'string' || !/^[a-z]+$/.test(area))) {
+        return { status: 400, error: "'area' es obligatoria para la comanda de una estación." };
+    }
+    if (tipo === 'cocina' && usuario.rol !== 'admin' && area !== usuario.rol) {
+        return { status: 403, error: 'Solo puedes ver la comanda de tu estación.' };
+    }
+    return null;
+}
+
+const FORMATOS_TICKET = {
+    html: { tipo: 'text/html; charset=utf-8', convertir: Tickets.aHtml },
+    pdf: { tipo: 'application/pdf', convertir: Tickets.aPdf },
+    escpos: { tipo: 'application/octet-stream', convertir: Tickets.aEscPos, descarga: 'bin' }
+};
+
+// Ticket para reimprimir desde el navegador: ?tipo=cocina&area=barra o ?tipo=recibo, y
+// formato=html (por defecto), pdf o escpos (los bytes que recibe la impresora térmica).
+app.get('/ordenes/:id/ticket', protegerRuta(), async (req, res, next) => {
+    const { tipo, area, formato = 'html' } = req.query;
+    const invalido = validarTicket({ tipo, area }, req.usuario);
+    if (invalido) {
+        return res.status(invalido.status).json({ error: invalido.error });
+    }
+    const salida = FORMATOS_TICKET[formato];
+    if (!salida) {
+        return res.status(400).json({ error: `'formato' debe ser uno de: ${Object.keys(FORMATOS_TICKET).join(', ')}.` });
+    }
+    try {
+        const orden = await db.obtenerOrden(req.params.id);
+        if (!orden || !filtrarOrdenParaRol(orden, req.usuario)) {
+            return res.status(404).json({ error: `Orden ${req.params.id} no encontrada.` });
+        }
+        const ticket = await impresion.ticket(orden.id, { tipo, area, reimpresion: true });
+        if (!ticket) {
+            return res.status(404).json({ error: `La orden ${orden.id} no tiene items de ${area}.` });
+        }
+        res.type(salida.tipo);
+        if (salida.descarga) {
+            res.attachment(`orden-${orden.id}-${tipo === 'recibo' ? 'recibo' : area}.${salida.descarga}`);
+        }
+        res.send(salida.convertir(ticket));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Reimprime en la impresora térmica: { tipo: 'cocina', area } o { tipo: 'recibo' }.
+app.post('/ordenes/:id/reimprimir', protegerRuta(), async (req, res, next) => {
+    const { tipo, area } = req.body;
+    const invalido = validarTicket({ tipo, area }, req.usuario);
+    if (invalido) {
+        return res.status(invalido.status).json({ error: invalido.error });
+    }
+    try {
+        const orden = await db.obtenerOrden(req.params.id);
+        if (!orden || !filtrarOrdenParaRol(orden, req.usuario)) {
+            return res.status(404).json({ error: `Orden ${req.params.id} no encontrada.` });
+        }
+        const destino = await impresion.reimprimir(orden.id, { tipo, area });
+        res.json({ message: `Ticket de la orden ${orden.id} enviado a '${destino}'.` });
+    } catch (error) {
+        // 502: la impresora no respondió.
+        if (error.status === 502) {
+            return res.status(502).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
+
+// Stream SSE de cambios de órdenes. Barra y cocina reciben solo su área; el admin recibe
+// todo, o una sola área con ?area= (lo usa la pantalla KDS abierta por un admin). Cada uno
+// recibe solo su sucursal (ver sucursalDePeticion).
+app.get('/eventos', protegerRuta(), (req, res) => {
+    let areas = null;
+    if (req.usuario.rol !== 'admin') {
+        areas = [req.usuario.rol];
+    } else if (AREAS_PREPARACION.includes(req.query.area)) {
+        areas = [req.query.area];
+    }
+    centralEventos.suscribir(req, res, areas, sucursalDePeticion(req));
+});
+
+
+// --- 6.1 PANTALLAS DE COCINA POR ESTACIÓN (KDS) ---
+// La pantalla muestra la sucursal del usuario, o la de ?sucursal= si la abre el admin general.
+app.get('/kds/:area', protegerRuta(), protegerEstacion, async (req, res, next) => {
+    const { area } = req.params;
+    const sucursalId = sucursalDePeticion(req);
+    let sucursal;
+    try {
+        sucursal = sucursalId && await sucursales.obtener(sucursalId);
+    } catch (error) {
+        return next(error);
+    }
+    const titulo = `KDS · ${area.toUpperCase()}${sucursal ? ` · ${sucursal.nombre}` : ''}`;
+    const html = `
+        <!DOCTYPE html><html lang="es"><head><meta charset="UTF-8"><title>${titulo}</title><script src="https://cdn.tailwindcss.com"></script></head>
+        <body class="bg-gray-900 text-white p-4">
+            <div class="flex justify-between items-center mb-4"><h1 class="text-3xl font-extrabold">${titulo}</h1><span id="connection" class="text-sm text-gray-400">Conectando...</span></div>
+            <div id="tickets" class="grid grid-cols-1 md:grid-cols-3 xl:grid-cols-4 gap-4"></div>
+            <script>
+                const AREA = '${area}';
+                const SUCURSAL = ${JSON.stringify(sucursal ? sucursal.id : null)};
+                let tickets = [];
+                function escapar(texto) { const d = document.createElement('div'); d.textContent = texto; return d.innerHTML; }
+                function elapsed(fecha) {
+                    const s = Math.max(0, Math.floor((Date.now() - new Date(fecha).getTime()) / 1000));
+                    return Math.floor(s / 60) + ':' + String(s % 60).padStart(2, '0');
+                }
+                function timerColor(fecha) {
+                    const min = (Date.now() - new Date(fecha).getTime()) / 60000;
+                    return min >= 10 ? 'bg-red-600' : min >= 5 ? 'bg-yellow-500' : 'bg-green-600';
+                }
+                function render() {
+                    const list = document.getElementById('tickets');
+                    list.innerHTML = tickets.length === 0 ? '<p class="col-span-full text-center text-gray-500 p-12 text-xl">Sin tickets pendientes.</p>' : '';
+                    tickets.forEach(t => {
+                        const card = document.createElement('div');
+                        card.className = 'bg-gray-800 rounded-xl overflow-hidden shadow-lg';
+                        const items = t.items.map(i => \`
+                            <li onclick="\${i.estado_estacion === 'pendiente' ? 'bump(' + t.id + ', [' + i.id + '])' : ''}" class="py-2 border-b border-gray-700 cursor-pointer \${i.estado_estacion === 'listo' ? 'line-through text-gray-500' : ''}">
+                                <span class="font-bold text-lg">\${i.cantidad}× \${escapar(i.nombre)}</span>
+                                \${(i.personalizaciones || []).length ? '<div class="text-yellow-300 text-sm">' + escapar(i.personalizaciones.map(p => p.nombre || p).join(', ')) + '</div>' : ''}
+                            </li>\`).join('');
+                        card.innerHTML = \`
+                            <div class="flex justify-between items-center p-3 \${timerColor(t.liberada_en)}"><span class="text-2xl font-bold">#\${t.id}\${t.estado_pago !== 'pagada' ? ' <span class="text-xs align-middle bg-orange-500 text-white px-2 py-1 rounded">POR PAGAR</span>' : ''}</span><span><button onclick="reprint(\${t.id})" title="Reimprimir comanda" class="text-sm underline mr-3">Reimprimir</button><span class="timer font-mono text-xl" data-fecha="\${t.liberada_en}">\${elapsed(t.liberada_en)}</span></span></div>
+                            <div class="p-3"><p class="text-gray-300 mb-2">\${escapar(t.nombre_cliente || 'Anónimo')}\${t.hora_recogida ? ' · <span class="text-purple-300 font-semibold">Recoge ' + new Date(t.hora_recogida).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) + '</span>' : ''}</p><ul>\${items}</ul></div>
+                            <button onclick="bump(\${t.id})" class="w-full bg-blue-600 hover:bg-blue-500 py-3 text-lg font-semibold">Listo</button>\`;
+                        list.appendChild(card);
+                    });
+                }
+                async function fetchTickets() {
+                    const res = await fetch('/kds/' + AREA + '/tickets' + (SUCURSAL ? '?sucursal=' + SUCURSAL : ''));
+                    if (res.status === 401) { window.location = '/login'; return; }
+                    tickets = await res.json();
+                    render();
+                }
+                async function bump(orderId, itemIds) {
+                    const res = await fetch('/kds/' + AREA + '/ordenes/' + orderId + '/listo', {
+                        method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ item_ids: itemIds })
+                    });
+                    if (!res.ok) { const e = await res.json().catch(() => ({})); alert(e.error || 'Error ' + res.status); }
+                    fetchTickets();
+                }
+                async function reprint(orderId) {
+                    const res = await fetch('/ordenes/' + orderId + '/reimprimir', {
+                        method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ tipo: 'cocina', area: AREA })
+                    });
+                    if (!res.ok) { const e = await res.json().catch(() => ({})); alert(e.error || 'Error ' + res.status); }
+                }
+                function connect() {
+                    const source = new EventSource('/eventos?area=' + AREA + (SUCURSAL ? '&sucursal=' + SUCURSAL : ''));
+                    source.onopen = () => { document.getElementById('connection').textContent = 'En vivo'; fetchTickets(); };
+                    source.onerror = () => { document.getElementById('connection').textContent = 'Reconectando...'; };
+                    ['orden_nueva', 'orden_actualizada', 'pago_actualizado'].forEach(tipo => source.addEventListener(tipo, fetchTickets));
+                }
+                setInterval(() => document.querySelectorAll('.timer').forEach(el => { el.textContent = elapsed(el.dataset.fecha); }), 1000);
+                setInterval(render, 30000);
+                connect();
+            </script>
+        </body></html>`;
+    res.send(html);
+});
+
+app.get('/kds/:area/tickets', protegerRuta(), protegerEstacion, async (req, res, next) => {
+    try {
+        res.json(await db.obtenerTicketsEstacion(req.params.area, sucursalDePeticion(req)));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Marca como listas las líneas de la estación (todas, o solo 'item_ids').
+app.post('/kds/:area/ordenes/:id/listo', protegerRuta(), protegerEstacion, async (req, res, next) => {
+    const { area, id } = req.params;
+    const { item_ids } = req.body;
+    if (item_ids !== undefined && item_ids !== null && (!Array.isArray(item_ids) || item_ids.some(i => !Number.isInteger(i)))) {
+        return res.status(400).json({ error: "'item_ids' debe ser una lista de ids de línea." });
+    }
+    try {
+        // Las órdenes de otra sucursal no existen para el personal de esta.
+        const orden = req.usuario.sucursal_id ? await db.obtenerOrden(id) : null;
+        if (orden && orden.sucursal_id !== req.usuario.sucursal_id) {
+            return res.status(404).json({ error: `Orden ${id} no encontrada.` });
+        }
+        const resultado = await db.marcarItemsListos(id, area, {
+            itemIds: item_ids || null,
+            actor: { usuario_id: req.usuario.id, nombre: req.usuario.usuario }
+        });
+        if (!resultado) {
+            return res.status(404).json({ error: `Orden ${id} no encontrada.` });
+        }
+        publicarCambioOrden(resultado.orden);
+        res.json(resultado);
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+app.get('/admin/menu', protegerRuta('admin'), async (req, res, next) => {
+    try {
+        res.json(await db.obtenerMenu());
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/admin/menu', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const errorValidacion = validarProducto(req.body);
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    try {
+        const producto = await db.crearProducto(req.body);
+        res.status(201).json(producto);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Debe declararse antes de '/admin/menu/:id' para que 'orden' no se tome como id.
+app.put('/admin/menu/orden', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || ids.some(id => !Number.isInteger(id))) {
+        return res.status(400).json({ error: "'ids' debe ser una lista de ids de producto." });
+    }
+    try {
+        res.json(await db.reordenarMenu(ids));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.put('/admin/menu/:id', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const errorValidacion = validarProducto(req.body, { parcial: true });
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    try {
+        const producto = await db.actualizarProducto(req.params.id, req.body);
+        if (!producto) {
+            return res.status(404).json({ error: `Producto ${req.params.id} no encontrado.` });
+        }
+        res.json(producto);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/admin/menu/:id', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    try {
+        const producto = await db.eliminarProducto(req.params.id);
+        if (!producto) {
+            return res.status(404).json({ error: `Producto ${req.params.id} no encontrado.` });
+        }
+        res.json({ message: `Producto ${req.params.id} eliminado`, producto });
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+/**
+ * Valida el cuerpo de una sucursal. Con 'parcial' (PUT) solo se validan los campos presentes.
+ * Devuelve un mensaje de error o null.
+ */
+function validarSucursal(body, { parcial = false } = {}) {
+    const { nombre, telefono, saludo, voz, telefono_personal, voz_en } = body;
+    if ((!parcial || nombre !== undefined) && (typeof nombre !== 'string' || !nombre.trim())) return "'nombre' es obligatorio.";
+    if (telefono !== undefined && telefono !== null && (typeof telefono !== 'string' || !/^\+\d{8,15}$/.test(telefono))) return "'telefono' debe estar en formato E.164 (+5215512345678).";
+    if (telefono_personal !== undefined && telefono_personal !== null && (typeof telefono_personal !== 'string' || !/^\+\d{8,15}$/.test(telefono_personal))) return "'telefono_personal' debe estar en formato E.164 (+5215512345678).";
+    if (saludo !== undefined && saludo !== null && typeof saludo !== 'string') return "'saludo' debe ser texto.";
+    if (voz !== undefined && voz !== null && (typeof voz !== 'string' || !voz.trim())) return "'voz' debe ser el nombre de una voz de Twilio (p. ej. 'Polly.Lupe').";
+    if (voz_en !== undefined && voz_en !== null && (typeof voz_en !== 'string' || !voz_en.trim())) return "'voz_en' debe ser el nombre de una voz de Twilio en inglés (p. ej. 'Polly.Joanna').";
+    return null;
+}
+
+// Sucursales: cada una contesta en su número de Twilio. El admin de una sucursal solo ve la suya.
+app.get('/admin/sucursales', protegerRuta('admin'), async (req, res, next) => {
+    try {
+        const todas = await sucursales.listar();
+        res.json(req.usuario.sucursal_id ? todas.filter(s => s.id === req.usuario.sucursal_id) : todas);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/admin/sucursales', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const errorValidacion = validarSucursal(req.body);
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    try {
+        res.status(201).json(await sucursales.crear({ ...req.body, nombre: req.body.nombre.trim(), saludo: req.body.saludo?.trim() || null }));
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Ya existe una sucursal con ese nombre o teléfono.' });
+        }
+        next(error);
+    }
+});
+
+app.put('/admin/sucursales/:id', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const errorValidacion = validarSucursal(req.body, { parcial: true });
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    try {
+        const { nombre, telefono, saludo, voz, telefono_personal, voz_en } = req.body;
+        const sucursal = await sucursales.actualizar(req.params.id, { nombre: nombre?.trim(), telefono, saludo: saludo === undefined ? undefined : saludo?.trim() || null, voz, telefono_personal, voz_en });
+        if (!sucursal) {
+            return res.status(404).json({ error: `Sucursal ${req.params.id} no encontrada.` });
+        }
+        res.json(sucursal);
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Ya existe una sucursal con ese nombre o teléfono.' });
+        }
+        next(error);
+    }
+});
+
+/**
+ * Para rutas /admin/sucursales/:id/...: la sucursal debe existir y ser la del usuario
+ * (o cualquiera, para el admin general). Deja la sucursal en req.sucursal.
+ */
+async function protegerSucursal(req, res, next) {
+    try {
+        const sucursal = await sucursales.obtener(req.params.id);
+        if (!sucursal || (req.usuario.sucursal_id && sucursal.id !== req.usuario.sucursal_id)) {
+            return res.status(404).json({ error: `Sucursal ${req.params.id} no encontrada.` });
+        }
+        req.sucursal = sucursal;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Menú de la sucursal: el catálogo con su precio y disponibilidad propios.
+app.get('/admin/sucursales/:id/menu', protegerRuta('admin'), protegerSucursal, async (req, res, next) => {
+    try {
+        res.json(await sucursales.obtenerMenu(req.sucursal.id));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// { precio: número | null (el del catálogo), disponible: booleano }
+app.put('/admin/sucursales/:id/menu/:productoId', protegerRuta('admin'), protegerSucursal, async (req, res, next) => {
+    const { precio = null, disponible = true } = req.body;
+    if (precio !== null && (typeof precio !== 'number' || !Number.isFinite(precio) || precio < 0)) {
+        return res.status(400).json({ error: "'precio' debe ser un número mayor o igual a 0, o null para usar el del catálogo." });
+    }
+    if (typeof disponible !== 'boolean') {
+        return res.status(400).json({ error: "'disponible' debe ser booleano." });
+    }
+    try {
+        res.json(await sucursales.ajustarProducto(req.sucursal.id, req.params.productoId, { precio, disponible }));
+    } catch (error) {
+        if (error.code === '23503') {
+            return res.status(404).json({ error: `Producto ${req.params.productoId} no encontrado.` });
+        }
+        next(error);
+    }
+});
+
+app.delete('/admin/sucursales/:id/menu/:productoId', protegerRuta('admin'), protegerSucursal, async (req, res, next) => {
+    try {
+        if (!await sucursales.quitarAjuste(req.sucursal.id, req.params.productoId)) {
+            return res.status(404).json({ error: `El producto ${req.params.productoId} no tiene ajustes en esta sucursal.` });
+        }
+        res.json({ message: `El producto ${req.params.productoId} vuelve al precio y la disponibilidad del catálogo.` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+app.get('/admin/ordenes-abandonadas', protegerRuta('admin'), async (req, res, next) => {
+    try {
+        res.json(await db.obtenerOrdenesAbandonadas({ sucursalId: sucursalDePeticion(req) }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Llamadas (y conversaciones de texto) con su transcripción: ?resultado=orden|abandonada|no_atendida|transferida,
+// ?canal=voz|web|sms|whatsapp, ?telefono= y ?limite=.
+app.get('/admin/llamadas', protegerRuta('admin'), async (req, res, next) => {
+    const { resultado, telefono, canal, limite } = req.query;
+    if (resultado !== undefined && !Transcripciones.RESULTADOS.includes(resultado)) {
+        return res.status(400).json({ error: `'resultado' debe ser uno de: ${Transcripciones.RESULTADOS.join(', ')}.` });
+    }
+    if (canal !== undefined && !Canales.CANALES.includes(canal)) {
+        return res.status(400).json({ error: `'canal' debe ser uno de: ${Canales.CANALES.join(', ')}.` });
+    }
+    if (limite !== undefined && !(/^\d+$/.test(limite) && limite >= 1 && limite <= 200)) {
+        return res.status(400).json({ error: "'limite' debe ser un número entre 1 y 200." });
+    }
+    try {
+        res.json(await transcripciones.listarLlamadas({
+            sucursalId: sucursalDePeticion(req), resultado: resultado || null, telefono: telefono || null, canal: canal || null,
+            limite: limite ? parseInt(limite, 10) : undefined
+        }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * La llamada con sus turnos, si el usuario puede verla (las de su sucursal); si no, undefined.
+ */
+async function llamadaParaUsuario(callSid, usuario) {
+    const llamada = await transcripciones.obtenerLlamada(callSid);
+    return llamada && (!usuario.sucursal_id || llamada.sucursal_id === usuario.sucursal_id) ? llamada : undefined;
+}
+
+app.get('/admin/llamadas/:callSid', protegerRuta('admin'), async (req, res, next) => {
+    try {
+        const llamada = await llamadaParaUsuario(req.params.callSid, req.usuario);
+        if (!llamada) {
+            return res.status(404).json({ error: `Llamada ${req.params.callSid} no encontrada.` });
+        }
+        res.json(llamada);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Reproducción de una llamada turno por turno: lo que dijo el cliente, lo que interpretó el
+// asistente y lo que respondió. "Escuchar" lee los turnos con la voz del navegador.
+app.get('/admin/llamadas/:callSid/reproduccion', protegerRuta('admin'), async (req, res, next) => {
+    let llamada;
+    try {
+        llamada = await llamadaParaUsuario(req.params.callSid, req.usuario);
+    } catch (error) {
+        return next(error);
+    }
+    if (!llamada) {
+        return res.status(404).json({ error: `Llamada ${req.params.callSid} no encontrada.` });
+    }
+    const resultados = { orden: `Orden #${llamada.orden_id}`, abandonada: 'Abandonada', no_atendida: 'No atendida', transferida: 'Transferida al personal' };
+    const tipo = llamada.canal === Canales.VOZ ? 'Llamada' : `Conversación por ${Canales.NOMBRES[llamada.canal] || llamada.canal}`;
+    const html = `
+        <!DOCTYPE html><html lang="es"><head><meta charset="UTF-8"><title>${tipo} ${llamada.call_sid}</title><script src="https://cdn.tailwindcss.com"></script></head>
+        <body class="bg-gray-100 p-6">
+            <div class="max-w-3xl mx-auto">
+                <a href="/admin" class="text-indigo-600 hover:underline">« Panel</a>
+                <h1 class="text-2xl font-extrabold text-gray-800 mt-2">${tipo} de ${llamada.telefono || 'número eliminado'}</h1>
+                <p class="text-gray-600 mb-4">${llamada.sucursal} · ${new Date(llamada.iniciada_en).toLocaleString('es-MX', { timeZone: HorarioNegocio.ZONA_HORARIA })} · <strong>${resultados[llamada.resultado] || 'En curso o sin resultado'}</strong> · ${llamada.turnos.length} turnos${llamada.idioma === 'en' ? ' · en inglés' : ''}</p>
+                <div class="flex gap-2 mb-4">
+                    <button onclick="mostrar(actual - 1)" class="bg-white border px-4 py-2 rounded-lg">« Anterior</button>
+                    <button onclick="mostrar(actual + 1)" class="bg-white border px-4 py-2 rounded-lg">Siguiente »</button>
+                    <button onclick="mostrar(TURNOS.length - 1)" class="bg-white border px-4 py-2 rounded-lg">Todo</button>
+                    <button onclick="escuchar()" class="bg-indigo-600 text-white px-4 py-2 rounded-lg">Escuchar</button>
+                </div>
+                <div id="turnos" class="space-y-3"></div>
+            </div>
+            <script>
+                const TURNOS = ${JSON.stringify(llamada.turnos).replace(/</g, '\\u003c')};
+                let actual = 0;
+                function escapar(texto) { const d = document.createElement('div'); d.textContent = texto; return d.innerHTML; }
+                function tarjeta(t) {
+                    const detalles = [t.etapa ? t.etapa + ' → ' + t.etapa_nueva : t.etapa_nueva, t.origen, t.total !== null ? 'total $' + parseFloat(t.total).toFixed(2) : null, t.latencia_ms !== null ? t.latencia_ms + ' ms' : null].filter(Boolean).join(' · ');
+                    return \`<div class="bg-white p-4 rounded-xl shadow">
+                        <p class="text-xs text-gray-400">Turno \${t.numero} · \${new Date(t.fecha).toLocaleTimeString()} · \${detalles}</p>
+                        \${t.texto_cliente !== null ? '<p class="mt-2"><span class="font-semibold text-gray-700">Cliente:</span> ' + escapar(t.texto_cliente) + (t.confianza !== null ? ' <span class="text-xs ' + (t.confianza < 0.6 ? 'text-red-600' : 'text-gray-400') + '">(confianza ' + Math.round(t.confianza * 100) + '%)</span>' : '') + '</p>' : ''}
+                        <p class="mt-2"><span class="font-semibold text-indigo-700">Asistente:</span> \${escapar(t.respuesta)}</p>
+                        \${t.interpretacion ? '<details class="mt-2 text-sm"><summary class="cursor-pointer text-gray-500">Interpretación</summary><pre class="bg-gray-50 p-2 rounded overflow-x-auto">' + escapar(JSON.stringify(t.interpretacion, null, 2)) + '</pre></details>' : ''}
+                    </div>\`;
+                }
+                function mostrar(n) {
+                    actual = Math.max(0, Math.min(n, TURNOS.length - 1));
+                    document.getElementById('turnos').innerHTML = TURNOS.slice(0, actual + 1).map(tarjeta).join('') || '<p class="text-gray-500">Sin turnos registrados.</p>';
+                }
+                // Lee desde el turno actual hasta el final, mostrando cada uno al llegar a él.
+                function escuchar() {
+                    speechSynthesis.cancel();
+                    const desde = actual;
+                    TURNOS.slice(desde).forEach((t, i) => {
+                        const textos = (t.texto_cliente !== null ? ['Cliente: ' + t.texto_cliente] : []).concat('Asistente: ' + t.respuesta);
+                        textos.forEach((texto, j) => {
+                            const voz = new SpeechSynthesisUtterance(texto);
+                            voz.lang = '${Idiomas.reconocimiento(llamada.idioma)}';
+                            if (j === 0) voz.onstart = () => mostrar(desde + i);
+                            speechSynthesis.speak(voz);
+                        });
+                    });
+                }
+                mostrar(0);
+            </script>
+        </body></html>`;
+    res.send(html);
+});
+
+const FORMATO_HORA = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Valida la lista del horario semanal [{ dia_semana, abre, cierra }]. Devuelve un mensaje de error o null.
+ */
+function validarHorarios(horarios) {
+    if (!Array.isArray(horarios)) return "'horarios' debe ser una lista.";
+    const dias = new Set();
+    for (const horario of horarios) {
+        if (!horario || typeof horario !== 'object') return "Cada horario debe ser un objeto { dia_semana, abre, cierra }.";
+        const { dia_semana, abre, cierra } = horario;
+        if (!Number.isInteger(dia_semana) || dia_semana < 0 || dia_semana > 6) return "'dia_semana' debe ser un entero de 0 (domingo) a 6 (sábado).";
+        if (dias.has(dia_semana)) return `El día ${HorarioNegocio.DIAS[dia_semana]} está repetido.`;
+        dias.add(dia_semana);
+        if (!FORMATO_HORA.test(abre) || !FORMATO_HORA.test(cierra)) return "'abre' y 'cierra' deben tener formato HH:MM.";
+        if (abre >= cierra) return `El ${HorarioNegocio.DIAS[dia_semana]} debe abrir antes de cerrar.`;
+    }
+    return null;
+}
+
+/**
+ * Valida los ajustes de capacidad. Devuelve un mensaje de error o null.
+ */
+function validarCapacidad(body) {
+    for (const campo of ['max_ordenes_por_estacion', 'max_ordenes_por_franja']) {
+        const valor = body[campo];
+        if (valor !== undefined && valor !== null && (!Number.isInteger(valor) || valor < 1)) return `'${campo}' debe ser un entero >= 1 o null (sin límite).`;
+    }
+    return null;
+}
+
+// Horario de atención y control de pedidos: lo que decide si una llamada nueva puede ordenar.
+// Son de cada sucursal (ver sucursalParaAjustes).
+app.get('/admin/horario', protegerRuta('admin'), async (req, res, next) => {
+    try {
+        const sucursalId = await sucursalParaAjustes(req);
+        const [horarios, dias_cerrados, pedidos_pausados, capacidad, ordenes_activas, disponibilidad] = await Promise.all([
+            horarioNegocio.obtenerHorarios(sucursalId), horarioNegocio.obtenerDiasCerrados(sucursalId), horarioNegocio.pedidosPausados(sucursalId),
+            horarioNegocio.obtenerCapacidad(sucursalId), horarioNegocio.ordenesActivasPorEstacion(sucursalId), horarioNegocio.disponibilidad(sucursalId)
+        ]);
+        res.json({ zona_horaria: HorarioNegocio.ZONA_HORARIA, sucursal_id: sucursalId, horarios, dias_cerrados, pedidos_pausados, capacidad, ordenes_activas, disponibilidad });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.put('/admin/horario', protegerRuta('admin'), async (req, res, next) => {
+    const errorValidacion = validarHorarios(req.body.horarios);
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    try {
+        res.json(await horarioNegocio.actualizarHorarios(await sucursalParaAjustes(req), req.body.horarios));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/admin/horario/dias-cerrados', protegerRuta('admin'), async (req, res, next) => {
+    const { fecha, motivo = null } = req.body;
+    const dia = new Date(`${fecha}T00:00:00Z`);
+    // Se compara de vuelta para rechazar fechas como '2026-02-31', que Date pasa a marzo.
+    if (typeof fecha !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(fecha) || isNaN(dia) || dia.toISOString().slice(0, 10) !== fecha) {
+        return res.status(400).json({ error: "'fecha' debe tener formato AAAA-MM-DD." });
+    }
+    if (motivo !== null && typeof motivo !== 'string') {
+        return res.status(400).json({ error: "'motivo' debe ser texto." });
+    }
+    try {
+        res.status(201).json(await horarioNegocio.agregarDiaCerrado(await sucursalParaAjustes(req), fecha, motivo?.trim() || null));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/admin/horario/dias-cerrados/:fecha', protegerRuta('admin'), async (req, res, next) => {
+    try {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(req.params.fecha) || !await horarioNegocio.eliminarDiaCerrado(await sucursalParaAjustes(req), req.params.fecha)) {
+            return res.status(404).json({ error: `El ${req.params.fecha} no está marcado como cerrado.` });
+        }
+        res.json({ message: `El ${req.params.fecha} ya no está marcado como cerrado.` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Pausa manual: las llamadas nuevas escuchan que no se están tomando pedidos; las que ya
+// están en curso pueden terminar su orden.
+app.put('/admin/horario/pausa', protegerRuta('admin'), async (req, res, next) => {
+    const { pausado } = req.body;
+    if (typeof pausado !== 'boolean') {
+        return res.status(400).json({ error: "'pausado' debe ser booleano." });
+    }
+    try {
+        const sucursalId = await sucursalParaAjustes(req);
+        await horarioNegocio.pausarPedidos(sucursalId, pausado);
+        console.log(`[HORARIO] Pedidos ${pausado ? 'pausados' : 'reanudados'} en la sucursal ${sucursalId} por ${req.usuario.usuario}.`);
+        res.json({ pedidos_pausados: pausado });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.put('/admin/horario/capacidad', protegerRuta('admin'), async (req, res, next) => {
+    const errorValidacion = validarCapacidad(req.body);
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    const { max_ordenes_por_estacion, max_ordenes_por_franja } = req.body;
+    try {
+        res.json(await horarioNegocio.actualizarCapacidad(await sucursalParaAjustes(req), {
+            ...(max_ordenes_por_estacion !== undefined ? { max_ordenes_por_estacion } : {}),
+            ...(max_ordenes_por_franja !== undefined ? { max_ordenes_por_franja } : {})
+        }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Valida el cuerpo de un usuario del personal. Devuelve un mensaje de error o null.
+ */
+function validarUsuario(body, { parcial = false } = {}) {
+    const { usuario, nombre, password, rol, sucursal_id, activo } = body;
+    if (!parcial && (typeof usuario !== 'string' || !/^[\w.-]{3,50}$/.test(usuario))) return "'usuario' debe tener 3 a 50 letras, números, '.', '_' o '-'.";
+    if ((!parcial || password !== undefined) && (typeof password !== 'string' || password.length < 8)) return "'password' debe tener al menos 8 caracteres.";
+    if ((!parcial || rol !== undefined) && !Autenticacion.ROLES.includes(rol)) return `'rol' debe ser uno de: ${Autenticacion.ROLES.join(', ')}.`;
+    if (nombre !== undefined && nombre !== null && typeof nombre !== 'string') return "'nombre' debe ser texto.";
+    if (sucursal_id !== undefined && sucursal_id !== null && !Number.isInteger(sucursal_id)) return "'sucursal_id' debe ser el id de una sucursal o null (todas).";
+    if (activo !== undefined && typeof activo !== 'boolean') return "'activo' debe ser booleano.";
+    return null;
+}
+
+app.get('/admin/usuarios', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    try {
+        res.json(await autenticacion.listarUsuarios());
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/admin/usuarios', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const errorValidacion = validarUsuario(req.body);
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    try {
+        res.status(201).json(await autenticacion.crearUsuario(req.body));
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: `El usuario '${req.body.usuario}' ya existe.` });
+        }
+        if (error.code === '23503') {
+            return res.status(400).json({ error: `Sucursal ${req.body.sucursal_id} no encontrada.` });
+        }
+        next(error);
+    }
+});
+
+app.put('/admin/usuarios/:id', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const errorValidacion = validarUsuario(req.body, { parcial: true });
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    try {
+        const usuario = await autenticacion.actualizarUsuario(req.params.id, req.body);
+        if (!usuario) {
+            return res.status(404).json({ error: `Usuario ${req.params.id} no encontrado.` });
+        }
+        res.json(usuario);
+    } catch (error) {
+        if (error.code === '23503') {
+            return res.status(400).json({ error: `Sucursal ${req.body.sucursal_id} no encontrada.` });
+        }
+        next(error);
+    }
+});
+
+app.delete('/admin/usuarios/:id', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    if (String(req.usuario.id) === req.params.id) {
+        return res.status(400).json({ error: 'No puedes eliminar tu propio usuario.' });
+    }
+    try {
+        const usuario = await autenticacion.eliminarUsuario(req.params.id);
+        if (!usuario) {
+            return res.status(404).json({ error: `Usuario ${req.params.id} no encontrado.` });
+        }
+        res.json({ message: `Usuario ${req.params.id} eliminado`, usuario });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Clientes frecuentes: ver el perfil, excluir del reconocimiento y borrar sus datos.
+app.get('/admin/clientes/:telefono', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    try {
+        const excluido = await clientes.estaExcluido(req.params.telefono);
+        const perfil = excluido ? null : await clientes.obtenerPerfil(req.params.telefono);
+        if (!perfil && !excluido) {
+            return res.status(404).json({ error: `No hay órdenes con el teléfono ${req.params.telefono}.` });
+        }
+        res.json({ telefono: Clientes.normalizarTelefono(req.params.telefono), excluido, perfil });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/admin/clientes/:telefono/exclusion', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    try {
+        await clientes.excluir(req.params.telefono);
+        res.json({ message: `El teléfono ${req.params.telefono} ya no será reconocido.` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/admin/clientes/:telefono/exclusion', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    try {
+        if (!await clientes.permitir(req.params.telefono)) {
+            return res.status(404).json({ error: `El teléfono ${req.params.telefono} no estaba excluido.` });
+        }
+        res.json({ message: `El teléfono ${req.params.telefono} volverá a ser reconocido.` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/admin/clientes/:telefono', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    try {
+        const eliminados = await clientes.eliminarDatos(req.params.telefono);
+        // El log no incluye el número: es justo el dato que se está borrando.
+        console.log(`[CLIENTES] Datos de un cliente eliminados por ${req.usuario.usuario}:`, eliminados);
+        res.json({ message: `Datos del teléfono ${req.params.telefono} eliminados.`, eliminados });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Reportes: /admin/reportes/<tipo>?desde=AAAA-MM-DD&hasta=AAAA-MM-DD[&formato=csv][&agrupacion=dia|semana][&limite=N]
+// De una sola sucursal con X-Sucursal o ?sucursal= (el admin de una sucursal, siempre la suya).
+app.get('/admin/reportes/:tipo', protegerRuta('admin'), async (req, res, next) => {
+    const { tipo } = req.params;
+    const metodo = Reportes.TIPOS[tipo];
+    if (!metodo) {
+        return res.status(404).json({ error: `Reporte desconocido. Disponibles: ${Object.keys(Reportes.TIPOS).join(', ')}.` });
+    }
+    const { desde, hasta, agrupacion, limite, formato = 'json' } = req.query;
+    if (!['json', 'csv'].includes(formato)) {
+        return res.status(400).json({ error: "'formato' debe ser 'json' o 'csv'." });
+    }
+    if (limite !== undefined && !(/^\d+$/.test(limite) && limite >= 1 && limite <= 100)) {
+        return res.status(400).json({ error: "'limite' debe ser un número entre 1 y 100." });
+    }
+    try {
+        const rango = reportes.normalizarRango({ desde, hasta });
+        const filas = await reportes[metodo]({ ...rango, sucursalId: sucursalDePeticion(req), agrupacion, limite: limite && parseInt(limite, 10) });
+        if (formato === 'csv') {
+            res.attachment(`reporte_${tipo}_${rango.desde}_${rango.hasta}.csv`);
+            return res.type('text/csv').send(Reportes.aCSV(filas));
+        }
+        res.json({ reporte: tipo, ...rango, filas });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/admin/notificaciones', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    try {
+        res.json(await notificador.listar());
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/admin/notificaciones/:id/reintentar', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    try {
+        const notificacion = await notificador.reintentar(req.params.id);
+        if (!notificacion) {
+            return res.status(404).json({ error: `Notificación ${req.params.id} no encontrada o ya enviada.` });
+        }
+        notificador.procesarPendientes().catch(error => console.error('[NOTIFICACIONES]', error));
+        res.json(notificacion);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Modificadores (tamaño, leche, shots, jarabes): grupos, opciones y productos a los que aplican.
+app.get('/admin/modificadores', protegerRuta('admin'), async (req, res, next) => {
+    try {
+        res.json(await db.obtenerGruposModificadores());
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/admin/modificadores/grupos', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const errorValidacion = validarGrupoModificadores(req.body);
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    try {
+        res.status(201).json(await db.crearGrupoModificadores(req.body));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.put('/admin/modificadores/grupos/:id', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const errorValidacion = validarGrupoModificadores(req.body, { parcial: true });
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    try {
+        const grupo = await db.actualizarGrupoModificadores(req.params.id, req.body);
+        if (!grupo) {
+            return res.status(404).json({ error: `Grupo ${req.params.id} no encontrado.` });
+        }
+        res.json(grupo);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/admin/modificadores/grupos/:id', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    try {
+        const grupo = await db.eliminarGrupoModificadores(req.params.id);
+        if (!grupo) {
+            return res.status(404).json({ error: `Grupo ${req.params.id} no encontrado.` });
+        }
+        res.json({ message: `Grupo ${req.params.id} eliminado`, grupo });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.put('/admin/modificadores/grupos/:id/productos', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const { producto_ids } = req.body;
+    if (!Array.isArray(producto_ids) || producto_ids.some(id => !Number.isInteger(id))) {
+        return res.status(400).json({ error: "'producto_ids' debe ser una lista de ids de producto." });
+    }
+    try {
+        await db.asignarProductosAGrupo(req.params.id, producto_ids);
+        res.json({ message: `Grupo ${req.params.id} asignado a ${producto_ids.length} productos` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/admin/modificadores/grupos/:id/opciones', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const errorValidacion = validarModificador(req.body);
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    try {
+        res.status(201).json(await db.crearModificador(req.params.id, req.body));
+    } catch (error) {
+        if (error.code === '23503') {
+            return res.status(404).json({ error: `Grupo ${req.params.id} no encontrado.` });
+        }
+        next(error);
+    }
+});
+
+app.put('/admin/modificadores/:id', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const errorValidacion = validarModificador(req.body, { parcial: true });
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    try {
+        const modificador = await db.actualizarModificador(req.params.id, req.body);
+        if (!modificador) {
+            return res.status(404).json({ error: `Modificador ${req.params.id} no encontrado.` });
+        }
+        res.json(modificador);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/admin/modificadores/:id', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    try {
+        const modificador = await db.eliminarModificador(req.params.id);
+        if (!modificador) {
+            return res.status(404).json({ error: `Modificador ${req.params.id} no encontrado.` });
+        }
+        res.json({ message: `Modificador ${req.params.id} eliminado`, modificador });
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+/**
+ * Valida el cuerpo de un ingrediente. La existencia solo se fija al crearlo; después cambia
+ * con conteos y ajustes. Devuelve un mensaje de error o null.
+ */
+function validarIngrediente(body, { parcial = false } = {}) {
+    const { nombre, unidad, minimo, existencia } = body;
+    if (!parcial || nombre !== undefined) {
+        if (typeof nombre !== 'string' || !nombre.trim()) return "'nombre' es obligatorio.";
+    }
+    if (unidad !== undefined && (typeof unidad !== 'string' || !unidad.trim() || unidad.length > 20)) return "'unidad' debe ser un texto de hasta 20 caracteres (p. ej. 'ml', 'g', 'pieza').";
+    if (minimo !== undefined && (typeof minimo !== 'number' || !Number.isFinite(minimo) || minimo < 0)) return "'minimo' debe ser un número mayor o igual a 0.";
+    if (existencia !== undefined) {
+        if (parcial) return "La existencia se cambia con un conteo o un ajuste (POST /admin/inventario/ingredientes/:id/ajustes).";
+        if (typeof existencia !== 'number' || !Number.isFinite(existencia) || existencia < 0) return "'existencia' debe ser un número mayor o igual a 0.";
+    }
+    return null;
+}
+
+/**
+ * Valida los renglones de una receta. Los de un modificador pueden reemplazar un ingrediente de
+ * la receta del producto en lugar de sumar una cantidad. Devuelve un mensaje de error o null.
+ */
+function validarReceta(renglones, { modificador = false } = {}) {
+    if (!Array.isArray(renglones)) return "La receta debe ser una lista de { ingrediente_id, cantidad }.";
+    const ingredientes = new Set();
+    for (const renglon of renglones) {
+        if (!renglon || typeof renglon !== 'object') return "Cada renglón debe ser un objeto { ingrediente_id, cantidad }.";
+        const { ingrediente_id, cantidad, reemplaza_ingrediente_id } = renglon;
+        if (!Number.isInteger(ingrediente_id)) return "'ingrediente_id' debe ser un id de ingrediente.";
+        if (ingredientes.has(ingrediente_id)) return `El ingrediente ${ingrediente_id} está repetido.`;
+        ingredientes.add(ingrediente_id);
+        if (modificador && reemplaza_ingrediente_id !== undefined && reemplaza_ingrediente_id !== null) {
+            if (!Number.isInteger(reemplaza_ingrediente_id) || reemplaza_ingrediente_id === ingrediente_id) return "'reemplaza_ingrediente_id' debe ser el id de otro ingrediente.";
+            continue;
+        }
+        if (typeof cantidad !== 'number' || !Number.isFinite(cantidad) || cantidad <= 0) return "'cantidad' debe ser un número mayor que 0.";
+    }
+    return null;
+}
+
+/**
+ * Errores de llaves foráneas (un ingrediente que no existe) como 400 en lugar de 500.
+ */
+function errorDeReceta(error) {
+    return error.code === '23503' ? Object.assign(new Error('Algún ingrediente de la receta no existe.'), { status: 400 }) : error;
+}
+
+// Inventario: ingredientes con su existencia y mínimo, conteos y ajustes manuales, y las recetas
+// con las que cada orden descuenta existencias.
+app.get('/admin/inventario', protegerRuta('admin'), async (req, res, next) => {
+    try {
+        res.json(await inventario.obtenerInventario());
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/admin/inventario/alertas', protegerRuta('admin'), async (req, res, next) => {
+    try {
+        res.json(await inventario.obtenerAlertas());
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/admin/inventario/movimientos', protegerRuta('admin'), async (req, res, next) => {
+    const { ingrediente_id, limite = '100' } = req.query;
+    if (ingrediente_id !== undefined && !/^\d+$/.test(ingrediente_id)) {
+        return res.status(400).json({ error: "'ingrediente_id' debe ser un id de ingrediente." });
+    }
+    if (!/^\d+$/.test(limite) || limite < 1 || limite > 500) {
+        return res.status(400).json({ error: "'limite' debe ser un entero entre 1 y 500." });
+    }
+    try {
+        res.json(await inventario.obtenerMovimientos({
+            ingredienteId: ingrediente_id === undefined ? null : parseInt(ingrediente_id, 10),
+            limite: parseInt(limite, 10)
+        }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/admin/inventario/ingredientes', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const errorValidacion = validarIngrediente(req.body);
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    try {
+        res.status(201).json(await inventario.crearIngrediente(req.body, { usuario_id: req.usuario.id }));
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: `El ingrediente '${req.body.nombre}' ya existe.` });
+        }
+        next(error);
+    }
+});
+
+app.put('/admin/inventario/ingredientes/:id', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const errorValidacion = validarIngrediente(req.body, { parcial: true });
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    try {
+        const ingrediente = await inventario.actualizarIngrediente(req.params.id, req.body);
+        if (!ingrediente) {
+            return res.status(404).json({ error: `Ingrediente ${req.params.id} no encontrado.` });
+        }
+        res.json(ingrediente);
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: `El ingrediente '${req.body.nombre}' ya existe.` });
+        }
+        next(error);
+    }
+});
+
+app.delete('/admin/inventario/ingredientes/:id', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    try {
+        const resultado = await inventario.eliminarIngrediente(req.params.id);
+        if (!resultado) {
+            return res.status(404).json({ error: `Ingrediente ${req.params.id} no encontrado.` });
+        }
+        avisarInventario(resultado);
+        res.json({ message: `Ingrediente ${req.params.id} eliminado`, ...resultado });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Conteo físico ({ tipo: 'conteo', cantidad: existencia real }) o ajuste ({ tipo: 'ajuste',
+// cantidad: +entrada / -merma }), con una nota opcional.
+app.post('/admin/inventario/ingredientes/:id/ajustes', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const { tipo, cantidad, nota } = req.body;
+    if (!Inventario.TIPOS_AJUSTE.includes(tipo)) {
+        return res.status(400).json({ error: `'tipo' debe ser uno de: ${Inventario.TIPOS_AJUSTE.join(', ')}.` });
+    }
+    if (typeof cantidad !== 'number' || !Number.isFinite(cantidad) || (tipo === 'conteo' && cantidad < 0) || (tipo === 'ajuste' && cantidad === 0)) {
+        return res.status(400).json({ error: tipo === 'conteo' ? "'cantidad' debe ser la existencia contada (>= 0)." : "'cantidad' debe ser un número distinto de 0." });
+    }
+    if (nota !== undefined && nota !== null && typeof nota !== 'string') {
+        return res.status(400).json({ error: "'nota' debe ser texto." });
+    }
+    try {
+        const resultado = await inventario.ajustarExistencia(req.params.id, { tipo, cantidad, nota: nota?.trim() || null }, { usuario_id: req.usuario.id });
+        if (!resultado) {
+            return res.status(404).json({ error: `Ingrediente ${req.params.id} no encontrado.` });
+        }
+        avisarInventario(resultado);
+        res.json(resultado);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.put('/admin/menu/:id/receta', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const errorValidacion = validarReceta(req.body.ingredientes);
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    try {
+        if (!await db.obtenerProducto(req.params.id)) {
+            return res.status(404).json({ error: `Producto ${req.params.id} no encontrado.` });
+        }
+        const cambios = await inventario.guardarRecetaProducto(req.params.id, req.body.ingredientes);
+        avisarInventario(cambios);
+        res.json({ message: `Receta del producto ${req.params.id} guardada`, ...cambios });
+    } catch (error) {
+        next(errorDeReceta(error));
+    }
+});
+
+app.put('/admin/modificadores/:id/receta', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const errorValidacion = validarReceta(req.body.ingredientes, { modificador: true });
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    try {
+        const cambios = await inventario.guardarRecetaModificador(req.params.id, req.body.ingredientes);
+        avisarInventario(cambios);
+        res.json({ message: `Receta del modificador ${req.params.id} guardada`, ...cambios });
+    } catch (error) {
+        // Aquí la llave foránea también puede ser la del modificador.
+        if (error.code === '23503' && error.constraint?.includes('modificador_id')) {
+            return res.status(404).json({ error: `Modificador ${req.params.id} no encontrado.` });
+        }
+        next(errorDeReceta(error));
+    }
+});
+
+
+/**
+ * Valida el cuerpo de una promoción (ver Promociones.js). Que los campos de cada tipo estén
+ * completos lo revisa la base de datos (CHECK, ver errorDePromocion). Con 'parcial' (PUT) solo se
+ * validan los campos presentes. Devuelve un mensaje de error o null.
+ */
+function validarPromocion(body, { parcial = false } = {}) {
+    const { nombre, nombre_en, tipo, productos, precio, porcentaje, lleva, paga, codigo, dias, hora_inicio, hora_fin, vigente_desde, vigente_hasta, sucursal_id, activa } = body;
+    const opcional = valor => valor === undefined || valor === null;
+    if ((!parcial || nombre !== undefined) && (typeof nombre !== 'string' || !nombre.trim() || nombre.length > 100)) return "'nombre' es obligatorio (hasta 100 caracteres).";
+    if (!opcional(nombre_en) && (typeof nombre_en !== 'string' || nombre_en.length > 100)) return "'nombre_en' debe ser un texto de hasta 100 caracteres.";
+    if ((!parcial || tipo !== undefined) && !Promociones.TIPOS.includes(tipo)) return `'tipo' debe ser uno de: ${Promociones.TIPOS.join(', ')}.`;
+    if (productos !== undefined && (!Array.isArray(productos) || !productos.every(id => Number.isInteger(id) && id > 0))) return "'productos' debe ser una lista de ids del menú.";
+    if (!opcional(precio) && (typeof precio !== 'number' || !Number.isFinite(precio) || precio < 0)) return "'precio' debe ser un número mayor o igual a 0.";
+    if (!opcional(porcentaje) && (typeof porcentaje !== 'number' || !(porcentaje > 0 && porcentaje <= 100))) return "'porcentaje' debe ser un número mayor que 0 y hasta 100.";
+    if (!opcional(lleva) && (!Number.isInteger(lleva) || lleva < 2)) return "'lleva' debe ser un entero mayor o igual a 2.";
+    if (!opcional(paga) && (!Number.isInteger(paga) || paga < 0)) return "'paga' debe ser un entero mayor o igual a 0.";
+    if (!opcional(codigo) && (typeof codigo !== 'string' || !Promociones.normalizarCodigo(codigo) || codigo.length > 30)) return "'codigo' debe tener letras o números (hasta 30 caracteres).";
+    if (!opcional(dias) && (!Array.isArray(dias) || !dias.length || !dias.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) return "'dias' debe ser una lista de días de la semana (0 = domingo ... 6 = sábado).";
+    for (const [campo, valor] of [['hora_inicio', hora_inicio], ['hora_fin', hora_fin]]) {
+        if (!opcional(valor) && (typeof valor !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(valor))) return `'${campo}' debe tener formato HH:MM.`;
+    }
+    for (const [campo, valor] of [['vigente_desde', vigente_desde], ['vigente_hasta', vigente_hasta]]) {
+        if (!opcional(valor) && (typeof valor !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(valor) || isNaN(new Date(`${valor}T00:00:00Z`)))) return `'${campo}' debe ser una fecha con formato AAAA-MM-DD.`;
+    }
+    if (!opcional(sucursal_id) && !Number.isInteger(sucursal_id)) return "'sucursal_id' debe ser el id de una sucursal (null = todas).";
+    if (activa !== undefined && typeof activa !== 'boolean') return "'activa' debe ser true o false.";
+    return null;
+}
+
+/**
+ * Los campos de una promoción como se guardan: el cupón normalizado ('café 10' -> 'CAFE10').
+ */
+function camposPromocion(body) {
+    return { ...body, nombre: body.nombre?.trim(), codigo: body.codigo ? Promociones.normalizarCodigo(body.codigo) : body.codigo };
+}
+
+/**
+ * Errores de la base de datos al guardar una promoción (cupón repetido, sucursal que no existe,
+ * datos incompletos para su tipo) como 409 o 400 en lugar de 500.
+ */
+function errorDePromocion(error) {
+    const mensajes = {
+        '23505': [409, 'Ya existe una promoción con ese cupón.'],
+        '23503': [400, 'La sucursal no existe.'],
+        '23514': [400, "Faltan datos para el tipo de promoción: un combo lleva 'precio' y al menos 2 productos; un descuento, 'porcentaje'; 'lleva X, paga Y', 'lleva' mayor que 'paga' y sus productos. 'hora_inicio' y 'hora_fin' van juntas."]
+    };
+    const [status, mensaje] = mensajes[error.code] || [];
+    return status ? Object.assign(new Error(mensaje), { status }) : error;
+}
+
+// Promociones, combos y cupones. La lista trae cada una descrita con los nombres del menú.
+app.get('/admin/promociones', protegerRuta('admin'), async (req, res, next) => {
+    try {
+        const [lista, menu] = await Promise.all([promociones.listar(), db.obtenerMenu()]);
+        res.json(lista.map(p => ({ ...p, descripcion: Promociones.describir(p, menu) })));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/admin/promociones', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const errorValidacion = validarPromocion(req.body);
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    try {
+        res.status(201).json(await promociones.crear(camposPromocion(req.body)));
+    } catch (error) {
+        next(errorDePromocion(error));
+    }
+});
+
+app.put('/admin/promociones/:id', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    const errorValidacion = validarPromocion(req.body, { parcial: true });
+    if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+    }
+    try {
+        const promocion = await promociones.actualizar(req.params.id, camposPromocion(req.body));
+        if (!promocion) {
+            return res.status(404).json({ error: `Promoción ${req.params.id} no encontrada.` });
+        }
+        res.json(promocion);
+    } catch (error) {
+        next(errorDePromocion(error));
+    }
+});
+
+app.delete('/admin/promociones/:id', protegerRuta('admin'), soloAdminGeneral, async (req, res, next) => {
+    try {
+        const promocion = await promociones.eliminar(req.params.id);
+        if (!promocion) {
+            return res.status(404).json({ error: `Promoción ${req.params.id} no encontrada.` });
+        }
+        res.json({ message: `Promoción ${req.params.id} eliminada`, promocion });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- 7. MANEJADOR DE ERRORES GLOBAL ---
+app.use(async (error, req, res, next) => {
+    console.error('[ERROR GLOBAL]', error);
+    if (res.headersSent) {
+        return next(error);
+    }
+    // En SMS y WhatsApp el aviso es un mensaje; la conversación sigue con el siguiente mensaje del cliente.
+    if (req.originalUrl.startsWith('/twilio-mensajes')) {
+        const twiml = new twilio.twiml.MessagingResponse();
+        twiml.message(Idiomas.mensajes().errorSistema);
+        res.type('text/xml');
+        return res.send(twiml.toString());
+    }
+    if (req.originalUrl.includes('twilio')) {
+        const VoiceResponse = twilio.twiml.VoiceResponse;
+        const twiml = new VoiceResponse();
+        // El aviso va en el idioma y con la voz de la llamada, si su estado se puede leer.
+        const estado = req.body.CallSid ? await almacenEstado.obtener(req.body.CallSid).catch(() => null) : null;
+        if (req.body.CallSid) { abandonarConversacion(req.body.CallSid, 'error').catch(e => console.error('[ESTADO]', e)); }
+        twiml.say(Idiomas.voz(estado?.sucursal, estado?.idioma), Idiomas.mensajes(estado?.idioma).errorSistema);
+        twiml.hangup();
+        res.type('text/xml');
+        return res.status(500).send(twiml.toString());
+    }
+    // Errores con 'status' (p. ej. TransicionInvalidaError -> 409) se devuelven tal cual al cliente.
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Ocurrió un error interno del servidor.', details: error.message });
+});
+
+// --- 8. INICIALIZACIÓN DEL SERVIDOR ---
+// Solo arranca cuando se ejecuta directamente ('node server.js'); el simulador de conversaciones
+// (simulador/simular.js) importa la app y sus dependencias para ejecutarla en un puerto propio.
+if (require.main === module) {
+    db.verificarTablas().then(() => autenticacion.crearAdminInicial()).then(() => {
+        console.log("Inicialización segura exitosa. Servidor listo.");
+        if (TWILIO_SKIP_VALIDATION) {
+            console.warn("[SEGURIDAD] TWILIO_SKIP_VALIDATION=true: las rutas de Twilio aceptan peticiones sin firma. Solo para pruebas locales.");
+        } else if (!TWILIO_AUTH_TOKEN) {
+            console.warn("[SEGURIDAD] TWILIO_AUTH_TOKEN no está configurado: todas las peticiones de Twilio serán rechazadas.");
+        }
+        console.log(impresion.impresoras.size > 0
+            ? `[IMPRESIÓN] Impresoras: ${[...impresion.impresoras].map(([clave, salida]) => `${clave} -> ${salida.descripcion}`).join(', ')}.`
+            : '[IMPRESIÓN] Sin impresoras configuradas (PRINTER_<DESTINO>); los tickets se pueden abrir desde el panel.');
+        if (!pagos.pasarela) {
+            console.log('[PAGOS] Sin PAYMENT_GATEWAY: no se envían enlaces de pago; los clientes pagan al recoger.');
+        } else if (pagos.pasarela.nombre === 'falsa') {
+            console.warn("[PAGOS] PAYMENT_GATEWAY=falsa: los enlaces de pago no cobran nada. Solo para pruebas locales.");
+        }
+        setInterval(limpiarConversacionesExpiradas, INTERVALO_LIMPIEZA_MS).unref();
+        setInterval(liberarOrdenesProgramadas, INTERVALO_LIMPIEZA_MS / 2).unref();
+        setInterval(() => notificador.procesarPendientes().catch(e => console.error('[NOTIFICACIONES]', e)), INTERVALO_LIMPIEZA_MS / 2).unref();
+        setInterval(() => autenticacion.limpiarSesionesExpiradas().catch(e => console.error('[AUTH]', e)), INTERVALO_LIMPIEZA_MS * 60).unref();
+        setInterval(() => limiteIntentos.limpiarVencidos().catch(e => console.error('[AUTH]', e)), INTERVALO_LIMPIEZA_MS * 60).unref();
+        purgarTranscripciones();
+        setInterval(purgarTranscripciones, INTERVALO_PURGA_MS).unref();
+        app.listen(PORT, () => {
+            console.log(`Servidor Express escuchando en el puerto ${PORT}`);
+            console.log(`URL Local: http://localhost:${PORT}`);
+        });
+    }).catch(error => {
+        console.error("Error fatal al inicializar la base de datos:", error);
+        process.exit(1);
+    });
+}
+
+module.exports = { app, db, asistenteIA, almacenEstado, horarioNegocio, promociones, transcripciones };
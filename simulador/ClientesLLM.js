@@ -0,0 +1,104 @@
+// Archivo: simulador/ClientesLLM.js
+// Proveedores LLM para el simulador, con la misma interfaz que los de ProveedoresLLM.js
+// ({ disponible(), generar({ sistema, usuario, herramienta }) }).
+//   ClienteLLMGrabado: reproduce respuestas de herramienta grabadas, sin red.
+//   ClienteLLMGrabador: envuelve un cliente real y guarda cada respuesta para crear fixtures.
+// En los fixtures los modificadores se escriben por nombre (p. ej. "leche de avena") y se
+// traducen a IDs al reproducir, para que no dependan de los IDs de una base de datos concreta.
+
+class ClienteLLMGrabado {
+    /**
+     * 'modificadoresPorNombre' es un Map nombre -> id de la base de datos del simulador.
+     */
+    constructor(modificadoresPorNombre = new Map()) {
+        this.nombre = 'grabado';
+        this.modificadoresPorNombre = modificadoresPorNombre;
+        this.cola = [];
+        this.solicitudes = [];
+    }
+
+    disponible() {
+        return true;
+    }
+
+    /**
+     * Agrega la respuesta del siguiente turno. Puede ser el 'input' de la herramienta o
+     * { error: <status HTTP> } para simular una falla de la API.
+     */
+    encolar(respuesta) {
+        this.cola.push(respuesta);
+    }
+
+    async generar(solicitud) {
+        this.solicitudes.push(solicitud);
+        if (this.cola.length === 0) {
+            throw new Error("ClienteLLMGrabado: no hay más respuestas grabadas para este turno.");
+        }
+        const respuesta = this.cola.shift();
+        if (respuesta.error) {
+            throw Object.assign(new Error(`Falla simulada (HTTP ${respuesta.error})`), {
+                response: { status: respuesta.error, data: { simulado: true } }
+            });
+        }
+        return this._aIds(respuesta);
+    }
+
+    _aIds(input) {
+        return {
+            ...input,
+            operaciones: (input.operaciones || []).map(op => !op.modificadores ? op : ({
+                ...op,
+                modificadores: op.modificadores.map(m => {
+                    if (typeof m !== 'string') return m;
+                    if (!this.modificadoresPorNombre.has(m)) {
+                        throw new Error(`ClienteLLMGrabado: modificador desconocido en el fixture: "${m}".`);
+                    }
+                    return this.modificadoresPorNombre.get(m);
+                })
+            }))
+        };
+    }
+}
+
+class ClienteLLMGrabador {
+    /**
+     * 'modificadoresPorId' es un Map id -> nombre, para guardar los modificadores por nombre.
+     */
+    constructor(clienteReal, modificadoresPorId = new Map()) {
+        this.nombre = `grabador:${clienteReal.nombre}`;
+        this.clienteReal = clienteReal;
+        this.modificadoresPorId = modificadoresPorId;
+        this.grabadas = [];
+    }
+
+    disponible() {
+        return this.clienteReal.disponible();
+    }
+
+    async generar(solicitud) {
+        const respuesta = await this.clienteReal.generar(solicitud);
+        this.grabadas.push(this._aNombres(respuesta));
+        return respuesta;
+    }
+
+    /**
+     * Devuelve (y olvida) la última respuesta grabada del turno.
+     */
+    tomarUltima() {
+        const ultima = this.grabadas[this.grabadas.length - 1];
+        this.grabadas = [];
+        return ultima;
+    }
+
+    _aNombres(input) {
+        return {
+            ...input,
+            operaciones: (input.operaciones || []).map(op => !op.modificadores ? op : ({
+                ...op,
+                modificadores: op.modificadores.map(id => this.modificadoresPorId.get(id) ?? id)
+            }))
+        };
+    }
+}
+
+module.exports = { ClienteLLMGrabado, ClienteLLMGrabador };
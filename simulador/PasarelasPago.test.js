@@ -0,0 +1,159 @@
+// Archivo: simulador/PasarelasPago.test.js
+// Pruebas de PasarelaStripe sin red: un 'http' falso registra las peticiones a la API de Stripe y
+// los webhooks se firman aquí con el mismo esquema que usa Stripe ('t=...,v1=...').
+//
+// Uso: node --test simulador/PasarelasPago.test.js (lo ejecuta npm test antes del simulador).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { PasarelaStripe } = require('../PasarelasPago');
+
+const SECRETO = 'whsec_prueba';
+
+/**
+ * Un 'http' con la forma de axios que guarda cada petición y responde lo indicado por ruta.
+ */
+function httpFalso(respuestas) {
+    const peticiones = [];
+    const responder = (metodo, url, cuerpo, opciones) => {
+        peticiones.push({ metodo, url, cuerpo, opciones });
+        const ruta = url.replace('https://api.stripe.com/v1', '');
+        if (!(ruta in respuestas)) throw new Error(`Ruta inesperada: ${metodo} ${ruta}`);
+        return Promise.resolve({ data: respuestas[ruta] });
+    };
+    return {
+        peticiones,
+        post: (url, cuerpo, opciones) => responder('POST', url, cuerpo, opciones),
+        get: (url, opciones) => responder('GET', url, null, opciones)
+    };
+}
+
+function crearPasarela(http = httpFalso({})) {
+    return new PasarelaStripe({ apiKey: 'sk_test_prueba', secreto: SECRETO, moneda: 'MXN', baseUrl: 'https://cafe.example/', http });
+}
+
+/**
+ * Petición de webhook como la arma server.js: el cuerpo crudo y la cabecera 'Stripe-Signature'.
+ * 'marca' es el tiempo de la firma en segundos; 'secreto' permite firmar con otro.
+ */
+function webhook(evento, { marca = Math.floor(Date.now() / 1000), secreto = SECRETO, cabecera } = {}) {
+    const cuerpoCrudo = JSON.stringify(evento);
+    const firma = crypto.createHmac('sha256', secreto).update(`${marca}.${cuerpoCrudo}`).digest('hex');
+    return { headers: { 'stripe-signature': cabecera ?? `t=${marca},v1=${firma}` }, cuerpoCrudo };
+}
+
+const sesion = (tipo, campos = {}) => ({
+    type: tipo,
+    data: { object: { id: 'cs_test_1', amount_total: 12550, payment_status: 'paid', ...campos } }
+});
+
+const rechazaFirma = req => assert.throws(() => crearPasarela().leerWebhook(req), error => error.status === 401);
+
+test('sin clave o sin secreto no se puede crear', () => {
+    assert.throws(() => new PasarelaStripe({ apiKey: '', secreto: SECRETO }), /STRIPE_SECRET_KEY/);
+    assert.throws(() => new PasarelaStripe({ apiKey: 'sk_test_prueba', secreto: '' }), /PAYMENT_WEBHOOK_SECRET/);
+});
+
+test('crearEnlace crea una sesión de Checkout por el total en centavos', async () => {
+    const http = httpFalso({ '/checkout/sessions': { id: 'cs_test_1', url: 'https://checkout.stripe.com/c/pay/cs_test_1' } });
+    const enlace = await crearPasarela(http).crearEnlace({ ordenId: 42, monto: 125.5, descripcion: 'Orden #42' });
+
+    assert.deepStrictEqual(enlace, { referencia: 'cs_test_1', url: 'https://checkout.stripe.com/c/pay/cs_test_1' });
+    assert.strictEqual(http.peticiones.length, 1);
+    const [{ metodo, url, cuerpo, opciones }] = http.peticiones;
+    assert.strictEqual(metodo, 'POST');
+    assert.strictEqual(url, 'https://api.stripe.com/v1/checkout/sessions');
+    assert.strictEqual(opciones.headers.Authorization, 'Bearer sk_test_prueba');
+    assert.strictEqual(opciones.headers['Content-Type'], 'application/x-www-form-urlencoded');
+    assert.deepStrictEqual(Object.fromEntries(new URLSearchParams(cuerpo)), {
+        'mode': 'payment',
+        'line_items[0][quantity]': '1',
+        'line_items[0][price_data][currency]': 'mxn',
+        'line_items[0][price_data][unit_amount]': '12550',
+        'line_items[0][price_data][product_data][name]': 'Orden #42',
+        'metadata[orden_id]': '42',
+        'success_url': 'https://cafe.example/pagos/gracias'
+    });
+});
+
+test('crearEnlace redondea el monto a centavos', async () => {
+    const http = httpFalso({ '/checkout/sessions': { id: 'cs_test_2', url: 'https://checkout.stripe.com/c/pay/cs_test_2' } });
+    await crearPasarela(http).crearEnlace({ ordenId: 7, monto: 0.1 + 0.2, descripcion: 'Orden #7' });
+    assert.strictEqual(new URLSearchParams(http.peticiones[0].cuerpo).get('line_items[0][price_data][unit_amount]'), '30');
+});
+
+test('reembolsar reembolsa el pago de la sesión', async () => {
+    const http = httpFalso({
+        '/checkout/sessions/cs_test_1': { id: 'cs_test_1', payment_intent: 'pi_1' },
+        '/refunds': { id: 're_1' }
+    });
+    const reembolso = await crearPasarela(http).reembolsar({ referencia: 'cs_test_1', monto: 20 });
+
+    assert.deepStrictEqual(reembolso, { referencia: 're_1' });
+    assert.deepStrictEqual(http.peticiones.map(p => `${p.metodo} ${p.url}`), [
+        'GET https://api.stripe.com/v1/checkout/sessions/cs_test_1',
+        'POST https://api.stripe.com/v1/refunds'
+    ]);
+    assert.deepStrictEqual(Object.fromEntries(new URLSearchParams(http.peticiones[1].cuerpo)), { payment_intent: 'pi_1', amount: '2000' });
+});
+
+test('un webhook bien firmado se traduce a un pago', () => {
+    const pasarela = crearPasarela();
+    assert.deepStrictEqual(pasarela.leerWebhook(webhook(sesion('checkout.session.completed'))),
+        { referencia: 'cs_test_1', estado: 'pagado', monto: 125.5 });
+    assert.deepStrictEqual(pasarela.leerWebhook(webhook(sesion('checkout.session.async_payment_succeeded'))),
+        { referencia: 'cs_test_1', estado: 'pagado', monto: 125.5 });
+    assert.deepStrictEqual(pasarela.leerWebhook(webhook(sesion('checkout.session.async_payment_failed'))),
+        { referencia: 'cs_test_1', estado: 'fallido', monto: 125.5 });
+    assert.deepStrictEqual(pasarela.leerWebhook(webhook(sesion('checkout.session.expired', { payment_status: 'unpaid' }))),
+        { referencia: 'cs_test_1', estado: 'fallido', monto: 125.5 });
+});
+
+test('los eventos que no cambian el pago devuelven null', () => {
+    const pasarela = crearPasarela();
+    // Pago asíncrono (p. ej. OXXO): la sesión se completa sin pagar todavía.
+    assert.strictEqual(pasarela.leerWebhook(webhook(sesion('checkout.session.completed', { payment_status: 'unpaid' }))), null);
+    assert.strictEqual(pasarela.leerWebhook(webhook(sesion('payment_intent.created'))), null);
+});
+
+test('acepta la firma si alguna de las v1 es válida (rotación del secreto)', () => {
+    const marca = Math.floor(Date.now() / 1000);
+    const req = webhook(sesion('checkout.session.completed'), { marca });
+    const valida = req.headers['stripe-signature'].split(',')[1];
+    req.headers['stripe-signature'] = `t=${marca},v1=${'0'.repeat(64)},${valida}`;
+    assert.strictEqual(crearPasarela().leerWebhook(req).estado, 'pagado');
+});
+
+test('rechaza con 401 una cabecera Stripe-Signature ausente o mal formada', () => {
+    const evento = sesion('checkout.session.completed');
+    rechazaFirma({ headers: {}, cuerpoCrudo: JSON.stringify(evento) });
+    rechazaFirma(webhook(evento, { cabecera: '' }));
+    rechazaFirma(webhook(evento, { cabecera: 'basura' }));
+    rechazaFirma(webhook(evento, { cabecera: `t=${Math.floor(Date.now() / 1000)}` }));
+    rechazaFirma(webhook(evento, { cabecera: `v1=${'a'.repeat(64)}` }));
+    rechazaFirma(webhook(evento, { cabecera: 't=abc,v1=abc' }));
+});
+
+test('rechaza con 401 una firma que no corresponde al secreto o al cuerpo', () => {
+    const evento = sesion('checkout.session.completed');
+    rechazaFirma(webhook(evento, { secreto: 'whsec_otro' }));
+
+    const alterado = webhook(evento);
+    alterado.cuerpoCrudo = alterado.cuerpoCrudo.replace('12550', '1');
+    rechazaFirma(alterado);
+
+    const sinCuerpo = webhook(evento);
+    delete sinCuerpo.cuerpoCrudo;
+    rechazaFirma(sinCuerpo);
+});
+
+test('solo acepta firmas dentro de la tolerancia de 300 segundos', () => {
+    const evento = sesion('checkout.session.completed');
+    const ahora = Math.floor(Date.now() / 1000);
+    assert.strictEqual(crearPasarela().leerWebhook(webhook(evento, { marca: ahora - 290 })).estado, 'pagado');
+    assert.strictEqual(crearPasarela().leerWebhook(webhook(evento, { marca: ahora + 290 })).estado, 'pagado');
+    rechazaFirma(webhook(evento, { marca: ahora - 310 }));
+    rechazaFirma(webhook(evento, { marca: ahora + 310 }));
+});
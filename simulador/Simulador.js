@@ -0,0 +1,234 @@
+// Archivo: simulador/Simulador.js
+// Ejecuta conversaciones contra la app Express real (server.js) en un puerto local, como si
+// Twilio enviara cada turno a /twilio-conversation (o cada mensaje a /twilio-mensajes, o el chat
+// web a /chat; ver Canales.js), con un cliente LLM sustituible.
+// Usa solo la base de datos de SIMULADOR_DATABASE_URL, nunca la de DATABASE_URL: así un .env de
+// producción no la expone. Su nombre debe incluir 'test' o 'prueba' (ver baseDeDatosDePruebas).
+
+const path = require('path');
+
+const PATRON_BD_DE_PRUEBAS = /test|prueba/i;
+
+/**
+ * URL de la base de datos del simulador. Lanza un error si no está definida, si es la misma que
+ * DATABASE_URL o si el nombre de la base no la identifica como de pruebas: el simulador escribe
+ * órdenes y '--reiniciar-bd' borra todas las tablas.
+ */
+function baseDeDatosDePruebas() {
+    const url = process.env.SIMULADOR_DATABASE_URL;
+    if (!url) {
+        throw new Error('Define SIMULADOR_DATABASE_URL con una base de datos de pruebas (el simulador no usa DATABASE_URL).');
+    }
+    if (url === process.env.DATABASE_URL) {
+        throw new Error('SIMULADOR_DATABASE_URL no puede ser la misma base de datos que DATABASE_URL.');
+    }
+    let nombre;
+    try {
+        nombre = decodeURIComponent(new URL(url).pathname.slice(1));
+    } catch (error) {
+        throw new Error('SIMULADOR_DATABASE_URL no es una URL de PostgreSQL válida.');
+    }
+    if (!PATRON_BD_DE_PRUEBAS.test(nombre)) {
+        throw new Error(`La base de datos '${nombre}' no parece de pruebas: su nombre debe incluir 'test' o 'prueba'.`);
+    }
+    return url;
+}
+
+// La despedida al registrar la orden, en español o en inglés (ver Idiomas.js).
+const PATRON_ORDEN_REGISTRADA = /(?:registrada con el número|placed with number) (\d+)/;
+
+const decodificarXML = texto => texto
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+/**
+ * Anota en 'errores' cada consulta que falle, también dentro de transacciones (pool.connect()),
+ * aunque la app atrape el error y solo lo deje en el log.
+ */
+function vigilarErroresBd(pool, errores) {
+    const vigilar = (query) => (consulta, ...resto) => {
+        if (typeof resto[resto.length - 1] === 'function') {
+            return query(consulta, ...resto);
+        }
+        return query(consulta, ...resto).catch(error => {
+            const sql = String(consulta?.text ?? consulta).trim().split('\n')[0];
+            errores.push(`${error.message} (${sql})`);
+            throw error;
+        });
+    };
+    pool.query = vigilar(pool.query.bind(pool));
+    const connect = pool.connect.bind(pool);
+    // pg-pool usa connect(callback) internamente para pool.query, que ya está vigilado.
+    pool.connect = (...args) => args.length > 0 ? connect(...args) : connect().then(cliente => {
+        if (!cliente.vigilado) {
+            cliente.query = vigilar(cliente.query.bind(cliente));
+            cliente.vigilado = true;
+        }
+        return cliente;
+    });
+}
+
+class Simulador {
+    /**
+     * Carga server.js con configuración de simulación y aplica las migraciones.
+     * Con 'reiniciarBd' borra y recrea todas las tablas, para que el menú y los IDs de
+     * modificadores sean los iniciales (los fixtures asumen esos precios).
+     */
+    async iniciar({ reiniciarBd = false } = {}) {
+        // Deben definirse antes de cargar server.js, que los lee al importarse.
+        process.env.DATABASE_URL = baseDeDatosDePruebas();
+        process.env.STATE_STORE = 'memoria';
+        process.env.TWILIO_SKIP_VALIDATION = 'true';
+        process.env.NOTIFICATION_CHANNELS = process.env.SIMULADOR_NOTIFICATION_CHANNELS || 'consola';
+
+        this.servidor = require(path.join(__dirname, '..', 'server'));
+        const { app, db } = this.servidor;
+
+        if (reiniciarBd) {
+            await db.eliminarYRecrearTablas();
+        } else {
+            await db.verificarTablas();
+        }
+
+        // Un error de la base de datos hace fallar la conversación aunque la app lo atrape (ver simular.js).
+        this.erroresBd = [];
+        vigilarErroresBd(db.pool, this.erroresBd);
+
+        // La carga que dejan las corridas anteriores en la base de pruebas no debe rechazar llamadas.
+        this.servidor.horarioNegocio.aplicarCapacidad = false;
+
+        const grupos = await db.obtenerGruposModificadores();
+        const opciones = grupos.flatMap(g => g.opciones);
+        this.modificadoresPorNombre = new Map(opciones.map(o => [o.nombre, o.id]));
+        this.modificadoresPorId = new Map(opciones.map(o => [o.id, o.nombre]));
+
+        await new Promise(resolve => {
+            this.http = app.listen(0, '127.0.0.1', resolve);
+        });
+        this.baseUrl = `http://127.0.0.1:${this.http.address().port}`;
+    }
+
+    /**
+     * Sustituye el proveedor LLM del asistente de la app cargada.
+     */
+    usarClienteLLM(cliente) {
+        this.servidor.asistenteIA.proveedorLLM = cliente;
+    }
+
+    /**
+     * Fija la hora que ve la app (horario de atención), p. ej. '2026-01-07T18:00:00Z'.
+     */
+    fijarHora(fecha) {
+        const ahora = new Date(fecha);
+        this.servidor.horarioNegocio.reloj = () => ahora;
+    }
+
+    /**
+     * Crea las promociones de un fixture (ver Promociones.js); en 'productos' van los nombres del
+     * menú. Devuelve sus ids, para quitarlas con eliminarPromociones al terminar.
+     */
+    async crearPromociones(promociones = []) {
+        const menu = await this.servidor.db.obtenerMenu();
+        const ids = [];
+        for (const promocion of promociones) {
+            const productos = (promocion.productos || []).map(nombre => {
+                const producto = menu.find(p => p.nombre === nombre);
+                if (!producto) throw new Error(`El producto '${nombre}' de la promoción '${promocion.nombre}' no está en el menú.`);
+                return producto.id;
+            });
+            ids.push((await this.servidor.promociones.crear({ ...promocion, productos })).id);
+        }
+        return ids;
+    }
+
+    async eliminarPromociones(ids) {
+        for (const id of ids) {
+            await this.servidor.promociones.eliminar(id);
+        }
+    }
+
+    /**
+     * Envía un turno a /twilio-conversation. Sin 'texto' simula el inicio de la llamada.
+     * Devuelve lo que dijo el sistema, el estado de la conversación y, si se registró,
+     * la orden guardada. Con 'canal' ('web', 'sms' o 'whatsapp') el turno es un mensaje de texto.
+     */
+    async turno(callSid, llamante, texto, canal = 'voz') {
+        if (canal === 'web') {
+            return this._turnoChat(callSid, llamante, texto);
+        }
+        if (canal !== 'voz') {
+            return this._turnoMensaje(callSid, llamante, texto, canal);
+        }
+        const cuerpo = new URLSearchParams({ CallSid: callSid, Caller: llamante });
+        if (texto !== undefined) {
+            cuerpo.set('SpeechResult', texto);
+        }
+        const res = await fetch(`${this.baseUrl}/twilio-conversation`, { method: 'POST', body: cuerpo });
+        const twiml = await res.text();
+        const mensajes = [...twiml.matchAll(/<Say[^>]*>([\s\S]*?)<\/Say>/g)].map(m => decodificarXML(m[1]));
+
+        return this._resultado(res.status, mensajes, callSid);
+    }
+
+    /**
+     * Un mensaje de SMS o WhatsApp a /twilio-mensajes ('callSid' distingue los mensajes de cada
+     * conversación). Sin 'texto' se envía un mensaje vacío, que recibe el saludo.
+     */
+    async _turnoMensaje(callSid, llamante, texto, canal) {
+        this.mensajesEnviados = (this.mensajesEnviados || 0) + 1;
+        const remitente = canal === 'whatsapp' ? `whatsapp:${llamante}` : llamante;
+        const cuerpo = new URLSearchParams({ MessageSid: `${callSid}M${this.mensajesEnviados}`, From: remitente, Body: texto || '' });
+        const res = await fetch(`${this.baseUrl}/twilio-mensajes`, { method: 'POST', body: cuerpo });
+        const twiml = await res.text();
+        const mensajes = [...twiml.matchAll(/<Message>([\s\S]*?)<\/Message>/g)].map(m => decodificarXML(m[1]));
+        return this._resultado(res.status, mensajes, `${canal}:${llamante}`);
+    }
+
+    /**
+     * Un mensaje del chat web: sin 'texto' abre la conversación (POST /chat).
+     */
+    async _turnoChat(callSid, llamante, texto) {
+        this.sesionesChat = this.sesionesChat || new Map();
+        const sesion = this.sesionesChat.get(callSid);
+        const [ruta, cuerpo] = sesion && texto !== undefined
+            ? [`/chat/${sesion}/mensajes`, { mensaje: texto }]
+            : ['/chat', { telefono: llamante }];
+        const res = await fetch(`${this.baseUrl}${ruta}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(cuerpo) });
+        const respuesta = await res.json();
+        if (respuesta.sesion) {
+            this.sesionesChat.set(callSid, respuesta.sesion);
+        }
+        return this._resultado(res.status, [respuesta.mensaje || respuesta.error], respuesta.sesion || sesion);
+    }
+
+    /**
+     * Lo que dijo el sistema, el estado de la conversación ('clave' es con la que está en el
+     * almacén) y la orden, si se registró.
+     */
+    async _resultado(status, mensajes, clave) {
+        const resultado = { status, mensajes, estado: await this.servidor.almacenEstado.obtener(clave) };
+        const registrada = mensajes.join(' ').match(PATRON_ORDEN_REGISTRADA);
+        if (registrada) {
+            resultado.orden = await this.servidor.db.obtenerOrden(registrada[1]);
+        }
+        return resultado;
+    }
+
+    /**
+     * Los turnos guardados de una conversación (ver Transcripciones.js).
+     */
+    async turnosGuardados(conversacion) {
+        return this.servidor.transcripciones.obtenerTurnos(conversacion);
+    }
+
+    async detener() {
+        if (this.http) {
+            await new Promise(resolve => this.http.close(resolve));
+        }
+        if (this.servidor) {
+            await this.servidor.db.pool.end();
+        }
+    }
+}
+
+module.exports = Simulador;
@@ -0,0 +1,74 @@
+// Archivo: simulador/grabar.js
+// Graba un fixture nuevo a partir de una sesión real: escribes lo que diría el cliente,
+// la app responde usando el LLM configurado (LLM_PROVIDER) y se guardan la respuesta
+// de herramienta y el estado resultante de cada turno como lo esperado.
+// Revisa el archivo generado antes de agregarlo a simulador/fixtures/.
+//
+// Uso: node simulador/grabar.js --salida simulador/fixtures/mi_caso.json [--nombre "Descripción"] [--reiniciar-bd]
+// Escribe FIN (o Ctrl+D) para terminar; la grabación también termina al registrarse la orden.
+
+require('dotenv').config();
+const fs = require('fs');
+const readline = require('readline');
+
+const Simulador = require('./Simulador');
+const { ClienteLLMGrabador } = require('./ClientesLLM');
+const { normalizarItem } = require('./simular');
+
+function leerArgumento(args, nombre) {
+    const i = args.indexOf(nombre);
+    return i >= 0 ? args[i + 1] : undefined;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const salida = leerArgumento(args, '--salida');
+    if (!salida) {
+        console.error('Uso: node simulador/grabar.js --salida <archivo.json> [--nombre "..."] [--reiniciar-bd]');
+        process.exit(1);
+    }
+
+    const simulador = new Simulador();
+    await simulador.iniciar({ reiniciarBd: args.includes('--reiniciar-bd') });
+    const grabador = new ClienteLLMGrabador(simulador.servidor.asistenteIA.proveedorLLM, simulador.modificadoresPorId);
+    simulador.usarClienteLLM(grabador);
+
+    const fixture = { nombre: leerArgumento(args, '--nombre') || salida, llamante: '+15550000000', turnos: [] };
+    const callSid = `REC${Date.now()}`;
+    const saludo = await simulador.turno(callSid, fixture.llamante);
+    console.log(`Sistema: ${saludo.mensajes.join(' ')}`);
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'Cliente> ' });
+    rl.prompt();
+    for await (const linea of rl) {
+        const texto = linea.trim();
+        if (texto.toUpperCase() === 'FIN') break;
+        if (!texto) { rl.prompt(); continue; }
+
+        const resultado = await simulador.turno(callSid, fixture.llamante, texto);
+        const fuente = resultado.orden || resultado.estado || {};
+        const respuesta = grabador.tomarUltima();
+        fixture.turnos.push({
+            cliente: texto,
+            respuesta_llm: respuesta || { error: 503 },
+            esperado: {
+                stage: resultado.orden ? 'FINALIZED' : resultado.estado?.stage,
+                items: (fuente.items || []).map(i => normalizarItem(i, simulador.modificadoresPorId)),
+                total: Number(fuente.total || 0)
+            }
+        });
+        console.log(`Sistema: ${resultado.mensajes.join(' ')}`);
+        if (resultado.orden) break;
+        rl.prompt();
+    }
+    rl.close();
+
+    fs.writeFileSync(salida, JSON.stringify(fixture, null, 2) + '\n');
+    console.log(`\nFixture guardado en ${salida} (${fixture.turnos.length} turnos).`);
+    await simulador.detener();
+}
+
+main().catch(error => {
+    console.error('[GRABADOR] Error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,199 @@
+// Archivo: simulador/simular.js
+// Ejecuta los fixtures de conversación (simulador/fixtures/*.json) contra la app y compara,
+// turno a turno, la etapa, los items, el total (y el descuento) y lo que dijo el sistema con lo
+// esperado, y que la conversación quedó guardada (turnos y transcripción de la orden) sin errores
+// de la base de datos. Las 'promociones' de un fixture solo existen mientras se ejecuta.
+//
+// Uso: node simulador/simular.js [--reiniciar-bd] [fixture.json ...]
+// Termina con código 1 si algún turno no coincide.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const Simulador = require('./Simulador');
+const { ClienteLLMGrabado } = require('./ClientesLLM');
+
+const DIRECTORIO_FIXTURES = path.join(__dirname, 'fixtures');
+// Hora de las llamadas si el fixture no define 'hora': un miércoles a mediodía (hora de México),
+// dentro del horario inicial, para que el resultado no dependa de cuándo se corre.
+const HORA_POR_DEFECTO = '2026-01-07T18:00:00Z';
+
+/**
+ * Normaliza un item (de la app o del fixture) a { nombre, cantidad, modificadores }.
+ * En el fixture un item puede ser solo el nombre ("Capuchino").
+ */
+function normalizarItem(item, modificadoresPorId) {
+    if (typeof item === 'string') {
+        return { nombre: item, cantidad: 1 };
+    }
+    const modificadores = item.personalizaciones
+        ? item.personalizaciones.map(p => p.nombre)
+        : (item.modificadores || []).map(m => modificadoresPorId.get(m) ?? m);
+    return { nombre: item.nombre, cantidad: item.cantidad || 1, modificadores: modificadores.sort() };
+}
+
+/**
+ * Compara el resultado de un turno con lo esperado. Devuelve la lista de diferencias.
+ */
+function comparar(esperado, resultado, modificadoresPorId) {
+    const diferencias = [];
+    const etapa = resultado.orden ? 'FINALIZED' : resultado.estado?.stage;
+    const fuente = resultado.orden || resultado.estado || {};
+
+    if (esperado.stage !== undefined && esperado.stage !== etapa) {
+        diferencias.push(`etapa: esperada ${esperado.stage}, obtenida ${etapa}`);
+    }
+    if (esperado.total !== undefined && Number(esperado.total).toFixed(2) !== Number(fuente.total || 0).toFixed(2)) {
+        diferencias.push(`total: esperado ${Number(esperado.total).toFixed(2)}, obtenido ${Number(fuente.total || 0).toFixed(2)}`);
+    }
+    if (esperado.descuento !== undefined && Number(esperado.descuento).toFixed(2) !== Number(fuente.descuento || 0).toFixed(2)) {
+        diferencias.push(`descuento: esperado ${Number(esperado.descuento).toFixed(2)}, obtenido ${Number(fuente.descuento || 0).toFixed(2)}`);
+    }
+    if (esperado.items !== undefined) {
+        const obtenidos = (fuente.items || []).map(i => normalizarItem(i, modificadoresPorId));
+        const esperados = esperado.items.map(i => normalizarItem(i, modificadoresPorId));
+        const coincide = obtenidos.length === esperados.length && esperados.every((e, i) =>
+            e.nombre === obtenidos[i].nombre && e.cantidad === obtenidos[i].cantidad &&
+            (typeof esperado.items[i] === 'string' || JSON.stringify(e.modificadores) === JSON.stringify(obtenidos[i].modificadores)));
+        if (!coincide) {
+            diferencias.push(`items: esperados ${JSON.stringify(esperados)}, obtenidos ${JSON.stringify(obtenidos)}`);
+        }
+    }
+    if (esperado.canal !== undefined && resultado.orden?.canal !== esperado.canal) {
+        diferencias.push(`canal: esperado ${esperado.canal}, obtenido ${resultado.orden?.canal}`);
+    }
+    for (const fragmento of [].concat(esperado.mensaje_contiene || [])) {
+        const dicho = resultado.mensajes.join(' ');
+        if (!dicho.toLowerCase().includes(fragmento.toLowerCase())) {
+            diferencias.push(`mensaje: "${dicho}" no contiene "${fragmento}"`);
+        }
+    }
+    return diferencias;
+}
+
+/**
+ * Comprueba que la conversación quedó guardada turno por turno (ver Transcripciones.js): lo que
+ * dijo el cliente en cada turno del fixture y, si se registró la orden, su transcripción.
+ */
+function compararTranscripcion(fixture, turnosGuardados, orden) {
+    const diferencias = [];
+    if (turnosGuardados.length === 0) {
+        diferencias.push('transcripción: no se guardó ningún turno');
+    }
+    const dichos = turnosGuardados.map(t => t.texto_cliente);
+    for (const turno of fixture.turnos) {
+        if (!dichos.includes(turno.cliente)) {
+            diferencias.push(`transcripción: no se guardó el turno "${turno.cliente}"`);
+        }
+    }
+    if (orden && !orden.transcripcion) {
+        diferencias.push(`transcripción: la orden #${orden.id} no tiene transcripción`);
+    }
+    return diferencias;
+}
+
+async function ejecutarFixture(simulador, fixture, indice) {
+    const promociones = await simulador.crearPromociones(fixture.promociones);
+    try {
+        return await ejecutarTurnos(simulador, fixture, indice);
+    } finally {
+        await simulador.eliminarPromociones(promociones);
+    }
+}
+
+async function ejecutarTurnos(simulador, fixture, indice) {
+    const cliente = new ClienteLLMGrabado(simulador.modificadoresPorNombre);
+    simulador.usarClienteLLM(cliente);
+    simulador.fijarHora(fixture.hora || HORA_POR_DEFECTO);
+
+    const callSid = `SIM${Date.now()}${indice}`;
+    const llamante = fixture.llamante || '+15550000000';
+    // 'canal': 'web', 'sms' o 'whatsapp' para una conversación por escrito (por defecto, una llamada).
+    const canal = fixture.canal || 'voz';
+    let fallos = 0;
+
+    console.log(`\n▶ ${fixture.nombre}`);
+    const saludo = await simulador.turno(callSid, llamante, undefined, canal);
+    // Id con el que se guardan los turnos: el CallSid de la llamada, o el de la conversación por escrito.
+    let conversacion = saludo.estado?.callSid || callSid;
+    let orden = null;
+    if (fixture.saludo_contiene) {
+        const diferencias = comparar({ mensaje_contiene: fixture.saludo_contiene }, saludo, simulador.modificadoresPorId);
+        if (diferencias.length === 0) {
+            console.log('  ✔ saludo');
+        } else {
+            fallos++;
+            console.log('  ✘ saludo');
+            diferencias.forEach(d => console.log(`      - ${d}`));
+        }
+    }
+
+    for (const [n, turno] of fixture.turnos.entries()) {
+        for (const respuesta of [].concat(turno.respuesta_llm || [])) {
+            cliente.encolar(respuesta);
+        }
+        const resultado = await simulador.turno(callSid, llamante, turno.cliente, canal);
+        conversacion = resultado.estado?.callSid || resultado.orden?.call_sid || conversacion;
+        orden = resultado.orden || orden;
+        const diferencias = comparar(turno.esperado || {}, resultado, simulador.modificadoresPorId);
+        if (diferencias.length === 0) {
+            console.log(`  ✔ ${n + 1}. "${turno.cliente}"`);
+        } else {
+            fallos++;
+            console.log(`  ✘ ${n + 1}. "${turno.cliente}"`);
+            diferencias.forEach(d => console.log(`      - ${d}`));
+        }
+    }
+
+    const diferencias = compararTranscripcion(fixture, await simulador.turnosGuardados(conversacion), orden);
+    if (diferencias.length === 0) {
+        console.log('  ✔ transcripción');
+    } else {
+        fallos++;
+        console.log('  ✘ transcripción');
+        diferencias.forEach(d => console.log(`      - ${d}`));
+    }
+
+    // Consultas que fallaron durante la conversación, aunque la app haya seguido (p. ej. un turno sin guardar).
+    const erroresBd = simulador.erroresBd.splice(0);
+    if (erroresBd.length > 0) {
+        fallos++;
+        console.log('  ✘ base de datos');
+        erroresBd.forEach(e => console.log(`      - ${e}`));
+    }
+    return fallos;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const reiniciarBd = args.includes('--reiniciar-bd');
+    const archivos = args.filter(a => !a.startsWith('--'));
+    const rutas = archivos.length > 0
+        ? archivos
+        : fs.readdirSync(DIRECTORIO_FIXTURES).filter(f => f.endsWith('.json')).sort().map(f => path.join(DIRECTORIO_FIXTURES, f));
+
+    const simulador = new Simulador();
+    let fallos = 0;
+    try {
+        await simulador.iniciar({ reiniciarBd });
+        for (const [indice, ruta] of rutas.entries()) {
+            const fixture = JSON.parse(fs.readFileSync(ruta, 'utf8'));
+            fallos += await ejecutarFixture(simulador, fixture, indice);
+        }
+    } finally {
+        await simulador.detener();
+    }
+
+    console.log(fallos === 0 ? `\n${rutas.length} conversaciones OK.` : `\n${fallos} turnos con diferencias.`);
+    process.exitCode = fallos === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('[SIMULADOR] Error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { main, comparar, compararTranscripcion, normalizarItem };